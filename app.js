@@ -16,15 +16,21 @@ const rateLimit = require('express-rate-limit');
 const User = require('./models/User');
 const { db, checkIfUsersExist, initializeDatabase } = require('./db/database');
 const systemMonitor = require('./services/systemMonitor');
-const { uploadVideo, upload } = require('./middleware/uploadMiddleware');
+const { uploadVideo, upload, uploadOverlay } = require('./middleware/uploadMiddleware');
 const { ensureDirectories } = require('./utils/storage');
 const { getVideoInfo, generateThumbnail } = require('./utils/videoProcessor');
 const Video = require('./models/Video');
 const Playlist = require('./models/Playlist');
+const AudioSource = require('./models/AudioSource');
 const Stream = require('./models/Stream');
+const StreamDestination = require('./models/StreamDestination');
+const StreamSchedule = require('./models/StreamSchedule');
+const { detectPlatform } = require('./utils/platformDetector');
+const recurrence = require('./utils/recurrence');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
 const streamingService = require('./services/streamingService');
+const overlayService = require('./services/overlayService');
 const schedulerService = require('./services/schedulerService');
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
 // ============================================================================
@@ -624,6 +630,13 @@ app.get('/history', isAuthenticated, async (req, res) => {
         }
       );
     });
+    history.forEach(entry => {
+      try {
+        entry.failover_events = entry.failover_events ? JSON.parse(entry.failover_events) : [];
+      } catch (error) {
+        entry.failover_events = [];
+      }
+    });
 
     const totalPages = Math.ceil(totalCount / limit);
 
@@ -1737,7 +1750,22 @@ app.get('/api/stream/content', isAuthenticated, async (req, res) => {
       };
     });
 
-    const allContent = [...formattedPlaylists, ...formattedVideos];
+    const audioSources = await AudioSource.findAll(req.session.userId);
+    const formattedAudioSources = audioSources.map(source => {
+      return {
+        id: source.id,
+        name: source.title,
+        thumbnail: source.image_path || '/images/playlist-thumbnail.svg',
+        resolution: source.visualizer !== 'none' ? `Audio • ${source.visualizer}` : 'Audio + image',
+        duration: source.mode === 'generative'
+          ? 'Live generative mix'
+          : `${source.audio_files.length} ${source.audio_files.length === 1 ? 'track' : 'tracks'}`,
+        url: source.audio_files[0],
+        type: 'audio'
+      };
+    });
+
+    const allContent = [...formattedPlaylists, ...formattedAudioSources, ...formattedVideos];
 
     res.json(allContent);
   } catch (error) {
@@ -1746,6 +1774,96 @@ app.get('/api/stream/content', isAuthenticated, async (req, res) => {
   }
 });
 
+function parseStreamDestinations(rawDestinations) {
+  let destinations = rawDestinations;
+  if (typeof destinations === 'string') {
+    try {
+      destinations = JSON.parse(destinations);
+    } catch (error) {
+      destinations = [];
+    }
+  }
+  if (!Array.isArray(destinations)) {
+    return [];
+  }
+  return destinations.map(dest => ({
+    name: dest.name ? String(dest.name).trim() : null,
+    rtmp_url: String(dest.rtmpUrl || dest.rtmp_url || ''),
+    stream_key: String(dest.streamKey || dest.stream_key || ''),
+    enabled: dest.enabled !== false && dest.enabled !== 'false'
+  })).filter(dest => dest.rtmp_url.trim() && dest.stream_key.trim());
+}
+function parseRecurrenceRule(rawRecurrence) {
+  let rule = rawRecurrence;
+  if (typeof rule === 'string') {
+    if (!rule.trim()) return null;
+    try {
+      rule = JSON.parse(rule);
+    } catch (error) {
+      throw new Error('Invalid recurrence rule');
+    }
+  }
+  if (!rule || !rule.type || rule.type === 'none') {
+    return null;
+  }
+  const toList = (value) => {
+    if (Array.isArray(value)) return value;
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+  };
+  const maxRunMinutes = parseInt(rule.maxRunMinutes, 10);
+  const parsed = {
+    recurrence_type: rule.type,
+    start_time: rule.startTime || null,
+    days_of_week: toList(rule.daysOfWeek).map(day => parseInt(day, 10)),
+    cron_expression: rule.cronExpression ? String(rule.cronExpression).trim() : null,
+    timezone: rule.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    exceptions: toList(rule.exceptions),
+    max_run_minutes: Number.isNaN(maxRunMinutes) ? null : maxRunMinutes,
+    enabled: rule.enabled !== false && rule.enabled !== 'false'
+  };
+  recurrence.validateRule(parsed);
+  return parsed;
+}
+// Only the failover fields present in the body are returned, so PUT can update them selectively
+async function parseFailoverSettings(body, userId, current = {}) {
+  const settings = {};
+  if (body.failoverSource !== undefined) {
+    settings.failover_source = body.failoverSource || 'none';
+    if (!streamingService.FAILOVER_SOURCES.includes(settings.failover_source)) {
+      throw new Error('Invalid failover source');
+    }
+  }
+  if (body.fallbackVideoId !== undefined) {
+    settings.fallback_video_id = body.fallbackVideoId || null;
+  }
+  if (body.backupRtmpUrl !== undefined) {
+    settings.backup_rtmp_url = String(body.backupRtmpUrl || '').trim() || null;
+    if (settings.backup_rtmp_url && !/^rtmps?:\/\//i.test(settings.backup_rtmp_url)) {
+      throw new Error('Backup ingest URL must start with rtmp:// or rtmps://');
+    }
+  }
+  if (body.backupFailoverAfter !== undefined && body.backupFailoverAfter !== '') {
+    settings.backup_failover_after = parseInt(body.backupFailoverAfter, 10);
+    if (!Number.isInteger(settings.backup_failover_after) || settings.backup_failover_after < 1) {
+      throw new Error('Backup ingest threshold must be at least 1 failure');
+    }
+  }
+  const merged = { ...current, ...settings };
+  if (merged.failover_source === 'video') {
+    const video = merged.fallback_video_id ? await Video.findById(merged.fallback_video_id) : null;
+    if (!video || video.user_id !== userId) {
+      throw new Error('Choose a fallback video for the video failover source');
+    }
+  }
+  return settings;
+}
+async function saveStreamRecurrence(streamId, userId, rule) {
+  if (!rule) {
+    await StreamSchedule.deleteByStreamId(streamId);
+    return null;
+  }
+  return StreamSchedule.upsert(streamId, userId, rule);
+}
 app.get('/api/streams', isAuthenticated, async (req, res) => {
   try {
     const filter = req.query.filter;
@@ -1767,30 +1885,17 @@ app.post('/api/streams', isAuthenticated, [
     if (!errors.isEmpty()) {
       return res.status(400).json({ success: false, error: errors.array()[0].msg });
     }
-    let platform = 'Custom';
-    let platform_icon = 'ti-broadcast';
-    if (req.body.rtmpUrl.includes('youtube.com')) {
-      platform = 'YouTube';
-      platform_icon = 'ti-brand-youtube';
-    } else if (req.body.rtmpUrl.includes('facebook.com')) {
-      platform = 'Facebook';
-      platform_icon = 'ti-brand-facebook';
-    } else if (req.body.rtmpUrl.includes('twitch.tv')) {
-      platform = 'Twitch';
-      platform_icon = 'ti-brand-twitch';
-    } else if (req.body.rtmpUrl.includes('tiktok.com')) {
-      platform = 'TikTok';
-      platform_icon = 'ti-brand-tiktok';
-    } else if (req.body.rtmpUrl.includes('instagram.com')) {
-      platform = 'Instagram';
-      platform_icon = 'ti-brand-instagram';
-    } else if (req.body.rtmpUrl.includes('shopee.io')) {
-      platform = 'Shopee Live';
-      platform_icon = 'ti-brand-shopee';
-    } else if (req.body.rtmpUrl.includes('restream.io')) {
-      platform = 'Restream.io';
-      platform_icon = 'ti-live-photo';
+    let recurrenceRule;
+    let failoverSettings;
+    let overlays;
+    try {
+      recurrenceRule = parseRecurrenceRule(req.body.recurrence);
+      failoverSettings = await parseFailoverSettings(req.body, req.session.userId);
+      overlays = overlayService.normalizeOverlays(req.body.overlays);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
     }
+    const { platform, platform_icon } = detectPlatform(req.body.rtmpUrl);
     const streamData = {
       title: req.body.streamTitle,
       video_id: req.body.videoId || null,
@@ -1804,8 +1909,14 @@ app.post('/api/streams', isAuthenticated, [
       orientation: req.body.orientation || 'horizontal',
       loop_video: req.body.loopVideo === 'true' || req.body.loopVideo === true,
       use_advanced_settings: req.body.useAdvancedSettings === 'true' || req.body.useAdvancedSettings === true,
+      misfire_policy: req.body.misfirePolicy || 'start_late',
+      ...failoverSettings,
+      overlays: overlays ? JSON.stringify(overlays) : null,
       user_id: req.session.userId
     };
+    if (!schedulerService.MISFIRE_POLICIES.includes(streamData.misfire_policy)) {
+      return res.status(400).json({ success: false, error: 'Invalid misfire policy' });
+    }
     const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
     function parseLocalDateTime(dateTimeString) {
@@ -1845,6 +1956,9 @@ app.post('/api/streams', isAuthenticated, [
       streamData.status = 'offline';
     }
     const stream = await Stream.create(streamData);
+    stream.overlays = overlays;
+    stream.destinations = await StreamDestination.replaceForStream(stream.id, parseStreamDestinations(req.body.destinations));
+    stream.recurrence = await saveStreamRecurrence(stream.id, req.session.userId, recurrenceRule);
     res.json({ success: true, stream });
   } catch (error) {
     console.error('Error creating stream:', error);
@@ -1860,6 +1974,9 @@ app.get('/api/streams/:id', isAuthenticated, async (req, res) => {
     if (stream.user_id !== req.session.userId) {
       return res.status(403).json({ success: false, error: 'Not authorized to access this stream' });
     }
+    stream.destinations = await StreamDestination.findByStreamId(stream.id);
+    stream.recurrence = await StreamSchedule.findByStreamId(stream.id);
+    stream.overlays = overlayService.parseOverlays(stream.overlays);
     res.json({ success: true, stream });
   } catch (error) {
     console.error('Error fetching stream:', error);
@@ -1875,6 +1992,14 @@ app.put('/api/streams/:id', isAuthenticated, async (req, res) => {
     if (stream.user_id !== req.session.userId) {
       return res.status(403).json({ success: false, error: 'Not authorized to update this stream' });
     }
+    let recurrenceRule;
+    if (req.body.recurrence !== undefined) {
+      try {
+        recurrenceRule = parseRecurrenceRule(req.body.recurrence);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+    }
     const updateData = {};
     if (req.body.streamTitle) updateData.title = req.body.streamTitle;
     if (req.body.videoId) updateData.video_id = req.body.videoId;
@@ -1882,30 +2007,7 @@ app.put('/api/streams/:id', isAuthenticated, async (req, res) => {
     if (req.body.rtmpUrl) {
       updateData.rtmp_url = req.body.rtmpUrl;
 
-      let platform = 'Custom';
-      let platform_icon = 'ti-broadcast';
-      if (req.body.rtmpUrl.includes('youtube.com')) {
-        platform = 'YouTube';
-        platform_icon = 'ti-brand-youtube';
-      } else if (req.body.rtmpUrl.includes('facebook.com')) {
-        platform = 'Facebook';
-        platform_icon = 'ti-brand-facebook';
-      } else if (req.body.rtmpUrl.includes('twitch.tv')) {
-        platform = 'Twitch';
-        platform_icon = 'ti-brand-twitch';
-      } else if (req.body.rtmpUrl.includes('tiktok.com')) {
-        platform = 'TikTok';
-        platform_icon = 'ti-brand-tiktok';
-      } else if (req.body.rtmpUrl.includes('instagram.com')) {
-        platform = 'Instagram';
-        platform_icon = 'ti-brand-instagram';
-      } else if (req.body.rtmpUrl.includes('shopee.io')) {
-        platform = 'Shopee Live';
-        platform_icon = 'ti-brand-shopee';
-      } else if (req.body.rtmpUrl.includes('restream.io')) {
-        platform = 'Restream.io';
-        platform_icon = 'ti-live-photo';
-      }
+      const { platform, platform_icon } = detectPlatform(req.body.rtmpUrl);
       updateData.platform = platform;
       updateData.platform_icon = platform_icon;
     }
@@ -1921,6 +2023,21 @@ app.put('/api/streams/:id', isAuthenticated, async (req, res) => {
     if (req.body.useAdvancedSettings !== undefined) {
       updateData.use_advanced_settings = req.body.useAdvancedSettings === 'true' || req.body.useAdvancedSettings === true;
     }
+    if (req.body.misfirePolicy !== undefined) {
+      if (!schedulerService.MISFIRE_POLICIES.includes(req.body.misfirePolicy)) {
+        return res.status(400).json({ success: false, error: 'Invalid misfire policy' });
+      }
+      updateData.misfire_policy = req.body.misfirePolicy;
+    }
+    try {
+      Object.assign(updateData, await parseFailoverSettings(req.body, req.session.userId, stream));
+      if (req.body.overlays !== undefined) {
+        const overlays = overlayService.normalizeOverlays(req.body.overlays);
+        updateData.overlays = overlays ? JSON.stringify(overlays) : null;
+      }
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
     function parseLocalDateTime(dateTimeString) {
@@ -1974,6 +2091,12 @@ app.put('/api/streams/:id', isAuthenticated, async (req, res) => {
     }
 
     const updatedStream = await Stream.update(req.params.id, updateData);
+    if (req.body.destinations !== undefined) {
+      updatedStream.destinations = await StreamDestination.replaceForStream(req.params.id, parseStreamDestinations(req.body.destinations));
+    }
+    if (req.body.recurrence !== undefined) {
+      updatedStream.recurrence = await saveStreamRecurrence(req.params.id, req.session.userId, recurrenceRule);
+    }
     res.json({ success: true, stream: updatedStream });
   } catch (error) {
     console.error('Error updating stream:', error);
@@ -2082,6 +2205,34 @@ app.post('/api/streams/:id/status', isAuthenticated, [
     res.status(500).json({ success: false, error: 'Failed to update stream status' });
   }
 });
+app.get('/api/schedules/upcoming', isAuthenticated, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 31);
+    const from = new Date();
+    const until = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+    const schedules = await StreamSchedule.findByUserId(req.session.userId);
+    const runs = [];
+    schedules.forEach(schedule => {
+      recurrence.getOccurrences(schedule, from, until).forEach(occurrence => {
+        runs.push({
+          streamId: schedule.stream_id,
+          title: schedule.stream_title,
+          platform: schedule.platform,
+          platformIcon: schedule.platform_icon,
+          recurrenceType: schedule.recurrence_type,
+          timezone: schedule.timezone,
+          start: occurrence.start.toISOString(),
+          end: occurrence.end ? occurrence.end.toISOString() : null
+        });
+      });
+    });
+    runs.sort((a, b) => new Date(a.start) - new Date(b.start));
+    res.json({ success: true, from: from.toISOString(), until: until.toISOString(), runs });
+  } catch (error) {
+    console.error('Error fetching upcoming runs:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch upcoming runs' });
+  }
+});
 app.get('/api/streams/check-key', isAuthenticated, async (req, res) => {
   try {
     const streamKey = req.query.key;
@@ -2129,6 +2280,153 @@ app.get('/api/streams/:id/logs', isAuthenticated, async (req, res) => {
     res.status(500).json({ success: false, error: 'Failed to fetch stream logs' });
   }
 });
+app.get('/api/streams/:id/metrics', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    const metrics = streamingService.getStreamMetrics(stream.id, req.query.since || null);
+    res.json({
+      success: true,
+      isActive: streamingService.isStreamActive(stream.id),
+      ...metrics
+    });
+  } catch (error) {
+    console.error('Error fetching stream metrics:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stream metrics' });
+  }
+});
+app.post('/api/overlays/logo', isAuthenticated, (req, res) => {
+  uploadOverlay.single('logo')(req, res, (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ success: false, error: 'Logo is too large. Maximum size is 5MB.' });
+      }
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No logo file provided' });
+    }
+    res.json({ success: true, path: `/uploads/overlays/${req.file.filename}` });
+  });
+});
+app.post('/api/overlays/preview', isAuthenticated, async (req, res) => {
+  let overlays;
+  try {
+    overlays = overlayService.normalizeOverlays(req.body.overlays);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  try {
+    const image = await streamingService.renderOverlayPreview({
+      videoId: req.body.videoId || null,
+      userId: req.session.userId,
+      overlays,
+      resolution: /^\d{2,4}x\d{2,4}$/.test(req.body.resolution || '') ? req.body.resolution : '1280x720'
+    });
+    res.set('Content-Type', 'image/jpeg');
+    res.send(image);
+  } catch (error) {
+    console.error('Error rendering overlay preview:', error);
+    res.status(500).json({ success: false, error: 'Failed to render overlay preview' });
+  }
+});
+app.get('/api/streams/:id/destinations', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    const destinations = await StreamDestination.findByStreamId(stream.id);
+    const activeInfo = streamingService.getActiveStreamInfo(stream.id);
+    res.json({
+      success: true,
+      destinations,
+      live: activeInfo ? activeInfo.destinations : []
+    });
+  } catch (error) {
+    console.error('Error fetching stream destinations:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stream destinations' });
+  }
+});
+async function getOwnedStream(req, res) {
+  const stream = await Stream.findById(req.params.id);
+  if (!stream) {
+    res.status(404).json({ success: false, error: 'Stream not found' });
+    return null;
+  }
+  if (stream.user_id !== req.session.userId) {
+    res.status(403).json({ success: false, error: 'Not authorized' });
+    return null;
+  }
+  return stream;
+}
+app.post('/api/streams/:id/playlist/next', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await getOwnedStream(req, res);
+    if (!stream) return;
+    const result = streamingService.skipPlaylistItem(stream.id);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error skipping playlist item:', error);
+    res.status(500).json({ success: false, error: 'Failed to skip playlist item' });
+  }
+});
+app.post('/api/streams/:id/playlist/jump', isAuthenticated, [
+  body('index').isInt({ min: 0 }).withMessage('Index must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const stream = await getOwnedStream(req, res);
+    if (!stream) return;
+    const result = streamingService.jumpToPlaylistItem(stream.id, parseInt(req.body.index, 10));
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error jumping to playlist item:', error);
+    res.status(500).json({ success: false, error: 'Failed to jump to playlist item' });
+  }
+});
+app.post('/api/streams/:id/playlist/enqueue', isAuthenticated, [
+  body('videoId').notEmpty().withMessage('Video ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const stream = await getOwnedStream(req, res);
+    if (!stream) return;
+    const video = await Video.findById(req.body.videoId);
+    if (!video || video.user_id !== req.session.userId) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+    const playNext = req.body.playNext === true || req.body.playNext === 'true';
+    const result = streamingService.enqueuePlaylistVideo(stream.id, video, playNext);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error enqueuing playlist video:', error);
+    res.status(500).json({ success: false, error: 'Failed to enqueue video' });
+  }
+});
 app.get('/playlist', isAuthenticated, async (req, res) => {
   try {
     const playlists = await Playlist.findAll(req.session.userId);
@@ -2372,11 +2670,15 @@ const audioRoutes = require('./routes/audioRoutes');
 const videoRoutes = require('./routes/videoRoutes');
 const metadataRoutes = require('./routes/metadataRoutes');
 const youtubeRoutes = require('./routes/youtubeRoutes');
+const pipelineRoutes = require('./routes/pipelineRoutes');
+const batchRoutes = require('./routes/batchRoutes');
 
 audioRoutes(app, isAuthenticated);
 videoRoutes(app, isAuthenticated);
 metadataRoutes(app, isAuthenticated);
 youtubeRoutes(app, isAuthenticated);
+pipelineRoutes(app, isAuthenticated);
+batchRoutes(app, isAuthenticated);
 
 const http = require('http');
 const server = http.createServer(app);
@@ -2412,6 +2714,16 @@ server.listen(port, '0.0.0.0', async () => {
       console.warn('⚠️  YouTube OAuth not configured (set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET)');
     }
 
+    // Recipe pipeline runs cut off by a restart are left resumable; batches pick up their queued items
+    const pipelineService = require('./services/pipelineService');
+    const batchService = require('./services/batchService');
+    await pipelineService.recoverInterruptedRuns();
+    await batchService.resumeBatches();
+
+    // Interrupted YouTube uploads resume from their stored session; planned releases are checked every minute
+    await require('./services/youtubeUploadService').init();
+    await require('./services/youtubePublishService').init();
+
     // Start job queue workers (if Redis available)
     if (jobQueueService.isAvailable()) {
       const audioService = require('./services/audioService');
@@ -2419,6 +2731,9 @@ server.listen(port, '0.0.0.0', async () => {
       jobQueueService.startWorkers({
         audio: async (data, updateProgress) => {
           return await audioService.generateAudio(data.config, updateProgress);
+        },
+        pipeline: async (data, updateProgress) => {
+          return await pipelineService.run(data.runId, updateProgress);
         }
         // Video and other processors will be added in Phase 3-5
       });
@@ -2439,17 +2754,7 @@ server.listen(port, '0.0.0.0', async () => {
   } else {
     console.log(`  http://localhost:${port}`);
   }
-  try {
-    const streams = await Stream.findAll(null, 'live');
-    if (streams && streams.length > 0) {
-      console.log(`Resetting ${streams.length} live streams to offline state...`);
-      for (const stream of streams) {
-        await Stream.updateStatus(stream.id, 'offline');
-      }
-    }
-  } catch (error) {
-    console.error('Error resetting stream statuses:', error);
-  }
+  await streamingService.reconcileRunningStreams();
   schedulerService.init(streamingService);
   try {
     await streamingService.syncStreamStatuses();
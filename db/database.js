@@ -105,6 +105,13 @@ async function initializeDatabase() {
                 console.log('✅ Users table created/verified');
             });
 
+            // User updates stamp updated_at, which the original users table lacks
+            db.run('ALTER TABLE users ADD COLUMN updated_at DATETIME', (err) => {
+                if (err && !err.message.includes('duplicate column')) {
+                    console.error('⚠️  Could not add updated_at column to users:', err.message);
+                }
+            });
+
             // Create streams table (from Streamflow) - COMPLETE FIXED SCHEMA!
             db.run(`
         CREATE TABLE IF NOT EXISTS streams (
@@ -128,6 +135,12 @@ async function initializeDatabase() {
           status TEXT DEFAULT 'offline',
           status_updated_at DATETIME,
           use_advanced_settings INTEGER DEFAULT 0,
+          misfire_policy TEXT DEFAULT 'start_late',
+          failover_source TEXT DEFAULT 'none',
+          fallback_video_id TEXT,
+          backup_rtmp_url TEXT,
+          backup_failover_after INTEGER DEFAULT 3,
+          overlays TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -136,6 +149,26 @@ async function initializeDatabase() {
                 if (err) console.error('⚠️  Error creating streams table:', err.message);
             });
 
+            db.run(`ALTER TABLE streams ADD COLUMN misfire_policy TEXT DEFAULT 'start_late'`, (err) => {
+                if (err && !err.message.includes('duplicate column')) {
+                    console.error('⚠️  Could not add misfire_policy column to streams:', err.message);
+                }
+            });
+
+            [
+                `failover_source TEXT DEFAULT 'none'`,
+                'fallback_video_id TEXT',
+                'backup_rtmp_url TEXT',
+                'backup_failover_after INTEGER DEFAULT 3',
+                'overlays TEXT'
+            ].forEach((column) => {
+                db.run(`ALTER TABLE streams ADD COLUMN ${column}`, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error(`⚠️  Could not add ${column.split(' ')[0]} column to streams:`, err.message);
+                    }
+                });
+            });
+
             // Create videos table (from Streamflow) - FIXED SCHEMA!
             db.run(`
         CREATE TABLE IF NOT EXISTS videos (
@@ -173,6 +206,250 @@ async function initializeDatabase() {
                 if (err) console.error('⚠️  Error creating playlists table:', err.message);
             });
 
+            // Audio + image stream sources (generated audio streamed without assembling a video)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS audio_sources (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          title TEXT NOT NULL,
+          audio_files TEXT NOT NULL,
+          image_path TEXT,
+          visualizer TEXT DEFAULT 'none',
+          mode TEXT DEFAULT 'files',
+          generative_config TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating audio_sources table:', err.message);
+            });
+
+            [
+                `mode TEXT DEFAULT 'files'`,
+                'generative_config TEXT'
+            ].forEach((column) => {
+                db.run(`ALTER TABLE audio_sources ADD COLUMN ${column}`, (err) => {
+                    if (err && !err.message.includes('duplicate column')) {
+                        console.error(`⚠️  Could not add ${column.split(' ')[0]} column to audio_sources:`, err.message);
+                    }
+                });
+            });
+
+            // Create pipeline_recipes table (reusable generate → assemble → metadata → publish settings)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS pipeline_recipes (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          preset_id INTEGER NOT NULL,
+          duration INTEGER NOT NULL,
+          video_id TEXT NOT NULL,
+          loop_type TEXT DEFAULT 'ping-pong',
+          ai_instructions TEXT,
+          privacy TEXT DEFAULT 'private',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating pipeline_recipes table:', err.message);
+            });
+
+            // Create pipeline_runs table (one row per recipe execution, stage results kept for resume)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS pipeline_runs (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          recipe_id TEXT,
+          batch_id TEXT,
+          recipe TEXT NOT NULL,
+          status TEXT DEFAULT 'pending',
+          current_stage TEXT,
+          stages TEXT,
+          error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completed_at DATETIME,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating pipeline_runs table:', err.message);
+            });
+
+            db.run('ALTER TABLE pipeline_runs ADD COLUMN batch_id TEXT', (err) => {
+                if (err && !err.message.includes('duplicate column')) {
+                    console.error('⚠️  Could not add batch_id column to pipeline_runs:', err.message);
+                }
+            });
+
+            // Create batches table (a set of recipe variants run as pipeline runs, tracked together)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS batches (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          concurrency INTEGER DEFAULT 1,
+          total_items INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating batches table:', err.message);
+            });
+
+            // Create stream_destinations table (extra simulcast targets per stream)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS stream_destinations (
+          id TEXT PRIMARY KEY,
+          stream_id TEXT NOT NULL,
+          name TEXT,
+          rtmp_url TEXT NOT NULL,
+          stream_key TEXT NOT NULL,
+          platform TEXT,
+          platform_icon TEXT,
+          enabled INTEGER DEFAULT 1,
+          position INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (stream_id) REFERENCES streams(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating stream_destinations table:', err.message);
+            });
+
+            // Create stream_schedules table (recurring start rules per stream)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS stream_schedules (
+          id TEXT PRIMARY KEY,
+          stream_id TEXT NOT NULL UNIQUE,
+          user_id TEXT NOT NULL,
+          recurrence_type TEXT NOT NULL,
+          start_time TEXT,
+          days_of_week TEXT,
+          cron_expression TEXT,
+          timezone TEXT DEFAULT 'UTC',
+          exceptions TEXT,
+          max_run_minutes INTEGER,
+          enabled INTEGER DEFAULT 1,
+          last_run_start DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (stream_id) REFERENCES streams(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating stream_schedules table:', err.message);
+            });
+
+            // Create stream_runtime table (FFmpeg process and retry state that must survive a restart)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS stream_runtime (
+          stream_id TEXT PRIMARY KEY,
+          pid INTEGER,
+          retry_count INTEGER DEFAULT 0,
+          started_at DATETIME,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (stream_id) REFERENCES streams(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating stream_runtime table:', err.message);
+            });
+
+            // Create stream_history table (one row per finished broadcast)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS stream_history (
+          id TEXT PRIMARY KEY,
+          stream_id TEXT,
+          title TEXT,
+          platform TEXT,
+          platform_icon TEXT,
+          video_id TEXT,
+          video_title TEXT,
+          resolution TEXT,
+          bitrate INTEGER,
+          fps INTEGER,
+          start_time DATETIME,
+          end_time DATETIME,
+          duration INTEGER,
+          use_advanced_settings INTEGER DEFAULT 0,
+          user_id TEXT NOT NULL,
+          failover_events TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating stream_history table:', err.message);
+            });
+
+            // stream_history tables made before failover tracking lack failover_events
+            db.run('ALTER TABLE stream_history ADD COLUMN failover_events TEXT', (err) => {
+                if (err && !err.message.includes('duplicate column')) {
+                    console.error('⚠️  Could not add failover_events column to stream_history:', err.message);
+                }
+            });
+
+            // Create youtube_channels table (connected YouTube channels, several per user, each with its own tokens)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS youtube_channels (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          channel_id TEXT NOT NULL,
+          title TEXT,
+          thumbnail_url TEXT,
+          access_token TEXT,
+          refresh_token TEXT NOT NULL,
+          token_expiry INTEGER,
+          is_default INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (user_id, channel_id),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating youtube_channels table:', err.message);
+            });
+
+            // Create youtube_releases table (planned YouTube publishes; kept so restarts don't lose the plan)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS youtube_releases (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          project_id INTEGER NOT NULL,
+          channel_id TEXT NOT NULL,
+          mode TEXT NOT NULL,
+          release_at DATETIME NOT NULL,
+          status TEXT DEFAULT 'pending',
+          youtube_video_id TEXT,
+          error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (channel_id) REFERENCES youtube_channels(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating youtube_releases table:', err.message);
+            });
+
+            // Create youtube_cadences table (release slot rule per channel, e.g. daily at 18:00)
+            db.run(`
+        CREATE TABLE IF NOT EXISTS youtube_cadences (
+          id TEXT PRIMARY KEY,
+          channel_id TEXT NOT NULL UNIQUE,
+          user_id TEXT NOT NULL,
+          recurrence_type TEXT NOT NULL,
+          start_time TEXT,
+          days_of_week TEXT,
+          cron_expression TEXT,
+          timezone TEXT NOT NULL,
+          exceptions TEXT,
+          enabled INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (channel_id) REFERENCES youtube_channels(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+                if (err) console.error('⚠️  Error creating youtube_cadences table:', err.message);
+            });
+
             // Create playlist_videos join table
             db.run(`
         CREATE TABLE IF NOT EXISTS playlist_videos (
@@ -1,4 +1,5 @@
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
 const { getUniqueFilename, paths } = require('../utils/storage');
 
@@ -22,6 +23,37 @@ const avatarStorage = multer.diskStorage({
   }
 });
 
+const overlayStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, paths.overlays);
+  },
+  filename: (req, file, cb) => {
+    const uniqueFilename = getUniqueFilename(file.originalname);
+    cb(null, uniqueFilename);
+  }
+});
+
+const stillImageStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, paths.images);
+  },
+  filename: (req, file, cb) => {
+    const uniqueFilename = getUniqueFilename(file.originalname);
+    cb(null, uniqueFilename);
+  }
+});
+
+// Stems are filed under their category once the upload is checked
+const audioStemStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, os.tmpdir());
+  },
+  filename: (req, file, cb) => {
+    const uniqueFilename = getUniqueFilename(file.originalname);
+    cb(null, uniqueFilename);
+  }
+});
+
 const videoFilter = (req, file, cb) => {
   const allowedFormats = ['video/mp4', 'video/avi', 'video/quicktime'];
   const fileExt = path.extname(file.originalname).toLowerCase();
@@ -44,6 +76,45 @@ const imageFilter = (req, file, cb) => {
   }
 };
 
+const pngFilter = (req, file, cb) => {
+  const fileExt = path.extname(file.originalname).toLowerCase();
+  if (file.mimetype === 'image/png' && fileExt === '.png') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .png images are allowed for overlays'), false);
+  }
+};
+
+const stillImageFilter = (req, file, cb) => {
+  const allowedFormats = ['image/jpeg', 'image/jpg', 'image/png'];
+  const fileExt = path.extname(file.originalname).toLowerCase();
+  const allowedExts = ['.jpg', '.jpeg', '.png'];
+  if (allowedFormats.includes(file.mimetype) && allowedExts.includes(fileExt)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .jpg, .jpeg, and .png images are allowed'), false);
+  }
+};
+
+const audioFilter = (req, file, cb) => {
+  const fileExt = path.extname(file.originalname).toLowerCase();
+  const allowedExts = ['.mp3', '.wav', '.ogg', '.flac', '.m4a', '.aac'];
+  if (allowedExts.includes(fileExt)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .mp3, .wav, .ogg, .flac, .m4a and .aac files are allowed'), false);
+  }
+};
+
+const presetBundleFilter = (req, file, cb) => {
+  const fileExt = path.extname(file.originalname).toLowerCase();
+  if (fileExt === '.json') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .json preset bundles are allowed'), false);
+  }
+};
+
 const uploadVideo = multer({
   storage: videoStorage,
   fileFilter: videoFilter
@@ -54,7 +125,36 @@ const upload = multer({
   fileFilter: imageFilter
 });
 
+const uploadOverlay = multer({
+  storage: overlayStorage,
+  fileFilter: pngFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+const uploadImage = multer({
+  storage: stillImageStorage,
+  fileFilter: stillImageFilter,
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+const uploadAudioStem = multer({
+  storage: audioStemStorage,
+  fileFilter: audioFilter,
+  limits: { fileSize: 500 * 1024 * 1024 }
+});
+
+// Bundles are read from the temp folder like stem uploads; embedded audio grows by a third as base64
+const uploadPresetBundle = multer({
+  storage: audioStemStorage,
+  fileFilter: presetBundleFilter,
+  limits: { fileSize: 300 * 1024 * 1024 }
+});
+
 module.exports = {
   uploadVideo,
-  upload
+  upload,
+  uploadOverlay,
+  uploadImage,
+  uploadAudioStem,
+  uploadPresetBundle
 };
\ No newline at end of file
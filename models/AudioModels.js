@@ -3,6 +3,12 @@ const path = require('path');
 
 const dbPath = process.env.DATABASE_PATH || './db/streamfactory.db';
 
+// Tags are stored as a JSON array
+function parseStem(row) {
+    if (!row) return row;
+    return { ...row, tags: row.tags ? JSON.parse(row.tags) : [] };
+}
+
 class AudioStem {
     /**
      * Get all audio stems
@@ -14,7 +20,7 @@ class AudioStem {
             db.all('SELECT * FROM audio_stems ORDER BY category, name', (err, rows) => {
                 db.close();
                 if (err) return reject(err);
-                resolve(rows);
+                resolve(rows.map(parseStem));
             });
         });
     }
@@ -29,7 +35,7 @@ class AudioStem {
             db.all('SELECT * FROM audio_stems WHERE category = ? ORDER BY name', [category], (err, rows) => {
                 db.close();
                 if (err) return reject(err);
-                resolve(rows);
+                resolve(rows.map(parseStem));
             });
         });
     }
@@ -59,7 +65,22 @@ class AudioStem {
             db.get('SELECT * FROM audio_stems WHERE id = ?', [id], (err, row) => {
                 db.close();
                 if (err) return reject(err);
-                resolve(row);
+                resolve(parseStem(row));
+            });
+        });
+    }
+
+    /**
+     * Get stem by the sha256 of its file
+     */
+    static findByContentHash(hash) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath);
+
+            db.get('SELECT * FROM audio_stems WHERE content_hash = ?', [hash], (err, row) => {
+                db.close();
+                if (err) return reject(err);
+                resolve(parseStem(row));
             });
         });
     }
@@ -71,14 +92,19 @@ class AudioStem {
         return new Promise((resolve, reject) => {
             const db = new sqlite3.Database(dbPath);
 
-            const { name, category, file_path, duration, default_volume = 0.7 } = data;
+            const {
+                name, category, file_path, duration, default_volume = 0.7, tags = [],
+                loop_crossfade = null, content_hash = null
+            } = data;
 
             const sql = `
-        INSERT INTO audio_stems (name, category, file_path, duration, default_volume)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO audio_stems (name, category, file_path, duration, default_volume, tags, loop_crossfade, content_hash)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
-            db.run(sql, [name, category, file_path, duration, default_volume], function (err) {
+            db.run(sql, [
+                name, category, file_path, duration, default_volume, JSON.stringify(tags), loop_crossfade, content_hash
+            ], function (err) {
                 db.close();
                 if (err) return reject(err);
                 resolve({ id: this.lastID, ...data });
@@ -98,7 +124,7 @@ class AudioStem {
 
             for (const [key, value] of Object.entries(data)) {
                 fields.push(`${key} = ?`);
-                params.push(value);
+                params.push(key === 'tags' ? JSON.stringify(value) : value);
             }
 
             params.push(id);
@@ -151,6 +177,33 @@ class AudioPreset {
         });
     }
 
+    /**
+     * Get presets a user can see: their own, shared ones and built-in ones
+     */
+    static getVisible(userId) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath);
+
+            const sql = `
+        SELECT * FROM audio_presets
+        WHERE user_id IS NULL OR user_id = ? OR visibility = 'shared'
+        ORDER BY created_at DESC
+      `;
+
+            db.all(sql, [userId], (err, rows) => {
+                db.close();
+                if (err) return reject(err);
+
+                const presets = rows.map(row => ({
+                    ...row,
+                    stem_configs: JSON.parse(row.stem_configs)
+                }));
+
+                resolve(presets);
+            });
+        });
+    }
+
     /**
      * Get preset by ID
      */
@@ -171,6 +224,16 @@ class AudioPreset {
         });
     }
 
+    /**
+     * Get presets that use a stem
+     */
+    static async findByStem(stemId) {
+        const presets = await AudioPreset.getAll();
+        return presets.filter(preset =>
+            preset.stem_configs.some(config => Number(config.stem_id || config.id) === Number(stemId))
+        );
+    }
+
     /**
      * Create new preset
      */
@@ -178,14 +241,14 @@ class AudioPreset {
         return new Promise((resolve, reject) => {
             const db = new sqlite3.Database(dbPath);
 
-            const { name, description, stem_configs } = data;
+            const { name, description, stem_configs, user_id = null, visibility = 'shared' } = data;
 
             const sql = `
-        INSERT INTO audio_presets (name, description, stem_configs)
-        VALUES (?, ?, ?)
+        INSERT INTO audio_presets (name, description, stem_configs, user_id, visibility, version)
+        VALUES (?, ?, ?, ?, ?, 1)
       `;
 
-            db.run(sql, [name, description, JSON.stringify(stem_configs)], function (err) {
+            db.run(sql, [name, description, JSON.stringify(stem_configs), user_id, visibility], function (err) {
                 db.close();
                 if (err) return reject(err);
                 resolve({ id: this.lastID, ...data });
@@ -241,7 +304,71 @@ class AudioPreset {
     }
 }
 
+class AudioPresetVersion {
+    /**
+     * Get every saved version of a preset, newest first
+     */
+    static findByPreset(presetId) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath);
+
+            db.all('SELECT * FROM audio_preset_versions WHERE preset_id = ? ORDER BY version DESC', [presetId], (err, rows) => {
+                db.close();
+                if (err) return reject(err);
+
+                resolve(rows.map(row => ({
+                    ...row,
+                    stem_configs: JSON.parse(row.stem_configs)
+                })));
+            });
+        });
+    }
+
+    /**
+     * Get one version of a preset
+     */
+    static find(presetId, version) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath);
+
+            db.get('SELECT * FROM audio_preset_versions WHERE preset_id = ? AND version = ?', [presetId, version], (err, row) => {
+                db.close();
+                if (err) return reject(err);
+
+                if (row) {
+                    row.stem_configs = JSON.parse(row.stem_configs);
+                }
+
+                resolve(row);
+            });
+        });
+    }
+
+    /**
+     * Record a saved state of a preset
+     */
+    static create(data) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath);
+
+            const { preset_id, version, name, description, stem_configs, visibility, created_by = null } = data;
+
+            const sql = `
+        INSERT INTO audio_preset_versions (preset_id, version, name, description, stem_configs, visibility, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+            db.run(sql, [preset_id, version, name, description, JSON.stringify(stem_configs), visibility, created_by], function (err) {
+                db.close();
+                if (err) return reject(err);
+                resolve({ id: this.lastID, ...data });
+            });
+        });
+    }
+}
+
 module.exports = {
     AudioStem,
-    AudioPreset
+    AudioPreset,
+    AudioPresetVersion
 };
@@ -0,0 +1,92 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const parseJsonArray = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+const parseJsonObject = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+const hydrate = (row) => {
+  if (!row) return row;
+  row.audio_files = parseJsonArray(row.audio_files);
+  row.generative_config = parseJsonObject(row.generative_config);
+  return row;
+};
+class AudioSource {
+  static create(data) {
+    const id = uuidv4();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO audio_sources (
+          id, user_id, title, audio_files, image_path, visualizer, mode, generative_config
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          data.user_id,
+          data.title,
+          JSON.stringify(data.audio_files || []),
+          data.image_path || null,
+          data.visualizer || 'none',
+          data.mode || 'files',
+          data.generative_config ? JSON.stringify(data.generative_config) : null
+        ],
+        (err) => {
+          if (err) {
+            console.error('Error creating audio source:', err.message);
+            return reject(err);
+          }
+          AudioSource.findById(id).then(resolve).catch(reject);
+        }
+      );
+    });
+  }
+  static findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM audio_sources WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error finding audio source:', err.message);
+          return reject(err);
+        }
+        resolve(hydrate(row) || null);
+      });
+    });
+  }
+  static findAll(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM audio_sources WHERE user_id = ? ORDER BY created_at DESC',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding audio sources:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(hydrate));
+        }
+      );
+    });
+  }
+  static delete(id, userId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM audio_sources WHERE id = ? AND user_id = ?', [id, userId], function (err) {
+        if (err) {
+          console.error('Error deleting audio source:', err.message);
+          return reject(err);
+        }
+        resolve({ deleted: this.changes > 0 });
+      });
+    });
+  }
+}
+module.exports = AudioSource;
@@ -0,0 +1,47 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+class Batch {
+  static create(data) {
+    const id = uuidv4();
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO batches (id, user_id, name, concurrency, total_items) VALUES (?, ?, ?, ?, ?)',
+        [id, data.user_id, data.name, data.concurrency || 1, data.total_items || 0],
+        (err) => {
+          if (err) {
+            console.error('Error creating batch:', err.message);
+            return reject(err);
+          }
+          Batch.findById(id).then(resolve).catch(reject);
+        }
+      );
+    });
+  }
+  static findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM batches WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error finding batch:', err.message);
+          return reject(err);
+        }
+        resolve(row || null);
+      });
+    });
+  }
+  static findAll(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM batches WHERE user_id = ? ORDER BY created_at DESC',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding batches:', err.message);
+            return reject(err);
+          }
+          resolve(rows || []);
+        }
+      );
+    });
+  }
+}
+module.exports = Batch;
@@ -0,0 +1,151 @@
+const sqlite3 = require('sqlite3').verbose();
+
+const dbPath = process.env.DATABASE_PATH || './db/streamfactory.db';
+
+const JSON_FIELDS = ['data', 'result'];
+
+function parseRow(row) {
+    if (!row) return null;
+    JSON_FIELDS.forEach(field => {
+        if (row[field]) row[field] = JSON.parse(row[field]);
+    });
+    return row;
+}
+
+class Job {
+    /**
+     * Create a job record
+     */
+    static create(jobData) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath);
+
+            const {
+                job_id,
+                job_type,
+                project_id = null,
+                user_id,
+                status = 'pending',
+                data = null,
+                bytes_total = null
+            } = jobData;
+
+            const sql = `
+        INSERT INTO jobs (
+          job_id, job_type, project_id, user_id, status, data, bytes_total, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `;
+
+            db.run(sql, [job_id, job_type, project_id, user_id, status, data ? JSON.stringify(data) : null, bytes_total], function (err) {
+                db.close();
+
+                if (err) {
+                    return reject(err);
+                }
+
+                resolve({ id: this.lastID, ...jobData });
+            });
+        });
+    }
+
+    /**
+     * Find job by its public job ID
+     */
+    static findByJobId(jobId) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath);
+
+            db.get('SELECT * FROM jobs WHERE job_id = ?', [jobId], (err, row) => {
+                db.close();
+
+                if (err) {
+                    return reject(err);
+                }
+
+                resolve(parseRow(row));
+            });
+        });
+    }
+
+    /**
+     * Find jobs of a type in any of the given statuses, oldest first
+     */
+    static findByStatus(jobType, statuses) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath);
+
+            db.all(
+                `SELECT * FROM jobs WHERE job_type = ? AND status IN (${statuses.map(() => '?').join(', ')}) ORDER BY created_at ASC`,
+                [jobType, ...statuses],
+                (err, rows) => {
+                    db.close();
+
+                    if (err) {
+                        return reject(err);
+                    }
+
+                    resolve(rows.map(parseRow));
+                }
+            );
+        });
+    }
+
+    /**
+     * Latest jobs of a type for a user, with the name of their project
+     */
+    static findByUserId(userId, jobType, limit = 20) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath);
+
+            db.all(
+                `SELECT j.*, p.name AS project_name FROM jobs j
+         LEFT JOIN projects p ON p.id = j.project_id
+         WHERE j.user_id = ? AND j.job_type = ?
+         ORDER BY j.created_at DESC, j.id DESC LIMIT ?`,
+                [userId, jobType, limit],
+                (err, rows) => {
+                    db.close();
+
+                    if (err) {
+                        return reject(err);
+                    }
+
+                    resolve(rows.map(parseRow));
+                }
+            );
+        });
+    }
+
+    /**
+     * Update job
+     */
+    static update(jobId, updates) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath);
+
+            const fields = [];
+            const params = [];
+
+            // Build dynamic SQL
+            for (const [key, value] of Object.entries(updates)) {
+                fields.push(`${key} = ?`);
+                params.push(JSON_FIELDS.includes(key) && value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+            }
+
+            fields.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(jobId);
+
+            db.run(`UPDATE jobs SET ${fields.join(', ')} WHERE job_id = ?`, params, function (err) {
+                db.close();
+
+                if (err) {
+                    return reject(err);
+                }
+
+                resolve({ jobId, changes: this.changes });
+            });
+        });
+    }
+}
+
+module.exports = Job;
@@ -0,0 +1,70 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+class PipelineRecipe {
+  static create(data) {
+    const id = uuidv4();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO pipeline_recipes (
+          id, user_id, name, preset_id, duration, video_id, loop_type, ai_instructions, privacy
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          data.user_id,
+          data.name,
+          data.preset_id,
+          data.duration,
+          data.video_id,
+          data.loop_type || 'ping-pong',
+          data.ai_instructions || null,
+          data.privacy || 'private'
+        ],
+        (err) => {
+          if (err) {
+            console.error('Error creating pipeline recipe:', err.message);
+            return reject(err);
+          }
+          PipelineRecipe.findById(id).then(resolve).catch(reject);
+        }
+      );
+    });
+  }
+  static findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM pipeline_recipes WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error finding pipeline recipe:', err.message);
+          return reject(err);
+        }
+        resolve(row || null);
+      });
+    });
+  }
+  static findAll(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM pipeline_recipes WHERE user_id = ? ORDER BY created_at DESC',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding pipeline recipes:', err.message);
+            return reject(err);
+          }
+          resolve(rows || []);
+        }
+      );
+    });
+  }
+  static delete(id, userId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM pipeline_recipes WHERE id = ? AND user_id = ?', [id, userId], function (err) {
+        if (err) {
+          console.error('Error deleting pipeline recipe:', err.message);
+          return reject(err);
+        }
+        resolve({ deleted: this.changes > 0 });
+      });
+    });
+  }
+}
+module.exports = PipelineRecipe;
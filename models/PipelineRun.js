@@ -0,0 +1,115 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+const hydrate = (row) => {
+  if (!row) return row;
+  row.recipe = parseJson(row.recipe, {});
+  row.stages = parseJson(row.stages, {});
+  return row;
+};
+class PipelineRun {
+  static create(data) {
+    const id = uuidv4();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO pipeline_runs (id, user_id, recipe_id, batch_id, recipe, status, stages)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          data.user_id,
+          data.recipe_id || null,
+          data.batch_id || null,
+          JSON.stringify(data.recipe),
+          data.status || 'pending',
+          JSON.stringify(data.stages || {})
+        ],
+        (err) => {
+          if (err) {
+            console.error('Error creating pipeline run:', err.message);
+            return reject(err);
+          }
+          PipelineRun.findById(id).then(resolve).catch(reject);
+        }
+      );
+    });
+  }
+  static findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM pipeline_runs WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error finding pipeline run:', err.message);
+          return reject(err);
+        }
+        resolve(hydrate(row) || null);
+      });
+    });
+  }
+  static findAll(userId, limit = 20) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM pipeline_runs WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
+        [userId, limit],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding pipeline runs:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(hydrate));
+        }
+      );
+    });
+  }
+  static findByBatch(batchId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM pipeline_runs WHERE batch_id = ? ORDER BY created_at ASC, rowid ASC',
+        [batchId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding batch runs:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(hydrate));
+        }
+      );
+    });
+  }
+  static findByStatus(status) {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM pipeline_runs WHERE status = ?', [status], (err, rows) => {
+        if (err) {
+          console.error('Error finding pipeline runs:', err.message);
+          return reject(err);
+        }
+        resolve((rows || []).map(hydrate));
+      });
+    });
+  }
+  static update(id, data) {
+    const fields = [];
+    const values = [];
+    Object.entries(data).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      values.push(key === 'stages' ? JSON.stringify(value) : value);
+    });
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    return new Promise((resolve, reject) => {
+      db.run(`UPDATE pipeline_runs SET ${fields.join(', ')} WHERE id = ?`, values, function (err) {
+        if (err) {
+          console.error('Error updating pipeline run:', err.message);
+          return reject(err);
+        }
+        resolve({ id, changes: this.changes });
+      });
+    });
+  }
+}
+module.exports = PipelineRun;
@@ -15,33 +15,40 @@ class Project {
                 user_id,
                 name,
                 type = 'audio_video',
+                status = 'draft',
                 audio_preset,
                 audio_config,
                 audio_duration,
+                audio_output_path,
+                audio_loudness,
                 video_source_ids,
                 video_loop_type,
+                video_output_path,
                 metadata
             } = projectData;
 
             const sql = `
         INSERT INTO projects (
           user_id, name, type, status,
-          audio_preset, audio_config, audio_duration,
-          video_source_ids, video_loop_type,
+          audio_preset, audio_config, audio_duration, audio_output_path, audio_loudness,
+          video_source_ids, video_loop_type, video_output_path,
           metadata
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
             const params = [
                 user_id,
                 name,
                 type,
-                'draft',
+                status,
                 audio_preset,
                 audio_config ? JSON.stringify(audio_config) : null,
                 audio_duration,
+                audio_output_path,
+                audio_loudness ? JSON.stringify(audio_loudness) : null,
                 video_source_ids ? JSON.stringify(video_source_ids) : null,
                 video_loop_type,
+                video_output_path,
                 metadata ? JSON.stringify(metadata) : null
             ];
 
@@ -79,12 +86,18 @@ class Project {
                 if (row.audio_config) {
                     row.audio_config = JSON.parse(row.audio_config);
                 }
+                if (row.audio_loudness) {
+                    row.audio_loudness = JSON.parse(row.audio_loudness);
+                }
                 if (row.video_source_ids) {
                     row.video_source_ids = JSON.parse(row.video_source_ids);
                 }
                 if (row.metadata) {
                     row.metadata = JSON.parse(row.metadata);
                 }
+                if (row.youtube_thumbnail_design) {
+                    row.youtube_thumbnail_design = JSON.parse(row.youtube_thumbnail_design);
+                }
 
                 resolve(row);
             });
@@ -111,8 +124,10 @@ class Project {
                     // Parse JSON fields
                     const projects = rows.map(row => {
                         if (row.audio_config) row.audio_config = JSON.parse(row.audio_config);
+                        if (row.audio_loudness) row.audio_loudness = JSON.parse(row.audio_loudness);
                         if (row.video_source_ids) row.video_source_ids = JSON.parse(row.video_source_ids);
                         if (row.metadata) row.metadata = JSON.parse(row.metadata);
+                        if (row.youtube_thumbnail_design) row.youtube_thumbnail_design = JSON.parse(row.youtube_thumbnail_design);
                         return row;
                     });
 
@@ -134,7 +149,7 @@ class Project {
 
             // Build dynamic SQL
             for (const [key, value] of Object.entries(updates)) {
-                if (['audio_config', 'video_source_ids', 'metadata'].includes(key) && typeof value === 'object') {
+                if (['audio_config', 'audio_loudness', 'video_source_ids', 'metadata', 'youtube_thumbnail_design'].includes(key) && typeof value === 'object') {
                     fields.push(`${key} = ?`);
                     params.push(JSON.stringify(value));
                 } else {
@@ -195,8 +210,10 @@ class Project {
 
                 const projects = rows.map(row => {
                     if (row.audio_config) row.audio_config = JSON.parse(row.audio_config);
+                    if (row.audio_loudness) row.audio_loudness = JSON.parse(row.audio_loudness);
                     if (row.video_source_ids) row.video_source_ids = JSON.parse(row.video_source_ids);
                     if (row.metadata) row.metadata = JSON.parse(row.metadata);
+                    if (row.youtube_thumbnail_design) row.youtube_thumbnail_design = JSON.parse(row.youtube_thumbnail_design);
                     return row;
                 });
 
@@ -19,6 +19,12 @@ class Stream {
       end_time = null,
       duration = null,
       use_advanced_settings = false,
+      misfire_policy = 'start_late',
+      failover_source = 'none',
+      fallback_video_id = null,
+      backup_rtmp_url = null,
+      backup_failover_after = 3,
+      overlays = null,
       status,
       user_id
     } = streamData;
@@ -31,12 +37,14 @@ class Stream {
         `INSERT INTO streams (
           id, title, video_id, rtmp_url, stream_key, platform, platform_icon,
           bitrate, resolution, fps, orientation, loop_video,
-          schedule_time, end_time, duration, status, status_updated_at, use_advanced_settings, user_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          schedule_time, end_time, duration, status, status_updated_at, use_advanced_settings, misfire_policy,
+          failover_source, fallback_video_id, backup_rtmp_url, backup_failover_after, overlays, user_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           id, title, video_id, rtmp_url, stream_key, platform, platform_icon,
           bitrate, resolution, fps, orientation, loop_video_int,
-          schedule_time, end_time, duration, final_status, status_updated_at, use_advanced_settings_int, user_id
+          schedule_time, end_time, duration, final_status, status_updated_at, use_advanced_settings_int, misfire_policy,
+          failover_source, fallback_video_id, backup_rtmp_url, backup_failover_after, overlays, user_id
         ],
         function (err) {
           if (err) {
@@ -67,9 +75,9 @@ class Stream {
     return new Promise((resolve, reject) => {
       let query = `
         SELECT s.*, 
-               v.title AS video_title, 
+               COALESCE(v.title, a.title) AS video_title, 
                v.filepath AS video_filepath,
-               v.thumbnail_path AS video_thumbnail, 
+               COALESCE(v.thumbnail_path, a.image_path) AS video_thumbnail, 
                v.duration AS video_duration,
                v.resolution AS video_resolution,  
                v.bitrate AS video_bitrate,        
@@ -78,11 +86,13 @@ class Stream {
                CASE 
                  WHEN p.id IS NOT NULL THEN 'playlist'
                  WHEN v.id IS NOT NULL THEN 'video'
+                 WHEN a.id IS NOT NULL THEN 'audio'
                  ELSE NULL
                END AS video_type
         FROM streams s
         LEFT JOIN videos v ON s.video_id = v.id
         LEFT JOIN playlists p ON s.video_id = p.id
+        LEFT JOIN audio_sources a ON s.video_id = a.id
       `;
       const params = [];
       const conditions = [];
@@ -239,19 +249,21 @@ class Stream {
     return new Promise((resolve, reject) => {
       db.get(
         `SELECT s.*, 
-                v.title AS video_title, 
+                COALESCE(v.title, a.title) AS video_title, 
                 v.filepath AS video_filepath, 
-                v.thumbnail_path AS video_thumbnail, 
+                COALESCE(v.thumbnail_path, a.image_path) AS video_thumbnail, 
                 v.duration AS video_duration,
                 p.name AS playlist_name,
                 CASE 
                   WHEN p.id IS NOT NULL THEN 'playlist'
                   WHEN v.id IS NOT NULL THEN 'video'
+                  WHEN a.id IS NOT NULL THEN 'audio'
                   ELSE NULL
                 END AS video_type
          FROM streams s
          LEFT JOIN videos v ON s.video_id = v.id
          LEFT JOIN playlists p ON s.video_id = p.id
+         LEFT JOIN audio_sources a ON s.video_id = a.id
          WHERE s.id = ?`,
         [id],
         (err, row) => {
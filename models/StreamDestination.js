@@ -0,0 +1,107 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const { detectPlatform } = require('../utils/platformDetector');
+// Queued in one go so no other query lands inside the transaction; a single
+// multi-row INSERT leaves only its own outcome to decide COMMIT or ROLLBACK
+function writeDestinations(streamId, rows) {
+  return new Promise((resolve, reject) => {
+    let failure = null;
+    const track = (err) => {
+      failure = failure || err;
+    };
+    const finish = (err) => {
+      track(err);
+      if (failure) {
+        console.error('Error saving stream destinations:', failure.message);
+        db.run('ROLLBACK', () => reject(failure));
+        return;
+      }
+      db.run('COMMIT', (commitErr) => {
+        if (commitErr) {
+          return reject(commitErr);
+        }
+        resolve();
+      });
+    };
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION', track);
+      db.run('DELETE FROM stream_destinations WHERE stream_id = ?', [streamId], rows.length > 0 ? track : finish);
+      if (rows.length > 0) {
+        db.run(
+          `INSERT INTO stream_destinations (
+            id, stream_id, name, rtmp_url, stream_key, platform, platform_icon, enabled, position
+          ) VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+          rows.flatMap(row => [
+            row.id, row.stream_id, row.name, row.rtmp_url, row.stream_key,
+            row.platform, row.platform_icon, row.enabled, row.position
+          ]),
+          finish
+        );
+      }
+    });
+  });
+}
+let lastSave = Promise.resolve();
+class StreamDestination {
+  static findByStreamId(streamId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM stream_destinations WHERE stream_id = ? ORDER BY position ASC, created_at ASC',
+        [streamId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding stream destinations:', err.message);
+            return reject(err);
+          }
+          (rows || []).forEach(row => {
+            row.enabled = row.enabled === 1;
+          });
+          resolve(rows || []);
+        }
+      );
+    });
+  }
+  static async replaceForStream(streamId, destinations = []) {
+    const rows = destinations
+      .filter(dest => dest && dest.rtmp_url && dest.stream_key)
+      .map((dest, index) => ({
+        id: uuidv4(),
+        stream_id: streamId,
+        name: dest.name || null,
+        rtmp_url: dest.rtmp_url.trim(),
+        stream_key: dest.stream_key.trim(),
+        ...detectPlatform(dest.rtmp_url),
+        enabled: dest.enabled === false ? 0 : 1,
+        position: index
+      }));
+    // Saves wait for each other; SQLite has one transaction per connection
+    const save = lastSave.then(() => writeDestinations(streamId, rows));
+    lastSave = save.catch(() => {});
+    await save;
+    return rows.map(row => ({ ...row, enabled: row.enabled === 1 }));
+  }
+  static async getOutputTargets(stream) {
+    const targets = [];
+    if (stream.rtmp_url && stream.stream_key) {
+      targets.push({
+        id: 'primary',
+        name: stream.platform || 'Primary',
+        rtmp_url: stream.rtmp_url,
+        stream_key: stream.stream_key,
+        platform: stream.platform
+      });
+    }
+    const extras = await StreamDestination.findByStreamId(stream.id);
+    extras.filter(dest => dest.enabled).forEach(dest => {
+      targets.push({
+        id: dest.id,
+        name: dest.name || dest.platform || 'Destination',
+        rtmp_url: dest.rtmp_url,
+        stream_key: dest.stream_key,
+        platform: dest.platform
+      });
+    });
+    return targets;
+  }
+}
+module.exports = StreamDestination;
@@ -0,0 +1,62 @@
+const { db } = require('../db/database');
+class StreamRuntime {
+  static save(streamId, { pid, retryCount = 0, startedAt }) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO stream_runtime (stream_id, pid, retry_count, started_at, updated_at)
+         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(stream_id) DO UPDATE SET
+           pid = excluded.pid,
+           retry_count = excluded.retry_count,
+           started_at = excluded.started_at,
+           updated_at = CURRENT_TIMESTAMP`,
+        [streamId, pid, retryCount, startedAt],
+        (err) => {
+          if (err) {
+            console.error('Error saving stream runtime state:', err.message);
+            return reject(err);
+          }
+          resolve({ stream_id: streamId, pid, retry_count: retryCount, started_at: startedAt });
+        }
+      );
+    });
+  }
+  static updateRetryCount(streamId, retryCount) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE stream_runtime SET retry_count = ?, updated_at = CURRENT_TIMESTAMP WHERE stream_id = ?',
+        [retryCount, streamId],
+        function (err) {
+          if (err) {
+            console.error('Error updating stream retry count:', err.message);
+            return reject(err);
+          }
+          resolve({ updated: this.changes > 0 });
+        }
+      );
+    });
+  }
+  static findAll() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM stream_runtime', [], (err, rows) => {
+        if (err) {
+          console.error('Error finding stream runtime state:', err.message);
+          return reject(err);
+        }
+        resolve(rows || []);
+      });
+    });
+  }
+  static delete(streamId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM stream_runtime WHERE stream_id = ?', [streamId], function (err) {
+        if (err) {
+          console.error('Error deleting stream runtime state:', err.message);
+          return reject(err);
+        }
+        resolve({ deleted: this.changes });
+      });
+    });
+  }
+}
+module.exports = StreamRuntime;
@@ -0,0 +1,133 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const parseJsonArray = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+const hydrate = (row) => {
+  if (!row) return row;
+  row.days_of_week = parseJsonArray(row.days_of_week);
+  row.exceptions = parseJsonArray(row.exceptions);
+  row.enabled = row.enabled === 1;
+  return row;
+};
+class StreamSchedule {
+  static findByStreamId(streamId) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM stream_schedules WHERE stream_id = ?', [streamId], (err, row) => {
+        if (err) {
+          console.error('Error finding stream schedule:', err.message);
+          return reject(err);
+        }
+        resolve(hydrate(row) || null);
+      });
+    });
+  }
+  static findAllEnabled() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT ss.*, s.misfire_policy
+         FROM stream_schedules ss
+         JOIN streams s ON ss.stream_id = s.id
+         WHERE ss.enabled = 1`,
+        [],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding stream schedules:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(hydrate));
+        }
+      );
+    });
+  }
+  static findByUserId(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT ss.*, s.title AS stream_title, s.platform, s.platform_icon, s.status AS stream_status
+         FROM stream_schedules ss
+         JOIN streams s ON ss.stream_id = s.id
+         WHERE ss.user_id = ? AND ss.enabled = 1`,
+        [userId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding user stream schedules:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(hydrate));
+        }
+      );
+    });
+  }
+  static upsert(streamId, userId, rule) {
+    const id = uuidv4();
+    const values = [
+      rule.recurrence_type,
+      rule.start_time || null,
+      JSON.stringify(rule.days_of_week || []),
+      rule.cron_expression || null,
+      rule.timezone || 'UTC',
+      JSON.stringify(rule.exceptions || []),
+      rule.max_run_minutes || null,
+      rule.enabled === false ? 0 : 1
+    ];
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO stream_schedules (
+          id, stream_id, user_id, recurrence_type, start_time, days_of_week,
+          cron_expression, timezone, exceptions, max_run_minutes, enabled
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(stream_id) DO UPDATE SET
+          recurrence_type = excluded.recurrence_type,
+          start_time = excluded.start_time,
+          days_of_week = excluded.days_of_week,
+          cron_expression = excluded.cron_expression,
+          timezone = excluded.timezone,
+          exceptions = excluded.exceptions,
+          max_run_minutes = excluded.max_run_minutes,
+          enabled = excluded.enabled,
+          updated_at = CURRENT_TIMESTAMP`,
+        [id, streamId, userId, ...values],
+        (err) => {
+          if (err) {
+            console.error('Error saving stream schedule:', err.message);
+            return reject(err);
+          }
+          StreamSchedule.findByStreamId(streamId).then(resolve).catch(reject);
+        }
+      );
+    });
+  }
+  static deleteByStreamId(streamId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM stream_schedules WHERE stream_id = ?', [streamId], function (err) {
+        if (err) {
+          console.error('Error deleting stream schedule:', err.message);
+          return reject(err);
+        }
+        resolve({ deleted: this.changes });
+      });
+    });
+  }
+  static markRunStarted(id, runStart) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE stream_schedules SET last_run_start = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [runStart, id],
+        function (err) {
+          if (err) {
+            console.error('Error updating stream schedule run:', err.message);
+            return reject(err);
+          }
+          resolve({ updated: this.changes > 0 });
+        }
+      );
+    });
+  }
+}
+module.exports = StreamSchedule;
@@ -0,0 +1,98 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const parseJsonArray = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+const hydrate = (row) => {
+  if (!row) return row;
+  row.days_of_week = parseJsonArray(row.days_of_week);
+  row.exceptions = parseJsonArray(row.exceptions);
+  row.enabled = row.enabled === 1;
+  return row;
+};
+class YouTubeCadence {
+  static findByChannelId(channelId) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM youtube_cadences WHERE channel_id = ?', [channelId], (err, row) => {
+        if (err) {
+          console.error('Error finding YouTube cadence:', err.message);
+          return reject(err);
+        }
+        resolve(hydrate(row) || null);
+      });
+    });
+  }
+  static findByUserId(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT yc.*, ch.title AS channel_title
+         FROM youtube_cadences yc
+         JOIN youtube_channels ch ON yc.channel_id = ch.id
+         WHERE yc.user_id = ?`,
+        [userId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding YouTube cadences:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(hydrate));
+        }
+      );
+    });
+  }
+  static upsert(channelId, userId, rule) {
+    const id = uuidv4();
+    const values = [
+      rule.recurrence_type,
+      rule.start_time || null,
+      JSON.stringify(rule.days_of_week || []),
+      rule.cron_expression || null,
+      rule.timezone || 'UTC',
+      JSON.stringify(rule.exceptions || []),
+      rule.enabled === false ? 0 : 1
+    ];
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO youtube_cadences (
+          id, channel_id, user_id, recurrence_type, start_time, days_of_week,
+          cron_expression, timezone, exceptions, enabled
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(channel_id) DO UPDATE SET
+          recurrence_type = excluded.recurrence_type,
+          start_time = excluded.start_time,
+          days_of_week = excluded.days_of_week,
+          cron_expression = excluded.cron_expression,
+          timezone = excluded.timezone,
+          exceptions = excluded.exceptions,
+          enabled = excluded.enabled,
+          updated_at = CURRENT_TIMESTAMP`,
+        [id, channelId, userId, ...values],
+        (err) => {
+          if (err) {
+            console.error('Error saving YouTube cadence:', err.message);
+            return reject(err);
+          }
+          YouTubeCadence.findByChannelId(channelId).then(resolve).catch(reject);
+        }
+      );
+    });
+  }
+  static deleteByChannelId(channelId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM youtube_cadences WHERE channel_id = ?', [channelId], function (err) {
+        if (err) {
+          console.error('Error deleting YouTube cadence:', err.message);
+          return reject(err);
+        }
+        resolve({ deleted: this.changes });
+      });
+    });
+  }
+}
+module.exports = YouTubeCadence;
@@ -0,0 +1,151 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const hydrate = (row) => {
+  if (!row) return row;
+  row.is_default = row.is_default === 1;
+  return row;
+};
+class YouTubeChannel {
+  /**
+   * Store a connected channel, or refresh the tokens and details of one the user already connected
+   */
+  static save(data) {
+    const id = uuidv4();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO youtube_channels (
+          id, user_id, channel_id, title, thumbnail_url, access_token, refresh_token, token_expiry, is_default
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOT EXISTS (SELECT 1 FROM youtube_channels WHERE user_id = ?))
+        ON CONFLICT (user_id, channel_id) DO UPDATE SET
+          title = excluded.title,
+          thumbnail_url = excluded.thumbnail_url,
+          access_token = excluded.access_token,
+          refresh_token = excluded.refresh_token,
+          token_expiry = excluded.token_expiry,
+          updated_at = CURRENT_TIMESTAMP`,
+        [
+          id,
+          data.user_id,
+          data.channel_id,
+          data.title || null,
+          data.thumbnail_url || null,
+          data.access_token || null,
+          data.refresh_token,
+          data.token_expiry || null,
+          data.user_id
+        ],
+        (err) => {
+          if (err) {
+            console.error('Error saving YouTube channel:', err.message);
+            return reject(err);
+          }
+          YouTubeChannel.findByChannelId(data.user_id, data.channel_id).then(resolve).catch(reject);
+        }
+      );
+    });
+  }
+  static findById(id, userId) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM youtube_channels WHERE id = ? AND user_id = ?', [id, userId], (err, row) => {
+        if (err) {
+          console.error('Error finding YouTube channel:', err.message);
+          return reject(err);
+        }
+        resolve(hydrate(row) || null);
+      });
+    });
+  }
+  static findByChannelId(userId, channelId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM youtube_channels WHERE user_id = ? AND channel_id = ?',
+        [userId, channelId],
+        (err, row) => {
+          if (err) {
+            console.error('Error finding YouTube channel:', err.message);
+            return reject(err);
+          }
+          resolve(hydrate(row) || null);
+        }
+      );
+    });
+  }
+  static findAll(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM youtube_channels WHERE user_id = ? ORDER BY is_default DESC, created_at ASC',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding YouTube channels:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(hydrate));
+        }
+      );
+    });
+  }
+  /**
+   * Store tokens the API client refreshed; a refresh token is only replaced when a new one was issued
+   */
+  static updateTokens(id, { accessToken, refreshToken = null, expiryDate = null }) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE youtube_channels SET
+          access_token = ?, refresh_token = COALESCE(?, refresh_token), token_expiry = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [accessToken, refreshToken, expiryDate, id],
+        (err) => {
+          if (err) {
+            console.error('Error updating YouTube channel tokens:', err.message);
+            return reject(err);
+          }
+          resolve();
+        }
+      );
+    });
+  }
+  static setDefault(id, userId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE youtube_channels SET is_default = (id = ?) WHERE user_id = ?',
+        [id, userId],
+        (err) => {
+          if (err) {
+            console.error('Error setting default YouTube channel:', err.message);
+            return reject(err);
+          }
+          resolve();
+        }
+      );
+    });
+  }
+  /**
+   * Remove a channel; when it was the default, the oldest remaining channel takes over
+   */
+  static delete(id, userId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM youtube_channels WHERE id = ? AND user_id = ?', [id, userId], function (err) {
+        if (err) {
+          console.error('Error deleting YouTube channel:', err.message);
+          return reject(err);
+        }
+        const deleted = this.changes > 0;
+        db.run(
+          `UPDATE youtube_channels SET is_default = 1
+          WHERE id = (SELECT id FROM youtube_channels WHERE user_id = ? ORDER BY created_at ASC LIMIT 1)
+            AND NOT EXISTS (SELECT 1 FROM youtube_channels WHERE user_id = ? AND is_default = 1)`,
+          [userId, userId],
+          (updateErr) => {
+            if (updateErr) {
+              console.error('Error reassigning default YouTube channel:', updateErr.message);
+              return reject(updateErr);
+            }
+            resolve({ deleted });
+          }
+        );
+      });
+    });
+  }
+}
+module.exports = YouTubeChannel;
@@ -0,0 +1,131 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+// Releases that still hold a slot on their channel
+const ACTIVE_STATUSES = ['pending', 'uploading', 'scheduled'];
+const SELECT_RELEASES = `
+  SELECT yr.*, p.name AS project_name, ch.title AS channel_title
+  FROM youtube_releases yr
+  LEFT JOIN projects p ON yr.project_id = p.id
+  LEFT JOIN youtube_channels ch ON yr.channel_id = ch.id`;
+class YouTubeRelease {
+  static create(data) {
+    const id = uuidv4();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO youtube_releases (
+          id, user_id, project_id, channel_id, mode, release_at, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, data.user_id, data.project_id, data.channel_id, data.mode, data.release_at, 'pending'],
+        (err) => {
+          if (err) {
+            console.error('Error creating YouTube release:', err.message);
+            return reject(err);
+          }
+          YouTubeRelease.findById(id).then(resolve).catch(reject);
+        }
+      );
+    });
+  }
+  static findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get(`${SELECT_RELEASES} WHERE yr.id = ?`, [id], (err, row) => {
+        if (err) {
+          console.error('Error finding YouTube release:', err.message);
+          return reject(err);
+        }
+        resolve(row || null);
+      });
+    });
+  }
+  static findByUserId(userId, from, until) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `${SELECT_RELEASES} WHERE yr.user_id = ? AND yr.release_at >= ? AND yr.release_at < ? ORDER BY yr.release_at ASC`,
+        [userId, from.toISOString(), until.toISOString()],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding YouTube releases:', err.message);
+            return reject(err);
+          }
+          resolve(rows || []);
+        }
+      );
+    });
+  }
+  static findByStatus(status) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `${SELECT_RELEASES} WHERE yr.status = ? ORDER BY yr.release_at ASC`,
+        [status],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding YouTube releases:', err.message);
+            return reject(err);
+          }
+          resolve(rows || []);
+        }
+      );
+    });
+  }
+  /**
+   * Release times already taken on a channel
+   */
+  static findActiveByChannel(channelId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM youtube_releases WHERE channel_id = ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})`,
+        [channelId, ...ACTIVE_STATUSES],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding active YouTube releases:', err.message);
+            return reject(err);
+          }
+          resolve(rows || []);
+        }
+      );
+    });
+  }
+  static findActiveByProject(projectId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM youtube_releases WHERE project_id = ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})`,
+        [projectId, ...ACTIVE_STATUSES],
+        (err, row) => {
+          if (err) {
+            console.error('Error finding active YouTube release:', err.message);
+            return reject(err);
+          }
+          resolve(row || null);
+        }
+      );
+    });
+  }
+  static update(id, fields) {
+    const keys = Object.keys(fields);
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE youtube_releases SET ${keys.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...keys.map(key => fields[key]), id],
+        (err) => {
+          if (err) {
+            console.error('Error updating YouTube release:', err.message);
+            return reject(err);
+          }
+          resolve();
+        }
+      );
+    });
+  }
+  static delete(id) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM youtube_releases WHERE id = ?', [id], function (err) {
+        if (err) {
+          console.error('Error deleting YouTube release:', err.message);
+          return reject(err);
+        }
+        resolve({ deleted: this.changes > 0 });
+      });
+    });
+  }
+}
+module.exports = YouTubeRelease;
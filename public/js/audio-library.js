@@ -0,0 +1,374 @@
+// Stem Library Client-Side Logic
+
+// State
+let stems = [];
+let editingStem = null;
+let replacingStem = null;
+let editModal = null;
+let canManage = false;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    editModal = new bootstrap.Modal(document.getElementById('stem-edit-modal'));
+    // Only admins can change stems other users' presets rely on
+    canManage = document.getElementById('stem-library').dataset.canManage === 'true';
+    loadStems();
+    setupEventListeners();
+});
+
+// Setup Event Listeners
+function setupEventListeners() {
+    document.getElementById('stem-edit-form').addEventListener('submit', handleSaveStem);
+    document.getElementById('stem-replace-file').addEventListener('change', handleReplaceFile);
+    document.getElementById('stem-filter').addEventListener('input', renderLibrary);
+
+    // The upload form is only there for admins
+    const volumeInputs = canManage ? ['stemVolume', 'editStemVolume'] : ['editStemVolume'];
+    volumeInputs.forEach(id => {
+        document.getElementById(id).addEventListener('input', (e) => {
+            document.getElementById(`${id}-display`).textContent = `${Math.round(e.target.value * 100)}%`;
+        });
+    });
+
+    if (!canManage) return;
+
+    document.getElementById('stem-upload-form').addEventListener('submit', handleUpload);
+
+    // Name new stems after their file until a name is typed
+    document.getElementById('stemFile').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        const nameInput = document.getElementById('stemName');
+        if (file && !nameInput.value) {
+            nameInput.value = file.name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ');
+        }
+    });
+}
+
+// Load Stems
+async function loadStems() {
+    try {
+        const response = await fetch('/api/audio/stems');
+        const stemsByCategory = await response.json();
+
+        stems = Object.values(stemsByCategory).flat();
+
+        const categories = document.getElementById('stem-categories');
+        categories.innerHTML = '';
+        Object.keys(stemsByCategory).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            categories.appendChild(option);
+        });
+
+        renderLibrary();
+    } catch (error) {
+        console.error('Error loading stems:', error);
+        showAlert('Failed to load audio stems', 'danger');
+    }
+}
+
+// Render Stems Grouped By Category
+function renderLibrary() {
+    const container = document.getElementById('stem-library');
+    const filter = document.getElementById('stem-filter').value.trim().toLowerCase();
+    container.innerHTML = '';
+
+    const visible = stems.filter(stem => !filter ||
+        stem.name.toLowerCase().includes(filter) ||
+        stem.tags.some(tag => tag.includes(filter)));
+
+    if (visible.length === 0) {
+        container.innerHTML = `<p class="text-muted text-center mb-0">${stems.length === 0 ? 'No stems yet' : 'No stems match the filter'}</p>`;
+        return;
+    }
+
+    const categories = [...new Set(visible.map(stem => stem.category))];
+    categories.forEach(category => {
+        const heading = document.createElement('h6');
+        heading.className = 'text-uppercase text-muted mt-3 mb-2';
+        heading.innerHTML = '<i class="bi bi-folder"></i> ';
+        heading.append(category);
+        container.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'list-group mb-3';
+        visible
+            .filter(stem => stem.category === category)
+            .forEach(stem => list.appendChild(renderStem(stem)));
+        container.appendChild(list);
+    });
+}
+
+// One Stem Row
+function renderStem(stem) {
+    const item = document.createElement('li');
+    item.className = 'list-group-item';
+
+    const header = document.createElement('div');
+    header.className = 'd-flex align-items-center';
+
+    const info = document.createElement('div');
+    info.className = 'me-auto';
+    const name = document.createElement('div');
+    name.className = 'fw-semibold';
+    name.textContent = stem.name;
+    const meta = document.createElement('div');
+    meta.className = 'small text-muted';
+    meta.textContent = `${formatDuration(stem.duration)} • volume ${Math.round((stem.default_volume ?? 0.7) * 100)}%`;
+    const tags = document.createElement('div');
+    stem.tags.forEach(tag => {
+        const badge = document.createElement('span');
+        badge.className = 'badge bg-secondary me-1';
+        badge.textContent = tag;
+        tags.appendChild(badge);
+    });
+    info.append(name, meta, tags);
+
+    const actions = document.createElement('div');
+    actions.className = 'btn-group btn-group-sm';
+    actions.appendChild(actionButton('bi-play-circle', 'Preview', () => togglePreview(stem, item)));
+    if (canManage) {
+        actions.append(
+            actionButton('bi-pencil', 'Edit', () => openEditModal(stem)),
+            actionButton('bi-arrow-left-right', 'Replace file', () => {
+                replacingStem = stem;
+                document.getElementById('stem-replace-file').click();
+            }),
+            actionButton('bi-trash', 'Delete', () => deleteStem(stem), 'btn-outline-danger')
+        );
+    }
+
+    header.append(info, actions);
+    item.appendChild(header);
+    return item;
+}
+
+function actionButton(icon, title, onClick, style = 'btn-outline-secondary') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn ${style}`;
+    button.title = title;
+    button.innerHTML = `<i class="bi ${icon}"></i>`;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Show Or Hide The Waveform And Clip Of A Stem
+async function togglePreview(stem, item) {
+    const existing = item.querySelector('.stem-preview');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const preview = document.createElement('div');
+    preview.className = 'stem-preview mt-2';
+    preview.innerHTML = '<div class="small text-muted"><span class="spinner-border spinner-border-sm"></span> Building preview...</div>';
+    item.appendChild(preview);
+
+    try {
+        const response = await fetch(`/api/audio/stems/${stem.id}/preview`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        preview.innerHTML = '';
+        const waveform = document.createElement('img');
+        waveform.src = data.waveform;
+        waveform.alt = `Waveform of ${stem.name}`;
+        waveform.className = 'img-fluid w-100 bg-light rounded';
+        const audio = document.createElement('audio');
+        audio.controls = true;
+        audio.className = 'w-100 mt-1';
+        audio.src = data.audio;
+        preview.append(waveform, audio);
+        audio.play().catch(() => {});
+    } catch (error) {
+        preview.remove();
+        showAlert(`Preview failed: ${error.message}`, 'danger');
+    }
+}
+
+// Upload New Stem
+async function handleUpload(e) {
+    e.preventDefault();
+
+    const file = document.getElementById('stemFile').files[0];
+    if (!file) {
+        showAlert('Please choose an audio file', 'warning');
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('name', document.getElementById('stemName').value.trim());
+    formData.append('category', document.getElementById('stemCategory').value.trim());
+    formData.append('tags', document.getElementById('stemTags').value);
+    formData.append('default_volume', document.getElementById('stemVolume').value);
+    formData.append('file', file);
+
+    const uploadBtn = document.getElementById('upload-stem-btn');
+    uploadBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/audio/stems', {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        e.target.reset();
+        document.getElementById('stemVolume-display').textContent = '70%';
+        showAlert(`Added ${data.stem.name} to the library`, 'success');
+        loadStems();
+    } catch (error) {
+        showAlert(`Upload failed: ${error.message}`, 'danger');
+    } finally {
+        uploadBtn.disabled = false;
+    }
+}
+
+// Edit Stem
+function openEditModal(stem) {
+    editingStem = stem;
+    const volume = stem.default_volume ?? 0.7;
+
+    document.getElementById('editStemName').value = stem.name;
+    document.getElementById('editStemCategory').value = stem.category;
+    document.getElementById('editStemTags').value = stem.tags.join(', ');
+    document.getElementById('editStemVolume').value = volume;
+    document.getElementById('editStemVolume-display').textContent = `${Math.round(volume * 100)}%`;
+
+    editModal.show();
+}
+
+async function handleSaveStem(e) {
+    e.preventDefault();
+    if (!editingStem) return;
+
+    const saveBtn = document.getElementById('save-stem-btn');
+    saveBtn.disabled = true;
+
+    try {
+        const response = await fetch(`/api/audio/stems/${editingStem.id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('editStemName').value.trim(),
+                category: document.getElementById('editStemCategory').value.trim(),
+                tags: document.getElementById('editStemTags').value,
+                default_volume: parseFloat(document.getElementById('editStemVolume').value)
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        editModal.hide();
+        showAlert(`Saved ${data.stem.name}`, 'success');
+        loadStems();
+    } catch (error) {
+        showAlert(`Save failed: ${error.message}`, 'danger');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Replace Stem File
+async function handleReplaceFile(e) {
+    const file = e.target.files[0];
+    const stem = replacingStem;
+    e.target.value = '';
+    replacingStem = null;
+
+    if (!file || !stem) return;
+
+    if (!confirm(`Replace the audio of "${stem.name}" with ${file.name}? Presets using it will play the new file.`)) {
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+        const response = await fetch(`/api/audio/stems/${stem.id}/file`, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showAlert(`Replaced the file of ${data.stem.name}`, 'success');
+        loadStems();
+    } catch (error) {
+        showAlert(`Replace failed: ${error.message}`, 'danger');
+    }
+}
+
+// Delete Stem, Confirming Again When Presets Still Use It
+async function deleteStem(stem) {
+    if (!confirm(`Delete "${stem.name}" and its audio file?`)) {
+        return;
+    }
+
+    try {
+        let response = await fetch(`/api/audio/stems/${stem.id}`, { method: 'DELETE' });
+        let data = await response.json();
+
+        if (response.status === 409) {
+            const names = data.presets.map(preset => preset.name).join(', ');
+            if (!confirm(`"${stem.name}" is used by these presets: ${names}. Delete it anyway and remove it from them?`)) {
+                return;
+            }
+            response = await fetch(`/api/audio/stems/${stem.id}?force=true`, { method: 'DELETE' });
+            data = await response.json();
+        }
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showAlert(`Deleted ${stem.name}`, 'success');
+        loadStems();
+    } catch (error) {
+        showAlert(`Delete failed: ${error.message}`, 'danger');
+    }
+}
+
+// Utilities
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.round(seconds % 60).toString().padStart(2, '0');
+    return `${minutes}:${secs}`;
+}
+
+function showAlert(message, type) {
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 start-50 translate-middle-x mt-3`;
+    alert.style.zIndex = '9999';
+    alert.role = 'alert';
+    alert.textContent = message;
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'btn-close';
+    close.dataset.bsDismiss = 'alert';
+    alert.appendChild(close);
+
+    document.body.appendChild(alert);
+
+    // Auto dismiss after 5 seconds
+    setTimeout(() => {
+        alert.remove();
+    }, 5000);
+}
@@ -6,12 +6,35 @@ let selectedStems = new Map(); // stem_id -> { id, name, volume, category }
 let socket = null;
 let currentJobId = null;
 let startTime = null;
+let editingPreset = null; // Preset open in the preset modal; null when saving a new one
+let presetModal = null;
+let presetHistoryModal = null;
+
+// Bitrate choices (kbps) per output format; lossless formats have none
+const FORMAT_BITRATES = {
+    mp3: { options: [128, 192, 256, 320], default: 192 },
+    aac: { options: [128, 192, 256, 320], default: 192 },
+    opus: { options: [64, 96, 128, 192, 256], default: 128 }
+};
+
+// Settings a stem starts with when switched to one-shot events (intervals in seconds)
+const ONE_SHOT_DEFAULTS = {
+    minInterval: 180,
+    maxInterval: 600,
+    minVolume: 0.5,
+    maxVolume: 0.9,
+    minPan: -0.6,
+    maxPan: 0.6
+};
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
+    presetModal = new bootstrap.Modal(document.getElementById('preset-modal'));
+    presetHistoryModal = new bootstrap.Modal(document.getElementById('preset-history-modal'));
     initializeSocketIO();
     loadPresets();
     loadStems();
+    loadRenderProjects();
     setupEventListeners();
     initializeTooltips();
 });
@@ -45,17 +68,40 @@ async function loadPresets() {
 
         const container = document.getElementById('presets-container');
         const template = document.getElementById('preset-card-template');
+        container.innerHTML = '';
 
         presets.forEach(preset => {
             const card = template.content.cloneNode(true);
             const cardDiv = card.querySelector('.preset-card');
+            const visibility = card.querySelector('.preset-visibility');
 
             cardDiv.dataset.presetId = preset.id;
+            if (preset.id === selectedPresetId) {
+                cardDiv.classList.add('selected');
+            }
             card.querySelector('.preset-name').textContent = preset.name;
             card.querySelector('.preset-description').textContent = preset.description;
             card.querySelector('.preset-stems-count').textContent =
                 `${preset.stem_configs.length} stems`;
 
+            // Built-in presets have no owner and need no badge
+            if (preset.user_id) {
+                visibility.classList.add(preset.visibility === 'private' ? 'bg-dark' : 'bg-info');
+                visibility.textContent = preset.visibility === 'private' ? 'Private' : 'Shared';
+            } else {
+                visibility.remove();
+            }
+
+            const editBtn = card.querySelector('.preset-edit-btn');
+            if (preset.editable) {
+                onPresetAction(editBtn, () => openPresetModal(preset));
+            } else {
+                editBtn.remove();
+            }
+            onPresetAction(card.querySelector('.preset-history-btn'), () => showPresetHistory(preset));
+            onPresetAction(card.querySelector('.preset-export-btn'), () => exportPreset(preset, false));
+            onPresetAction(card.querySelector('.preset-export-audio-btn'), () => exportPreset(preset, true));
+
             cardDiv.addEventListener('click', () => selectPreset(preset));
 
             container.appendChild(card);
@@ -66,6 +112,216 @@ async function loadPresets() {
     }
 }
 
+// Card buttons must not also select the preset
+function onPresetAction(button, handler) {
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler();
+    });
+}
+
+// Stem Settings As Presets Store Them
+function buildStemConfigs() {
+    return Array.from(selectedStems.values()).map(stem => ({
+        stem_id: stem.id,
+        volume: stem.volume,
+        driftSpeed: stem.driftSpeed,
+        crossfade: stem.crossfade ?? undefined,
+        oneShot: stem.oneShot || undefined
+    }));
+}
+
+// Open Preset Modal, For A New Preset From The Current Mix Or To Edit One
+function openPresetModal(preset = null) {
+    if (!preset && selectedStems.size === 0) {
+        showAlert('Select the stems of the mix before saving it as a preset', 'warning');
+        return;
+    }
+
+    editingPreset = preset;
+    document.getElementById('preset-modal-title').textContent = preset ? `Edit ${preset.name}` : 'Save Mix as Preset';
+    document.getElementById('presetName').value = preset ? preset.name : '';
+    document.getElementById('presetDescription').value = preset ? preset.description || '' : '';
+    document.getElementById('presetVisibility').value = preset ? preset.visibility : 'private';
+    document.getElementById('presetUseCurrentStems').checked = false;
+
+    // The current mix can replace the stems of the preset being edited
+    document.getElementById('presetUseCurrentStems-group').classList.toggle('d-none', !preset || selectedStems.size === 0);
+
+    presetModal.show();
+}
+
+// Save Preset
+async function handleSavePreset(e) {
+    e.preventDefault();
+
+    const body = {
+        name: document.getElementById('presetName').value.trim(),
+        description: document.getElementById('presetDescription').value.trim(),
+        visibility: document.getElementById('presetVisibility').value
+    };
+    if (!editingPreset || document.getElementById('presetUseCurrentStems').checked) {
+        body.stem_configs = buildStemConfigs();
+    }
+
+    const submitBtn = document.getElementById('preset-submit-btn');
+    submitBtn.disabled = true;
+
+    try {
+        const response = await fetch(editingPreset ? `/api/audio/presets/${editingPreset.id}` : '/api/audio/presets', {
+            method: editingPreset ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        presetModal.hide();
+        showAlert(editingPreset ? `Saved ${data.preset.name} as version ${data.preset.version}` : `Saved preset ${data.preset.name}`, 'success');
+        loadPresets();
+    } catch (error) {
+        showAlert(`Save failed: ${error.message}`, 'danger');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// Show Version History Of A Preset
+async function showPresetHistory(preset) {
+    const list = document.getElementById('preset-history-list');
+    document.getElementById('preset-history-name').textContent = preset.name;
+    list.innerHTML = '<li class="list-group-item text-muted"><span class="spinner-border spinner-border-sm"></span> Loading...</li>';
+    presetHistoryModal.show();
+
+    try {
+        const response = await fetch(`/api/audio/presets/${preset.id}/versions`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        list.innerHTML = '';
+        data.versions.forEach(version => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex align-items-center';
+
+            const info = document.createElement('div');
+            info.className = 'me-auto';
+            const title = document.createElement('div');
+            title.className = 'fw-semibold';
+            title.textContent = `v${version.version} · ${version.name}`;
+            const meta = document.createElement('div');
+            meta.className = 'small text-muted';
+            meta.textContent = `${new Date(version.created_at).toLocaleString()} · ${version.stem_configs.length} stems · ${version.visibility}`;
+            info.append(title, meta);
+            item.appendChild(info);
+
+            if (version.version === preset.version) {
+                const current = document.createElement('span');
+                current.className = 'badge bg-success';
+                current.textContent = 'Current';
+                item.appendChild(current);
+            } else if (preset.editable) {
+                const restoreBtn = document.createElement('button');
+                restoreBtn.type = 'button';
+                restoreBtn.className = 'btn btn-sm btn-outline-primary';
+                restoreBtn.innerHTML = '<i class="bi bi-arrow-counterclockwise"></i> Restore';
+                restoreBtn.addEventListener('click', () => restorePresetVersion(preset, version.version));
+                item.appendChild(restoreBtn);
+            }
+
+            list.appendChild(item);
+        });
+    } catch (error) {
+        presetHistoryModal.hide();
+        showAlert(`Failed to load history: ${error.message}`, 'danger');
+    }
+}
+
+// Restore An Earlier Version As The Newest One
+async function restorePresetVersion(preset, version) {
+    if (!confirm(`Restore version ${version} of "${preset.name}"? It is saved as a new version.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/audio/presets/${preset.id}/versions/${version}/restore`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        presetHistoryModal.hide();
+        showAlert(`Restored version ${version} as version ${data.preset.version}`, 'success');
+        loadPresets();
+    } catch (error) {
+        showAlert(`Restore failed: ${error.message}`, 'danger');
+    }
+}
+
+// Download A Preset Bundle
+async function exportPreset(preset, includeAudio) {
+    try {
+        const response = await fetch(`/api/audio/presets/${preset.id}/export${includeAudio ? '?audio=true' : ''}`);
+
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${preset.name.replace(/[^a-z0-9_-]+/gi, '_')}.preset.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showAlert(`Export failed: ${error.message}`, 'danger');
+    }
+}
+
+// Import A Preset Bundle
+async function handleImportPreset(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('bundle', file);
+
+    const importBtn = document.getElementById('import-preset-btn');
+    importBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/audio/presets/import', {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        const added = data.added.length > 0 ? `, added ${data.added.length} stem(s) to the library` : '';
+        showAlert(`Imported ${data.preset.name}: ${data.matched} stem(s) already in the library${added}`, 'success');
+        loadPresets();
+        if (data.added.length > 0) {
+            document.getElementById('stems-categories').innerHTML = '';
+            loadStems();
+        }
+    } catch (error) {
+        showAlert(`Import failed: ${error.message}`, 'danger');
+    } finally {
+        importBtn.disabled = false;
+    }
+}
+
 // Load Stems by Category
 async function loadStems() {
     try {
@@ -136,6 +392,10 @@ function selectPreset(preset) {
                     id: stem.id,
                     name: stem.name,
                     volume: config.volume,
+                    driftSpeed: config.driftSpeed || 1,
+                    crossfade: config.crossfade ?? null,
+                    recommendedCrossfade: stem.loop_crossfade,
+                    oneShot: config.oneShot ? { ...ONE_SHOT_DEFAULTS, ...config.oneShot } : null,
                     category: stem.category
                 });
                 updateSelectedStemsList();
@@ -154,6 +414,10 @@ function handleStemToggle(event, stem) {
             id: stem.id,
             name: stem.name,
             volume: stem.default_volume || 0.7,
+            driftSpeed: 1,
+            crossfade: null,
+            recommendedCrossfade: stem.loop_crossfade,
+            oneShot: null,
             category: stem.category
         });
     } else {
@@ -206,11 +470,71 @@ function updateSelectedStemsList() {
           <span class="badge bg-primary">${Math.round(stem.volume * 100)}%</span>
         </div>
       </div>
+      <div class="form-check form-switch mt-1">
+        <input class="form-check-input stem-one-shot" type="checkbox" id="stemOneShot${id}" ${stem.oneShot ? 'checked' : ''}>
+        <label class="form-check-label small text-muted" for="stemOneShot${id}">One-shot events</label>
+      </div>
+      ${stem.oneShot ? renderOneShotSettings(stem.oneShot) : `
+      <div class="d-flex align-items-center mt-1">
+        <small class="text-muted me-2">Pan drift</small>
+        <input type="range" class="form-range flex-grow-1 stem-drift-speed"
+               min="0.25" max="4" step="0.25" value="${stem.driftSpeed}">
+        <small class="text-muted ms-2 stem-drift-display">${stem.driftSpeed}/min</small>
+      </div>
+      <div class="d-flex align-items-center mt-1">
+        <small class="text-muted me-2">Loop crossfade</small>
+        <input type="number" class="form-control form-control-sm w-auto stem-crossfade"
+               min="0" max="10" step="0.05" value="${stem.crossfade ?? ''}"
+               placeholder="${stem.recommendedCrossfade ?? 1}"
+               title="Seconds of the stem's end blended into its start. Blank uses the analysed value, 0 loops the file as is.">
+        <small class="text-muted ms-2">s</small>
+      </div>`}
     `;
+
+        div.querySelector('.stem-one-shot').addEventListener('change', (e) => {
+            stem.oneShot = e.target.checked ? { ...ONE_SHOT_DEFAULTS } : null;
+            updateSelectedStemsList();
+        });
+
+        if (stem.oneShot) {
+            div.querySelectorAll('.stem-event-setting').forEach(input => {
+                input.addEventListener('input', () => {
+                    stem.oneShot[input.dataset.key] = parseFloat(input.value);
+                });
+            });
+        } else {
+            // Update in place so dragging the slider doesn't rebuild the list
+            div.querySelector('.stem-drift-speed').addEventListener('input', (e) => {
+                stem.driftSpeed = parseFloat(e.target.value);
+                div.querySelector('.stem-drift-display').textContent = `${stem.driftSpeed}/min`;
+            });
+
+            div.querySelector('.stem-crossfade').addEventListener('input', (e) => {
+                stem.crossfade = e.target.value === '' ? null : parseFloat(e.target.value);
+            });
+        }
+
         container.appendChild(div);
     });
 }
 
+// Interval, Volume And Pan Ranges Of A One-Shot Stem
+function renderOneShotSettings(oneShot) {
+    const range = (label, minKey, maxKey, attributes) => `
+      <div class="d-flex align-items-center mt-1">
+        <small class="text-muted me-2 flex-shrink-0" style="width: 4.5rem;">${label}</small>
+        <input type="number" class="form-control form-control-sm stem-event-setting" data-key="${minKey}"
+               value="${oneShot[minKey]}" ${attributes}>
+        <small class="text-muted mx-1">–</small>
+        <input type="number" class="form-control form-control-sm stem-event-setting" data-key="${maxKey}"
+               value="${oneShot[maxKey]}" ${attributes}>
+      </div>`;
+
+    return range('Every (s)', 'minInterval', 'maxInterval', 'min="5" max="36000" step="1"') +
+        range('Volume', 'minVolume', 'maxVolume', 'min="0" max="1" step="0.05"') +
+        range('Pan (L–R)', 'minPan', 'maxPan', 'min="-1" max="1" step="0.1"');
+}
+
 // Setup Event Listeners
 function setupEventListeners() {
     // Config sliders
@@ -235,11 +559,33 @@ function setupEventListeners() {
         });
     });
 
+    // Output format decides which bitrates apply
+    document.getElementById('outputFormat').addEventListener('change', updateBitrateOptions);
+    updateBitrateOptions();
+
     // Form submission
     document.getElementById('audio-config-form').addEventListener('submit', handleGenerate);
 
+    // Short preview render
+    document.getElementById('preview-btn').addEventListener('click', handlePreview);
+
+    // Where one-shot events land
+    document.getElementById('timeline-btn').addEventListener('click', handleShowTimeline);
+
+    // Presets
+    document.getElementById('save-preset-btn').addEventListener('click', () => openPresetModal());
+    document.getElementById('preset-form').addEventListener('submit', handleSavePreset);
+    document.getElementById('import-preset-btn').addEventListener('click', () => {
+        document.getElementById('preset-import-file').click();
+    });
+    document.getElementById('preset-import-file').addEventListener('change', handleImportPreset);
+
     // New audio button
     document.getElementById('new-audio-btn').addEventListener('click', resetForm);
+
+    // Live generative source
+    document.getElementById('liveSourceImage').addEventListener('change', uploadLiveSourceImage);
+    document.getElementById('live-source-form').addEventListener('submit', handleSaveLiveSource);
 }
 
 // Handle Audio Generation
@@ -251,17 +597,12 @@ async function handleGenerate(e) {
         return;
     }
 
-    const config = {
-        stems: Array.from(selectedStems.values()).map(stem => ({
-            id: stem.id,
-            volume: stem.volume
-        })),
-        duration: parseInt(document.getElementById('duration').value),
-        volatility: parseFloat(document.getElementById('volatility').value),
-        density: parseFloat(document.getElementById('density').value),
-        spatialDrift: parseFloat(document.getElementById('spatialDrift').value)
-    };
+    const config = buildAudioConfig(parseInt(document.getElementById('duration').value));
+    await startRender('/api/audio/generate', { config });
+}
 
+// Start a render and follow it through the progress card
+async function startRender(url, body) {
     // Show progress
     document.getElementById('progress-card').style.display = 'block';
     document.getElementById('result-card').style.display = 'none';
@@ -271,10 +612,10 @@ async function handleGenerate(e) {
     updateElapsedTime();
 
     try {
-        const response = await fetch('/api/audio/generate', {
+        const response = await fetch(url, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ config })
+            body: JSON.stringify(body)
         });
 
         const data = await response.json();
@@ -288,13 +629,278 @@ async function handleGenerate(e) {
             // Synchronous completion
             handleGenerationComplete(data.result);
         } else {
-            throw new Error(data.message || 'Unknown error');
+            throw new Error(data.error || data.message || 'Unknown error');
         }
     } catch (error) {
         handleGenerationError(error.message);
     }
 }
 
+// Fill Bitrate Choices For The Selected Format
+function updateBitrateOptions() {
+    const format = FORMAT_BITRATES[document.getElementById('outputFormat').value];
+    const select = document.getElementById('outputBitrate');
+    select.innerHTML = '';
+    select.disabled = !format;
+
+    if (!format) {
+        select.innerHTML = '<option value="">Lossless</option>';
+        return;
+    }
+
+    format.options.forEach(bitrate => {
+        const option = document.createElement('option');
+        option.value = bitrate;
+        option.textContent = `${bitrate} kbps`;
+        option.selected = bitrate === format.default;
+        select.appendChild(option);
+    });
+}
+
+// Build Generation Config From Current Settings
+function buildAudioConfig(duration) {
+    const seed = document.getElementById('audioSeed').value;
+    const bitrate = document.getElementById('outputBitrate').value;
+
+    return {
+        stems: Array.from(selectedStems.values()).map(stem => ({
+            id: stem.id,
+            volume: stem.volume,
+            driftSpeed: stem.driftSpeed,
+            crossfade: stem.crossfade ?? undefined,
+            oneShot: stem.oneShot || undefined
+        })),
+        duration,
+        volatility: parseFloat(document.getElementById('volatility').value),
+        density: parseFloat(document.getElementById('density').value),
+        spatialDrift: parseFloat(document.getElementById('spatialDrift').value),
+        seed: seed === '' ? undefined : parseInt(seed),
+        mastering: {
+            eq: Array.from(document.querySelectorAll('.master-eq:checked')).map(input => input.value),
+            limiter: document.getElementById('masterLimiter').checked,
+            targetLufs: document.getElementById('masterTargetLufs').value || undefined,
+            truePeak: parseFloat(document.getElementById('masterTruePeak').value)
+        },
+        format: document.getElementById('outputFormat').value,
+        bitrate: bitrate ? parseInt(bitrate) : undefined
+    };
+}
+
+// Render Short Preview
+async function handlePreview() {
+    if (selectedStems.size === 0) {
+        showAlert('Please select at least one audio stem', 'warning');
+        return;
+    }
+
+    const previewBtn = document.getElementById('preview-btn');
+    const audio = document.getElementById('preview-audio');
+    previewBtn.disabled = true;
+    audio.pause();
+
+    try {
+        const response = await fetch('/api/audio/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                config: buildAudioConfig(parseInt(document.getElementById('previewDuration').value))
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        // Keep the preview's seed so the full render matches what was heard
+        document.getElementById('audioSeed').value = data.seed;
+
+        audio.src = data.relativePath;
+        audio.style.display = 'block';
+        audio.play().catch(() => {});
+    } catch (error) {
+        showAlert(`Preview failed: ${error.message}`, 'danger');
+    } finally {
+        previewBtn.disabled = false;
+    }
+}
+
+// Show Where One-Shot Events Land
+async function handleShowTimeline() {
+    if (selectedStems.size === 0) {
+        showAlert('Please select at least one audio stem', 'warning');
+        return;
+    }
+
+    const timelineBtn = document.getElementById('timeline-btn');
+    timelineBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/audio/events/timeline', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                config: buildAudioConfig(parseInt(document.getElementById('duration').value))
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        // Events only land like this with the same seed
+        document.getElementById('audioSeed').value = data.seed;
+        renderEventTimeline(data);
+    } catch (error) {
+        showAlert(`Timeline failed: ${error.message}`, 'danger');
+    } finally {
+        timelineBtn.disabled = false;
+    }
+}
+
+// Draw One Lane Per One-Shot Stem
+function renderEventTimeline(timeline) {
+    const container = document.getElementById('event-timeline');
+    container.innerHTML = '';
+    container.style.display = 'block';
+
+    if (timeline.layers.length === 0) {
+        container.innerHTML = '<p class="small text-muted mb-0">No one-shot stems in this mix. ' +
+            'Switch a selected stem to one-shot events to scatter it over the timeline.</p>';
+        return;
+    }
+
+    timeline.layers.forEach(layer => {
+        const row = document.createElement('div');
+        row.className = 'mb-2';
+
+        const label = document.createElement('div');
+        label.className = 'd-flex justify-content-between small';
+        const name = document.createElement('span');
+        name.className = 'fw-semibold';
+        name.textContent = layer.name;
+        const count = document.createElement('span');
+        count.className = 'text-muted';
+        count.textContent = `${layer.events.length} events`;
+        label.append(name, count);
+
+        const lane = document.createElement('div');
+        lane.className = 'position-relative bg-light border rounded';
+        lane.style.height = '24px';
+
+        layer.events.forEach(event => {
+            const marker = document.createElement('div');
+            marker.className = 'position-absolute top-0 h-100 bg-primary';
+            marker.style.left = `${(event.time / timeline.duration) * 100}%`;
+            marker.style.width = `max(2px, ${((layer.length || 0) / timeline.duration) * 100}%)`;
+            marker.style.opacity = 0.3 + event.volume * 0.7;
+            marker.title = `${formatTimestamp(event.time)} • volume ${Math.round(event.volume * 100)}% • pan ${formatPan(event.pan)}`;
+            lane.appendChild(marker);
+        });
+
+        row.append(label, lane);
+        container.appendChild(row);
+    });
+
+    const axis = document.createElement('div');
+    axis.className = 'd-flex justify-content-between small text-muted';
+    axis.innerHTML = `<span>0:00</span><span>${formatDuration(timeline.duration)}</span>`;
+    container.appendChild(axis);
+}
+
+// Upload Live Source Image
+async function uploadLiveSourceImage(e) {
+    const file = e.target.files[0];
+    const pathInput = document.getElementById('liveSourceImagePath');
+    pathInput.value = '';
+
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('image', file);
+
+    try {
+        const response = await fetch('/api/audio/sources/image', {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        pathInput.value = data.path;
+    } catch (error) {
+        e.target.value = '';
+        showAlert(`Image upload failed: ${error.message}`, 'danger');
+    }
+}
+
+// Save Live Generative Source
+async function handleSaveLiveSource(e) {
+    e.preventDefault();
+
+    if (selectedStems.size === 0) {
+        showAlert('Please select at least one audio stem', 'warning');
+        return;
+    }
+
+    if (Array.from(selectedStems.values()).some(stem => stem.oneShot)) {
+        showAlert('One-shot stems only work in rendered mixes. Switch them back to loops for a live source.', 'warning');
+        return;
+    }
+
+    const imagePath = document.getElementById('liveSourceImagePath').value;
+    const visualizer = document.getElementById('liveSourceVisualizer').value;
+
+    if (!imagePath && visualizer === 'none') {
+        showAlert('Please upload an image or choose a visualizer', 'warning');
+        return;
+    }
+
+    const seed = document.getElementById('liveSourceSeed').value;
+    const saveBtn = document.getElementById('save-live-source-btn');
+    saveBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/audio/sources', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                title: document.getElementById('liveSourceTitle').value.trim(),
+                mode: 'generative',
+                imagePath: imagePath || null,
+                visualizer,
+                generative: {
+                    stems: Array.from(selectedStems.values()).map(stem => ({
+                        id: stem.id,
+                        volume: stem.volume
+                    })),
+                    volatility: parseFloat(document.getElementById('volatility').value),
+                    density: parseFloat(document.getElementById('density').value),
+                    spatialDrift: parseFloat(document.getElementById('spatialDrift').value),
+                    seed: seed === '' ? null : parseInt(seed)
+                }
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        document.getElementById('live-source-form').reset();
+        document.getElementById('liveSourceImagePath').value = '';
+        showAlert('Live source saved. Select it as a stream source on the dashboard.', 'success');
+    } catch (error) {
+        showAlert(`Failed to save live source: ${error.message}`, 'danger');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
 // Update Progress
 function updateProgress(progress, message) {
     const progressBar = document.getElementById('progress-bar');
@@ -335,9 +941,64 @@ function handleGenerationComplete(result) {
     // Set metadata
     document.getElementById('result-size').textContent = formatBytes(result.fileSize);
     document.getElementById('result-duration').textContent = formatDuration(result.duration);
+    document.getElementById('result-seed').textContent = result.seed;
+    document.getElementById('result-loudness').textContent = formatLoudness(result.loudness);
     document.getElementById('result-time').textContent = `${result.generationTime}s`;
 
     showAlert('Audio generated successfully!', 'success');
+    loadRenderProjects();
+}
+
+// Load Past Renders
+async function loadRenderProjects() {
+    try {
+        const response = await fetch('/api/audio/projects');
+        const projects = await response.json();
+
+        const list = document.getElementById('render-projects-list');
+        list.innerHTML = '';
+
+        if (projects.length === 0) {
+            list.innerHTML = '<li class="list-group-item small text-muted">No renders yet</li>';
+            return;
+        }
+
+        projects.slice(0, 10).forEach(project => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item';
+
+            const name = document.createElement('div');
+            name.className = 'small fw-semibold text-truncate';
+            name.textContent = project.audio_preset || project.name;
+            const meta = document.createElement('div');
+            meta.className = 'small text-muted mb-2';
+            meta.textContent = `${formatDuration(project.duration)} • ${project.format.toUpperCase()} • ` +
+                `${formatLoudness(project.loudness)} • seed ${project.seed}`;
+
+            const controls = document.createElement('div');
+            controls.className = 'input-group input-group-sm';
+            const minutes = document.createElement('input');
+            minutes.type = 'number';
+            minutes.className = 'form-control';
+            minutes.min = 1;
+            minutes.max = 600;
+            minutes.placeholder = `${Math.round(project.duration / 60)} min`;
+            const renderBtn = document.createElement('button');
+            renderBtn.type = 'button';
+            renderBtn.className = 'btn btn-outline-primary';
+            renderBtn.innerHTML = '<i class="bi bi-arrow-repeat"></i> Re-render';
+            renderBtn.addEventListener('click', () => {
+                const body = minutes.value ? { duration: parseInt(minutes.value) * 60 } : {};
+                startRender(`/api/audio/projects/${project.id}/render`, body);
+            });
+            controls.append(minutes, renderBtn);
+
+            item.append(name, meta, controls);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading past renders:', error);
+    }
 }
 
 // Handle Generation Error
@@ -369,6 +1030,23 @@ function formatBytes(bytes) {
     return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
 }
 
+function formatLoudness(loudness) {
+    if (!loudness || loudness.integrated === null) return '-';
+    return `${loudness.integrated.toFixed(1)} LUFS / ${loudness.truePeak.toFixed(1)} dBTP`;
+}
+
+function formatTimestamp(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function formatPan(pan) {
+    if (Math.abs(pan) < 0.05) return 'center';
+    return `${Math.round(Math.abs(pan) * 100)}% ${pan < 0 ? 'left' : 'right'}`;
+}
+
 function formatDuration(seconds) {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
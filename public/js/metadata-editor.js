@@ -2,10 +2,14 @@
 
 let tags = [];
 let currentProjectId = null;
+let chapters = [];
+let localizations = [];
+let selectedPlaylists = [];
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     loadProjects();
+    loadChannels();
     checkAIStatus();
     setupEventListeners();
     setupRealTimePreview();
@@ -94,6 +98,22 @@ function setupEventListeners() {
         }
     });
 
+    // Chapters
+    document.getElementById('generate-chapters-btn').addEventListener('click', generateChapters);
+    document.getElementById('clear-chapters-btn').addEventListener('click', () => {
+        chapters = [];
+        renderChapters();
+    });
+
+    // Playlists
+    document.getElementById('playlistChannel').addEventListener('change', (e) => loadPlaylists(e.target.value));
+
+    // Localizations
+    document.getElementById('add-localization-btn').addEventListener('click', () => {
+        localizations.push({ language: '', title: '', description: '' });
+        renderLocalizations();
+    });
+
     // Form submission
     document.getElementById('metadata-form').addEventListener('submit', handleSaveMetadata);
 
@@ -151,6 +171,8 @@ async function loadProjectMetadata(projectId) {
             document.getElementById('metaTitle').dispatchEvent(new Event('input'));
             document.getElementById('metaDescription').dispatchEvent(new Event('input'));
         }
+
+        fillYouTubeSettings(data.metadata || {});
     } catch (error) {
         console.error('Error loading project metadata:', error);
     }
@@ -293,7 +315,8 @@ async function handleSaveMetadata(e) {
         description,
         tags,
         category,
-        privacy
+        privacy,
+        ...collectYouTubeSettings()
     };
 
     try {
@@ -309,6 +332,7 @@ async function handleSaveMetadata(e) {
         const data = await response.json();
 
         if (data.success) {
+            fillYouTubeSettings(data.metadata);
             showAlert('✅ Metadata saved successfully!', 'success');
         } else {
             throw new Error(data.error || 'Failed to save');
@@ -333,6 +357,7 @@ function clearForm() {
 
     tags = [];
     renderTags();
+    fillYouTubeSettings({});
 
     // Clear previews
     document.getElementById('preview-title').textContent = 'Your title will appear here';
@@ -341,6 +366,307 @@ function clearForm() {
     document.getElementById('desc-char-count').textContent = '(0/5000)';
 }
 
+// YouTube Settings
+function fillYouTubeSettings(metadata) {
+    document.querySelector(`input[name="madeForKids"][value="${metadata.madeForKids === true}"]`).checked = true;
+    document.getElementById('metaLicense').value = metadata.license || 'youtube';
+    document.getElementById('metaEmbeddable').checked = metadata.embeddable !== false;
+    document.getElementById('metaPublicStats').checked = metadata.publicStatsViewable !== false;
+
+    document.getElementById('metaLanguage').value = metadata.defaultLanguage || 'en';
+    document.getElementById('metaAudioLanguage').value = metadata.audioLanguage && metadata.audioLanguage !== metadata.defaultLanguage
+        ? metadata.audioLanguage
+        : '';
+
+    const location = metadata.location || {};
+    document.getElementById('metaRecordingDate').value = metadata.recordingDate ? metadata.recordingDate.slice(0, 10) : '';
+    document.getElementById('metaLocationName').value = location.description || '';
+    document.getElementById('metaLatitude').value = location.latitude ?? '';
+    document.getElementById('metaLongitude').value = location.longitude ?? '';
+
+    localizations = Object.entries(metadata.localizations || {}).map(([language, entry]) => ({
+        language,
+        title: entry.title,
+        description: entry.description || ''
+    }));
+    chapters = (metadata.chapters || []).map(chapter => ({ ...chapter }));
+    selectedPlaylists = metadata.playlists || [];
+
+    renderLocalizations();
+    renderChapters();
+    renderSelectedPlaylists();
+    loadPlaylists(document.getElementById('playlistChannel').value);
+}
+
+function collectYouTubeSettings() {
+    const defaultLanguage = document.getElementById('metaLanguage').value.trim() || 'en';
+    const latitude = document.getElementById('metaLatitude').value;
+    const longitude = document.getElementById('metaLongitude').value;
+    const locationName = document.getElementById('metaLocationName').value.trim();
+
+    return {
+        madeForKids: document.querySelector('input[name="madeForKids"]:checked').value === 'true',
+        license: document.getElementById('metaLicense').value,
+        embeddable: document.getElementById('metaEmbeddable').checked,
+        publicStatsViewable: document.getElementById('metaPublicStats').checked,
+        defaultLanguage,
+        audioLanguage: document.getElementById('metaAudioLanguage').value.trim() || defaultLanguage,
+        localizations: localizations.filter(entry => entry.language || entry.title || entry.description),
+        chapters,
+        playlists: selectedPlaylists,
+        recordingDate: document.getElementById('metaRecordingDate').value || null,
+        location: latitude || longitude || locationName
+            ? { latitude, longitude, description: locationName }
+            : null
+    };
+}
+
+// Chapters
+async function generateChapters() {
+    if (!currentProjectId) {
+        showAlert('Please select a project first', 'warning');
+        return;
+    }
+
+    const interval = document.getElementById('chapterInterval').value;
+
+    try {
+        const params = interval ? `?interval=${interval}` : '';
+        const response = await fetch(`/api/metadata/project/${currentProjectId}/chapters${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to generate chapters');
+        }
+
+        chapters = data.chapters.map(({ time, title }) => ({ time, title }));
+        renderChapters();
+    } catch (error) {
+        console.error('Chapter generation error:', error);
+        showAlert(`Failed to generate chapters: ${error.message}`, 'danger');
+    }
+}
+
+function renderChapters() {
+    const container = document.getElementById('chapters-list');
+    container.innerHTML = '';
+
+    if (chapters.length === 0) {
+        container.innerHTML = '<span class="text-muted small">No chapters</span>';
+        renderChapterPreview();
+        return;
+    }
+
+    chapters.forEach((chapter, index) => {
+        const row = document.createElement('div');
+        row.className = 'input-group input-group-sm mb-1 chapter-row';
+        row.innerHTML = `
+            <input type="text" class="form-control chapter-time" placeholder="0:00">
+            <input type="text" class="form-control chapter-title" maxlength="100" placeholder="Chapter title">
+            <button class="btn btn-outline-danger" type="button" title="Remove chapter"><i class="bi bi-trash"></i></button>
+        `;
+
+        const timeInput = row.querySelector('.chapter-time');
+        timeInput.value = formatTimestamp(chapter.time, getProjectDuration());
+        timeInput.addEventListener('change', () => {
+            const seconds = parseTimestamp(timeInput.value);
+            if (Number.isNaN(seconds)) {
+                showAlert('Use timestamps like 1:30 or 1:02:30', 'warning');
+                timeInput.value = formatTimestamp(chapter.time, getProjectDuration());
+                return;
+            }
+            chapter.time = seconds;
+            renderChapterPreview();
+        });
+
+        const titleInput = row.querySelector('.chapter-title');
+        titleInput.value = chapter.title;
+        titleInput.addEventListener('input', () => {
+            chapter.title = titleInput.value;
+            renderChapterPreview();
+        });
+
+        row.querySelector('button').addEventListener('click', () => {
+            chapters.splice(index, 1);
+            renderChapters();
+        });
+
+        container.appendChild(row);
+    });
+
+    renderChapterPreview();
+}
+
+function renderChapterPreview() {
+    const preview = document.getElementById('preview-chapters');
+    const duration = getProjectDuration();
+
+    preview.style.display = chapters.length > 0 ? 'block' : 'none';
+    preview.textContent = [...chapters]
+        .sort((a, b) => a.time - b.time)
+        .map(chapter => `${formatTimestamp(chapter.time, duration)} ${chapter.title}`)
+        .join('\n');
+}
+
+function getProjectDuration() {
+    const select = document.getElementById('projectSelect');
+    const option = select.options[select.selectedIndex];
+    if (!option || !option.dataset.projectData) return 0;
+    return JSON.parse(option.dataset.projectData).audio_duration || 0;
+}
+
+function formatTimestamp(seconds, duration) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+
+    return h > 0 || duration >= 3600
+        ? `${h}:${String(m).padStart(2, '0')}:${s}`
+        : `${m}:${s}`;
+}
+
+function parseTimestamp(value) {
+    if (!/^\d+(:\d{1,2}){0,2}$/.test(value.trim())) return NaN;
+    return value.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+// Playlists
+async function loadChannels() {
+    try {
+        const response = await fetch('/api/youtube/status');
+        const data = await response.json();
+        const select = document.getElementById('playlistChannel');
+
+        if (!data.connected) {
+            select.innerHTML = '<option value="">No YouTube channel connected</option>';
+            return;
+        }
+
+        data.channels.forEach(channel => {
+            const option = document.createElement('option');
+            option.value = channel.id;
+            option.textContent = channel.title;
+            select.appendChild(option);
+        });
+
+        const defaultChannel = data.channels.find(channel => channel.isDefault) || data.channels[0];
+        select.value = defaultChannel.id;
+        loadPlaylists(defaultChannel.id);
+    } catch (error) {
+        console.error('Error loading channels:', error);
+    }
+}
+
+async function loadPlaylists(channelId) {
+    const container = document.getElementById('playlists-list');
+
+    if (!channelId) {
+        container.innerHTML = '<span class="text-muted small">Select a channel to see its playlists</span>';
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/youtube/channels/${encodeURIComponent(channelId)}/playlists`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load playlists');
+        }
+
+        container.innerHTML = '';
+        if (data.playlists.length === 0) {
+            container.innerHTML = '<span class="text-muted small">This channel has no playlists</span>';
+            return;
+        }
+
+        data.playlists.forEach(playlist => {
+            const item = document.createElement('div');
+            item.className = 'form-check';
+            item.innerHTML = `
+                <input class="form-check-input" type="checkbox" id="playlist-${playlist.id}">
+                <label class="form-check-label" for="playlist-${playlist.id}"></label>
+            `;
+
+            item.querySelector('label').textContent = `${playlist.title} (${playlist.itemCount} videos, ${playlist.privacyStatus})`;
+
+            const checkbox = item.querySelector('input');
+            checkbox.checked = selectedPlaylists.some(entry => entry.id === playlist.id);
+            checkbox.addEventListener('change', () => {
+                selectedPlaylists = selectedPlaylists.filter(entry => entry.id !== playlist.id);
+                if (checkbox.checked) {
+                    selectedPlaylists.push({ id: playlist.id, title: playlist.title, channelId: String(channelId) });
+                }
+                renderSelectedPlaylists();
+            });
+
+            container.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading playlists:', error);
+        container.innerHTML = `<span class="text-danger small">${error.message}</span>`;
+    }
+}
+
+function renderSelectedPlaylists() {
+    const container = document.getElementById('selected-playlists');
+    container.innerHTML = '';
+
+    selectedPlaylists.forEach(playlist => {
+        const badge = document.createElement('span');
+        badge.className = 'tag-badge';
+        badge.textContent = playlist.title;
+
+        const remove = document.createElement('span');
+        remove.className = 'remove-tag';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+            selectedPlaylists = selectedPlaylists.filter(entry => entry.id !== playlist.id);
+            const checkbox = document.getElementById(`playlist-${playlist.id}`);
+            if (checkbox) checkbox.checked = false;
+            renderSelectedPlaylists();
+        });
+
+        badge.appendChild(remove);
+        container.appendChild(badge);
+    });
+}
+
+// Localizations
+function renderLocalizations() {
+    const container = document.getElementById('localizations-list');
+    container.innerHTML = '';
+
+    localizations.forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'border rounded p-2 mb-2';
+        row.innerHTML = `
+            <div class="input-group input-group-sm mb-1">
+                <input type="text" class="form-control loc-language" list="language-codes" placeholder="Language, e.g. de"
+                    style="max-width: 140px;">
+                <input type="text" class="form-control loc-title" maxlength="100" placeholder="Translated title">
+                <button class="btn btn-outline-danger" type="button" title="Remove translation"><i class="bi bi-trash"></i></button>
+            </div>
+            <textarea class="form-control form-control-sm loc-description" rows="3" maxlength="5000"
+                placeholder="Translated description"></textarea>
+        `;
+
+        [['.loc-language', 'language'], ['.loc-title', 'title'], ['.loc-description', 'description']].forEach(([selector, field]) => {
+            const input = row.querySelector(selector);
+            input.value = entry[field];
+            input.addEventListener('input', () => {
+                entry[field] = input.value.trim();
+            });
+        });
+
+        row.querySelector('button').addEventListener('click', () => {
+            localizations.splice(index, 1);
+            renderLocalizations();
+        });
+
+        container.appendChild(row);
+    });
+}
+
 // Utilities
 function showAlert(message, type) {
     const alert = document.createElement('div');
@@ -0,0 +1,493 @@
+// Recipe Pipeline Client-Side Logic
+
+// State
+const STAGES = ['audio', 'video', 'metadata', 'publish'];
+const STAGE_NAMES = {
+    audio: 'Audio',
+    video: 'Video',
+    metadata: 'Metadata',
+    publish: 'Publish'
+};
+let socket = null;
+let runs = new Map(); // run_id -> run
+let batchPollTimer = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    initializeSocketIO();
+    loadPresets();
+    loadVideos();
+    loadRecipes();
+    loadRuns();
+    loadBatches();
+
+    document.getElementById('recipe-form').addEventListener('submit', handleSaveRecipe);
+    document.getElementById('batch-form').addEventListener('submit', handleCreateBatch);
+});
+
+// Socket.IO Connection
+function initializeSocketIO() {
+    socket = io();
+
+    socket.on('pipeline:progress', (data) => {
+        const run = runs.get(data.runId);
+        if (!run) return;
+
+        run.stages = data.stages;
+        run.status = data.status;
+        run.error = data.error || null;
+        renderRuns();
+    });
+}
+
+// Load Presets
+async function loadPresets() {
+    try {
+        const response = await fetch('/api/audio/presets');
+        const presets = await response.json();
+        ['recipePreset', 'batchPreset'].forEach(id => {
+            const select = document.getElementById(id);
+
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                select.appendChild(option);
+            });
+        });
+    } catch (error) {
+        console.error('Error loading presets:', error);
+        showAlert('Failed to load presets', 'danger');
+    }
+}
+
+// Load Source Videos
+async function loadVideos() {
+    try {
+        const response = await fetch('/api/video/available');
+        const videos = await response.json();
+        ['recipeVideo', 'batchVideos'].forEach(id => {
+            const select = document.getElementById(id);
+
+            videos.forEach(video => {
+                const option = document.createElement('option');
+                option.value = video.id;
+                option.textContent = video.title;
+                select.appendChild(option);
+            });
+        });
+    } catch (error) {
+        console.error('Error loading videos:', error);
+        showAlert('Failed to load videos from gallery', 'danger');
+    }
+}
+
+// Load Recipes
+async function loadRecipes() {
+    try {
+        const response = await fetch('/api/pipeline/recipes');
+        const recipes = await response.json();
+
+        const list = document.getElementById('recipe-list');
+        list.innerHTML = '';
+
+        if (recipes.length === 0) {
+            list.innerHTML = '<li class="list-group-item small text-muted">No recipes saved yet</li>';
+            return;
+        }
+
+        recipes.forEach(recipe => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex justify-content-between align-items-center';
+
+            const details = document.createElement('div');
+            const name = document.createElement('div');
+            name.className = 'fw-semibold';
+            name.textContent = recipe.name;
+            const meta = document.createElement('div');
+            meta.className = 'small text-muted';
+            meta.textContent = `${formatDuration(recipe.duration)} • ${recipe.loop_type} • ${recipe.privacy}`;
+            details.append(name, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'btn-group';
+
+            const runBtn = document.createElement('button');
+            runBtn.type = 'button';
+            runBtn.className = 'btn btn-sm btn-success';
+            runBtn.innerHTML = '<i class="bi bi-play-fill"></i> Run';
+            runBtn.addEventListener('click', () => runRecipe(recipe.id, runBtn));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-sm btn-outline-danger';
+            deleteBtn.innerHTML = '<i class="bi bi-trash"></i>';
+            deleteBtn.addEventListener('click', () => deleteRecipe(recipe.id));
+
+            actions.append(runBtn, deleteBtn);
+            item.append(details, actions);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading recipes:', error);
+    }
+}
+
+// Save Recipe
+async function handleSaveRecipe(e) {
+    e.preventDefault();
+
+    const saveBtn = document.getElementById('save-recipe-btn');
+    saveBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/pipeline/recipes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('recipeName').value.trim(),
+                presetId: document.getElementById('recipePreset').value,
+                duration: parseInt(document.getElementById('recipeDuration').value) * 60,
+                videoId: document.getElementById('recipeVideo').value,
+                loopType: document.getElementById('recipeLoopType').value,
+                aiInstructions: document.getElementById('recipeInstructions').value,
+                privacy: document.getElementById('recipePrivacy').value
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        document.getElementById('recipe-form').reset();
+        showAlert('Recipe saved', 'success');
+        loadRecipes();
+    } catch (error) {
+        showAlert(`Failed to save recipe: ${error.message}`, 'danger');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Delete Recipe
+async function deleteRecipe(id) {
+    if (!confirm('Delete this recipe? Past runs are kept.')) return;
+
+    try {
+        const response = await fetch(`/api/pipeline/recipes/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        loadRecipes();
+    } catch (error) {
+        showAlert(`Failed to delete recipe: ${error.message}`, 'danger');
+    }
+}
+
+// Run Recipe
+async function runRecipe(id, button) {
+    button.disabled = true;
+
+    try {
+        const response = await fetch(`/api/pipeline/recipes/${id}/run`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        trackRun(data.run);
+        renderRuns();
+        showAlert('Pipeline started', 'success');
+    } catch (error) {
+        showAlert(`Failed to start pipeline: ${error.message}`, 'danger');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Resume Failed Run
+async function resumeRun(id) {
+    try {
+        const response = await fetch(`/api/pipeline/runs/${id}/resume`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        trackRun(data.run);
+        renderRuns();
+    } catch (error) {
+        showAlert(`Failed to resume pipeline: ${error.message}`, 'danger');
+    }
+}
+
+// Load Runs
+async function loadRuns() {
+    try {
+        const response = await fetch('/api/pipeline/runs');
+        const data = await response.json();
+
+        runs = new Map();
+        data.forEach(trackRun);
+        renderRuns();
+    } catch (error) {
+        console.error('Error loading pipeline runs:', error);
+    }
+}
+
+function trackRun(run) {
+    runs.set(run.id, run);
+    if (run.status === 'pending' || run.status === 'running') {
+        socket.emit('subscribe:pipeline', { runId: run.id });
+    }
+}
+
+// Render Runs (newest first)
+function renderRuns() {
+    const container = document.getElementById('run-list');
+    container.innerHTML = '';
+
+    const list = Array.from(runs.values())
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    if (list.length === 0) {
+        container.innerHTML = '<p class="small text-muted mb-0">No runs yet</p>';
+        return;
+    }
+
+    list.forEach(run => {
+        const card = document.createElement('div');
+        card.className = 'border rounded p-3 mb-3';
+
+        const header = document.createElement('div');
+        header.className = 'd-flex justify-content-between align-items-center mb-2';
+        const name = document.createElement('strong');
+        name.textContent = run.recipe.name;
+        const status = document.createElement('span');
+        status.className = `badge bg-${statusColor(run.status)}`;
+        status.textContent = run.status;
+        header.append(name, status);
+        card.appendChild(header);
+
+        STAGES.forEach(stage => {
+            const state = run.stages[stage] || { status: 'pending', progress: 0 };
+            const row = document.createElement('div');
+            row.className = 'd-flex align-items-center mb-1 small';
+
+            const label = document.createElement('span');
+            label.className = 'me-2';
+            label.style.width = '80px';
+            label.textContent = STAGE_NAMES[stage];
+
+            const progress = document.createElement('div');
+            progress.className = 'progress flex-grow-1';
+            progress.style.height = '8px';
+            const bar = document.createElement('div');
+            bar.className = `progress-bar bg-${statusColor(state.status)}`;
+            bar.style.width = `${state.status === 'completed' ? 100 : state.progress || 0}%`;
+            progress.appendChild(bar);
+
+            row.append(label, progress);
+            card.appendChild(row);
+        });
+
+        if (run.error) {
+            const error = document.createElement('div');
+            error.className = 'small text-danger mt-2';
+            error.textContent = run.error;
+            card.appendChild(error);
+        }
+
+        const published = run.stages.publish && run.stages.publish.result;
+        if (published && published.url) {
+            const link = document.createElement('a');
+            link.className = 'small d-block mt-2';
+            link.href = published.url;
+            link.target = '_blank';
+            link.textContent = published.url;
+            card.appendChild(link);
+        }
+
+        if (run.status === 'failed') {
+            const resumeBtn = document.createElement('button');
+            resumeBtn.type = 'button';
+            resumeBtn.className = 'btn btn-sm btn-outline-primary mt-2';
+            resumeBtn.innerHTML = '<i class="bi bi-arrow-clockwise"></i> Resume';
+            resumeBtn.addEventListener('click', () => resumeRun(run.id));
+            card.appendChild(resumeBtn);
+        }
+
+        container.appendChild(card);
+    });
+}
+
+// Create Batch
+async function handleCreateBatch(e) {
+    e.preventDefault();
+
+    const durations = document.getElementById('batchDurations').value
+        .split(',')
+        .map(value => parseFloat(value.trim()))
+        .filter(hours => !isNaN(hours))
+        .map(hours => Math.round(hours * 3600));
+    const loopTypes = Array.from(document.querySelectorAll('.batch-loop-type:checked')).map(input => input.value);
+    const videoIds = Array.from(document.getElementById('batchVideos').selectedOptions).map(option => option.value);
+
+    const createBtn = document.getElementById('create-batch-btn');
+    createBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/batches', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('batchName').value.trim(),
+                presetId: document.getElementById('batchPreset').value,
+                seedCount: parseInt(document.getElementById('batchSeedCount').value),
+                durations,
+                videoIds,
+                loopTypes,
+                concurrency: parseInt(document.getElementById('batchConcurrency').value),
+                privacy: document.getElementById('batchPrivacy').value
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        document.getElementById('batch-form').reset();
+        showAlert(`Batch started with ${data.batch.total_items} item(s)`, 'success');
+        loadBatches();
+        loadRuns();
+    } catch (error) {
+        showAlert(`Failed to start batch: ${error.message}`, 'danger');
+    } finally {
+        createBtn.disabled = false;
+    }
+}
+
+// Retry Failed Batch Items
+async function retryBatch(id) {
+    try {
+        const response = await fetch(`/api/batches/${id}/retry`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showAlert(`Retrying ${data.retried} item(s)`, 'success');
+        loadBatches();
+        loadRuns();
+    } catch (error) {
+        showAlert(`Failed to retry batch: ${error.message}`, 'danger');
+    }
+}
+
+// Load Batches (polled while any batch is running)
+async function loadBatches() {
+    clearTimeout(batchPollTimer);
+
+    try {
+        const response = await fetch('/api/batches');
+        const batches = await response.json();
+
+        const container = document.getElementById('batch-list');
+        container.innerHTML = '';
+
+        if (batches.length === 0) {
+            container.innerHTML = '<p class="small text-muted mb-0">No batches yet</p>';
+            return;
+        }
+
+        batches.forEach(batch => {
+            const card = document.createElement('div');
+            card.className = 'border rounded p-3 mb-3';
+
+            const header = document.createElement('div');
+            header.className = 'd-flex justify-content-between align-items-center mb-2';
+            const name = document.createElement('strong');
+            name.textContent = batch.name;
+            const status = document.createElement('span');
+            status.className = `badge bg-${statusColor(batch.status)}`;
+            status.textContent = batch.status;
+            header.append(name, status);
+
+            const progress = document.createElement('div');
+            progress.className = 'progress mb-2';
+            progress.style.height = '8px';
+            const bar = document.createElement('div');
+            bar.className = `progress-bar bg-${statusColor(batch.status)}`;
+            bar.style.width = `${batch.progress}%`;
+            progress.appendChild(bar);
+
+            const counts = document.createElement('div');
+            counts.className = 'small text-muted';
+            counts.textContent = `${batch.counts.completed}/${batch.total_items} done • ` +
+                `${batch.counts.running + batch.counts.pending} running • ` +
+                `${batch.counts.queued} queued • ${batch.counts.failed} failed`;
+
+            card.append(header, progress, counts);
+
+            if (batch.counts.failed > 0) {
+                const retryBtn = document.createElement('button');
+                retryBtn.type = 'button';
+                retryBtn.className = 'btn btn-sm btn-outline-primary mt-2';
+                retryBtn.innerHTML = '<i class="bi bi-arrow-clockwise"></i> Retry failed';
+                retryBtn.addEventListener('click', () => retryBatch(batch.id));
+                card.appendChild(retryBtn);
+            }
+
+            container.appendChild(card);
+        });
+
+        if (batches.some(batch => batch.status === 'running')) {
+            batchPollTimer = setTimeout(loadBatches, 10000);
+        }
+    } catch (error) {
+        console.error('Error loading batches:', error);
+    }
+}
+
+// Utilities
+function statusColor(status) {
+    switch (status) {
+        case 'completed': return 'success';
+        case 'failed': return 'danger';
+        case 'running': return 'primary';
+        default: return 'secondary';
+    }
+}
+
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function showAlert(message, type) {
+    // Create alert element
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 start-50 translate-middle-x mt-3`;
+    alert.style.zIndex = '9999';
+    alert.role = 'alert';
+    alert.innerHTML = `
+    ${message}
+    <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+  `;
+
+    document.body.appendChild(alert);
+
+    // Auto dismiss after 5 seconds
+    setTimeout(() => {
+        alert.remove();
+    }, 5000);
+}
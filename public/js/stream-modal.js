@@ -22,6 +22,7 @@ function openNewStreamModal() {
     modal.classList.add('active');
   });
   loadGalleryVideos();
+  fillFailover('', null);
 }
 function closeNewStreamModal() {
   const modal = document.getElementById('newStreamModal');
@@ -73,7 +74,7 @@ function toggleVideoSelector() {
 }
 function selectVideo(video) {
   selectedVideoData = video;
-  const displayText = video.type === 'playlist' ? `[Playlist] ${video.name}` : video.name;
+  const displayText = video.type === 'playlist' ? `[Playlist] ${video.name}` : (video.type === 'audio' ? `[Audio] ${video.name}` : video.name);
   document.getElementById('selectedVideo').textContent = displayText;
   const videoSelector = document.querySelector('[onclick="toggleVideoSelector()"]');
   videoSelector.classList.remove('border-red-500');
@@ -95,7 +96,7 @@ function selectVideo(video) {
     mobileVideoPlayer = null;
   }
   
-  if (video.type === 'playlist') {
+  if (video.type === 'playlist' || video.type === 'audio') {
     desktopPreview.classList.add('hidden');
     mobilePreview.classList.add('hidden');
     desktopEmptyPreview.classList.remove('hidden');
@@ -103,20 +104,22 @@ function selectVideo(video) {
     
     const desktopEmptyContent = desktopEmptyPreview.querySelector('div');
     const mobileEmptyContent = mobileEmptyPreview.querySelector('div');
+    const selectionIcon = video.type === 'audio' ? 'ti-waveform' : 'ti-playlist';
+    const selectionLabel = video.type === 'audio' ? 'Audio source' : 'Playlist';
     
     if (desktopEmptyContent) {
       desktopEmptyContent.innerHTML = `
-        <i class="ti ti-playlist text-4xl text-blue-400 mb-2"></i>
+        <i class="ti ${selectionIcon} text-4xl text-blue-400 mb-2"></i>
         <p class="text-sm text-gray-300 font-medium">${video.name}</p>
-        <p class="text-xs text-blue-300 mt-1">Playlist selected • ${video.duration || 'Unknown duration'}</p>
+        <p class="text-xs text-blue-300 mt-1">${selectionLabel} selected • ${video.duration || 'Unknown duration'}</p>
       `;
     }
     
     if (mobileEmptyContent) {
       mobileEmptyContent.innerHTML = `
-        <i class="ti ti-playlist text-4xl text-blue-400 mb-2"></i>
+        <i class="ti ${selectionIcon} text-4xl text-blue-400 mb-2"></i>
         <p class="text-sm text-gray-300 font-medium">${video.name}</p>
-        <p class="text-xs text-blue-300 mt-1">Playlist selected • ${video.duration || 'Unknown duration'}</p>
+        <p class="text-xs text-blue-300 mt-1">${selectionLabel} selected • ${video.duration || 'Unknown duration'}</p>
       `;
     }
   } else {
@@ -269,6 +272,10 @@ function resetModalForm() {
   form.reset();
   selectedVideoData = null;
   document.getElementById('selectedVideo').textContent = 'Choose a video...';
+  clearDestinationRows('destinationsContainer');
+  fillRecurrence('', null);
+  fillFailover('', null);
+  fillOverlays('', null);
   const desktopPreview = document.getElementById('videoPreview');
   const desktopEmptyPreview = document.getElementById('emptyPreview');
   const mobilePreview = document.getElementById('videoPreviewMobile');
@@ -299,6 +306,226 @@ function resetModalForm() {
     toggleVideoSelector();
   }
 }
+function addDestinationRow(containerId, destination = {}) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  const row = document.createElement('div');
+  row.className = 'destination-row grid grid-cols-12 gap-2 items-center';
+  row.innerHTML = `
+    <input type="text" class="destination-name col-span-3 px-3 py-2 bg-dark-700 border border-gray-600 rounded-lg focus:border-primary focus:ring-1 focus:ring-primary text-sm"
+      placeholder="Name">
+    <input type="text" class="destination-url col-span-4 px-3 py-2 bg-dark-700 border border-gray-600 rounded-lg focus:border-primary focus:ring-1 focus:ring-primary text-sm"
+      placeholder="RTMP URL">
+    <input type="password" class="destination-key col-span-4 px-3 py-2 bg-dark-700 border border-gray-600 rounded-lg focus:border-primary focus:ring-1 focus:ring-primary text-sm"
+      placeholder="Stream Key">
+    <button type="button" class="destination-remove col-span-1 h-9 flex items-center justify-center text-gray-400 hover:text-red-400 transition-colors"
+      aria-label="Remove destination">
+      <i class="ti ti-trash"></i>
+    </button>
+  `;
+  row.querySelector('.destination-name').value = destination.name || '';
+  row.querySelector('.destination-url').value = destination.rtmpUrl || '';
+  row.querySelector('.destination-key').value = destination.streamKey || '';
+  row.querySelector('.destination-remove').addEventListener('click', () => row.remove());
+  container.appendChild(row);
+}
+function collectDestinations(containerId) {
+  const container = document.getElementById(containerId);
+  if (!container) return [];
+  return Array.from(container.querySelectorAll('.destination-row'))
+    .map(row => ({
+      name: row.querySelector('.destination-name').value.trim(),
+      rtmpUrl: row.querySelector('.destination-url').value.trim(),
+      streamKey: row.querySelector('.destination-key').value.trim()
+    }))
+    .filter(dest => dest.name || dest.rtmpUrl || dest.streamKey);
+}
+function clearDestinationRows(containerId) {
+  const container = document.getElementById(containerId);
+  if (container) {
+    container.innerHTML = '';
+  }
+}
+function recurrenceField(prefix, name) {
+  return document.getElementById(prefix ? `${prefix}Recurrence${name}` : `recurrence${name}`);
+}
+function toggleRecurrenceFields(prefix) {
+  const type = recurrenceField(prefix, 'Type').value;
+  recurrenceField(prefix, 'StartTimeField').classList.toggle('hidden', type === 'none' || type === 'cron');
+  recurrenceField(prefix, 'CronField').classList.toggle('hidden', type !== 'cron');
+  recurrenceField(prefix, 'MaxRunField').classList.toggle('hidden', type === 'none');
+  recurrenceField(prefix, 'DaysField').classList.toggle('hidden', type !== 'weekly');
+  recurrenceField(prefix, 'OptionsField').classList.toggle('hidden', type === 'none');
+  const timezoneInput = recurrenceField(prefix, 'Timezone');
+  if (type !== 'none' && !timezoneInput.value) {
+    timezoneInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+}
+function collectRecurrence(prefix) {
+  const type = recurrenceField(prefix, 'Type').value;
+  if (type === 'none') {
+    return null;
+  }
+  return {
+    type,
+    startTime: recurrenceField(prefix, 'StartTime').value,
+    cronExpression: recurrenceField(prefix, 'Cron').value.trim(),
+    daysOfWeek: Array.from(recurrenceField(prefix, 'DaysField').querySelectorAll('.recurrence-day:checked'))
+      .map(input => parseInt(input.value, 10)),
+    maxRunMinutes: recurrenceField(prefix, 'MaxRun').value,
+    timezone: recurrenceField(prefix, 'Timezone').value.trim(),
+    exceptions: recurrenceField(prefix, 'Exceptions').value
+  };
+}
+function fillRecurrence(prefix, rule) {
+  recurrenceField(prefix, 'Type').value = rule ? rule.recurrence_type : 'none';
+  recurrenceField(prefix, 'StartTime').value = rule?.start_time || '';
+  recurrenceField(prefix, 'Cron').value = rule?.cron_expression || '';
+  recurrenceField(prefix, 'MaxRun').value = rule?.max_run_minutes || '';
+  recurrenceField(prefix, 'Timezone').value = rule?.timezone || '';
+  recurrenceField(prefix, 'Exceptions').value = (rule?.exceptions || []).join(', ');
+  recurrenceField(prefix, 'DaysField').querySelectorAll('.recurrence-day').forEach(input => {
+    input.checked = !!rule && rule.days_of_week.includes(parseInt(input.value, 10));
+  });
+  toggleRecurrenceFields(prefix);
+}
+function failoverField(prefix, name) {
+  return document.getElementById(prefix ? `${prefix}${name}` : name.charAt(0).toLowerCase() + name.slice(1));
+}
+function toggleFailoverFields(prefix) {
+  const source = failoverField(prefix, 'FailoverSource').value;
+  failoverField(prefix, 'FallbackVideoId').classList.toggle('hidden', source !== 'video');
+}
+async function loadFallbackVideos(prefix, selectedId) {
+  const select = failoverField(prefix, 'FallbackVideoId');
+  try {
+    const response = await fetch('/api/stream/content');
+    const content = await response.json();
+    select.innerHTML = '<option value="">Choose a fallback video...</option>';
+    content.filter(item => item.type === 'video').forEach(video => {
+      const option = document.createElement('option');
+      option.value = video.id;
+      option.textContent = video.name;
+      select.appendChild(option);
+    });
+    select.value = selectedId || '';
+  } catch (error) {
+    console.error('Error loading fallback videos:', error);
+  }
+}
+function collectFailover(prefix) {
+  const source = failoverField(prefix, 'FailoverSource').value;
+  return {
+    failoverSource: source,
+    fallbackVideoId: source === 'video' ? failoverField(prefix, 'FallbackVideoId').value : '',
+    backupRtmpUrl: failoverField(prefix, 'BackupRtmpUrl').value.trim(),
+    backupFailoverAfter: failoverField(prefix, 'BackupFailoverAfter').value
+  };
+}
+function fillFailover(prefix, stream) {
+  failoverField(prefix, 'FailoverSource').value = stream?.failover_source || 'none';
+  failoverField(prefix, 'BackupRtmpUrl').value = stream?.backup_rtmp_url || '';
+  failoverField(prefix, 'BackupFailoverAfter').value = stream?.backup_failover_after || 3;
+  toggleFailoverFields(prefix);
+  loadFallbackVideos(prefix, stream?.fallback_video_id);
+}
+function overlayField(prefix, name) {
+  return document.getElementById(prefix ? `${prefix}Overlay${name}` : `overlay${name}`);
+}
+async function uploadOverlayLogo(prefix, input) {
+  if (!input.files || input.files.length === 0) return;
+  const formData = new FormData();
+  formData.append('logo', input.files[0]);
+  try {
+    const response = await fetch('/api/overlays/logo', { method: 'POST', body: formData });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to upload logo');
+    }
+    overlayField(prefix, 'LogoPath').value = data.path;
+    overlayField(prefix, 'LogoEnabled').checked = true;
+  } catch (error) {
+    input.value = '';
+    showToast('error', error.message);
+  }
+}
+function collectOverlays(prefix) {
+  const enabled = (name) => overlayField(prefix, `${name}Enabled`).checked;
+  const overlays = {};
+  if (enabled('Logo')) {
+    overlays.logo = {
+      path: overlayField(prefix, 'LogoPath').value,
+      position: overlayField(prefix, 'LogoPosition').value,
+      opacity: overlayField(prefix, 'LogoOpacity').value / 100,
+      scale: overlayField(prefix, 'LogoScale').value / 100
+    };
+  }
+  if (enabled('Ticker')) {
+    overlays.ticker = {
+      text: overlayField(prefix, 'TickerText').value,
+      position: overlayField(prefix, 'TickerPosition').value,
+      speed: overlayField(prefix, 'TickerSpeed').value
+    };
+  }
+  if (enabled('Clock')) {
+    overlays.clock = {
+      timezone: overlayField(prefix, 'ClockTimezone').value.trim() || Intl.DateTimeFormat().resolvedOptions().timeZone,
+      format: overlayField(prefix, 'ClockFormat').value,
+      position: overlayField(prefix, 'ClockPosition').value
+    };
+  }
+  if (enabled('NowPlaying')) {
+    overlays.nowPlaying = { position: overlayField(prefix, 'NowPlayingPosition').value };
+  }
+  return Object.keys(overlays).length > 0 ? overlays : null;
+}
+function fillOverlays(prefix, overlays) {
+  const logo = overlays?.logo;
+  const ticker = overlays?.ticker;
+  const clock = overlays?.clock;
+  const nowPlaying = overlays?.nowPlaying;
+  overlayField(prefix, 'LogoEnabled').checked = !!logo;
+  overlayField(prefix, 'LogoFile').value = '';
+  overlayField(prefix, 'LogoPath').value = logo?.path || '';
+  overlayField(prefix, 'LogoPosition').value = logo?.position || 'top-right';
+  overlayField(prefix, 'LogoOpacity').value = Math.round((logo ? logo.opacity : 0.8) * 100);
+  overlayField(prefix, 'LogoScale').value = Math.round((logo ? logo.scale : 0.12) * 100);
+  overlayField(prefix, 'TickerEnabled').checked = !!ticker;
+  overlayField(prefix, 'TickerText').value = ticker?.text || '';
+  overlayField(prefix, 'TickerPosition').value = ticker?.position || 'bottom';
+  overlayField(prefix, 'TickerSpeed').value = ticker?.speed || 120;
+  overlayField(prefix, 'ClockEnabled').checked = !!clock;
+  overlayField(prefix, 'ClockTimezone').value = clock?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  overlayField(prefix, 'ClockFormat').value = clock?.format || '24h';
+  overlayField(prefix, 'ClockPosition').value = clock?.position || 'top-left';
+  overlayField(prefix, 'NowPlayingEnabled').checked = !!nowPlaying;
+  overlayField(prefix, 'NowPlayingPosition').value = nowPlaying?.position || 'bottom-left';
+  overlayField(prefix, 'Preview').classList.add('hidden');
+}
+async function previewOverlays(prefix) {
+  const preview = overlayField(prefix, 'Preview');
+  const videoId = document.getElementById(prefix ? 'editSelectedVideoId' : 'selectedVideoId').value;
+  const resolution = document.getElementById(prefix ? 'editCurrentResolution' : 'currentResolution').textContent.split(' ')[0];
+  try {
+    const response = await fetch('/api/overlays/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ videoId, resolution, overlays: collectOverlays(prefix) })
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to render preview');
+    }
+    const image = await response.blob();
+    if (preview.src) {
+      URL.revokeObjectURL(preview.src);
+    }
+    preview.src = URL.createObjectURL(image);
+    preview.classList.remove('hidden');
+  } catch (error) {
+    showToast('error', error.message);
+  }
+}
 function initModal() {
   const modal = document.getElementById('newStreamModal');
   if (!modal) return;
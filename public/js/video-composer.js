@@ -3,13 +3,17 @@
 let socket = null;
 let currentJobId = null;
 let startTime = null;
+let availableVideos = new Map(); // video id -> gallery video
+let scenes = []; // [{ videoId, weight }] in play order
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     initializeSocketIO();
     loadAvailableVideos();
     loadGeneratedAudio();
+    loadAudioSources();
     setupEventListeners();
+    renderSceneList();
     initializeTooltips();
 });
 
@@ -41,20 +45,26 @@ async function loadAvailableVideos() {
         const videos = await response.json();
 
         const select = document.getElementById('sourceVideo');
+        const sceneSelect = document.getElementById('sceneVideo');
 
         if (videos.length === 0) {
             select.innerHTML = '<option value="">No videos in gallery. Upload videos first.</option>';
+            sceneSelect.innerHTML = select.innerHTML;
             return;
         }
 
         select.innerHTML = '<option value="">Select a video...</option>';
+        sceneSelect.innerHTML = select.innerHTML;
 
         videos.forEach(video => {
+            availableVideos.set(video.id, video);
+
             const option = document.createElement('option');
             option.value = video.id;
             option.textContent = `${video.title} (${formatDuration(video.duration)})`;
             option.dataset.videoData = JSON.stringify(video);
             select.appendChild(option);
+            sceneSelect.appendChild(option.cloneNode(true));
         });
     } catch (error) {
         console.error('Error loading videos:', error);
@@ -69,13 +79,16 @@ async function loadGeneratedAudio() {
         const audioFiles = await response.json();
 
         const select = document.getElementById('generatedAudio');
+        const sourceFilesSelect = document.getElementById('audioSourceFiles');
 
         if (audioFiles.length === 0) {
             select.innerHTML = '<option value="">No generated audio. Generate in Audio Studio first.</option>';
+            sourceFilesSelect.innerHTML = '<option value="" disabled>No generated audio yet</option>';
             return;
         }
 
         select.innerHTML = '<option value="">Select audio...</option>';
+        sourceFilesSelect.innerHTML = '';
 
         audioFiles.forEach(audio => {
             const option = document.createElement('option');
@@ -83,6 +96,7 @@ async function loadGeneratedAudio() {
             option.textContent = `${audio.name} (${formatDuration(audio.duration)})`;
             option.dataset.audioData = JSON.stringify(audio);
             select.appendChild(option);
+            sourceFilesSelect.appendChild(option.cloneNode(true));
         });
     } catch (error) {
         console.error('Error loading audio:', error);
@@ -94,6 +108,26 @@ function setupEventListeners() {
     // Source video selection
     document.getElementById('sourceVideo').addEventListener('change', handleVideoSelection);
 
+    // Single clip or multiple scenes
+    document.querySelectorAll('input[name="videoMode"]').forEach(radio => {
+        radio.addEventListener('change', handleVideoModeChange);
+    });
+
+    // Scenes
+    document.getElementById('add-scene-btn').addEventListener('click', handleAddScene);
+    document.getElementById('sceneOrder').addEventListener('change', (e) => {
+        document.getElementById('scene-seed-group').style.display = e.target.value === 'shuffled' ? 'block' : 'none';
+    });
+    document.getElementById('sceneTransition').addEventListener('change', (e) => {
+        document.getElementById('sceneTransitionDuration').disabled = e.target.value === 'cut';
+    });
+
+    // Render settings
+    document.getElementById('renderRateControl').addEventListener('change', (e) => {
+        document.getElementById('render-crf-group').style.display = e.target.value === 'crf' ? 'block' : 'none';
+        document.getElementById('render-bitrate-group').style.display = e.target.value === 'bitrate' ? 'block' : 'none';
+    });
+
     // Audio source toggle
     document.querySelectorAll('input[name="audioSource"]').forEach(radio => {
         radio.addEventListener('change', handleAudioSourceChange);
@@ -116,6 +150,10 @@ function setupEventListeners() {
 
     // New video button
     document.getElementById('new-video-btn').addEventListener('click', resetForm);
+
+    // Live audio sources
+    document.getElementById('audioSourceImage').addEventListener('change', uploadAudioSourceImage);
+    document.getElementById('audio-source-form').addEventListener('submit', handleSaveAudioSource);
 }
 
 // Handle Video Selection
@@ -134,14 +172,112 @@ function handleVideoSelection(e) {
     const previewSection = document.getElementById('video-preview');
     const player = document.getElementById('preview-player');
 
-    player.src = `/uploads/videos/${video.file_path}`;
+    player.src = video.filepath;
     document.getElementById('preview-duration').textContent = formatDuration(video.duration);
-    document.getElementById('preview-resolution').textContent = `${video.width || '?'}x${video.height || '?'}`;
-    document.getElementById('preview-size').textContent = formatBytes(video.file_size);
+    document.getElementById('preview-resolution').textContent = video.resolution || '?';
+    document.getElementById('preview-size').textContent = formatBytes(video.filesize);
 
     previewSection.style.display = 'block';
 }
 
+// Handle Video Mode Change
+function handleVideoModeChange(e) {
+    const scenesMode = e.target.value === 'scenes';
+
+    document.getElementById('single-clip-section').style.display = scenesMode ? 'none' : 'block';
+    document.getElementById('scenes-section').style.display = scenesMode ? 'block' : 'none';
+    if (scenesMode) {
+        document.getElementById('video-preview').style.display = 'none';
+    } else {
+        handleVideoSelection({ target: document.getElementById('sourceVideo') });
+    }
+}
+
+// Add Scene
+function handleAddScene() {
+    const videoId = document.getElementById('sceneVideo').value;
+    if (!videoId) {
+        showAlert('Please select a video for the scene', 'warning');
+        return;
+    }
+
+    scenes.push({ videoId, weight: 1 });
+    renderSceneList();
+}
+
+// Render Scene List
+function renderSceneList() {
+    const list = document.getElementById('scene-list');
+    list.innerHTML = '';
+
+    if (scenes.length === 0) {
+        list.innerHTML = '<li class="list-group-item small text-muted">No scenes yet. Add clips in the order they should play.</li>';
+        return;
+    }
+
+    const totalWeight = scenes.reduce((sum, scene) => sum + (scene.weight > 0 ? scene.weight : 0), 0);
+
+    scenes.forEach((scene, index) => {
+        const video = availableVideos.get(scene.videoId);
+        const item = document.createElement('li');
+        item.className = 'list-group-item d-flex align-items-center gap-2';
+
+        const title = document.createElement('div');
+        title.className = 'me-auto';
+        title.textContent = `${index + 1}. ${video ? video.title : 'Missing video'}`;
+        const share = document.createElement('div');
+        share.className = 'small text-muted';
+        share.textContent = totalWeight > 0 && scene.weight > 0
+            ? `${Math.round(scene.weight / totalWeight * 100)}% of the video`
+            : 'Weight must be positive';
+        title.appendChild(share);
+
+        const weight = document.createElement('input');
+        weight.type = 'number';
+        weight.className = 'form-control form-control-sm';
+        weight.style.width = '80px';
+        weight.min = '0.1';
+        weight.step = '0.1';
+        weight.value = scene.weight;
+        weight.title = 'Weight';
+        weight.addEventListener('change', (e) => {
+            scene.weight = parseFloat(e.target.value);
+            renderSceneList();
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'btn-group btn-group-sm';
+        actions.append(
+            sceneButton('bi-arrow-up', 'Move up', index === 0, () => moveScene(index, -1)),
+            sceneButton('bi-arrow-down', 'Move down', index === scenes.length - 1, () => moveScene(index, 1)),
+            sceneButton('bi-x-lg', 'Remove', false, () => {
+                scenes.splice(index, 1);
+                renderSceneList();
+            })
+        );
+
+        item.append(title, weight, actions);
+        list.appendChild(item);
+    });
+}
+
+function sceneButton(icon, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-outline-secondary';
+    button.title = title;
+    button.disabled = disabled;
+    button.innerHTML = `<i class="bi ${icon}"></i>`;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function moveScene(index, offset) {
+    const [scene] = scenes.splice(index, 1);
+    scenes.splice(index + offset, 0, scene);
+    renderSceneList();
+}
+
 // Handle Audio Source Change
 function handleAudioSourceChange(e) {
     const value = e.target.value;
@@ -160,12 +296,18 @@ async function handleAssemble(e) {
     e.preventDefault();
 
     const sourceVideoId = document.getElementById('sourceVideo').value;
+    const scenesMode = document.querySelector('input[name="videoMode"]:checked').value === 'scenes';
     const audioSource = document.querySelector('input[name="audioSource"]:checked').value;
     const loopType = document.getElementById('loopType').value;
     const outputName = document.getElementById('outputName').value;
 
     // Validation
-    if (!sourceVideoId) {
+    if (scenesMode && scenes.length === 0) {
+        showAlert('Please add at least one scene', 'warning');
+        return;
+    }
+
+    if (!scenesMode && !sourceVideoId) {
         showAlert('Please select a source video', 'warning');
         return;
     }
@@ -196,21 +338,38 @@ async function handleAssemble(e) {
     startTime = Date.now();
     updateElapsedTime();
 
+    const body = {
+        audioPath,
+        loopType,
+        render: getRenderSettings(),
+        outputName: outputName || null
+    };
+
+    if (scenesMode) {
+        const seed = document.getElementById('sceneSeed').value;
+        Object.assign(body, {
+            scenes,
+            order: document.getElementById('sceneOrder').value,
+            seed: seed === '' ? undefined : parseInt(seed),
+            transition: document.getElementById('sceneTransition').value,
+            transitionDuration: parseFloat(document.getElementById('sceneTransitionDuration').value)
+        });
+    } else {
+        body.videoId = sourceVideoId;
+    }
+
     try {
         const response = await fetch('/api/video/assemble', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                videoId: parseInt(sourceVideoId),
-                audioPath,
-                loopType,
-                outputName: outputName || null
-            })
+            body: JSON.stringify(body)
         });
 
         const data = await response.json();
 
-        if (data.status === 'queued') {
+        if (data.success === false) {
+            throw new Error(data.error || 'Unknown error');
+        } else if (data.status === 'queued') {
             currentJobId = data.jobId;
             socket.emit('subscribe:job', { jobId: data.jobId });
             updateProgress(0, 'Job queued...');
@@ -224,6 +383,23 @@ async function handleAssemble(e) {
     }
 }
 
+// Render Settings From The Form
+function getRenderSettings() {
+    const value = (id) => document.getElementById(id).value;
+    const rateControl = value('renderRateControl');
+
+    return {
+        mode: value('renderMode'),
+        resolution: value('renderResolution'),
+        codec: value('renderCodec'),
+        rateControl,
+        crf: rateControl === 'crf' && value('renderCrf') !== '' ? parseInt(value('renderCrf')) : null,
+        bitrate: rateControl === 'bitrate' ? parseInt(value('renderBitrate')) : null,
+        fps: value('renderFps'),
+        keyframeInterval: value('renderKeyframeInterval') === '' ? null : parseFloat(value('renderKeyframeInterval'))
+    };
+}
+
 // Update Progress
 function updateProgress(progress, message) {
     const progressBar = document.getElementById('progress-bar');
@@ -265,8 +441,35 @@ function handleAssemblyComplete(result) {
     document.getElementById('result-video-size').textContent = formatBytes(result.fileSize);
     document.getElementById('result-video-duration').textContent = formatDuration(result.duration);
     document.getElementById('result-video-time').textContent = `${result.generationTime}s`;
+    renderResultSettings(result.render);
+
+    // A shuffled order can be rendered again from its seed
+    const seedNote = result.seed !== null && result.seed !== undefined ? ` Shuffle seed: ${result.seed}` : '';
+    showAlert(`Video assembled successfully!${seedNote}`, 'success');
+}
+
+// Show Whether The Video Was Copied Or Encoded, And Why
+function renderResultSettings(render) {
+    const summary = document.getElementById('result-video-render');
+    const reasons = document.getElementById('result-render-reasons');
+    reasons.innerHTML = '';
+
+    if (!render) {
+        summary.textContent = '-';
+        return;
+    }
 
-    showAlert('Video assembled successfully!', 'success');
+    const { target } = render;
+    summary.textContent = render.copy
+        ? 'Stream copy'
+        : `${target.codec.toUpperCase()} ${target.width}x${target.height} @ ${target.fps}fps`;
+
+    (render.reasons || []).forEach(reason => {
+        const line = document.createElement('div');
+        line.className = 'small';
+        line.textContent = `• ${reason}`;
+        reasons.appendChild(line);
+    });
 }
 
 // Handle Assembly Error
@@ -294,11 +497,162 @@ function resetForm() {
     document.getElementById('video-config-form').reset();
     document.getElementById('video-preview').style.display = 'none';
 
+    // Reset scenes
+    scenes = [];
+    renderSceneList();
+    document.getElementById('single-clip-section').style.display = 'block';
+    document.getElementById('scenes-section').style.display = 'none';
+    document.getElementById('scene-seed-group').style.display = 'none';
+    document.getElementById('sceneTransitionDuration').disabled = false;
+
+    // Reset render settings
+    document.getElementById('render-crf-group').style.display = 'block';
+    document.getElementById('render-bitrate-group').style.display = 'none';
+
     // Reset loop type selection
     document.querySelectorAll('.loop-type-card').forEach(c => c.classList.remove('selected'));
     document.querySelector('[data-loop-type="ping-pong"]').classList.add('selected');
 }
 
+// Load Live Audio Sources
+async function loadAudioSources() {
+    try {
+        const response = await fetch('/api/audio/sources');
+        const sources = await response.json();
+
+        const list = document.getElementById('audio-source-list');
+        list.innerHTML = '';
+
+        if (sources.length === 0) {
+            list.innerHTML = '<li class="list-group-item small text-muted">No audio sources saved yet</li>';
+            return;
+        }
+
+        sources.forEach(source => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex justify-content-between align-items-center';
+
+            const details = document.createElement('div');
+            const title = document.createElement('div');
+            title.className = 'fw-semibold';
+            title.textContent = source.title;
+            const meta = document.createElement('div');
+            meta.className = 'small text-muted';
+            const picture = [source.image_path ? 'image' : null, source.visualizer !== 'none' ? source.visualizer : null]
+                .filter(Boolean)
+                .join(' + ');
+            const audio = source.mode === 'generative' ? 'Live generative mix' : `${source.audio_files.length} track(s)`;
+            meta.textContent = `${audio} • ${picture}`;
+            details.append(title, meta);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-sm btn-outline-danger';
+            deleteBtn.innerHTML = '<i class="bi bi-trash"></i>';
+            deleteBtn.addEventListener('click', () => deleteAudioSource(source.id));
+
+            item.append(details, deleteBtn);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading audio sources:', error);
+    }
+}
+
+// Upload Audio Source Image
+async function uploadAudioSourceImage(e) {
+    const file = e.target.files[0];
+    const pathInput = document.getElementById('audioSourceImagePath');
+    pathInput.value = '';
+
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('image', file);
+
+    try {
+        const response = await fetch('/api/audio/sources/image', {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        pathInput.value = data.path;
+    } catch (error) {
+        e.target.value = '';
+        showAlert(`Image upload failed: ${error.message}`, 'danger');
+    }
+}
+
+// Save Audio Source
+async function handleSaveAudioSource(e) {
+    e.preventDefault();
+
+    const title = document.getElementById('audioSourceTitle').value.trim();
+    const audioFiles = Array.from(document.getElementById('audioSourceFiles').selectedOptions)
+        .map(option => option.value)
+        .filter(Boolean);
+    const imagePath = document.getElementById('audioSourceImagePath').value;
+    const visualizer = document.getElementById('audioSourceVisualizer').value;
+
+    if (audioFiles.length === 0) {
+        showAlert('Please select at least one generated audio file', 'warning');
+        return;
+    }
+
+    if (!imagePath && visualizer === 'none') {
+        showAlert('Please upload an image or choose a visualizer', 'warning');
+        return;
+    }
+
+    const saveBtn = document.getElementById('save-audio-source-btn');
+    saveBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/audio/sources', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title, audioFiles, imagePath: imagePath || null, visualizer })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        document.getElementById('audio-source-form').reset();
+        document.getElementById('audioSourceImagePath').value = '';
+        showAlert('Audio source saved. Select it as a stream source on the dashboard.', 'success');
+        loadAudioSources();
+    } catch (error) {
+        showAlert(`Failed to save audio source: ${error.message}`, 'danger');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Delete Audio Source
+async function deleteAudioSource(id) {
+    if (!confirm('Delete this audio source? Streams using it will no longer start.')) return;
+
+    try {
+        const response = await fetch(`/api/audio/sources/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        loadAudioSources();
+    } catch (error) {
+        showAlert(`Failed to delete audio source: ${error.message}`, 'danger');
+    }
+}
+
 // Utilities
 function formatBytes(bytes) {
     if (bytes < 1024) return bytes + ' B';
@@ -0,0 +1,391 @@
+// Release Calendar Client-Side Logic
+
+const STATUS_STYLES = {
+    pending: 'bg-secondary',
+    uploading: 'bg-info text-dark',
+    scheduled: 'bg-primary',
+    published: 'bg-success',
+    failed: 'bg-danger'
+};
+const STATUS_LABELS = {
+    pending: 'Waiting',
+    uploading: 'Uploading',
+    scheduled: 'Scheduled on YouTube',
+    published: 'Published',
+    failed: 'Failed'
+};
+
+// State
+let monthStart = new Date();
+let channels = [];
+let cadences = [];
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    monthStart = new Date(monthStart.getFullYear(), monthStart.getMonth(), 1);
+    document.getElementById('cadenceTimezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    setupEventListeners();
+    loadCadences();
+    loadCalendar();
+});
+
+// Setup Event Listeners
+function setupEventListeners() {
+    document.getElementById('prev-month-btn').addEventListener('click', () => changeMonth(-1));
+    document.getElementById('next-month-btn').addEventListener('click', () => changeMonth(1));
+
+    document.getElementById('cadence-form').addEventListener('submit', handleSaveCadence);
+    document.getElementById('remove-cadence-btn').addEventListener('click', handleRemoveCadence);
+    document.getElementById('cadenceChannel').addEventListener('change', fillCadenceForm);
+    document.getElementById('cadenceType').addEventListener('change', updateCadenceFields);
+}
+
+function changeMonth(offset) {
+    monthStart = new Date(monthStart.getFullYear(), monthStart.getMonth() + offset, 1);
+    loadCalendar();
+}
+
+// Load Releases And Open Slots Of The Shown Weeks
+async function loadCalendar() {
+    // The grid runs Monday to Sunday over six weeks
+    const gridStart = new Date(monthStart);
+    gridStart.setDate(gridStart.getDate() - ((gridStart.getDay() + 6) % 7));
+    const gridEnd = new Date(gridStart);
+    gridEnd.setDate(gridEnd.getDate() + 42);
+
+    document.getElementById('calendar-month').textContent =
+        monthStart.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+    try {
+        const params = new URLSearchParams({ from: gridStart.toISOString(), until: gridEnd.toISOString() });
+        const response = await fetch(`/api/youtube/releases?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        renderCalendar(gridStart, data.releases, data.openSlots);
+        renderReleaseList(data.releases.filter(release => {
+            const date = new Date(release.release_at);
+            return date.getMonth() === monthStart.getMonth() && date.getFullYear() === monthStart.getFullYear();
+        }));
+    } catch (error) {
+        console.error('Error loading releases:', error);
+        showAlert(`Failed to load releases: ${error.message}`, 'danger');
+    }
+}
+
+// Render Month Grid
+function renderCalendar(gridStart, releases, openSlots) {
+    const calendar = document.getElementById('release-calendar');
+    calendar.innerHTML = '';
+
+    ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].forEach(name => {
+        const weekday = document.createElement('div');
+        weekday.className = 'calendar-weekday';
+        weekday.textContent = name;
+        calendar.appendChild(weekday);
+    });
+
+    const timeOptions = { hour: '2-digit', minute: '2-digit' };
+    const today = new Date().toDateString();
+
+    for (let i = 0; i < 42; i++) {
+        const day = new Date(gridStart);
+        day.setDate(day.getDate() + i);
+
+        const cell = document.createElement('div');
+        cell.className = 'calendar-day';
+        if (day.getMonth() !== monthStart.getMonth()) cell.classList.add('other-month');
+        if (day.toDateString() === today) cell.classList.add('today');
+
+        const number = document.createElement('div');
+        number.className = 'fw-semibold';
+        number.textContent = day.getDate();
+        cell.appendChild(number);
+
+        releases
+            .filter(release => new Date(release.release_at).toDateString() === day.toDateString())
+            .forEach(release => {
+                const badge = document.createElement('span');
+                badge.className = `badge ${STATUS_STYLES[release.status] || 'bg-secondary'}`;
+                badge.title = `${release.project_name || 'Project'} on ${release.channel_title || 'channel'}: ${STATUS_LABELS[release.status] || release.status}`;
+                badge.textContent = `${new Date(release.release_at).toLocaleTimeString(undefined, timeOptions)} ${release.project_name || 'Project'}`;
+                cell.appendChild(badge);
+            });
+
+        openSlots
+            .filter(slot => new Date(slot.start).toDateString() === day.toDateString())
+            .forEach(slot => {
+                const badge = document.createElement('span');
+                badge.className = 'badge border border-secondary text-secondary';
+                badge.title = `Open slot on ${slot.channelTitle}`;
+                badge.textContent = `${new Date(slot.start).toLocaleTimeString(undefined, timeOptions)} ${slot.channelTitle}`;
+                cell.appendChild(badge);
+            });
+
+        calendar.appendChild(cell);
+    }
+}
+
+// Render Release List With Actions
+function renderReleaseList(releases) {
+    const list = document.getElementById('release-list');
+    list.innerHTML = '';
+
+    if (releases.length === 0) {
+        list.innerHTML = '<li class="list-group-item text-muted small">No releases this month</li>';
+        return;
+    }
+
+    releases.forEach(release => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item d-flex align-items-center';
+
+        const info = document.createElement('div');
+        info.className = 'me-auto';
+        const title = document.createElement('div');
+        title.className = 'fw-semibold';
+        title.textContent = release.project_name || `Project ${release.project_id}`;
+        const meta = document.createElement('div');
+        meta.className = 'small text-muted';
+        meta.textContent = `${new Date(release.release_at).toLocaleString()} • ${release.channel_title || 'Channel'} • ` +
+            (release.mode === 'hold' ? 'held until then' : 'YouTube publishes');
+        info.append(title, meta);
+        if (release.error) {
+            const error = document.createElement('div');
+            error.className = 'small text-danger';
+            error.textContent = release.error;
+            info.appendChild(error);
+        }
+
+        const status = document.createElement('span');
+        status.className = `badge ${STATUS_STYLES[release.status] || 'bg-secondary'} me-2`;
+        status.textContent = STATUS_LABELS[release.status] || release.status;
+
+        const actions = document.createElement('div');
+        actions.className = 'btn-group btn-group-sm';
+        if (release.youtube_video_id) {
+            const watch = document.createElement('a');
+            watch.className = 'btn btn-outline-secondary';
+            watch.href = `https://www.youtube.com/watch?v=${encodeURIComponent(release.youtube_video_id)}`;
+            watch.target = '_blank';
+            watch.title = 'Open on YouTube';
+            watch.innerHTML = '<i class="bi bi-box-arrow-up-right"></i>';
+            actions.appendChild(watch);
+        }
+        if (release.status === 'failed') {
+            actions.appendChild(actionButton('bi-arrow-repeat', 'Retry', () => retryRelease(release)));
+        }
+        if (['pending', 'failed'].includes(release.status)) {
+            actions.appendChild(actionButton('bi-x-lg', 'Cancel', () => cancelRelease(release), 'btn-outline-danger'));
+        }
+
+        item.append(info, status, actions);
+        list.appendChild(item);
+    });
+}
+
+function actionButton(icon, title, onClick, style = 'btn-outline-secondary') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn ${style}`;
+    button.title = title;
+    button.innerHTML = `<i class="bi ${icon}"></i>`;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+async function cancelRelease(release) {
+    if (!confirm(`Cancel the release of "${release.project_name}"?`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/youtube/releases/${release.id}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showAlert('Release cancelled', 'info');
+        loadCalendar();
+    } catch (error) {
+        showAlert(`Cancel failed: ${error.message}`, 'danger');
+    }
+}
+
+async function retryRelease(release) {
+    try {
+        const response = await fetch(`/api/youtube/releases/${release.id}/retry`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showAlert('Release queued again', 'success');
+        loadCalendar();
+    } catch (error) {
+        showAlert(`Retry failed: ${error.message}`, 'danger');
+    }
+}
+
+// Load Channels And Their Cadences
+async function loadCadences() {
+    try {
+        const [statusResponse, cadenceResponse] = await Promise.all([
+            fetch('/api/youtube/status'),
+            fetch('/api/youtube/cadences')
+        ]);
+        const status = await statusResponse.json();
+        const cadenceData = await cadenceResponse.json();
+
+        channels = status.channels || [];
+        cadences = cadenceData.cadences || [];
+
+        const select = document.getElementById('cadenceChannel');
+        select.innerHTML = '';
+        if (channels.length === 0) {
+            select.innerHTML = '<option value="">Connect a channel in the YouTube Publisher first</option>';
+            return;
+        }
+
+        channels.forEach(channel => {
+            const option = document.createElement('option');
+            option.value = channel.id;
+            const cadence = cadences.find(entry => entry.channel_id === channel.id);
+            option.textContent = `${channel.title || channel.channelId}${cadence ? ` (${describeCadence(cadence)})` : ''}`;
+            select.appendChild(option);
+        });
+
+        fillCadenceForm();
+    } catch (error) {
+        console.error('Error loading cadences:', error);
+        showAlert('Failed to load channel cadences', 'danger');
+    }
+}
+
+function describeCadence(cadence) {
+    if (!cadence.enabled) return 'paused';
+    if (cadence.recurrence_type === 'cron') return cadence.cron_expression;
+    if (cadence.recurrence_type === 'weekly') {
+        const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        return `${cadence.days_of_week.map(day => names[day]).join(', ')} at ${cadence.start_time}`;
+    }
+    return `daily at ${cadence.start_time}`;
+}
+
+// Show The Selected Channel's Cadence In The Form
+function fillCadenceForm() {
+    const channelId = document.getElementById('cadenceChannel').value;
+    const cadence = cadences.find(entry => entry.channel_id === channelId);
+
+    document.getElementById('cadenceType').value = cadence ? cadence.recurrence_type : 'daily';
+    document.getElementById('cadenceTime').value = (cadence && cadence.start_time) || '18:00';
+    document.getElementById('cadenceCron').value = (cadence && cadence.cron_expression) || '';
+    document.getElementById('cadenceTimezone').value = cadence ? cadence.timezone : Intl.DateTimeFormat().resolvedOptions().timeZone;
+    document.getElementById('cadenceExceptions').value = cadence ? cadence.exceptions.join(', ') : '';
+    document.querySelectorAll('.cadence-day').forEach(box => {
+        box.checked = Boolean(cadence && cadence.days_of_week.includes(parseInt(box.value)));
+    });
+    document.getElementById('remove-cadence-btn').disabled = !cadence;
+
+    updateCadenceFields();
+}
+
+function updateCadenceFields() {
+    const type = document.getElementById('cadenceType').value;
+    document.getElementById('cadence-time-group').style.display = type === 'cron' ? 'none' : 'block';
+    document.getElementById('cadence-days-group').style.display = type === 'weekly' ? 'block' : 'none';
+    document.getElementById('cadence-cron-group').style.display = type === 'cron' ? 'block' : 'none';
+}
+
+async function handleSaveCadence(e) {
+    e.preventDefault();
+
+    const channelId = document.getElementById('cadenceChannel').value;
+    if (!channelId) return;
+
+    const saveBtn = document.getElementById('save-cadence-btn');
+    saveBtn.disabled = true;
+
+    try {
+        const response = await fetch(`/api/youtube/channels/${encodeURIComponent(channelId)}/cadence`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                type: document.getElementById('cadenceType').value,
+                startTime: document.getElementById('cadenceTime').value,
+                daysOfWeek: [...document.querySelectorAll('.cadence-day:checked')].map(box => parseInt(box.value)),
+                cronExpression: document.getElementById('cadenceCron').value,
+                timezone: document.getElementById('cadenceTimezone').value.trim(),
+                exceptions: document.getElementById('cadenceExceptions').value
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showAlert('Cadence saved', 'success');
+        await loadCadences();
+        document.getElementById('cadenceChannel').value = channelId;
+        fillCadenceForm();
+        loadCalendar();
+    } catch (error) {
+        showAlert(`Save failed: ${error.message}`, 'danger');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+async function handleRemoveCadence() {
+    const channelId = document.getElementById('cadenceChannel').value;
+    if (!channelId || !confirm('Remove this channel\'s cadence? Planned releases are kept.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/youtube/channels/${encodeURIComponent(channelId)}/cadence`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showAlert('Cadence removed', 'info');
+        await loadCadences();
+        document.getElementById('cadenceChannel').value = channelId;
+        fillCadenceForm();
+        loadCalendar();
+    } catch (error) {
+        showAlert(`Remove failed: ${error.message}`, 'danger');
+    }
+}
+
+// Utilities
+function showAlert(message, type) {
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 start-50 translate-middle-x mt-3`;
+    alert.style.zIndex = '9999';
+    alert.role = 'alert';
+    alert.textContent = message;
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'btn-close';
+    close.dataset.bsDismiss = 'alert';
+    alert.appendChild(close);
+
+    document.body.appendChild(alert);
+
+    // Auto dismiss after 5 seconds
+    setTimeout(() => {
+        alert.remove();
+    }, 5000);
+}
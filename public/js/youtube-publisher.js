@@ -1,12 +1,30 @@
 // YouTube Publisher Client-Side Logic
 
-let channelInfo = null;
+let channels = [];
 let currentProjectId = null;
+let uploadPollTimer = null;
+
+const UPLOAD_POLL_MS = 5000;
+const UPLOAD_STATUS = {
+    pending: { label: 'Starting', style: 'bg-secondary' },
+    uploading: { label: 'Uploading', style: 'bg-info text-dark' },
+    retrying: { label: 'Waiting to resume', style: 'bg-warning text-dark' },
+    completed: { label: 'Uploaded', style: 'bg-success' },
+    failed: { label: 'Failed', style: 'bg-danger' }
+};
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     checkYouTubeConnection();
     setupEventListeners();
+
+    // Result of the OAuth callback
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('connected')) {
+        showAlert('YouTube channel connected', 'success');
+    } else if (params.get('error')) {
+        showAlert(`Connecting YouTube failed: ${params.get('error')}`, 'danger');
+    }
 });
 
 // Check YouTube Connection Status
@@ -16,9 +34,11 @@ async function checkYouTubeConnection() {
         const data = await response.json();
 
         if (data.connected) {
-            showConnectedState(data.channel);
+            showConnectedState(data.channels);
             loadProjects();
+            loadThumbnailOptions();
             loadRecentUploads();
+            loadUploadJobs();
             document.getElementById('publisher-panel').style.display = 'block';
         } else {
             showNotConnectedState();
@@ -31,16 +51,88 @@ async function checkYouTubeConnection() {
 }
 
 // Show Connected State
-function showConnectedState(channel) {
-    channelInfo = channel;
+function showConnectedState(list) {
+    channels = list;
 
     document.getElementById('not-connected-state').style.display = 'none';
     document.getElementById('connected-state').style.display = 'block';
 
-    document.getElementById('channel-thumbnail').src = channel.thumbnailUrl;
-    document.getElementById('channel-title').textContent = channel.title;
-    document.getElementById('channel-subscribers').textContent = formatNumber(channel.subscriberCount);
-    document.getElementById('channel-videos').textContent = formatNumber(channel.videoCount);
+    renderChannelList();
+    renderChannelSelect();
+}
+
+// One Row Per Connected Channel
+function renderChannelList() {
+    const container = document.getElementById('channel-list');
+    container.innerHTML = '';
+
+    channels.forEach(channel => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item d-flex align-items-center';
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'rounded-circle me-3';
+        thumbnail.width = 48;
+        thumbnail.height = 48;
+        thumbnail.alt = 'Channel';
+        if (channel.thumbnailUrl) thumbnail.src = channel.thumbnailUrl;
+
+        const info = document.createElement('div');
+        info.className = 'me-auto';
+        const title = document.createElement('div');
+        title.className = 'fw-semibold';
+        title.textContent = channel.title || channel.channelId;
+        if (channel.isDefault) {
+            const badge = document.createElement('span');
+            badge.className = 'badge bg-primary ms-2';
+            badge.textContent = 'Default';
+            title.appendChild(badge);
+        }
+        const meta = document.createElement('div');
+        meta.className = channel.error ? 'small text-danger' : 'small text-muted';
+        meta.textContent = channel.error
+            ? channel.error
+            : `${formatNumber(channel.subscriberCount)} subscribers • ${formatNumber(channel.videoCount)} videos`;
+        info.append(title, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'btn-group btn-group-sm';
+        if (channel.error) {
+            actions.appendChild(channelButton('bi-arrow-repeat', 'Reconnect', () => { window.location.href = '/youtube/auth'; }));
+        }
+        if (!channel.isDefault) {
+            actions.appendChild(channelButton('bi-star', 'Make default', () => setDefaultChannel(channel)));
+        }
+        actions.appendChild(channelButton('bi-box-arrow-right', 'Disconnect', () => handleDisconnect(channel), 'btn-outline-danger'));
+
+        item.append(thumbnail, info, actions);
+        container.appendChild(item);
+    });
+}
+
+function channelButton(icon, title, onClick, style = 'btn-outline-secondary') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn ${style}`;
+    button.title = title;
+    button.innerHTML = `<i class="bi ${icon}"></i>`;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Channel Picker, Default Channel Preselected
+function renderChannelSelect() {
+    const select = document.getElementById('channelSelect');
+    select.innerHTML = '';
+
+    channels.forEach(channel => {
+        const option = document.createElement('option');
+        option.value = channel.id;
+        option.textContent = channel.title || channel.channelId;
+        option.disabled = Boolean(channel.error);
+        option.defaultSelected = channel.isDefault;
+        select.appendChild(option);
+    });
 }
 
 // Show Not Connected State
@@ -51,12 +143,23 @@ function showNotConnectedState() {
 
 // Setup Event Listeners
 function setupEventListeners() {
-    // Disconnect YouTube
-    document.getElementById('disconnect-btn').addEventListener('click', handleDisconnect);
+    // Recent uploads follow the chosen channel
+    document.getElementById('channelSelect').addEventListener('change', loadRecentUploads);
+
+    // Release timing
+    document.getElementById('releaseMode').addEventListener('change', handleReleaseModeChange);
+    document.getElementById('next-slot-btn').addEventListener('click', fillNextSlot);
 
     // Project selection
     document.getElementById('projectSelect').addEventListener('change', handleProjectSelection);
 
+    // Thumbnail designer
+    document.getElementById('thumbFrame').addEventListener('input', (e) => {
+        document.getElementById('thumb-frame-value').textContent = formatDuration(e.target.value);
+    });
+    document.getElementById('render-thumbnail-btn').addEventListener('click', renderThumbnail);
+    document.getElementById('remove-thumbnail-btn').addEventListener('click', removeThumbnail);
+
     // Publish form
     document.getElementById('publish-form').addEventListener('submit', handlePublish);
 
@@ -105,6 +208,7 @@ function handleProjectSelection(e) {
     if (!option.dataset.projectData) {
         document.getElementById('video-preview-section').style.display = 'none';
         document.getElementById('metadata-summary').style.display = 'none';
+        document.getElementById('thumbnail-section').style.display = 'none';
         return;
     }
 
@@ -113,13 +217,8 @@ function handleProjectSelection(e) {
 
     // Show video preview
     if (project.video_output_path) {
-        const videoPath = project.video_output_path.replace(/\\/g, '/');
-        const relativePath = videoPath.includes('video-output')
-            ? '/video-output/' + videoPath.split('video-output/')[1]
-            : videoPath;
-
         const player = document.getElementById('preview-player');
-        player.src = relativePath;
+        player.src = toPublicPath(project.video_output_path);
 
         document.getElementById('preview-duration').textContent = formatDuration(project.audio_duration);
         document.getElementById('preview-size').textContent = '-'; // Will be loaded from metadata
@@ -157,6 +256,131 @@ function handleProjectSelection(e) {
     `;
         document.getElementById('metadata-summary').style.display = 'block';
     }
+
+    showThumbnailDesigner(project);
+}
+
+// Thumbnail Designer
+async function loadThumbnailOptions() {
+    try {
+        const response = await fetch('/api/youtube/thumbnail-options');
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        fillSelect(document.getElementById('thumbTemplate'), data.templates);
+        fillSelect(document.getElementById('thumbFont'), data.fonts);
+    } catch (error) {
+        console.error('Error loading thumbnail options:', error);
+    }
+}
+
+function fillSelect(select, options) {
+    select.innerHTML = '';
+    options.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.label;
+        select.appendChild(option);
+    });
+}
+
+// Load The Project's Last Design, Or Defaults From Its Metadata
+function showThumbnailDesigner(project) {
+    const design = project.youtube_thumbnail_design || {};
+    const metadata = project.youtube_metadata
+        ? (typeof project.youtube_metadata === 'string' ? JSON.parse(project.youtube_metadata) : project.youtube_metadata)
+        : {};
+    const duration = Math.max(0, Math.floor(project.audio_duration || 0) - 1);
+    const frameTime = design.frameTime !== undefined ? design.frameTime : Math.floor(duration * 0.1);
+
+    document.getElementById('thumbTitle').value = design.title || metadata.title || project.name;
+    if (design.template) document.getElementById('thumbTemplate').value = design.template;
+    if (design.font) document.getElementById('thumbFont').value = design.font;
+    document.getElementById('thumbColor').value = design.color || '#ffffff';
+
+    const frame = document.getElementById('thumbFrame');
+    frame.max = duration;
+    frame.value = Math.min(frameTime, duration);
+    document.getElementById('thumb-frame-value').textContent = formatDuration(frame.value);
+
+    showThumbnailPreview(project.youtube_thumbnail_path ? toPublicPath(project.youtube_thumbnail_path) : null);
+    document.getElementById('thumbnail-section').style.display = 'block';
+}
+
+function showThumbnailPreview(url, size = null) {
+    const preview = document.getElementById('thumbnail-preview');
+    preview.style.display = url ? 'block' : 'none';
+    document.getElementById('thumbnail-empty').style.display = url ? 'none' : 'flex';
+    document.getElementById('remove-thumbnail-btn').disabled = !url;
+    document.getElementById('thumbnail-info').textContent = size ? `1280x720 JPEG, ${Math.round(size / 1024)} KB` : '';
+    if (url) {
+        preview.src = url;
+    } else {
+        preview.removeAttribute('src');
+    }
+}
+
+async function renderThumbnail() {
+    const renderBtn = document.getElementById('render-thumbnail-btn');
+    renderBtn.disabled = true;
+    renderBtn.innerHTML = '<span class="spinner-border spinner-border-sm"></span> Rendering...';
+
+    try {
+        const response = await fetch(`/api/youtube/projects/${currentProjectId}/thumbnail`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                title: document.getElementById('thumbTitle').value,
+                template: document.getElementById('thumbTemplate').value,
+                font: document.getElementById('thumbFont').value,
+                color: document.getElementById('thumbColor').value,
+                frameTime: parseFloat(document.getElementById('thumbFrame').value)
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showThumbnailPreview(data.thumbnail.url, data.thumbnail.size);
+        updateProjectOption(currentProjectId, {
+            youtube_thumbnail_path: data.thumbnail.path,
+            youtube_thumbnail_design: data.thumbnail.design
+        });
+    } catch (error) {
+        showAlert(`Thumbnail failed: ${error.message}`, 'danger');
+    } finally {
+        renderBtn.disabled = false;
+        renderBtn.innerHTML = '<i class="bi bi-brush"></i> Render Thumbnail';
+    }
+}
+
+async function removeThumbnail() {
+    try {
+        const response = await fetch(`/api/youtube/projects/${currentProjectId}/thumbnail`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showThumbnailPreview(null);
+        updateProjectOption(currentProjectId, { youtube_thumbnail_path: null });
+    } catch (error) {
+        showAlert(`Remove failed: ${error.message}`, 'danger');
+    }
+}
+
+// Keep The Project Data Of The Picker In Sync
+function updateProjectOption(projectId, changes) {
+    const option = document.querySelector(`#projectSelect option[value="${projectId}"]`);
+    if (!option || !option.dataset.projectData) return;
+
+    option.dataset.projectData = JSON.stringify({ ...JSON.parse(option.dataset.projectData), ...changes });
 }
 
 // Handle Publish
@@ -168,6 +392,12 @@ async function handlePublish(e) {
         return;
     }
 
+    const releaseMode = document.getElementById('releaseMode').value;
+    if (releaseMode !== 'now') {
+        await scheduleRelease(releaseMode);
+        return;
+    }
+
     // Show progress card
     document.getElementById('upload-progress-card').style.display = 'block';
     document.getElementById('success-card').style.display = 'none';
@@ -180,7 +410,8 @@ async function handlePublish(e) {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                projectId: currentProjectId
+                projectId: currentProjectId,
+                channelId: document.getElementById('channelSelect').value
             })
         });
 
@@ -195,19 +426,30 @@ async function handlePublish(e) {
             const socket = io();
             socket.emit('subscribe:job', { jobId: data.jobId });
 
+            // The socket and the status check below may both report the end
+            let finished = false;
+            const finish = (handler) => {
+                if (finished) return;
+                finished = true;
+                socket.disconnect();
+                handler();
+            };
+
             socket.on('job:progress', (progress) => {
                 updateProgress(progress.progress, progress.message, progress.details);
             });
 
             socket.on('job:completed', (result) => {
-                handleUploadSuccess(result.result);
-                socket.disconnect();
+                finish(() => handleUploadSuccess(result.result));
             });
 
             socket.on('job:failed', (error) => {
-                handleUploadError(error.error);
-                socket.disconnect();
+                finish(() => handleUploadError(error.error));
             });
+
+            // A short upload may have ended before the subscription
+            loadUploadJobs();
+            checkFinishedUpload(data.jobId, finish);
         } else {
             // Direct upload completed
             handleUploadSuccess(data.result);
@@ -217,6 +459,84 @@ async function handlePublish(e) {
     }
 }
 
+async function checkFinishedUpload(jobId, finish) {
+    try {
+        const response = await fetch(`/api/youtube/uploads/${encodeURIComponent(jobId)}`);
+        const data = await response.json();
+        if (!data.success) return;
+
+        if (data.upload.status === 'completed') {
+            finish(() => handleUploadSuccess(data.upload.result));
+        } else if (data.upload.status === 'failed') {
+            finish(() => handleUploadError(data.upload.error));
+        }
+    } catch (error) {
+        console.error('Error checking upload:', error);
+    }
+}
+
+// Release Timing Options
+function handleReleaseModeChange(e) {
+    const mode = e.target.value;
+    document.getElementById('release-time-group').style.display = mode === 'now' ? 'none' : 'block';
+    document.getElementById('release-mode-help').textContent = mode === 'publish_at'
+        ? 'The video is uploaded as private now and YouTube makes it public at this time (at least 15 minutes ahead). Leave empty for the next free cadence slot.'
+        : 'The video stays here and is uploaded with its metadata privacy at this time. Leave empty for the next free cadence slot.';
+}
+
+async function fillNextSlot() {
+    const channelId = document.getElementById('channelSelect').value;
+
+    try {
+        const response = await fetch(`/api/youtube/channels/${encodeURIComponent(channelId)}/next-slot`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+        if (!data.slot) {
+            showAlert('This channel has no release cadence yet. Set one in the Release Calendar.', 'info');
+            return;
+        }
+
+        document.getElementById('releaseAt').value = toDateTimeLocal(new Date(data.slot));
+    } catch (error) {
+        showAlert(`Failed to find the next slot: ${error.message}`, 'danger');
+    }
+}
+
+// Plan A Release Instead Of Publishing Now
+async function scheduleRelease(mode) {
+    const releaseAt = document.getElementById('releaseAt').value;
+    const publishBtn = document.getElementById('publish-btn');
+    publishBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/youtube/releases', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                projectId: currentProjectId,
+                channelId: document.getElementById('channelSelect').value,
+                mode,
+                releaseAt: releaseAt ? new Date(releaseAt).toISOString() : null
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showAlert(`Release planned for ${new Date(data.release.release_at).toLocaleString()}. Track it in the Release Calendar.`, 'success');
+        resetForm();
+    } catch (error) {
+        showAlert(`Scheduling failed: ${error.message}`, 'danger');
+    } finally {
+        publishBtn.disabled = false;
+    }
+}
+
 // Update Progress
 function updateProgress(progress, message, details = null) {
     const progressBar = document.getElementById('upload-progress-bar');
@@ -241,12 +561,25 @@ function handleUploadSuccess(result) {
     // Set result details
     document.getElementById('watch-btn').href = result.url;
     document.getElementById('result-video-id').textContent = result.videoId;
+    document.getElementById('result-channel').textContent = result.channelTitle || '-';
+    document.getElementById('result-thumbnail').textContent = result.thumbnailSet
+        ? 'Custom'
+        : (result.thumbnailError ? 'Not set' : 'Chosen by YouTube');
     document.getElementById('result-status').textContent = result.privacyStatus.toUpperCase();
 
-    showAlert('🎉 Video published to YouTube successfully!', 'success');
+    const playlistErrors = result.playlistErrors || [];
+    if (result.thumbnailError) {
+        showAlert(`Video published, but its thumbnail was not set: ${result.thumbnailError}`, 'warning');
+    } else if (playlistErrors.length > 0) {
+        const names = playlistErrors.map(entry => `${entry.title || entry.playlistId} (${entry.error})`).join(', ');
+        showAlert(`Video published, but it was not added to: ${names}`, 'warning');
+    } else {
+        showAlert('🎉 Video published to YouTube successfully!', 'success');
+    }
 
     // Reload recent uploads
     loadRecentUploads();
+    loadUploadJobs();
 }
 
 // Handle Upload Error
@@ -255,23 +588,153 @@ function handleUploadError(error) {
     document.getElementById('publish-btn').disabled = false;
 
     showAlert(`Upload failed: ${error}`, 'danger');
+    loadUploadJobs();
+}
+
+// Upload Jobs, Polled While Any Is Running
+async function loadUploadJobs() {
+    clearTimeout(uploadPollTimer);
+
+    try {
+        const response = await fetch('/api/youtube/uploads');
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        renderUploadJobs(data.uploads);
+
+        if (data.uploads.some(upload => ['pending', 'uploading', 'retrying'].includes(upload.status))) {
+            uploadPollTimer = setTimeout(loadUploadJobs, UPLOAD_POLL_MS);
+        }
+    } catch (error) {
+        console.error('Error loading uploads:', error);
+    }
+}
+
+function renderUploadJobs(uploads) {
+    const list = document.getElementById('upload-jobs');
+    list.innerHTML = '';
+    document.getElementById('upload-jobs-card').style.display = uploads.length > 0 ? 'block' : 'none';
+
+    uploads.slice(0, 5).forEach(upload => {
+        const status = UPLOAD_STATUS[upload.status] || { label: upload.status, style: 'bg-secondary' };
+        const item = document.createElement('li');
+        item.className = 'list-group-item small';
+
+        const header = document.createElement('div');
+        header.className = 'd-flex align-items-center mb-1';
+        const title = document.createElement('span');
+        title.className = 'fw-semibold me-auto text-truncate';
+        title.textContent = upload.projectName || `Project ${upload.projectId}`;
+        title.title = upload.channelTitle ? `To ${upload.channelTitle}` : '';
+        const badge = document.createElement('span');
+        badge.className = `badge ${status.style} ms-2`;
+        badge.textContent = status.label;
+        header.append(title, badge);
+        if (upload.resumable) {
+            const resumable = document.createElement('span');
+            resumable.className = 'badge bg-light text-dark border ms-1';
+            resumable.title = 'YouTube keeps the bytes sent so far; the upload continues from there';
+            resumable.innerHTML = '<i class="bi bi-arrow-clockwise"></i> Resumable';
+            header.appendChild(resumable);
+        }
+        item.appendChild(header);
+
+        if (upload.status !== 'completed') {
+            const progress = document.createElement('div');
+            progress.className = 'progress mb-1';
+            progress.style.height = '6px';
+            const bar = document.createElement('div');
+            bar.className = `progress-bar ${upload.status === 'failed' ? 'bg-danger' : 'bg-info'}`;
+            bar.style.width = `${upload.progress}%`;
+            progress.appendChild(bar);
+            item.appendChild(progress);
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'text-muted';
+        const parts = [`${formatBytes(upload.bytesUploaded)} / ${formatBytes(upload.bytesTotal)}`];
+        if (upload.status === 'retrying' && upload.nextAttemptAt) {
+            parts.push(`resumes at ${new Date(upload.nextAttemptAt).toLocaleTimeString()} (attempt ${upload.attempts + 1} of ${upload.maxAttempts})`);
+        }
+        if (upload.status === 'completed' && upload.result) {
+            parts.push(upload.result.videoId);
+        }
+        meta.textContent = parts.join(' • ');
+        item.appendChild(meta);
+
+        if (upload.error && upload.status !== 'completed') {
+            const error = document.createElement('div');
+            error.className = upload.status === 'failed' ? 'text-danger' : 'text-muted';
+            error.textContent = upload.error;
+            item.appendChild(error);
+        }
+
+        if (upload.status === 'failed' && !upload.isRelease) {
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.className = 'btn btn-sm btn-outline-secondary mt-1';
+            retry.innerHTML = `<i class="bi bi-arrow-repeat"></i> ${upload.resumable ? 'Resume' : 'Retry'}`;
+            retry.addEventListener('click', () => retryUpload(upload));
+            item.appendChild(retry);
+        }
+
+        list.appendChild(item);
+    });
+}
+
+async function retryUpload(upload) {
+    try {
+        const response = await fetch(`/api/youtube/uploads/${encodeURIComponent(upload.jobId)}/retry`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showAlert('Upload resumed', 'success');
+        loadUploadJobs();
+    } catch (error) {
+        showAlert(`Retry failed: ${error.message}`, 'danger');
+    }
+}
+
+// Make A Channel The Default
+async function setDefaultChannel(channel) {
+    try {
+        const response = await fetch(`/api/youtube/channels/${channel.id}/default`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        showAlert(`${channel.title} is now the default channel`, 'success');
+        checkYouTubeConnection();
+    } catch (error) {
+        showAlert(`Failed to set default channel: ${error.message}`, 'danger');
+    }
 }
 
 // Handle Disconnect
-async function handleDisconnect() {
-    if (!confirm('Disconnect your YouTube account? You will need to reconnect to publish videos.')) {
+async function handleDisconnect(channel) {
+    if (!confirm(`Disconnect ${channel.title}? You will need to connect it again to publish to it.`)) {
         return;
     }
 
     try {
-        const response = await fetch('/api/youtube/disconnect', {
-            method: 'POST'
+        const response = await fetch(`/api/youtube/channels/${channel.id}`, {
+            method: 'DELETE'
         });
 
         const data = await response.json();
 
         if (data.success) {
-            showAlert('YouTube account disconnected', 'info');
+            showAlert(`${channel.title} disconnected`, 'info');
             checkYouTubeConnection();
         }
     } catch (error) {
@@ -279,10 +742,11 @@ async function handleDisconnect() {
     }
 }
 
-// Load Recent Uploads
+// Load Recent Uploads Of The Chosen Channel
 async function loadRecentUploads() {
     try {
-        const response = await fetch('/api/youtube/recent-uploads');
+        const channelId = document.getElementById('channelSelect').value;
+        const response = await fetch(`/api/youtube/recent-uploads?channel=${encodeURIComponent(channelId)}`);
         const videos = await response.json();
 
         const container = document.getElementById('recent-uploads');
@@ -292,15 +756,25 @@ async function loadRecentUploads() {
             return;
         }
 
-        container.innerHTML = videos.map(video => `
-      <div class="uploaded-video-item">
-        <img src="${video.thumbnailUrl}" alt="${video.title}">
-        <div class="uploaded-video-info">
-          <div class="uploaded-video-title">${video.title}</div>
-          <div class="uploaded-video-date">${formatDate(video.publishedAt)}</div>
-        </div>
-      </div>
-    `).join('');
+        container.innerHTML = '';
+        videos.forEach(video => {
+            const item = document.createElement('div');
+            item.className = 'uploaded-video-item';
+            const thumbnail = document.createElement('img');
+            thumbnail.src = video.thumbnailUrl;
+            thumbnail.alt = video.title;
+            const info = document.createElement('div');
+            info.className = 'uploaded-video-info';
+            const title = document.createElement('div');
+            title.className = 'uploaded-video-title';
+            title.textContent = video.title;
+            const date = document.createElement('div');
+            date.className = 'uploaded-video-date';
+            date.textContent = formatDate(video.publishedAt);
+            info.append(title, date);
+            item.append(thumbnail, info);
+            container.appendChild(item);
+        });
     } catch (error) {
         console.error('Error loading recent uploads:', error);
     }
@@ -313,10 +787,29 @@ function resetForm() {
     document.getElementById('publish-form').reset();
     document.getElementById('video-preview-section').style.display = 'none';
     document.getElementById('metadata-summary').style.display = 'none';
+    document.getElementById('thumbnail-section').style.display = 'none';
+    document.getElementById('release-time-group').style.display = 'none';
     currentProjectId = null;
 }
 
 // Utilities
+function toPublicPath(filePath) {
+    const normalized = filePath.replace(/\\/g, '/');
+    return normalized.includes('video-output')
+        ? '/video-output/' + normalized.split('video-output/')[1]
+        : normalized;
+}
+
+function toDateTimeLocal(date) {
+    const offset = date.getTimezoneOffset() * 60 * 1000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function formatNumber(num) {
     if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
     if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
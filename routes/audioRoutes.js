@@ -4,10 +4,171 @@
 const audioService = require('../services/audioService');
 const { AudioStem, AudioPreset } = require('../models/AudioModels');
 const Project = require('../models/Project');
+const User = require('../models/User');
 const jobQueueService = require('../services/jobQueueService');
+const stemLibraryService = require('../services/stemLibraryService');
+const presetService = require('../services/presetService');
+const streamingService = require('../services/streamingService');
+const AudioSource = require('../models/AudioSource');
+const { uploadImage, uploadAudioStem, uploadPresetBundle } = require('../middleware/uploadMiddleware');
+const fs = require('fs-extra');
+const path = require('path');
 
 module.exports = (app, isAuthenticated) => {
 
+    // Processor function for job queue, shared by new renders and re-renders
+    const audioProcessor = async (data, updateProgress) => {
+        return await audioService.generateAudio(data.config, (progress, message) => {
+            if (updateProgress) {
+                updateProgress(progress, message);
+            }
+        });
+    };
+
+    // Receives a stem upload in the `file` field; upload errors are answered here
+    const receiveStemFile = (req, res, next) => {
+        uploadAudioStem.single('file')(req, res, (err) => {
+            if (err) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({
+                        success: false,
+                        error: 'Audio file is too large. Maximum size is 500MB.'
+                    });
+                }
+                return res.status(400).json({ success: false, error: err.message });
+            }
+            if (!req.file) {
+                return res.status(400).json({ success: false, error: 'No audio file provided' });
+            }
+            next();
+        });
+    };
+
+    // Loads the stem of `:id` into req.stem
+    const loadStem = async (req, res, next) => {
+        try {
+            const stem = await AudioStem.getById(req.params.id);
+
+            if (!stem) {
+                if (req.file) await fs.remove(req.file.path);
+                return res.status(404).json({
+                    success: false,
+                    error: 'Stem not found'
+                });
+            }
+
+            req.stem = stem;
+            next();
+        } catch (error) {
+            console.error('Error fetching stem:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch stem'
+            });
+        }
+    };
+
+    // Loads the preset of `:id` into req.preset; another user's private preset is not found
+    const loadPreset = async (req, res, next) => {
+        try {
+            const preset = await AudioPreset.getById(req.params.id);
+
+            if (!preset || !presetService.canView(preset, req.session.userId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Preset not found'
+                });
+            }
+
+            req.preset = preset;
+            next();
+        } catch (error) {
+            console.error('Error fetching preset:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch preset'
+            });
+        }
+    };
+
+    // Loads the signed-in user into req.user, whose role decides who may change built-in presets
+    const loadUser = async (req, res, next) => {
+        try {
+            req.user = await User.findById(req.session.userId);
+            next();
+        } catch (error) {
+            console.error('Error fetching user:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch user'
+            });
+        }
+    };
+
+    // Every user's presets draw on the stem library, so only admins change it
+    const requireAdmin = async (req, res, next) => {
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Please sign in'
+            });
+        }
+
+        try {
+            const user = await User.findById(req.session.userId);
+            if (!user || user.user_role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only admins can change the stem library'
+                });
+            }
+
+            req.user = user;
+            next();
+        } catch (error) {
+            console.error('Error fetching user:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch user'
+            });
+        }
+    };
+
+    const canEditPreset = (req, preset) =>
+        presetService.canEdit(preset, req.session.userId, Boolean(req.user && req.user.user_role === 'admin'));
+
+    // Shared presets can be used by everyone but only changed by their owner
+    const requirePresetEditor = (req, res, next) => {
+        if (!canEditPreset(req, req.preset)) {
+            return res.status(403).json({
+                success: false,
+                error: req.preset.user_id
+                    ? 'Only the owner can change this preset'
+                    : 'Only admins can change built-in presets'
+            });
+        }
+        next();
+    };
+
+    // Receives a preset bundle in the `bundle` field
+    const receivePresetBundle = (req, res, next) => {
+        uploadPresetBundle.single('bundle')(req, res, (err) => {
+            if (err) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({
+                        success: false,
+                        error: 'Preset bundle is too large. Maximum size is 300MB.'
+                    });
+                }
+                return res.status(400).json({ success: false, error: err.message });
+            }
+            if (!req.file) {
+                return res.status(400).json({ success: false, error: 'No preset bundle provided' });
+            }
+            next();
+        });
+    };
+
     // ============================================================================
     // UI ROUTES
     // ============================================================================
@@ -17,7 +178,6 @@ module.exports = (app, isAuthenticated) => {
      */
     app.get('/audio-studio', isAuthenticated, async (req, res) => {
         try {
-            const User = require('../models/User');
             const user = await User.findById(req.session.userId);
 
             res.render('audio-studio', {
@@ -31,17 +191,38 @@ module.exports = (app, isAuthenticated) => {
         }
     });
 
+    /**
+     * Stem Library Page
+     */
+    app.get('/audio-library', isAuthenticated, async (req, res) => {
+        try {
+            const user = await User.findById(req.session.userId);
+
+            res.render('audio-library', {
+                title: 'Stem Library',
+                active: 'audio-library',
+                user: user
+            });
+        } catch (error) {
+            console.error('Stem library page error:', error);
+            res.redirect('/dashboard');
+        }
+    });
+
     // ============================================================================
     // API ROUTES - Presets
     // ============================================================================
 
     /**
-     * Get all audio presets
+     * Get audio presets visible to the user
      */
-    app.get('/api/audio/presets', isAuthenticated, async (req, res) => {
+    app.get('/api/audio/presets', isAuthenticated, loadUser, async (req, res) => {
         try {
-            const presets = await audioService.getAllPresets();
-            res.json(presets);
+            const presets = await AudioPreset.getVisible(req.session.userId);
+            res.json(presets.map(preset => ({
+                ...preset,
+                editable: canEditPreset(req, preset)
+            })));
         } catch (error) {
             console.error('Error fetching presets:', error);
             res.status(500).json({
@@ -52,58 +233,144 @@ module.exports = (app, isAuthenticated) => {
     });
 
     /**
-     * Get preset by ID
+     * Import a preset bundle
+     * Stems are matched by content and added from the bundle when missing
      */
-    app.get('/api/audio/presets/:id', isAuthenticated, async (req, res) => {
+    app.post('/api/audio/presets/import', isAuthenticated, receivePresetBundle, async (req, res) => {
+        let bundle;
         try {
-            const preset = await AudioPreset.getById(req.params.id);
-
-            if (!preset) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Preset not found'
-                });
-            }
+            bundle = JSON.parse(await fs.readFile(req.file.path, 'utf8'));
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'The file is not valid JSON'
+            });
+        } finally {
+            await fs.remove(req.file.path);
+        }
 
-            res.json(preset);
+        try {
+            const result = await presetService.importBundle(bundle, req.session.userId);
+            res.json({
+                success: true,
+                ...result
+            });
         } catch (error) {
-            console.error('Error fetching preset:', error);
-            res.status(500).json({
+            console.error('Error importing preset:', error);
+            res.status(400).json({
                 success: false,
-                error: 'Failed to fetch preset'
+                error: error.message
             });
         }
     });
 
     /**
-     * Create custom preset
+     * Get preset by ID
+     */
+    app.get('/api/audio/presets/:id', isAuthenticated, loadUser, loadPreset, async (req, res) => {
+        res.json({
+            ...req.preset,
+            editable: canEditPreset(req, req.preset)
+        });
+    });
+
+    /**
+     * Create custom preset, owned by the user
      */
     app.post('/api/audio/presets', isAuthenticated, async (req, res) => {
         try {
-            const { name, description, stem_configs } = req.body;
-
-            if (!name || !stem_configs || !Array.isArray(stem_configs)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Name and stem_configs are required'
-                });
-            }
+            const preset = await presetService.createPreset(req.body, req.session.userId);
 
-            const preset = await AudioPreset.create({
-                name,
-                description: description || '',
-                stem_configs
+            res.json({
+                success: true,
+                preset
             });
+        } catch (error) {
+            console.error('Error creating preset:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message || 'Failed to create preset'
+            });
+        }
+    });
+
+    /**
+     * Edit a preset's name, description, visibility or stems
+     * Every save is kept as a new version
+     */
+    app.put('/api/audio/presets/:id', isAuthenticated, loadUser, loadPreset, requirePresetEditor, async (req, res) => {
+        try {
+            const preset = await presetService.updatePreset(req.preset, req.body, req.session.userId);
 
             res.json({
                 success: true,
                 preset
             });
         } catch (error) {
-            console.error('Error creating preset:', error);
+            console.error('Error updating preset:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message || 'Failed to update preset'
+            });
+        }
+    });
+
+    /**
+     * Get a preset's version history, newest first
+     */
+    app.get('/api/audio/presets/:id/versions', isAuthenticated, loadPreset, async (req, res) => {
+        try {
+            const versions = await presetService.getVersions(req.preset);
+
+            res.json({
+                success: true,
+                versions
+            });
+        } catch (error) {
+            console.error('Error fetching preset versions:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to create preset'
+                error: 'Failed to fetch preset versions'
+            });
+        }
+    });
+
+    /**
+     * Restore an earlier version of a preset as its newest version
+     */
+    app.post('/api/audio/presets/:id/versions/:version/restore', isAuthenticated, loadUser, loadPreset, requirePresetEditor, async (req, res) => {
+        try {
+            const preset = await presetService.restoreVersion(req.preset, parseInt(req.params.version), req.session.userId);
+
+            res.json({
+                success: true,
+                preset
+            });
+        } catch (error) {
+            console.error('Error restoring preset version:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message || 'Failed to restore preset version'
+            });
+        }
+    });
+
+    /**
+     * Download a preset as a portable bundle
+     * With ?audio=true the stem files are embedded
+     */
+    app.get('/api/audio/presets/:id/export', isAuthenticated, loadPreset, async (req, res) => {
+        try {
+            const bundle = await presetService.exportPreset(req.preset, { includeAudio: req.query.audio === 'true' });
+            const fileName = `${req.preset.name.replace(/[^a-z0-9_-]+/gi, '_')}.preset.json`;
+
+            res.attachment(fileName);
+            res.json(bundle);
+        } catch (error) {
+            console.error('Error exporting preset:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message || 'Failed to export preset'
             });
         }
     });
@@ -152,6 +419,120 @@ module.exports = (app, isAuthenticated) => {
         }
     });
 
+    /**
+     * Upload a new stem; the duration is read from the file
+     */
+    app.post('/api/audio/stems', requireAdmin, receiveStemFile, async (req, res) => {
+        try {
+            const stem = await stemLibraryService.addStem(req.file, req.body);
+
+            res.json({
+                success: true,
+                stem
+            });
+        } catch (error) {
+            console.error('Error adding stem:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message || 'Failed to add stem'
+            });
+        }
+    });
+
+    /**
+     * Edit stem name, category, tags or default volume
+     */
+    app.put('/api/audio/stems/:id', requireAdmin, loadStem, async (req, res) => {
+        try {
+            const stem = await stemLibraryService.updateStem(req.stem, req.body);
+
+            res.json({
+                success: true,
+                stem
+            });
+        } catch (error) {
+            console.error('Error updating stem:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message || 'Failed to update stem'
+            });
+        }
+    });
+
+    /**
+     * Replace a stem's audio file
+     */
+    app.post('/api/audio/stems/:id/file', requireAdmin, receiveStemFile, loadStem, async (req, res) => {
+        try {
+            const stem = await stemLibraryService.replaceFile(req.stem, req.file);
+
+            res.json({
+                success: true,
+                stem
+            });
+        } catch (error) {
+            console.error('Error replacing stem file:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message || 'Failed to replace stem file'
+            });
+        }
+    });
+
+    /**
+     * Short preview clip and waveform of a stem
+     */
+    app.get('/api/audio/stems/:id/preview', isAuthenticated, loadStem, async (req, res) => {
+        try {
+            const preview = await stemLibraryService.getPreview(req.stem);
+
+            res.json({
+                success: true,
+                ...preview
+            });
+        } catch (error) {
+            console.error('Error building stem preview:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to build stem preview'
+            });
+        }
+    });
+
+    /**
+     * Delete a stem
+     * Answers 409 with the presets that still use it unless ?force=true,
+     * which removes the stem from those presets as well
+     */
+    app.delete('/api/audio/stems/:id', requireAdmin, loadStem, async (req, res) => {
+        try {
+            const result = await stemLibraryService.deleteStem(req.stem, {
+                force: req.query.force === 'true',
+                userId: req.session.userId
+            });
+            const presets = result.presets.map(preset => ({ id: preset.id, name: preset.name }));
+
+            if (!result.deleted) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Stem is used by ${presets.length} preset(s)`,
+                    presets
+                });
+            }
+
+            res.json({
+                success: true,
+                presets
+            });
+        } catch (error) {
+            console.error('Error deleting stem:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete stem'
+            });
+        }
+    });
+
     // ============================================================================
     // API ROUTES - Audio The Generation
     // ============================================================================
@@ -170,14 +551,15 @@ module.exports = (app, isAuthenticated) => {
                 });
             }
 
-            // Processor function for job queue
-            const audioProcessor = async (data, updateProgress) => {
-                return await audioService.generateAudio(data.config, (progress, message) => {
-                    if (updateProgress) {
-                        updateProgress(progress, message);
-                    }
+            // Check mastering and output settings before the job is queued
+            try {
+                audioService.resolveMastering(config);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
                 });
-            };
+            }
 
             // Add to job queue (or process synchronously if queue not available)
             const result = await jobQueueService.addJob(
@@ -196,9 +578,11 @@ module.exports = (app, isAuthenticated) => {
                         type: 'audio_only',
                         status: 'completed',
                         audio_preset: config.presetName || null,
-                        audio_config: JSON.stringify(config),
+                        // The seed is kept with the config so the project can be re-rendered
+                        audio_config: { ...config, seed: result.result.seed },
                         audio_duration: config.duration,
-                        audio_output_path: result.result.outputPath
+                        audio_output_path: result.result.outputPath,
+                        audio_loudness: result.result.loudness
                     });
                 } catch (projectError) {
                     console.error('Error saving project:', projectError);
@@ -216,6 +600,60 @@ module.exports = (app, isAuthenticated) => {
         }
     });
 
+    /**
+     * Render a short preview of a configuration (synchronous, not queued)
+     */
+    app.post('/api/audio/preview', isAuthenticated, async (req, res) => {
+        try {
+            const { config } = req.body;
+
+            if (!config || !config.stems || config.stems.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Audio configuration with at least one stem is required'
+                });
+            }
+
+            const result = await audioService.generatePreview(config);
+            res.json(result);
+        } catch (error) {
+            console.error('Error rendering audio preview:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to render preview'
+            });
+        }
+    });
+
+    /**
+     * Timeline of where a configuration's one-shot events land
+     * Returns the seed it used, so a render with that seed matches the timeline
+     */
+    app.post('/api/audio/events/timeline', isAuthenticated, async (req, res) => {
+        try {
+            const { config } = req.body;
+
+            if (!config || !config.stems || config.stems.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Audio configuration with at least one stem is required'
+                });
+            }
+
+            const timeline = await audioService.getEventTimeline(config);
+            res.json({
+                success: true,
+                ...timeline
+            });
+        } catch (error) {
+            console.error('Error building event timeline:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message || 'Failed to build event timeline'
+            });
+        }
+    });
+
     /**
      * Generate audio from preset
      */
@@ -230,6 +668,15 @@ module.exports = (app, isAuthenticated) => {
                 });
             }
 
+            try {
+                await audioService.getAudioPreset(presetId, req.session.userId);
+            } catch (error) {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
             // Processor function
             const audioProcessor = async (data, updateProgress) => {
                 return await audioService.generateFromPreset(
@@ -297,6 +744,277 @@ module.exports = (app, isAuthenticated) => {
         }
     });
 
+    // ============================================================================
+    // API ROUTES - Projects
+    // ============================================================================
+
+    /**
+     * Get user's audio projects that can be re-rendered
+     */
+    app.get('/api/audio/projects', isAuthenticated, async (req, res) => {
+        try {
+            const projects = await Project.findByUserId(req.session.userId);
+
+            res.json(projects
+                .filter(project => project.audio_config && project.audio_config.seed !== undefined)
+                .map(project => ({
+                    id: project.id,
+                    name: project.name,
+                    audio_preset: project.audio_preset,
+                    duration: project.audio_duration,
+                    seed: project.audio_config.seed,
+                    stems: project.audio_config.stems.length,
+                    format: project.audio_config.format || 'mp3',
+                    loudness: project.audio_loudness,
+                    created_at: project.created_at
+                })));
+        } catch (error) {
+            console.error('Error fetching audio projects:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch audio projects'
+            });
+        }
+    });
+
+    /**
+     * Re-render a project from its stored config and seed
+     * The same duration replaces the project's file; a new duration becomes a new project
+     */
+    app.post('/api/audio/projects/:id/render', isAuthenticated, async (req, res) => {
+        try {
+            const project = await Project.findById(req.params.id);
+
+            if (!project) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Project not found'
+                });
+            }
+
+            // Verify ownership
+            if (project.user_id !== req.session.userId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Not authorized'
+                });
+            }
+
+            const storedConfig = project.audio_config;
+            if (!storedConfig || storedConfig.seed === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'This project was rendered without a seed and cannot be reproduced'
+                });
+            }
+
+            const duration = req.body.duration ? parseInt(req.body.duration) : storedConfig.duration;
+            if (!(duration >= 60 && duration <= 36000)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Duration must be between 1 minute and 10 hours'
+                });
+            }
+
+            const config = { ...storedConfig, duration };
+
+            const result = await jobQueueService.addJob(
+                'audio',
+                'generate',
+                { config, userId: req.session.userId },
+                audioProcessor
+            );
+
+            if (result.status === 'completed') {
+                try {
+                    if (duration === storedConfig.duration) {
+                        await Project.update(project.id, {
+                            status: 'completed',
+                            audio_output_path: result.result.outputPath,
+                            audio_loudness: result.result.loudness
+                        });
+                    } else {
+                        await Project.create({
+                            user_id: req.session.userId,
+                            name: result.result.fileName,
+                            type: 'audio_only',
+                            status: 'completed',
+                            audio_preset: project.audio_preset,
+                            audio_config: config,
+                            audio_duration: duration,
+                            audio_output_path: result.result.outputPath,
+                            audio_loudness: result.result.loudness
+                        });
+                    }
+                } catch (projectError) {
+                    console.error('Error saving project:', projectError);
+                    // Continue anyway - audio is still generated
+                }
+            }
+
+            res.json(result);
+        } catch (error) {
+            console.error('Error re-rendering project:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to re-render project'
+            });
+        }
+    });
+
+    // ============================================================================
+    // API ROUTES - Live Audio Sources
+    // ============================================================================
+
+    /**
+     * Get audio + image stream sources
+     */
+    app.get('/api/audio/sources', isAuthenticated, async (req, res) => {
+        try {
+            const sources = await AudioSource.findAll(req.session.userId);
+            res.json(sources);
+        } catch (error) {
+            console.error('Error fetching audio sources:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch audio sources'
+            });
+        }
+    });
+
+    /**
+     * Upload a still image for an audio source
+     */
+    app.post('/api/audio/sources/image', isAuthenticated, (req, res) => {
+        uploadImage.single('image')(req, res, (err) => {
+            if (err) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({
+                        success: false,
+                        error: 'Image is too large. Maximum size is 10MB.'
+                    });
+                }
+                return res.status(400).json({ success: false, error: err.message });
+            }
+            if (!req.file) {
+                return res.status(400).json({ success: false, error: 'No image file provided' });
+            }
+            res.json({ success: true, path: `/uploads/images/${req.file.filename}` });
+        });
+    });
+
+    /**
+     * Create an audio + image stream source
+     * mode 'files' plays generated audio files, 'generative' mixes stems live
+     */
+    app.post('/api/audio/sources', isAuthenticated, async (req, res) => {
+        try {
+            const { title } = req.body;
+            const mode = req.body.mode === 'generative' ? 'generative' : 'files';
+            const audioFiles = mode === 'files' ? req.body.audioFiles : [];
+            const imagePath = req.body.imagePath ? String(req.body.imagePath) : null;
+            const visualizer = req.body.visualizer || 'none';
+            let generativeConfig = null;
+
+            if (!title || !String(title).trim()) {
+                return res.status(400).json({ success: false, error: 'Title is required' });
+            }
+
+            if (mode === 'generative') {
+                try {
+                    generativeConfig = await audioService.normalizeLiveConfig(req.body.generative);
+                } catch (error) {
+                    return res.status(400).json({ success: false, error: error.message });
+                }
+            } else {
+                if (!Array.isArray(audioFiles) || audioFiles.length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Select at least one generated audio file'
+                    });
+                }
+
+                const missingFile = audioFiles.find(file => {
+                    const filePath = audioService.resolveOutputPath(file);
+                    return !filePath || !fs.existsSync(filePath);
+                });
+                if (missingFile !== undefined) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Audio file not found: ${missingFile}`
+                    });
+                }
+            }
+
+            if (!streamingService.AUDIO_VISUALIZERS.includes(visualizer)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Visualizer must be one of: ${streamingService.AUDIO_VISUALIZERS.join(', ')}`
+                });
+            }
+
+            if (imagePath) {
+                const imageFile = path.join(__dirname, '..', 'public', imagePath);
+                if (!imagePath.startsWith('/uploads/images/') || imagePath.includes('..') || !fs.existsSync(imageFile)) {
+                    return res.status(400).json({ success: false, error: 'Image not found, upload it again' });
+                }
+            } else if (visualizer === 'none') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Add an image or choose a visualizer'
+                });
+            }
+
+            const source = await AudioSource.create({
+                user_id: req.session.userId,
+                title: String(title).trim(),
+                audio_files: audioFiles,
+                image_path: imagePath,
+                visualizer,
+                mode,
+                generative_config: generativeConfig
+            });
+
+            res.json({
+                success: true,
+                source
+            });
+        } catch (error) {
+            console.error('Error creating audio source:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create audio source'
+            });
+        }
+    });
+
+    /**
+     * Delete an audio source
+     */
+    app.delete('/api/audio/sources/:id', isAuthenticated, async (req, res) => {
+        try {
+            const result = await AudioSource.delete(req.params.id, req.session.userId);
+
+            if (!result.deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Audio source not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Audio source deleted'
+            });
+        } catch (error) {
+            console.error('Error deleting audio source:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete audio source'
+            });
+        }
+    });
+
     // ============================================================================
     // API ROUTES - Job Status
     // ============================================================================
@@ -0,0 +1,126 @@
+// Batch Routes
+// Generate many recipe variants as pipeline runs, tracked as one batch
+
+const batchService = require('../services/batchService');
+const Batch = require('../models/Batch');
+const PipelineRun = require('../models/PipelineRun');
+
+module.exports = (app, isAuthenticated) => {
+
+    // ============================================================================
+    // API ROUTES - Batches
+    // ============================================================================
+
+    /**
+     * Get user's batches with aggregate progress
+     */
+    app.get('/api/batches', isAuthenticated, async (req, res) => {
+        try {
+            const batches = await Batch.findAll(req.session.userId);
+            const summaries = [];
+
+            for (const batch of batches) {
+                const runs = await PipelineRun.findByBatch(batch.id);
+                const { items, ...summary } = batchService.summarize(batch, runs);
+                summaries.push(summary);
+            }
+
+            res.json(summaries);
+        } catch (error) {
+            console.error('Error fetching batches:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch batches'
+            });
+        }
+    });
+
+    /**
+     * Create batch from a preset or stem set and queue its variants
+     */
+    app.post('/api/batches', isAuthenticated, async (req, res) => {
+        let batchData;
+        try {
+            batchData = await batchService.validateBatch(req.body, req.session.userId);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        try {
+            const batch = await batchService.createBatch(batchData);
+            const runs = await PipelineRun.findByBatch(batch.id);
+
+            res.json({
+                success: true,
+                batch: batchService.summarize(batch, runs)
+            });
+        } catch (error) {
+            console.error('Error creating batch:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create batch'
+            });
+        }
+    });
+
+    /**
+     * Get batch with per-item status
+     */
+    app.get('/api/batches/:id', isAuthenticated, async (req, res) => {
+        try {
+            const batch = await Batch.findById(req.params.id);
+
+            if (!batch || batch.user_id !== req.session.userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Batch not found'
+                });
+            }
+
+            const runs = await PipelineRun.findByBatch(batch.id);
+            res.json(batchService.summarize(batch, runs));
+        } catch (error) {
+            console.error('Error fetching batch:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch batch'
+            });
+        }
+    });
+
+    /**
+     * Retry every failed item of a batch
+     */
+    app.post('/api/batches/:id/retry', isAuthenticated, async (req, res) => {
+        try {
+            const batch = await Batch.findById(req.params.id);
+
+            if (!batch || batch.user_id !== req.session.userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Batch not found'
+                });
+            }
+
+            const retried = await batchService.retryFailed(batch.id);
+            const runs = await PipelineRun.findByBatch(batch.id);
+
+            res.json({
+                success: true,
+                retried,
+                batch: batchService.summarize(batch, runs)
+            });
+        } catch (error) {
+            console.error('Error retrying batch:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to retry batch'
+            });
+        }
+    });
+
+    console.log('✅ Batch routes loaded');
+};
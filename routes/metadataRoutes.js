@@ -2,6 +2,7 @@
 // API endpoints for AI metadata generation and management
 
 const aiService = require('../services/aiService');
+const youtubeMetadataService = require('../services/youtubeMetadataService');
 const Project = require('../models/Project');
 
 module.exports = (app, isAuthenticated) => {
@@ -47,7 +48,7 @@ module.exports = (app, isAuthenticated) => {
      */
     app.get('/api/metadata/projects', isAuthenticated, async (req, res) => {
         try {
-            const projects = await Project.findByUser(req.session.userId);
+            const projects = await Project.findByUserId(req.session.userId);
             res.json(projects);
         } catch (error) {
             console.error('Error fetching projects:', error);
@@ -106,6 +107,30 @@ module.exports = (app, isAuthenticated) => {
         }
     });
 
+    /**
+     * Evenly spaced chapters for a project's video; `interval` in seconds is optional
+     */
+    app.get('/api/metadata/project/:id/chapters', isAuthenticated, async (req, res) => {
+        try {
+            const project = await Project.findById(req.params.id);
+
+            if (!project || project.user_id !== req.session.userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Project not found'
+                });
+            }
+
+            const chapters = youtubeMetadataService.generateChapters(project.audio_duration, req.query.interval || null);
+            res.json({ success: true, chapters });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
     /**
      * Generate metadata with AI
      */
@@ -194,19 +219,30 @@ module.exports = (app, isAuthenticated) => {
                 });
             }
 
+            let normalized;
+            try {
+                normalized = youtubeMetadataService.normalize(metadata, project);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
             // Update project with metadata
             await Project.update(projectId, {
-                youtube_title: metadata.title,
-                youtube_description: metadata.description,
-                youtube_tags: JSON.stringify(metadata.tags),
-                youtube_category: metadata.category || null,
-                youtube_privacy: metadata.privacy || 'public',
-                youtube_metadata: JSON.stringify(metadata)
+                youtube_title: normalized.title,
+                youtube_description: normalized.description,
+                youtube_tags: JSON.stringify(normalized.tags),
+                youtube_category: normalized.category,
+                youtube_privacy: normalized.privacy,
+                youtube_metadata: JSON.stringify(normalized)
             });
 
             res.json({
                 success: true,
-                message: 'Metadata saved successfully'
+                message: 'Metadata saved successfully',
+                metadata: normalized
             });
         } catch (error) {
             console.error('Error saving metadata:', error);
@@ -0,0 +1,205 @@
+// Pipeline Routes
+// Recipes that run generate → assemble → metadata → publish as one job
+
+const pipelineService = require('../services/pipelineService');
+const PipelineRecipe = require('../models/PipelineRecipe');
+const PipelineRun = require('../models/PipelineRun');
+
+module.exports = (app, isAuthenticated) => {
+
+    // ============================================================================
+    // UI ROUTES
+    // ============================================================================
+
+    /**
+     * Pipeline Page
+     */
+    app.get('/pipeline', isAuthenticated, async (req, res) => {
+        try {
+            const User = require('../models/User');
+            const user = await User.findById(req.session.userId);
+
+            res.render('pipeline', {
+                title: 'Recipe Pipeline',
+                active: 'pipeline',
+                user: user
+            });
+        } catch (error) {
+            console.error('Pipeline page error:', error);
+            res.redirect('/dashboard');
+        }
+    });
+
+    // ============================================================================
+    // API ROUTES - Recipes
+    // ============================================================================
+
+    /**
+     * Get user's recipes
+     */
+    app.get('/api/pipeline/recipes', isAuthenticated, async (req, res) => {
+        try {
+            const recipes = await PipelineRecipe.findAll(req.session.userId);
+            res.json(recipes);
+        } catch (error) {
+            console.error('Error fetching recipes:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch recipes'
+            });
+        }
+    });
+
+    /**
+     * Create recipe
+     */
+    app.post('/api/pipeline/recipes', isAuthenticated, async (req, res) => {
+        let recipeData;
+        try {
+            recipeData = await pipelineService.validateRecipe(req.body, req.session.userId);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        try {
+            const recipe = await PipelineRecipe.create(recipeData);
+            res.json({ success: true, recipe });
+        } catch (error) {
+            console.error('Error creating recipe:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create recipe'
+            });
+        }
+    });
+
+    /**
+     * Delete recipe
+     */
+    app.delete('/api/pipeline/recipes/:id', isAuthenticated, async (req, res) => {
+        try {
+            const result = await PipelineRecipe.delete(req.params.id, req.session.userId);
+
+            if (!result.deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recipe not found'
+                });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting recipe:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete recipe'
+            });
+        }
+    });
+
+    /**
+     * Run recipe
+     */
+    app.post('/api/pipeline/recipes/:id/run', isAuthenticated, async (req, res) => {
+        try {
+            const recipe = await PipelineRecipe.findById(req.params.id);
+
+            if (!recipe || recipe.user_id !== req.session.userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recipe not found'
+                });
+            }
+
+            const run = await pipelineService.start(recipe);
+            res.json({ success: true, run });
+        } catch (error) {
+            console.error('Error starting pipeline run:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to start pipeline'
+            });
+        }
+    });
+
+    // ============================================================================
+    // API ROUTES - Runs
+    // ============================================================================
+
+    /**
+     * Get user's recent runs
+     */
+    app.get('/api/pipeline/runs', isAuthenticated, async (req, res) => {
+        try {
+            const runs = await PipelineRun.findAll(req.session.userId);
+            res.json(runs);
+        } catch (error) {
+            console.error('Error fetching pipeline runs:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch pipeline runs'
+            });
+        }
+    });
+
+    /**
+     * Get run status
+     */
+    app.get('/api/pipeline/runs/:id', isAuthenticated, async (req, res) => {
+        try {
+            const run = await PipelineRun.findById(req.params.id);
+
+            if (!run || run.user_id !== req.session.userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Pipeline run not found'
+                });
+            }
+
+            res.json(run);
+        } catch (error) {
+            console.error('Error fetching pipeline run:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch pipeline run'
+            });
+        }
+    });
+
+    /**
+     * Resume failed run from the stage that failed
+     */
+    app.post('/api/pipeline/runs/:id/resume', isAuthenticated, async (req, res) => {
+        try {
+            const run = await PipelineRun.findById(req.params.id);
+
+            if (!run || run.user_id !== req.session.userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Pipeline run not found'
+                });
+            }
+
+            if (run.status !== 'failed') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Only failed runs can be resumed'
+                });
+            }
+
+            const resumed = await pipelineService.resume(run);
+            res.json({ success: true, run: resumed });
+        } catch (error) {
+            console.error('Error resuming pipeline run:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to resume pipeline'
+            });
+        }
+    });
+
+    console.log('✅ Pipeline routes loaded');
+};
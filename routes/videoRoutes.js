@@ -61,11 +61,12 @@ module.exports = (app, isAuthenticated) => {
         try {
             const audioOutputDir = process.env.AUDIO_OUTPUT_DIR || './public/audio-output';
             const files = await fs.readdir(audioOutputDir);
+            const extensions = Object.values(audioService.outputFormats).map(format => format.extension);
 
             const audioFiles = [];
 
             for (const file of files) {
-                if (file.endsWith('.mp3') || file.endsWith('.wav')) {
+                if (extensions.includes(path.extname(file))) {
                     const filePath = path.join(audioOutputDir, file);
                     const stats = await fs.stat(filePath);
 
@@ -105,34 +106,53 @@ module.exports = (app, isAuthenticated) => {
 
     /**
      * Assemble video with audio
+     * Takes one `videoId`, or `scenes` ([{ videoId, weight }]) for a multi-scene
+     * video with an `order`, `transition` and `transitionDuration`. `render` is
+     * an optional render profile
      */
     app.post('/api/video/assemble', isAuthenticated, async (req, res) => {
         try {
-            const { videoId, audioPath, loopType, outputName } = req.body;
+            const { videoId, scenes, audioPath, loopType, outputName, render } = req.body;
+            const multiScene = Array.isArray(scenes) && scenes.length > 0;
 
-            // Validation
-            if (!videoId || !audioPath) {
+            try {
+                videoService.normalizeRenderProfile(render);
+            } catch (error) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Video ID and audio path are required'
+                    error: error.message
                 });
             }
 
-            // Get video from database
-            const video = await Video.findById(videoId);
-            if (!video) {
-                return res.status(404).json({
+            // Validation
+            if ((!videoId && !multiScene) || !audioPath) {
+                return res.status(400).json({
                     success: false,
-                    error: 'Video not found'
+                    error: 'A video ID or scenes, and an audio path are required'
                 });
             }
 
-            // Verify user owns the video
-            if (video.user_id !== req.session.userId) {
-                return res.status(403).json({
-                    success: false,
-                    error: 'Not authorized'
-                });
+            // Get videos from database
+            const videoIds = multiScene ? scenes.map(scene => scene.videoId) : [videoId];
+            const videos = new Map();
+            for (const id of new Set(videoIds)) {
+                const video = await Video.findById(id);
+                if (!video) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Video not found'
+                    });
+                }
+
+                // Verify user owns the video
+                if (video.user_id !== req.session.userId) {
+                    return res.status(403).json({
+                        success: false,
+                        error: 'Not authorized'
+                    });
+                }
+
+                videos.set(id, video);
             }
 
             // Get audio info
@@ -148,30 +168,75 @@ module.exports = (app, isAuthenticated) => {
             const audioFileName = path.basename(audioPath);
             const audioInfo = await audioService.getAudioInfo(audioFileName);
 
+            // Scene plans are checked before queueing; a shuffled order keeps the seed drawn here
+            let sceneOptions = null;
+            if (multiScene) {
+                try {
+                    const plan = videoService.planScenes(scenes, audioInfo.duration, req.body);
+                    sceneOptions = {
+                        order: plan.order,
+                        seed: plan.seed,
+                        transition: plan.transition,
+                        transitionDuration: plan.transitionDuration || undefined
+                    };
+                } catch (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+            }
+
+            const videoPath = (id) => path.join(process.cwd(), 'public', videos.get(id).filepath);
+
             // Processor function
             const videoProcessor = async (data, updateProgress) => {
-                const videoFullPath = path.join(process.cwd(), 'public/uploads/videos', video.file_path);
-
                 const config = {
-                    videoPath: videoFullPath,
                     audioPath: audioFullPath,
                     audioDuration: audioInfo.duration,
                     loopType: data.loopType || 'ping-pong',
+                    render: data.render,
                     outputName: data.outputName || null
                 };
-
-                return await videoService.assembleVideo(config, (progress, message) => {
+                const report = (progress, message) => {
                     if (updateProgress) {
                         updateProgress(progress, message);
                     }
-                });
+                };
+
+                if (data.scenes) {
+                    return await videoService.assembleScenes({
+                        ...config,
+                        ...data.sceneOptions,
+                        scenes: data.scenes.map(scene => ({
+                            videoId: scene.videoId,
+                            title: videos.get(scene.videoId).title,
+                            weight: scene.weight,
+                            videoPath: videoPath(scene.videoId)
+                        }))
+                    }, report);
+                }
+
+                return await videoService.assembleVideo({
+                    ...config,
+                    videoPath: videoPath(data.videoId)
+                }, report);
             };
 
             // Add to job queue
             const result = await jobQueueService.addJob(
                 'video',
                 'assemble',
-                { videoId, audioPath, loopType, outputName, userId: req.session.userId },
+                {
+                    videoId: multiScene ? null : videoId,
+                    scenes: multiScene ? scenes.map(scene => ({ videoId: scene.videoId, weight: scene.weight })) : null,
+                    sceneOptions,
+                    audioPath,
+                    loopType,
+                    render,
+                    outputName,
+                    userId: req.session.userId
+                },
                 videoProcessor
             );
 
@@ -185,7 +250,7 @@ module.exports = (app, isAuthenticated) => {
                         status: 'completed',
                         audio_output_path: audioFullPath,
                         audio_duration: audioInfo.duration,
-                        video_source_ids: JSON.stringify([videoId]),
+                        video_source_ids: videoIds,
                         video_loop_type: loopType,
                         video_output_path: result.result.outputPath
                     });
@@ -2,9 +2,16 @@
 // OAuth2 authentication and video upload endpoints
 
 const youtubeService = require('../services/youtubeService');
-const jobQueueService = require('../services/jobQueueService');
+const youtubeAccountService = require('../services/youtubeAccountService');
+const youtubePublishService = require('../services/youtubePublishService');
+const thumbnailService = require('../services/thumbnailService');
+const youtubeUploadService = require('../services/youtubeUploadService');
 const Project = require('../models/Project');
 const User = require('../models/User');
+const YouTubeChannel = require('../models/YouTubeChannel');
+const YouTubeRelease = require('../models/YouTubeRelease');
+const YouTubeCadence = require('../models/YouTubeCadence');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs-extra');
 
@@ -32,24 +39,31 @@ module.exports = (app, isAuthenticated) => {
         }
     });
 
+    /**
+     * Release Calendar Page
+     */
+    app.get('/youtube-calendar', isAuthenticated, (req, res) => {
+        res.render('youtube-calendar', {
+            title: 'Release Calendar',
+            active: 'youtube-publisher'
+        });
+    });
+
     // ============================================================================
     // OAUTH ROUTES
     // ============================================================================
 
     /**
      * Initiate YouTube OAuth flow
+     * Each run connects one channel; Google asks which one when the account has several
      */
     app.get('/youtube/auth', isAuthenticated, (req, res) => {
         try {
-            // Initialize YouTube service with env vars
-            const clientId = process.env.GOOGLE_CLIENT_ID;
-            const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
-            const redirectUri = process.env.GOOGLE_REDIRECT_URI || `${process.env.BASE_URL || 'http://localhost:7576'}/youtube/callback`;
+            youtubeAccountService.configure();
 
-            youtubeService.initialize(clientId, clientSecret, redirectUri);
-
-            // Store user ID in state for callback
-            const state = JSON.stringify({ userId: req.session.userId });
+            // The callback only accepts the state issued to this session
+            const state = crypto.randomBytes(16).toString('hex');
+            req.session.youtubeOAuthState = state;
             const authUrl = youtubeService.getAuthUrl(state);
 
             res.redirect(authUrl);
@@ -71,21 +85,19 @@ module.exports = (app, isAuthenticated) => {
                 throw new Error('No authorization code received');
             }
 
-            // Parse state to get user ID
-            const stateData = JSON.parse(state || '{}');
-            const userId = stateData.userId;
+            const userId = req.session.userId;
+            const expectedState = req.session.youtubeOAuthState;
+            delete req.session.youtubeOAuthState;
 
-            if (!userId) {
+            if (!userId || !expectedState || state !== expectedState) {
                 throw new Error('Invalid state parameter');
             }
 
-            // Exchange code for tokens
-            const tokens = await youtubeService.getTokensFromCode(code);
-
-            // Save tokens to user account
-            await User.updateYouTubeTokens(userId, tokens.accessToken, tokens.refreshToken);
+            youtubeAccountService.configure();
 
-            console.log('✅ YouTube tokens saved for user:', userId);
+            // Exchange code for tokens and register the channel they belong to
+            const tokens = await youtubeService.getTokensFromCode(code);
+            await youtubeAccountService.connectChannel(userId, tokens);
 
             res.redirect('/youtube-publisher?connected=true');
         } catch (error) {
@@ -100,51 +112,110 @@ module.exports = (app, isAuthenticated) => {
 
     /**
      * Check YouTube connection status
+     * Lists the connected channels with live statistics; a channel whose tokens
+     * no longer work is listed with an error so it can be reconnected
      */
     app.get('/api/youtube/status', isAuthenticated, async (req, res) => {
         try {
-            const user = await User.findById(req.session.userId);
-
-            if (!user.youtube_access_token || !user.youtube_refresh_token) {
-                return res.json({ connected: false });
-            }
-
-            // Initialize YouTube service
-            const clientId = process.env.GOOGLE_CLIENT_ID;
-            const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
-            const redirectUri = process.env.GOOGLE_REDIRECT_URI || `${process.env.BASE_URL || 'http://localhost:7576'}/youtube/callback`;
+            const channels = await youtubeAccountService.getChannels(req.session.userId);
 
-            youtubeService.initialize(clientId, clientSecret, redirectUri);
-            youtubeService.setCredentials(user.youtube_access_token, user.youtube_refresh_token);
+            const list = await Promise.all(channels.map(async (channel) => {
+                const entry = {
+                    id: channel.id,
+                    channelId: channel.channel_id,
+                    title: channel.title,
+                    thumbnailUrl: channel.thumbnail_url,
+                    isDefault: channel.is_default
+                };
 
-            // Get channel info
-            const channel = await youtubeService.getChannelInfo();
+                try {
+                    const { client } = await youtubeAccountService.getClient(req.session.userId, channel.id);
+                    return { ...entry, ...await client.getChannelInfo(), id: channel.id, channelId: channel.channel_id };
+                } catch (error) {
+                    console.error(`YouTube status error for channel ${channel.title}:`, error.message);
+                    return { ...entry, error: 'Reconnect this channel' };
+                }
+            }));
 
             res.json({
-                connected: true,
-                channel
+                connected: list.length > 0,
+                channels: list
             });
         } catch (error) {
             console.error('YouTube status error:', error);
+            res.json({ connected: false, channels: [] });
+        }
+    });
 
-            // If token expired, try refresh
-            if (error.message.includes('invalid_grant') || error.message.includes('Token has been expired')) {
-                try {
-                    const user = await User.findById(req.session.userId);
-                    const refreshed = await youtubeService.refreshAccessToken(user.youtube_refresh_token);
-                    await User.updateYouTubeTokens(req.session.userId, refreshed.accessToken, user.youtube_refresh_token);
+    /**
+     * Make a channel the one pipelines and batches publish to
+     */
+    app.post('/api/youtube/channels/:id/default', isAuthenticated, async (req, res) => {
+        try {
+            const channel = await YouTubeChannel.findById(req.params.id, req.session.userId);
+            if (!channel) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'YouTube channel not found'
+                });
+            }
 
-                    // Retry
-                    youtubeService.setCredentials(refreshed.accessToken, user.youtube_refresh_token);
-                    const channel = await youtubeService.getChannelInfo();
+            await YouTubeChannel.setDefault(channel.id, req.session.userId);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Default channel error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to set default channel'
+            });
+        }
+    });
 
-                    return res.json({ connected: true, channel });
-                } catch (refreshError) {
-                    console.error('Token refresh failed:', refreshError);
-                }
+    /**
+     * Playlists of a channel, for the metadata editor
+     */
+    app.get('/api/youtube/channels/:id/playlists', isAuthenticated, async (req, res) => {
+        try {
+            const channel = await YouTubeChannel.findById(req.params.id, req.session.userId);
+            if (!channel) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'YouTube channel not found'
+                });
+            }
+
+            const { client } = await youtubeAccountService.getClient(req.session.userId, channel.id);
+            const playlists = await client.getPlaylists();
+            res.json({ success: true, playlists });
+        } catch (error) {
+            console.error('Error fetching playlists:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to fetch playlists'
+            });
+        }
+    });
+
+    /**
+     * Disconnect a YouTube channel
+     */
+    app.delete('/api/youtube/channels/:id', isAuthenticated, async (req, res) => {
+        try {
+            const result = await YouTubeChannel.delete(req.params.id, req.session.userId);
+            if (!result.deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'YouTube channel not found'
+                });
             }
 
-            res.json({ connected: false });
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Disconnect error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to disconnect'
+            });
         }
     });
 
@@ -153,10 +224,10 @@ module.exports = (app, isAuthenticated) => {
      */
     app.get('/api/youtube/projects', isAuthenticated, async (req, res) => {
         try {
-            const projects = await Project.findByUser(req.session.userId);
+            const projects = await Project.findByUserId(req.session.userId);
 
             // Filter projects with video output
-            const videoprojects = projects.filter(p => p.video_output_path);
+            const videoProjects = projects.filter(p => p.video_output_path);
 
             res.json(videoProjects);
         } catch (error) {
@@ -170,10 +241,11 @@ module.exports = (app, isAuthenticated) => {
 
     /**
      * Publish video to YouTube
+     * The upload runs as a resumable job; progress is sent over the socket
      */
     app.post('/api/youtube/publish', isAuthenticated, async (req, res) => {
         try {
-            const { projectId } = req.body;
+            const { projectId, channelId } = req.body;
 
             if (!projectId) {
                 return res.status(400).json({
@@ -216,70 +288,37 @@ module.exports = (app, isAuthenticated) => {
                 });
             }
 
-            // Parse metadata
-            let metadata = {};
-            if (project.youtube_metadata) {
-                try {
-                    metadata = typeof project.youtube_metadata === 'string'
-                        ? JSON.parse(project.youtube_metadata)
-                        : project.youtube_metadata;
-                } catch (err) {
-                    console.warn('Failed to parse metadata:', err);
-                }
+            let channel;
+            try {
+                channel = await youtubeAccountService.resolveChannel(req.session.userId, channelId);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
             }
 
             // Prepare upload metadata
-            const uploadMetadata = {
-                title: metadata.title || project.name,
-                description: metadata.description || '',
-                tags: metadata.tags || [],
-                categoryId: metadata.category || '22',
-                privacyStatus: metadata.privacy || 'private'
-            };
-
-            // Get user tokens
-            const user = await User.findById(req.session.userId);
+            const uploadMetadata = youtubePublishService.getUploadMetadata(project, channel.id);
+
+            // The job stores the video ID on the project once YouTube has the video
+            const { jobId, done } = await youtubeUploadService.startUpload({
+                videoPath,
+                metadata: uploadMetadata,
+                userId: req.session.userId,
+                channelId: channel.id,
+                channelTitle: channel.title,
+                projectId: project.id
+            });
 
-            // Upload processor function
-            const uploadProcessor = async (data, updateProgress) => {
-                // Initialize YouTube service
-                const clientId = process.env.GOOGLE_CLIENT_ID;
-                const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
-                const redirectUri = process.env.GOOGLE_REDIRECT_URI || `${process.env.BASE_URL || 'http://localhost:7576'}/youtube/callback`;
-
-                youtubeService.initialize(clientId, clientSecret, redirectUri);
-                youtubeService.setCredentials(user.youtube_access_token, user.youtube_refresh_token);
-
-                // Upload video
-                return await youtubeService.uploadVideo(
-                    data.videoPath,
-                    data.metadata,
-                    updateProgress
-                );
-            };
-
-            // Add to job queue
-            const result = await jobQueueService.addJob(
-                'youtube',
-                'upload',
-                {
-                    videoPath,
-                    metadata: uploadMetadata,
-                    userId: req.session.userId,
-                    projectId
-                },
-                uploadProcessor
-            );
-
-            // Save YouTube video ID if completed
-            if (result.status === 'completed' && result.result.videoId) {
-                await Project.update(projectId, {
-                    youtube_video_id: result.result.videoId,
-                    youtube_status: 'published'
-                });
-            }
+            // Failures are stored on the job and sent over the socket
+            done.catch(() => {});
 
-            res.json(result);
+            res.json({
+                jobId,
+                status: 'queued',
+                message: 'Upload started; it resumes by itself after interruptions'
+            });
         } catch (error) {
             console.error('YouTube publish error:', error);
             res.status(500).json({
@@ -290,46 +329,329 @@ module.exports = (app, isAuthenticated) => {
     });
 
     /**
-     * Get recent uploads
+     * The user's latest upload jobs, with how much of each YouTube has received
      */
-    app.get('/api/youtube/recent-uploads', isAuthenticated, async (req, res) => {
+    app.get('/api/youtube/uploads', isAuthenticated, async (req, res) => {
         try {
-            const user = await User.findById(req.session.userId);
+            const uploads = await youtubeUploadService.getUploads(req.session.userId);
+            res.json({ success: true, uploads });
+        } catch (error) {
+            console.error('Error fetching uploads:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch uploads'
+            });
+        }
+    });
 
-            if (!user.youtube_access_token || !user.youtube_refresh_token) {
-                return res.json([]);
+    app.get('/api/youtube/uploads/:jobId', isAuthenticated, async (req, res) => {
+        try {
+            const job = await youtubeUploadService.getUpload(req.session.userId, req.params.jobId);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Upload not found'
+                });
             }
 
-            // Initialize YouTube service
-            const clientId = process.env.GOOGLE_CLIENT_ID;
-            const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
-            const redirectUri = process.env.GOOGLE_REDIRECT_URI || `${process.env.BASE_URL || 'http://localhost:7576'}/youtube/callback`;
+            res.json({ success: true, upload: youtubeUploadService.toSummary(job) });
+        } catch (error) {
+            console.error('Error fetching upload:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch upload'
+            });
+        }
+    });
+
+    /**
+     * Retry a failed upload from where it stopped
+     */
+    app.post('/api/youtube/uploads/:jobId/retry', isAuthenticated, async (req, res) => {
+        try {
+            const job = await youtubeUploadService.getUpload(req.session.userId, req.params.jobId);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Upload not found'
+                });
+            }
 
-            youtubeService.initialize(clientId, clientSecret, redirectUri);
-            youtubeService.setCredentials(user.youtube_access_token, user.youtube_refresh_token);
+            await youtubeUploadService.retryUpload(job);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
 
-            const videos = await youtubeService.getUploadedVideos(10);
+    /**
+     * Get recent uploads of a channel (default channel when none is given)
+     */
+    app.get('/api/youtube/recent-uploads', isAuthenticated, async (req, res) => {
+        try {
+            const { client } = await youtubeAccountService.getClient(req.session.userId, req.query.channel || null);
+            const videos = await client.getUploadedVideos(10);
 
             res.json(videos);
         } catch (error) {
-            console.error('Error fetching recent uploads:', error);
+            console.error('Error fetching recent uploads:', error.message);
             res.json([]);
         }
     });
 
+    // ============================================================================
+    // THUMBNAILS
+    // ============================================================================
+
+    /**
+     * Load a project of the current user into req.project
+     */
+    const loadProject = async (req, res, next) => {
+        try {
+            const project = await Project.findById(req.params.id);
+            if (!project || project.user_id !== req.session.userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Project not found'
+                });
+            }
+
+            req.project = project;
+            next();
+        } catch (error) {
+            console.error('Error loading project:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load project'
+            });
+        }
+    };
+
+    /**
+     * Layout templates and fonts of the thumbnail designer
+     */
+    app.get('/api/youtube/thumbnail-options', isAuthenticated, (req, res) => {
+        res.json({ success: true, ...thumbnailService.getOptions() });
+    });
+
+    /**
+     * Render a thumbnail from a frame of the project's video and attach it to the project
+     */
+    app.post('/api/youtube/projects/:id/thumbnail', isAuthenticated, loadProject, async (req, res) => {
+        let design;
+        try {
+            design = thumbnailService.normalizeDesign(req.body, req.project);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        try {
+            const thumbnail = await thumbnailService.renderThumbnail(req.project, design);
+            res.json({ success: true, thumbnail });
+        } catch (error) {
+            console.error('Thumbnail render error:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to render thumbnail'
+            });
+        }
+    });
+
+    /**
+     * Detach the thumbnail from a project
+     */
+    app.delete('/api/youtube/projects/:id/thumbnail', isAuthenticated, loadProject, async (req, res) => {
+        try {
+            await thumbnailService.removeThumbnail(req.project);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Thumbnail remove error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to remove thumbnail'
+            });
+        }
+    });
+
+    // ============================================================================
+    // SCHEDULED RELEASES
+    // ============================================================================
+
+    /**
+     * Load a release of the current user into req.release
+     */
+    const loadRelease = async (req, res, next) => {
+        try {
+            const release = await YouTubeRelease.findById(req.params.id);
+            if (!release || release.user_id !== req.session.userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Release not found'
+                });
+            }
+
+            req.release = release;
+            next();
+        } catch (error) {
+            console.error('Error loading release:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to load release'
+            });
+        }
+    };
+
+    /**
+     * Releases and open cadence slots between `from` and `until` (ISO dates)
+     */
+    app.get('/api/youtube/releases', isAuthenticated, async (req, res) => {
+        try {
+            const from = req.query.from ? new Date(req.query.from) : new Date();
+            const until = req.query.until ? new Date(req.query.until) : new Date(from.getTime() + 31 * 24 * 60 * 60 * 1000);
+
+            if (Number.isNaN(from.getTime()) || Number.isNaN(until.getTime()) || until <= from) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'from and until must be dates, with until after from'
+                });
+            }
+            if (until - from > 100 * 24 * 60 * 60 * 1000) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'The calendar range is limited to 100 days'
+                });
+            }
+
+            const calendar = await youtubePublishService.getCalendar(req.session.userId, from, until);
+            res.json({ success: true, ...calendar });
+        } catch (error) {
+            console.error('Error fetching releases:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch releases'
+            });
+        }
+    });
+
     /**
-     * Disconnect YouTube account
+     * Plan a release: `mode` is publish_at (upload now, YouTube publishes at
+     * `releaseAt`) or hold (upload at `releaseAt`). Without `releaseAt` the
+     * channel's next free cadence slot is taken
      */
-    app.post('/api/youtube/disconnect', isAuthenticated, async (req, res) => {
+    app.post('/api/youtube/releases', isAuthenticated, async (req, res) => {
         try {
-            await User.updateYouTubeTokens(req.session.userId, null, null);
+            const release = await youtubePublishService.scheduleRelease(req.session.userId, req.body);
+            res.json({ success: true, release });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
 
+    app.delete('/api/youtube/releases/:id', isAuthenticated, loadRelease, async (req, res) => {
+        try {
+            await youtubePublishService.cancelRelease(req.release);
             res.json({ success: true });
         } catch (error) {
-            console.error('Disconnect error:', error);
+            res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    app.post('/api/youtube/releases/:id/retry', isAuthenticated, loadRelease, async (req, res) => {
+        try {
+            await youtubePublishService.retryRelease(req.release);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Release cadences of the user's channels
+     */
+    app.get('/api/youtube/cadences', isAuthenticated, async (req, res) => {
+        try {
+            const cadences = await YouTubeCadence.findByUserId(req.session.userId);
+            res.json({ success: true, cadences });
+        } catch (error) {
+            console.error('Error fetching cadences:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to disconnect'
+                error: 'Failed to fetch cadences'
+            });
+        }
+    });
+
+    /**
+     * Set a channel's cadence: { type: daily|weekly|cron, startTime, daysOfWeek, cronExpression, timezone, exceptions }
+     */
+    app.put('/api/youtube/channels/:id/cadence', isAuthenticated, async (req, res) => {
+        try {
+            const cadence = await youtubePublishService.setCadence(req.session.userId, req.params.id, req.body);
+            res.json({ success: true, cadence });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    app.delete('/api/youtube/channels/:id/cadence', isAuthenticated, async (req, res) => {
+        try {
+            const channel = await YouTubeChannel.findById(req.params.id, req.session.userId);
+            if (!channel) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'YouTube channel not found'
+                });
+            }
+
+            await YouTubeCadence.deleteByChannelId(channel.id);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting cadence:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete cadence'
+            });
+        }
+    });
+
+    /**
+     * Next free cadence slot of a channel, null when it has no cadence
+     */
+    app.get('/api/youtube/channels/:id/next-slot', isAuthenticated, async (req, res) => {
+        try {
+            const channel = await YouTubeChannel.findById(req.params.id, req.session.userId);
+            if (!channel) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'YouTube channel not found'
+                });
+            }
+
+            const slot = await youtubePublishService.getNextSlot(channel.id);
+            res.json({ success: true, slot: slot ? slot.toISOString() : null });
+        } catch (error) {
+            console.error('Error finding next slot:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to find the next slot'
             });
         }
     });
@@ -0,0 +1,187 @@
+/**
+ * Analyze the loop point of every audio stem and record a recommended crossfade
+ * Compares the end of each stem with its start: a level jump or a sample
+ * discontinuity at the seam is heard as a click every time the stem loops
+ *
+ * Usage: node scripts/analyze-stem-loops.js [--dry-run]
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+const sqlite3 = require('sqlite3').verbose();
+const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
+
+const dbPath = process.env.DATABASE_PATH || './db/streamfactory.db';
+const dryRun = process.argv.includes('--dry-run');
+
+const SAMPLE_RATE = 44100;
+const LEVEL_WINDOW = 0.5;       // Seconds compared on each side of the seam for loudness
+const STEP_WINDOW = 0.01;       // Seconds next to the seam the sample step is compared with
+const MAX_LEVEL_JUMP_DB = 2;    // Louder or quieter than this across the seam is audible
+const MAX_STEP_RATIO = 6;       // Seam step vs. the average step next to it
+const MAX_CROSSFADE = 4;
+
+/**
+ * Decode a file to mono float samples, keeping only its first and last seconds
+ * The whole file is decoded (seeking from the end is unreliable for MP3), but
+ * memory stays bounded for long stems
+ */
+function decodeEdges(filePath, seconds) {
+    return new Promise((resolve, reject) => {
+        const edgeBytes = Math.round(seconds * SAMPLE_RATE) * 4;
+        const ffmpeg = spawn(ffmpegInstaller.path, [
+            '-v', 'error', '-i', filePath,
+            '-ac', '1', '-ar', `${SAMPLE_RATE}`, '-f', 'f32le', '-'
+        ]);
+        let head = Buffer.alloc(0);
+        let tail = Buffer.alloc(0);
+        let totalBytes = 0;
+        let stderr = '';
+
+        ffmpeg.stdout.on('data', (chunk) => {
+            totalBytes += chunk.length;
+            if (head.length < edgeBytes) {
+                head = Buffer.concat([head, chunk]).subarray(0, edgeBytes);
+            }
+            tail = Buffer.concat([tail, chunk]);
+            if (tail.length > edgeBytes) {
+                tail = tail.subarray(tail.length - edgeBytes);
+            }
+        });
+        ffmpeg.stderr.on('data', data => { stderr += data; });
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                return reject(new Error(stderr.trim() || `FFmpeg exited with code ${code}`));
+            }
+            const toSamples = buffer => new Float32Array(
+                buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + Math.floor(buffer.length / 4) * 4)
+            );
+            resolve({
+                head: toSamples(head),
+                tail: toSamples(tail),
+                duration: totalBytes / 4 / SAMPLE_RATE
+            });
+        });
+    });
+}
+
+function rms(samples) {
+    let sum = 0;
+    for (const sample of samples) {
+        sum += sample * sample;
+    }
+    return Math.sqrt(sum / Math.max(1, samples.length));
+}
+
+function meanStep(samples) {
+    let sum = 0;
+    for (let i = 1; i < samples.length; i++) {
+        sum += Math.abs(samples[i] - samples[i - 1]);
+    }
+    return sum / Math.max(1, samples.length - 1);
+}
+
+/**
+ * Measure the seam and recommend a crossfade length in seconds
+ */
+async function analyzeLoop(filePath) {
+    const { head, tail, duration } = await decodeEdges(filePath, LEVEL_WINDOW);
+
+    if (head.length === 0 || tail.length === 0) {
+        throw new Error('No audio decoded');
+    }
+
+    const epsilon = 1e-6;
+    const stepSamples = Math.round(STEP_WINDOW * SAMPLE_RATE);
+    const levelJumpDb = Math.abs(20 * Math.log10((rms(tail) + epsilon) / (rms(head) + epsilon)));
+    const seamStep = Math.abs(head[0] - tail[tail.length - 1]);
+    const nearbyStep = (meanStep(tail.subarray(-stepSamples)) + meanStep(head.subarray(0, stepSamples))) / 2;
+    const stepRatio = seamStep / (nearbyStep + epsilon);
+    const bad = levelJumpDb > MAX_LEVEL_JUMP_DB || stepRatio > MAX_STEP_RATIO;
+
+    // Clean seams only need a short blend; level jumps need longer ones to hide
+    let crossfade = bad ? Math.min(MAX_CROSSFADE, 0.5 + levelJumpDb * 0.25) : 0.1;
+    crossfade = Math.min(crossfade, duration / 4);
+    crossfade = Math.max(0.05, Math.round(crossfade * 20) / 20);
+
+    return { duration, levelJumpDb, stepRatio, bad, crossfade };
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+    });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    console.log('🔁 StreamFactory Stem Loop Analyzer\n');
+    if (dryRun) {
+        console.log('   Dry run: nothing will be written\n');
+    }
+
+    const db = new sqlite3.Database(dbPath);
+
+    // Databases set up before loop analysis existed don't have the column yet
+    await run(db, 'ALTER TABLE audio_stems ADD COLUMN loop_crossfade REAL').catch((err) => {
+        if (!err.message.includes('duplicate column')) throw err;
+    });
+
+    const stems = await new Promise((resolve, reject) => {
+        db.all('SELECT id, name, file_path FROM audio_stems ORDER BY category, name', (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
+    });
+
+    if (stems.length === 0) {
+        console.log('⚠️  No audio stems found in database.');
+        console.log('   Run: node scripts/scan-audio-files.js\n');
+        db.close();
+        return;
+    }
+
+    let badLoops = 0;
+    let analyzed = 0;
+
+    for (const stem of stems) {
+        // Same resolution as the audio engine
+        const filePath = path.resolve(stem.file_path);
+        if (!fs.existsSync(filePath)) {
+            console.warn(`⚠️  ${stem.name}: file not found (${stem.file_path})`);
+            continue;
+        }
+
+        try {
+            const result = await analyzeLoop(filePath);
+            analyzed++;
+            if (result.bad) badLoops++;
+
+            console.log(`${result.bad ? '❌' : '✅'} ${stem.name}: level jump ${result.levelJumpDb.toFixed(1)} dB, ` +
+                `seam step ${result.stepRatio.toFixed(1)}x → crossfade ${result.crossfade}s`);
+
+            if (!dryRun) {
+                await run(db, 'UPDATE audio_stems SET loop_crossfade = ? WHERE id = ?', [result.crossfade, stem.id]);
+            }
+        } catch (error) {
+            console.warn(`⚠️  ${stem.name}: could not analyze (${error.message})`);
+        }
+    }
+
+    db.close();
+
+    console.log(`\n📊 Analyzed ${analyzed} of ${stems.length} stems, ${badLoops} with a bad loop point`);
+    if (!dryRun) {
+        console.log('✅ Recommended crossfades saved to audio_stems.loop_crossfade\n');
+    }
+}
+
+// Run
+main().catch(error => {
+    console.error('❌ Fatal error:', error);
+    process.exit(1);
+});
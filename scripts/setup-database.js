@@ -34,6 +34,7 @@ db.serialize(() => {
       audio_config TEXT,
       audio_duration INTEGER,
       audio_output_path TEXT,
+      audio_loudness TEXT,
       
       video_source_ids TEXT,
       video_loop_type TEXT,
@@ -65,6 +66,9 @@ db.serialize(() => {
       file_path TEXT NOT NULL,
       duration REAL NOT NULL,
       default_volume REAL DEFAULT 0.7,
+      loop_crossfade REAL,
+      tags TEXT,
+      content_hash TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `, [], (err) => {
@@ -82,7 +86,11 @@ db.serialize(() => {
       name TEXT NOT NULL,
       description TEXT,
       stem_configs TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      user_id TEXT,
+      visibility TEXT DEFAULT 'shared',
+      version INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
     )
   `, [], (err) => {
     if (err) {
@@ -92,6 +100,29 @@ db.serialize(() => {
     }
   });
 
+  // Audio preset versions table: one row per saved state of a preset
+  db.run(`
+    CREATE TABLE IF NOT EXISTS audio_preset_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      preset_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      stem_configs TEXT NOT NULL,
+      visibility TEXT,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (preset_id, version),
+      FOREIGN KEY (preset_id) REFERENCES audio_presets(id) ON DELETE CASCADE
+    )
+  `, [], (err) => {
+    if (err) {
+      console.error('❌ Error creating audio_preset_versions table:', err);
+    } else {
+      console.log('✅ Audio preset versions table created/verified');
+    }
+  });
+
   // Jobs table (NEW - for BullMQ tracking)
   db.run(`
     CREATE TABLE IF NOT EXISTS jobs (
@@ -119,7 +150,146 @@ db.serialize(() => {
     }
   });
 
+  // Resumable upload state of jobs: session, bytes sent and retry schedule (if not exists)
+  [
+    { name: 'upload_session_uri', type: 'TEXT' },
+    { name: 'bytes_uploaded', type: 'INTEGER DEFAULT 0' },
+    { name: 'bytes_total', type: 'INTEGER' },
+    { name: 'attempts', type: 'INTEGER DEFAULT 0' },
+    { name: 'next_attempt_at', type: 'DATETIME' },
+    { name: 'updated_at', type: 'DATETIME' }
+  ].forEach(col => {
+    db.run(`ALTER TABLE jobs ADD COLUMN ${col.name} ${col.type}`, [], (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error(`⚠️  Could not add ${col.name} column:`, err.message);
+      } else if (!err) {
+        console.log(`✅ Added ${col.name} column to jobs`);
+      }
+    });
+  });
+
+  // Add measured loudness report to projects table (if not exists)
+  db.run(`
+    ALTER TABLE projects ADD COLUMN audio_loudness TEXT
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add audio_loudness column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added audio_loudness column to projects');
+    }
+  });
+
+  // Add recommended loop crossfade to audio_stems table (if not exists)
+  db.run(`
+    ALTER TABLE audio_stems ADD COLUMN loop_crossfade REAL
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add loop_crossfade column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added loop_crossfade column to audio_stems');
+    }
+  });
+
+  // Add tags (JSON array) to audio_stems table (if not exists)
+  db.run(`
+    ALTER TABLE audio_stems ADD COLUMN tags TEXT
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add tags column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added tags column to audio_stems');
+    }
+  });
+
+  // Add content hash (sha256 of the file) to audio_stems table (if not exists)
+  db.run(`
+    ALTER TABLE audio_stems ADD COLUMN content_hash TEXT
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add content_hash column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added content_hash column to audio_stems');
+    }
+  });
+
+  // Add owner to audio_presets table (if not exists); presets without one are built in
+  db.run(`
+    ALTER TABLE audio_presets ADD COLUMN user_id TEXT
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add user_id column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added user_id column to audio_presets');
+    }
+  });
+
+  // Add visibility (private or shared) to audio_presets table (if not exists)
+  db.run(`
+    ALTER TABLE audio_presets ADD COLUMN visibility TEXT DEFAULT 'shared'
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add visibility column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added visibility column to audio_presets');
+    }
+  });
+
+  // Add current version number to audio_presets table (if not exists)
+  db.run(`
+    ALTER TABLE audio_presets ADD COLUMN version INTEGER DEFAULT 1
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add version column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added version column to audio_presets');
+    }
+  });
+
+  // Add last edit time to audio_presets table (if not exists)
+  db.run(`
+    ALTER TABLE audio_presets ADD COLUMN updated_at DATETIME
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add updated_at column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added updated_at column to audio_presets');
+    }
+  });
+
+  // Add the registry ID of the channel a project was published to (if not exists)
+  db.run(`
+    ALTER TABLE projects ADD COLUMN youtube_channel_id TEXT
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add youtube_channel_id column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added youtube_channel_id column to projects');
+    }
+  });
+
+  // Add the rendered YouTube thumbnail and its design to projects table (if not exists)
+  db.run(`
+    ALTER TABLE projects ADD COLUMN youtube_thumbnail_path TEXT
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add youtube_thumbnail_path column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added youtube_thumbnail_path column to projects');
+    }
+  });
+
+  db.run(`
+    ALTER TABLE projects ADD COLUMN youtube_thumbnail_design TEXT
+  `, [], (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('⚠️  Could not add youtube_thumbnail_design column:', err.message);
+    } else if (!err) {
+      console.log('✅ Added youtube_thumbnail_design column to projects');
+    }
+  });
+
   // Add YouTube token columns to users table (if not exists)
+  // Only read to move tokens into the youtube_channels registry
   db.run(`
     ALTER TABLE users ADD COLUMN youtube_access_token TEXT
   `, [], (err) => {
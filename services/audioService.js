@@ -3,16 +3,59 @@ const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
 const path = require('path');
 const fs = require('fs-extra');
 const sqlite3 = require('sqlite3').verbose();
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const { MAX_SEED, randomSeed, parseSeed, createRandom } = require('../utils/prng');
 
 // Set FFmpeg path
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
 
 const dbPath = process.env.DATABASE_PATH || './db/streamfactory.db';
 
+// Loop crossfade (seconds) for stems the loop analysis hasn't looked at yet
+const DEFAULT_LOOP_CROSSFADE = 1;
+
+// One-shot event settings a stem gets unless its config says otherwise:
+// an event every 3-10 minutes, anywhere in the middle of the stereo field
+const ONE_SHOT_DEFAULTS = {
+    minInterval: 180,
+    maxInterval: 600,
+    minVolume: 0.5,
+    maxVolume: 0.9,
+    minPan: -0.6,
+    maxPan: 0.6
+};
+
+// One-shot clips are decoded into memory whole, so they have to stay short
+const MAX_ONE_SHOT_LENGTH = 120;
+
+// Mastering EQ presets, applied in the order they are listed here
+const EQ_PRESETS = {
+    'rumble-cut': { label: 'Rumble cut (high-pass 40 Hz)', filters: ['highpass=f=40'] },
+    'sleep-safe': { label: 'Sleep-safe (low-pass 6 kHz)', filters: ['lowpass=f=6000'] }
+};
+
+// Output formats; lossy ones take a bitrate in kbps
+const OUTPUT_FORMATS = {
+    mp3: { label: 'MP3', extension: '.mp3', codec: 'libmp3lame', sampleRate: 44100, bitrates: [96, 320], defaultBitrate: 192 },
+    aac: { label: 'AAC', extension: '.m4a', codec: 'aac', sampleRate: 44100, bitrates: [96, 320], defaultBitrate: 192 },
+    opus: { label: 'Opus', extension: '.opus', codec: 'libopus', sampleRate: 48000, bitrates: [48, 256], defaultBitrate: 128 },
+    flac: { label: 'FLAC', extension: '.flac', codec: 'flac', sampleRate: 44100 },
+    // RIFF sizes are 32-bit, so 16-bit stereo WAV stops at about 6.7 hours
+    wav: { label: 'WAV', extension: '.wav', codec: 'pcm_s16le', sampleRate: 44100, maxDuration: 21600 }
+};
+
 class AudioService {
     constructor() {
         this.audioStemsDir = process.env.AUDIO_STEMS_DIR || './audio-stems';
         this.audioOutputDir = process.env.AUDIO_OUTPUT_DIR || './public/audio-output';
+        this.previewDir = path.join(this.audioOutputDir, 'previews');
+        this.loopCacheDir = path.join(this.audioOutputDir, 'loops');
+        this.loopBuilds = new Map(); // loop path -> pending build, so concurrent renders share one
+        this.eventTrackDir = path.join(this.audioOutputDir, 'events');
+        this.envelopeRate = 50; // Gain automation samples per second
+        this.eqPresets = EQ_PRESETS;
+        this.outputFormats = OUTPUT_FORMATS;
 
         // Ensure output directory exists
         fs.ensureDirSync(this.audioOutputDir);
@@ -43,8 +86,9 @@ class AudioService {
 
     /**
      * Get audio preset from database
+     * With a user, another user's private preset is reported as not found
      */
-    async getAudioPreset(presetId) {
+    async getAudioPreset(presetId, userId = null) {
         return new Promise((resolve, reject) => {
             const db = new sqlite3.Database(dbPath);
 
@@ -52,7 +96,8 @@ class AudioService {
                 db.close();
                 if (err) return reject(err);
 
-                if (!row) {
+                const hidden = row && userId && row.user_id && row.user_id !== userId && row.visibility !== 'shared';
+                if (!row || hidden) {
                     return reject(new Error(`Preset ${presetId} not found`));
                 }
 
@@ -65,16 +110,17 @@ class AudioService {
 
     /**
      * Generate random volume drift curve
-     * Creates natural-sounding volume variations over time
+     * Creates natural-sounding volume variations over time, one point per minute.
+     * Points sit at fixed times, so a longer render with the same seed starts
+     * exactly like the shorter one
      */
-    generateVolumeCurve(duration, baseVolume, volatility) {
-        const points = Math.max(10, Math.floor(duration / 60)); // One point per minute minimum
+    generateVolumeCurve(duration, baseVolume, volatility, random = Math.random) {
+        const points = Math.ceil(duration / 60);
         const curve = [];
 
         for (let i = 0; i <= points; i++) {
-            const time = (i / points) * duration;
-            const randomOffset = (Math.random() - 0.5) * volatility;
-            const volume = Math.max(0.1, Math.min(1.0, baseVolume + randomOffset));
+            const time = i * 60;
+            const volume = this.generateVolumePoint(baseVolume, volatility, random);
 
             curve.push({ time, volume });
         }
@@ -82,16 +128,27 @@ class AudioService {
         return curve;
     }
 
+    /**
+     * Pick one point of a volume drift curve
+     * Shared with the live generative engine, which draws points as it plays
+     */
+    generateVolumePoint(baseVolume, volatility, random = Math.random) {
+        const randomOffset = (random() - 0.5) * volatility;
+        return Math.max(0.1, Math.min(1.0, baseVolume + randomOffset));
+    }
+
     /**
      * Generate random stereo panning curve
+     * driftSpeed is the number of pan moves per minute (1 = one new position every minute)
      */
-    generatePanCurve(duration, spatialDrift) {
-        const points = Math.max(10, Math.floor(duration / 60));
+    generatePanCurve(duration, spatialDrift, driftSpeed = 1, random = Math.random) {
+        const interval = 60 / driftSpeed;
+        const points = Math.ceil(duration / interval);
         const curve = [];
 
         for (let i = 0; i <= points; i++) {
-            const time = (i / points) * duration;
-            const pan = (Math.random() - 0.5) * 2 * spatialDrift; // -1 to 1
+            const time = i * interval;
+            const pan = this.generatePanPoint(spatialDrift, random);
 
             curve.push({ time, pan });
         }
@@ -100,49 +157,111 @@ class AudioService {
     }
 
     /**
-     * Build FFmpeg volume filter string from curve
+     * Pick one point of a stereo panning curve (-1 to 1)
      */
-    buildVolumeFilter(curve) {
-        const expr = curve.map(point =>
-            `between(t,${point.time},${point.time + 1})*${point.volume}`
-        ).join('+');
+    generatePanPoint(spatialDrift, random = Math.random) {
+        return (random() - 0.5) * 2 * spatialDrift;
+    }
 
-        return `volume='${expr}':eval=frame`;
+    /**
+     * Left/right gains for a pan value (-1 full left, 0 center, 1 full right)
+     */
+    getPanGains(panValue) {
+        return {
+            left: 1 - Math.max(0, panValue),
+            right: 1 + Math.min(0, panValue)
+        };
     }
 
     /**
-     * Build FFmpeg pan filter for stereo positioning
+     * Linear interpolation over a {time, <key>} curve
+     * Keeps a cursor, so reads must move forward in time
      */
-    buildPanFilter(panValue) {
-        // Pan value: -1 (full left) to 1 (full right), 0 (center)
-        const leftGain = 1 - Math.max(0, panValue);
-        const rightGain = 1 + Math.min(0, panValue);
+    createCurveReader(curve, key) {
+        let index = 0;
+
+        return (time) => {
+            while (index < curve.length - 2 && curve[index + 1].time <= time) {
+                index++;
+            }
 
-        return `pan=stereo|c0=${leftGain}*c0|c1=${rightGain}*c1`;
+            const from = curve[index];
+            const to = curve[index + 1] || from;
+            if (to.time <= from.time) return from[key];
+
+            const mix = Math.min(1, Math.max(0, (time - from.time) / (to.time - from.time)));
+            return from[key] + (to[key] - from[key]) * mix;
+        };
     }
 
     /**
-     * Advanced audio generation with complex mixing
-     * 
-     * @param {Object} config - Audio configuration
-     * @param {Array} config.stems - Array of {id, volume} objects
-     * @param {number} config.duration - Duration in seconds
-     * @param {number} config.volatility - Volume drift randomness (0-1)
-     * @param {number} config.density - How many layers to overlap (0-1)
-     * @param {number} config.spatialDrift - Stereo panning amount (0-1)
-     * @param {Function} progressCallback - Called with progress 0-100
+     * Raw f32le gain envelope (left/right per stem, volume x pan) for a render
+     * Produced one second at a time, so 10-hour renders stay small in memory
      */
-    async generateAudio(config, progressCallback = null) {
-        const {
-            stems = [],
-            duration = 3600, // Default: 1 hour
-            volatility = 0.3,
-            density = 0.7,
-            spatialDrift = 0.5,
-            outputName = null
-        } = config;
+    createEnvelopeStream(volumeCurves, panCurves, duration) {
+        const rate = this.envelopeRate;
+        const channels = volumeCurves.length * 2;
+        const volumeReaders = volumeCurves.map(curve => this.createCurveReader(curve, 'volume'));
+        const panReaders = panCurves.map(curve => this.createCurveReader(curve, 'pan'));
+        const getPanGains = (pan) => this.getPanGains(pan);
+        // One extra second so the envelope never ends before the output does
+        const totalFrames = Math.ceil(duration + 1) * rate;
+        let frame = 0;
+
+        return new Readable({
+            read() {
+                if (frame >= totalFrames) {
+                    this.push(null);
+                    return;
+                }
 
-        // Validation
+                const chunk = Buffer.alloc(rate * channels * 4);
+                let offset = 0;
+
+                for (let i = 0; i < rate; i++, frame++) {
+                    const time = frame / rate;
+                    volumeReaders.forEach((readVolume, index) => {
+                        const volume = readVolume(time);
+                        const { left, right } = getPanGains(panReaders[index](time));
+                        chunk.writeFloatLE(volume * left, offset);
+                        chunk.writeFloatLE(volume * right, offset + 4);
+                        offset += 8;
+                    });
+                }
+
+                this.push(chunk);
+            }
+        });
+    }
+
+    /**
+     * Filter graph that applies a gain envelope to each stem and mixes them
+     * Stems are inputs 0..n-1, the envelope (2 channels per stem) is input n
+     */
+    buildEnvelopeMixGraph(stemCount) {
+        const graph = [];
+        const envelopeLabels = Array.from({ length: stemCount }, (_, i) => `[env${i}]`).join('');
+
+        graph.push(stemCount > 1
+            ? `[${stemCount}:a]asplit=${stemCount}${envelopeLabels}`
+            : `[${stemCount}:a]anull${envelopeLabels}`);
+
+        for (let i = 0; i < stemCount; i++) {
+            graph.push(`[env${i}]pan=stereo|c0=c${i * 2}|c1=c${i * 2 + 1},aresample=44100[gain${i}]`);
+            graph.push(`[${i}:a]aformat=sample_rates=44100:channel_layouts=stereo[stem${i}]`);
+            graph.push(`[stem${i}][gain${i}]amultiply[layer${i}]`);
+        }
+
+        const layers = Array.from({ length: stemCount }, (_, i) => `[layer${i}]`).join('');
+        graph.push(`${layers}amix=inputs=${stemCount}:duration=longest:dropout_transition=2,dynaudnorm=f=150:g=15[out]`);
+
+        return graph;
+    }
+
+    /**
+     * Look up configured stems ({id|stem_id, volume}) and check their files exist
+     */
+    async resolveStems(stems) {
         if (!stems || stems.length === 0) {
             throw new Error('At least one audio stem is required');
         }
@@ -151,12 +270,6 @@ class AudioService {
             throw new Error('Maximum 10 audio stems allowed');
         }
 
-        if (duration < 60 || duration > 36000) { // 1 min to 10 hours
-            throw new Error('Duration must be between 1 minute and 10 hours');
-        }
-
-        console.log(`🎵 Starting audio generation: ${stems.length} stems, ${Math.floor(duration / 60)} minutes`);
-
         // Get stems from database
         const stemIds = stems.map(s => s.stem_id || s.id);
         const dbStems = await this.getAudioStems(stemIds);
@@ -170,10 +283,18 @@ class AudioService {
             const stemConfig = stems.find(s => (s.stem_id || s.id) === dbStem.id);
             return {
                 ...dbStem,
-                volume: stemConfig.volume || dbStem.default_volume || 0.7
+                volume: stemConfig.volume || dbStem.default_volume || 0.7,
+                driftSpeed: this.parseDriftSpeed(stemConfig.driftSpeed),
+                loopCrossfade: this.parseLoopCrossfade(stemConfig.crossfade, dbStem),
+                oneShot: this.parseOneShot(stemConfig.oneShot)
             };
         });
 
+        const longClip = audioStems.find(stem => stem.oneShot && stem.duration > MAX_ONE_SHOT_LENGTH);
+        if (longClip) {
+            throw new Error(`${longClip.name} is too long to use as a one-shot (max ${MAX_ONE_SHOT_LENGTH / 60} minutes)`);
+        }
+
         // Verify audio files exist
         for (const stem of audioStems) {
             const fullPath = path.resolve(stem.file_path);
@@ -182,51 +303,651 @@ class AudioService {
             }
         }
 
-        // Generate output filename
+        return audioStems;
+    }
+
+    /**
+     * Pan moves per minute for one stem (default 1)
+     */
+    parseDriftSpeed(value) {
+        if (value === undefined || value === null || value === '') return 1;
+
+        const speed = parseFloat(value);
+        if (!Number.isFinite(speed) || speed < 0.1 || speed > 10) {
+            throw new Error('Pan drift speed must be between 0.1 and 10 moves per minute');
+        }
+
+        return speed;
+    }
+
+    /**
+     * Loop crossfade in seconds for one stem (0 loops the file as is)
+     * Falls back to the length recorded by the loop analysis script
+     */
+    parseLoopCrossfade(value, dbStem) {
+        if (value === undefined || value === null || value === '') {
+            return typeof dbStem.loop_crossfade === 'number' ? dbStem.loop_crossfade : DEFAULT_LOOP_CROSSFADE;
+        }
+
+        const crossfade = parseFloat(value);
+        if (!Number.isFinite(crossfade) || crossfade < 0 || crossfade > 10) {
+            throw new Error('Loop crossfade must be between 0 and 10 seconds');
+        }
+
+        return crossfade;
+    }
+
+    /**
+     * One-shot event settings for one stem, or null for a continuous bed
+     * `true` takes the defaults; intervals are seconds between event starts
+     */
+    parseOneShot(value) {
+        if (!value) return null;
+
+        const settings = value === true ? {} : value;
+        const pick = (key, min, max, label) => {
+            const raw = settings[key];
+            if (raw === undefined || raw === null || raw === '') return ONE_SHOT_DEFAULTS[key];
+            const number = parseFloat(raw);
+            if (!Number.isFinite(number) || number < min || number > max) {
+                throw new Error(`${label} must be between ${min} and ${max}`);
+            }
+            return number;
+        };
+
+        const oneShot = {
+            minInterval: pick('minInterval', 5, 36000, 'One-shot minimum interval (seconds)'),
+            maxInterval: pick('maxInterval', 5, 36000, 'One-shot maximum interval (seconds)'),
+            minVolume: pick('minVolume', 0, 1, 'One-shot minimum volume'),
+            maxVolume: pick('maxVolume', 0, 1, 'One-shot maximum volume'),
+            minPan: pick('minPan', -1, 1, 'One-shot minimum pan'),
+            maxPan: pick('maxPan', -1, 1, 'One-shot maximum pan')
+        };
+
+        if (oneShot.minInterval > oneShot.maxInterval) {
+            throw new Error('One-shot minimum interval can\'t be longer than the maximum interval');
+        }
+        if (oneShot.minVolume > oneShot.maxVolume || oneShot.minPan > oneShot.maxPan) {
+            throw new Error('One-shot volume and pan ranges must go from low to high');
+        }
+
+        return oneShot;
+    }
+
+    /**
+     * Seamless loop files for resolved stems
+     * The tail of each stem is crossfaded into its head, so `-stream_loop` repeats
+     * the file without a click or jump at the boundary. Adds `loopPath` to each stem
+     */
+    async prepareLoops(audioStems) {
+        await fs.ensureDir(this.loopCacheDir);
+
+        const prepared = [];
+        for (const stem of audioStems) {
+            prepared.push({ ...stem, loopPath: await this.getStemLoop(stem) });
+        }
+        return prepared;
+    }
+
+    /**
+     * Path of a stem's loop file, built on first use
+     * Cached per stem, crossfade and source modification time
+     */
+    async getStemLoop(stem) {
+        const sourcePath = path.resolve(stem.file_path);
+
+        // Keep at least a third of the stem out of the crossfade
+        const crossfade = Math.min(stem.loopCrossfade, (stem.duration || 0) / 3);
+        if (!(crossfade >= 0.01)) {
+            return sourcePath;
+        }
+
+        const { mtimeMs } = await fs.stat(sourcePath);
+        const loopPath = path.join(
+            this.loopCacheDir,
+            `stem_${stem.id}_${Math.round(crossfade * 1000)}ms_${Math.floor(mtimeMs)}.wav`
+        );
+
+        if (await fs.pathExists(loopPath)) {
+            return loopPath;
+        }
+
+        if (!this.loopBuilds.has(loopPath)) {
+            const build = this.buildStemLoop(sourcePath, loopPath, crossfade)
+                .then(() => loopPath)
+                .catch(error => {
+                    console.warn(`⚠️  Could not build a seamless loop for ${stem.name}, looping the file as is:`, error.message);
+                    return sourcePath;
+                })
+                .finally(() => this.loopBuilds.delete(loopPath));
+            this.loopBuilds.set(loopPath, build);
+        }
+
+        return this.loopBuilds.get(loopPath);
+    }
+
+    /**
+     * Render [crossfade, end) of the source with its last `crossfade` seconds blended into
+     * [0, crossfade). The blend ends where the loop starts again, so the seam is continuous
+     */
+    buildStemLoop(sourcePath, loopPath, crossfade) {
+        // Written under a temporary name so a half-built loop is never picked up
+        const partPath = loopPath.replace(/\.wav$/, '.part.wav');
+
+        // The source is opened twice instead of split: asplit feeding acrossfade can crash FFmpeg
+        return new Promise((resolve, reject) => {
+            ffmpeg(sourcePath)
+                .input(sourcePath)
+                .complexFilter([
+                    `[0:a]aformat=sample_rates=44100:channel_layouts=stereo,atrim=start=${crossfade},asetpts=PTS-STARTPTS[body]`,
+                    `[1:a]aformat=sample_rates=44100:channel_layouts=stereo,atrim=end=${crossfade},asetpts=PTS-STARTPTS[head]`,
+                    // Tail and head are different material, so an equal-power curve keeps the level steady
+                    `[body][head]acrossfade=d=${crossfade}:c1=qsin:c2=qsin[loop]`
+                ], 'loop')
+                .audioCodec('pcm_s16le')
+                .on('end', () => {
+                    fs.move(partPath, loopPath, { overwrite: true }).then(resolve).catch(reject);
+                })
+                .on('error', (err) => {
+                    fs.remove(partPath).finally(() => reject(err));
+                })
+                .save(partPath);
+        });
+    }
+
+    /**
+     * Validate the settings of a live generative mix
+     * Throws a user-facing error; the seed is optional (random per stream start)
+     */
+    async normalizeLiveConfig(config = {}) {
+        const stems = Array.isArray(config.stems) ? config.stems : [];
+        const audioStems = await this.resolveStems(stems);
+        if (audioStems.some(stem => stem.oneShot)) {
+            throw new Error('One-shot stems are only supported in rendered mixes');
+        }
+
+        const pickAmount = (value, fallback, label) => {
+            if (value === undefined || value === null || value === '') return fallback;
+            const amount = parseFloat(value);
+            if (!Number.isFinite(amount) || amount < 0 || amount > 1) {
+                throw new Error(`${label} must be between 0 and 1`);
+            }
+            return amount;
+        };
+
+        return {
+            stems: stems.map(stem => ({
+                id: stem.stem_id || stem.id,
+                volume: pickAmount(stem.volume, 0.7, 'Stem volume'),
+                crossfade: stem.crossfade
+            })),
+            volatility: pickAmount(config.volatility, 0.3, 'Volume volatility'),
+            density: pickAmount(config.density, 0.7, 'Layer density'),
+            spatialDrift: pickAmount(config.spatialDrift, 0.5, 'Spatial drift'),
+            seed: parseSeed(config.seed)
+        };
+    }
+
+    /**
+     * Validate mastering and output settings
+     * Throws a user-facing error; with nothing set the render is a plain 192k MP3
+     */
+    resolveMastering(config = {}) {
+        const mastering = config.mastering || {};
+        const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+        const requestedEq = Array.isArray(mastering.eq) ? mastering.eq : [];
+        const unknownEq = requestedEq.find(preset => !EQ_PRESETS[preset]);
+        if (unknownEq) {
+            throw new Error(`Unknown EQ preset: ${unknownEq}`);
+        }
+        const eq = Object.keys(EQ_PRESETS).filter(preset => requestedEq.includes(preset));
+
+        const targetLufs = isSet(mastering.targetLufs) ? parseFloat(mastering.targetLufs) : null;
+        if (targetLufs !== null && !(targetLufs >= -30 && targetLufs <= -10)) {
+            throw new Error('Loudness target must be between -30 and -10 LUFS');
+        }
+
+        const truePeak = isSet(mastering.truePeak) ? parseFloat(mastering.truePeak) : -1.5;
+        if (!(truePeak >= -9 && truePeak <= 0)) {
+            throw new Error('True peak ceiling must be between -9 and 0 dBTP');
+        }
+
+        const format = config.format || 'mp3';
+        const outputFormat = OUTPUT_FORMATS[format];
+        if (!outputFormat) {
+            throw new Error(`Output format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+        }
+
+        let bitrate = null;
+        if (outputFormat.bitrates) {
+            const [min, max] = outputFormat.bitrates;
+            bitrate = isSet(config.bitrate) ? parseInt(config.bitrate) : outputFormat.defaultBitrate;
+            if (!(bitrate >= min && bitrate <= max)) {
+                throw new Error(`${outputFormat.label} bitrate must be between ${min} and ${max} kbps`);
+            }
+        }
+
+        return {
+            eq,
+            limiter: Boolean(mastering.limiter),
+            targetLufs,
+            truePeak,
+            format,
+            bitrate
+        };
+    }
+
+    /**
+     * Advanced audio generation with complex mixing
+     * 
+     * @param {Object} config - Audio configuration
+     * @param {Array} config.stems - Array of {id, volume, driftSpeed, crossfade, oneShot} objects
+     *   (driftSpeed: pan moves per minute, crossfade: loop seam in seconds, defaults to the stem's analysed value,
+     *   oneShot: {minInterval, maxInterval, minVolume, maxVolume, minPan, maxPan} plays the stem as scattered events)
+     * @param {number} config.duration - Duration in seconds
+     * @param {number} config.volatility - Volume drift randomness (0-1)
+     * @param {number} config.density - How many layers to overlap (0-1)
+     * @param {number} config.spatialDrift - Stereo panning amount (0-1)
+     * @param {number} [config.seed] - Fixes the drift curves; a random one is picked when omitted
+     * @param {Object} [config.mastering] - {eq: [preset], limiter, targetLufs, truePeak}
+     * @param {string} [config.format] - mp3 (default), aac, opus, flac or wav
+     * @param {number} [config.bitrate] - kbps for lossy formats
+     * @param {Function} progressCallback - Called with progress 0-100
+     */
+    async generateAudio(config, progressCallback = null) {
+        const {
+            stems = [],
+            duration = 3600, // Default: 1 hour
+            volatility = 0.3,
+            density = 0.7,
+            spatialDrift = 0.5,
+            outputName = null
+        } = config;
+
+        // Validation
+        if (duration < 60 || duration > 36000) { // 1 min to 10 hours
+            throw new Error('Duration must be between 1 minute and 10 hours');
+        }
+
+        const master = this.resolveMastering(config);
+        const outputFormat = OUTPUT_FORMATS[master.format];
+        if (outputFormat.maxDuration && duration > outputFormat.maxDuration) {
+            throw new Error(`${outputFormat.label} output is limited to ${outputFormat.maxDuration / 3600} hours; use FLAC for longer renders`);
+        }
+
+        // Every render gets a seed so it can be reproduced later
+        const parsedSeed = parseSeed(config.seed);
+        const seed = parsedSeed === null ? randomSeed() : parsedSeed;
+
+        const audioStems = await this.resolveStems(stems);
+
+        console.log(`🎵 Starting audio generation: ${stems.length} stems, ${Math.floor(duration / 60)} minutes`);
+
+        // Generate output filename; the extension always follows the output format
         const timestamp = Date.now();
-        const fileName = outputName || `audio_${timestamp}.mp3`;
+        const baseName = outputName ? outputName.replace(/\.[^.]+$/, '') : `audio_${timestamp}`;
+        const fileName = `${baseName}${outputFormat.extension}`;
         const outputPath = path.join(this.audioOutputDir, fileName);
 
+        const { generationTime, loudness } = await this.renderMix(
+            audioStems,
+            { duration, volatility, spatialDrift, seed, master },
+            outputPath,
+            progressCallback
+        );
+
+        // Return result with metadata
+        return {
+            success: true,
+            outputPath,
+            relativePath: `/audio-output/${fileName}`,
+            duration,
+            stems: audioStems.length,
+            seed,
+            format: master.format,
+            loudness,
+            generationTime,
+            fileSize: fs.statSync(outputPath).size,
+            fileName
+        };
+    }
+
+    /**
+     * Mix resolved stems with volume and pan automation, then master and encode
+     * With a loudness target the mix is rendered twice: it is seeded, so the
+     * measuring pass hears exactly the signal the final pass encodes, without
+     * keeping a multi-gigabyte intermediate file around
+     * Resolves with the render time in seconds and the measured loudness of the output
+     */
+    async renderMix(resolvedStems, settings, outputPath, progressCallback = null) {
+        const { duration, volatility, spatialDrift, seed, master } = settings;
+        const startTime = Date.now();
+        const { beds, events } = this.createLayerRandoms(resolvedStems, seed);
+
+        if (progressCallback) {
+            progressCallback(0, 'Preparing stem loops');
+        }
+        const loops = await this.prepareLoops(beds.map(layer => layer.stem));
+
         // Generate volume drift curves
-        const volumeCurves = audioStems.map(stem =>
-            this.generateVolumeCurve(duration, stem.volume, volatility)
+        const volumeCurves = beds.map(layer =>
+            this.generateVolumeCurve(duration, layer.stem.volume, volatility, layer.volume)
         );
 
-        // Generate stereo panning curves
-        const panCurves = audioStems.map(() =>
-            this.generatePanCurve(duration, spatialDrift)
+        // Generate stereo panning curves, each stem drifting at its own speed
+        const panCurves = beds.map(layer =>
+            this.generatePanCurve(duration, spatialDrift, layer.stem.driftSpeed, layer.pan)
         );
 
-        // Build FFmpeg command
-        const command = ffmpeg();
+        if (progressCallback && events.length > 0) {
+            progressCallback(0, 'Placing one-shot events');
+        }
+        const eventTracks = await this.buildEventTracks(events, duration);
+
+        // Event tracks have their volume and pan baked in, so their envelope is flat
+        const inputs = [
+            ...loops.map(stem => ({ path: stem.loopPath, loop: true })),
+            ...eventTracks.map(trackPath => ({ path: trackPath, loop: false }))
+        ];
+        eventTracks.forEach(() => {
+            volumeCurves.push([{ time: 0, volume: 1 }]);
+            panCurves.push([{ time: 0, pan: 0 }]);
+        });
 
-        // Add all inputs with infinite loop
-        audioStems.forEach(stem => {
-            command.input(path.resolve(stem.file_path))
-                .inputOptions(['-stream_loop', '-1']); // Infinite loop
+        const mix = { inputs, volumeCurves, panCurves, duration };
+        const report = (from, to) => progressCallback && ((progress, message) => {
+            progressCallback(Math.floor(from + (progress / 100) * (to - from)), message);
         });
 
-        // Build complex filter chains
-        const filterChains = [];
+        if (progressCallback) {
+            progressCallback(0, 'Audio generation started');
+        }
+
+        try {
+            let measured = null;
+            let renderStart = 0;
+            if (master.targetLufs !== null) {
+                const stderr = await this.runMix(mix, this.buildMasteringFilters(master), null, report(0, 45), 'Measuring loudness');
+                measured = this.parseLoudnormStats(stderr);
+                renderStart = 45;
+            }
+
+            await this.runMix(mix, this.buildMasteringFilters(master, measured), { path: outputPath, master }, report(renderStart, 90), 'Rendering');
+
+            if (progressCallback) {
+                progressCallback(90, 'Measuring output loudness');
+            }
+            const loudness = await this.measureLoudness(outputPath);
+            if (master.targetLufs !== null) {
+                loudness.target = { integrated: master.targetLufs, truePeak: master.truePeak };
+            }
+
+            const generationTime = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
+            console.log(`✅ Audio generation completed in ${generationTime}s`);
+            console.log(`📁 Output: ${outputPath}`);
+
+            if (progressCallback) {
+                progressCallback(100, 'Audio generation completed');
+            }
+
+            return { generationTime, loudness };
+        } catch (error) {
+            if (progressCallback) {
+                progressCallback(0, `Error: ${error.message}`);
+            }
+
+            // Cleanup failed output
+            if (fs.existsSync(outputPath)) {
+                fs.unlinkSync(outputPath);
+            }
+
+            throw error;
+        } finally {
+            await Promise.all(eventTracks.map(trackPath => fs.remove(trackPath)));
+        }
+    }
+
+    /**
+     * Random sequences for the layers of a mix, derived from its seed
+     * Beds draw theirs first, in stem order, so adding one-shot stems to a mix
+     * never changes how its beds move for the same seed
+     */
+    createLayerRandoms(audioStems, seed) {
+        const seeds = createRandom(seed);
+        const next = () => createRandom(Math.floor(seeds() * MAX_SEED));
+
+        // Each bed's volume and pan curves draw from their own sequence, so the
+        // number of points one curve needs never shifts the values of another
+        const beds = audioStems
+            .filter(stem => !stem.oneShot)
+            .map(stem => ({ stem, volume: next(), pan: next() }));
+        const events = audioStems
+            .filter(stem => stem.oneShot)
+            .map(stem => ({ stem, random: next() }));
+
+        return { beds, events };
+    }
+
+    /**
+     * Start time (seconds), volume and pan of each event of a one-shot stem
+     * Events are drawn in order from the start, so a longer render with the
+     * same seed places its first events exactly where a shorter one did
+     */
+    scheduleEvents(oneShot, duration, random = Math.random) {
+        const { minInterval, maxInterval, minVolume, maxVolume, minPan, maxPan } = oneShot;
+        const events = [];
+        let time = 0;
+
+        while (true) {
+            time += minInterval + random() * (maxInterval - minInterval);
+            if (time >= duration) break;
+
+            events.push({
+                time,
+                volume: minVolume + random() * (maxVolume - minVolume),
+                pan: minPan + random() * (maxPan - minPan)
+            });
+        }
+
+        return events;
+    }
+
+    /**
+     * Where the one-shot events of a configuration land, without rendering it
+     * Same seeded draws as a render, so the timeline matches the audio
+     */
+    async getEventTimeline(config) {
+        const duration = parseInt(config.duration || 3600);
+        if (!(duration >= 60 && duration <= 36000)) {
+            throw new Error('Duration must be between 1 minute and 10 hours');
+        }
+
+        const parsedSeed = parseSeed(config.seed);
+        const seed = parsedSeed === null ? randomSeed() : parsedSeed;
+
+        const audioStems = await this.resolveStems(config.stems);
+        const { events } = this.createLayerRandoms(audioStems, seed);
+
+        return {
+            duration,
+            seed,
+            layers: events.map(({ stem, random }) => ({
+                id: stem.id,
+                name: stem.name,
+                length: stem.duration || null,
+                events: this.scheduleEvents(stem.oneShot, duration, random)
+            }))
+        };
+    }
+
+    /**
+     * Render the events of each one-shot stem onto a track as long as the mix
+     * Tracks are temporary FLAC files (mostly silence, so they stay small); resolves with their paths
+     */
+    async buildEventTracks(eventLayers, duration) {
+        if (eventLayers.length === 0) return [];
 
-        audioStems.forEach((stem, index) => {
-            // Get average pan value for this stem
-            const avgPan = panCurves[index].reduce((sum, p) => sum + p.pan, 0) / panCurves[index].length;
+        await fs.ensureDir(this.eventTrackDir);
+        const tracks = [];
 
-            // Build filter: volume + pan
-            const volumeFilter = this.buildVolumeFilter(volumeCurves[index]);
-            const panFilter = this.buildPanFilter(avgPan);
+        try {
+            for (const { stem, random } of eventLayers) {
+                const trackPath = path.join(this.eventTrackDir, `events_${stem.id}_${uuidv4()}.flac`);
+                tracks.push(trackPath);
 
-            filterChains.push(
-                `[${index}:a]${volumeFilter},${panFilter}[a${index}]`
-            );
+                const clip = await this.decodeClip(path.resolve(stem.file_path));
+                const events = this.scheduleEvents(stem.oneShot, duration, random);
+                await this.writeEventTrack(clip, events, duration, trackPath);
+                console.log(`🎯 Placed ${events.length} event(s) of ${stem.name}`);
+            }
+        } catch (error) {
+            await Promise.all(tracks.map(trackPath => fs.remove(trackPath)));
+            throw new Error(`Could not place one-shot events: ${error.message}`);
+        }
+
+        return tracks;
+    }
+
+    /**
+     * Decode a clip to interleaved stereo float samples at 44.1 kHz
+     */
+    decodeClip(filePath) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            const maxBytes = MAX_ONE_SHOT_LENGTH * 44100 * 2 * 4;
+            let bytes = 0;
+
+            const output = ffmpeg(filePath)
+                .audioChannels(2)
+                .audioFrequency(44100)
+                .format('f32le')
+                .on('error', (err) => reject(new Error(`${path.basename(filePath)}: ${err.message}`)))
+                .pipe();
+
+            output.on('data', (chunk) => {
+                bytes += chunk.length;
+                if (bytes <= maxBytes) chunks.push(chunk);
+            });
+            output.on('end', () => {
+                if (bytes > maxBytes) {
+                    return reject(new Error(`${path.basename(filePath)} is longer than ${MAX_ONE_SHOT_LENGTH} seconds`));
+                }
+                const buffer = Buffer.concat(chunks);
+                resolve(new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + Math.floor(buffer.length / 8) * 8)));
+            });
         });
+    }
 
-        // Mix all processed streams
-        const mixInput = audioStems.map((_, i) => `[a${i}]`).join('');
-        const amixFilter = `${mixInput}amix=inputs=${audioStems.length}:duration=first:dropout_transition=2,dynaudnorm=f=150:g=15[out]`;
+    /**
+     * Encode a track with a clip played at each event, scaled by its volume and pan
+     */
+    writeEventTrack(clip, events, duration, trackPath) {
+        const rate = 44100;
+        const clipFrames = clip.length / 2;
+        const totalFrames = Math.ceil(duration) * rate;
+        const placed = events.map(event => {
+            const { left, right } = this.getPanGains(event.pan);
+            return {
+                start: Math.round(event.time * rate),
+                left: event.volume * left,
+                right: event.volume * right
+            };
+        });
+        let frame = 0;
+        let first = 0;
+
+        // Produced one second at a time; seconds without an event stay zero-filled
+        const samples = new Readable({
+            read() {
+                if (frame >= totalFrames) {
+                    this.push(null);
+                    return;
+                }
 
-        filterChains.push(amixFilter);
+                const end = Math.min(frame + rate, totalFrames);
+                const chunk = new Float32Array((end - frame) * 2);
+
+                while (first < placed.length && placed[first].start + clipFrames <= frame) {
+                    first++;
+                }
+                for (let i = first; i < placed.length && placed[i].start < end; i++) {
+                    const event = placed[i];
+                    const to = Math.min(end, event.start + clipFrames);
+                    for (let f = Math.max(frame, event.start); f < to; f++) {
+                        const source = (f - event.start) * 2;
+                        const target = (f - frame) * 2;
+                        chunk[target] += clip[source] * event.left;
+                        chunk[target + 1] += clip[source + 1] * event.right;
+                    }
+                }
+
+                frame = end;
+                this.push(Buffer.from(chunk.buffer));
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            ffmpeg(samples)
+                .inputFormat('f32le')
+                .inputOptions(['-ar', `${rate}`, '-ac', '2'])
+                .audioCodec('flac')
+                .on('end', () => resolve())
+                .on('error', (err) => reject(err))
+                .save(trackPath);
+        });
+    }
+
+    /**
+     * One FFmpeg pass over the mix with the given mastering filters
+     * Without an output the audio is discarded (measuring pass); resolves with FFmpeg's stderr
+     */
+    runMix(mix, masteringFilters, output, progressCallback, label) {
+        const { inputs, volumeCurves, panCurves, duration } = mix;
+
+        // Build FFmpeg command
+        const command = ffmpeg();
+
+        // Add all inputs; beds loop forever, event tracks already span the mix
+        inputs.forEach(input => {
+            command.input(input.path);
+            if (input.loop) {
+                command.inputOptions(['-stream_loop', '-1']); // Infinite loop
+            }
+        });
+
+        // Gain automation follows the curves smoothly, fed through stdin
+        command.input(this.createEnvelopeStream(volumeCurves, panCurves, duration))
+            .inputFormat('f32le')
+            .inputOptions(['-ar', this.envelopeRate.toString(), '-ac', (inputs.length * 2).toString()]);
+
+        const graph = this.buildEnvelopeMixGraph(inputs.length);
+        let outputLabel = 'out';
+        if (masteringFilters.length > 0) {
+            graph.push(`[out]${masteringFilters.join(',')}[master]`);
+            outputLabel = 'master';
+        }
+
+        command
+            .complexFilter(graph, outputLabel)
+            .duration(duration)
+            .audioChannels(2)
+            .outputOptions([
+                '-max_muxing_queue_size', '1024', // Prevent memory overflow
+                '-loglevel', 'info'
+            ]);
+
+        if (output) {
+            const format = OUTPUT_FORMATS[output.master.format];
+            command
+                .audioCodec(format.codec)
+                .audioFrequency(format.sampleRate);
+            if (output.master.bitrate) {
+                command.audioBitrate(`${output.master.bitrate}k`);
+            }
+        } else {
+            command.format('null');
+        }
 
         // Execute FFmpeg command
         return new Promise((resolve, reject) => {
@@ -234,23 +955,9 @@ class AudioService {
             let lastProgress = 0;
 
             command
-                .complexFilter(filterChains, 'out')
-                .duration(duration)
-                .audioCodec('libmp3lame')
-                .audioBitrate('192k')
-                .audioChannels(2)
-                .audioFrequency(44100)
-                .outputOptions([
-                    '-max_muxing_queue_size', '1024', // Prevent memory overflow
-                    '-loglevel', 'info'
-                ])
                 .on('start', (cmd) => {
-                    console.log('✅ FFmpeg started');
+                    console.log(`✅ FFmpeg started (${label})`);
                     console.log('📋 Command:', cmd.substring(0, 200) + '...');
-
-                    if (progressCallback) {
-                        progressCallback(0, 'Audio generation started');
-                    }
                 })
                 .on('progress', (progress) => {
                     if (progress.percent) {
@@ -259,55 +966,160 @@ class AudioService {
                         // Only report progress every 5%
                         if (currentProgress >= lastProgress + 5) {
                             lastProgress = currentProgress;
-                            console.log(`⏳ Progress: ${currentProgress}%`);
+                            console.log(`⏳ ${label}: ${currentProgress}%`);
 
                             if (progressCallback) {
                                 const timeElapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-                                progressCallback(currentProgress, `Processing... (${timeElapsed}s elapsed)`);
+                                progressCallback(currentProgress, `${label}... (${timeElapsed}s elapsed)`);
                             }
                         }
                     }
                 })
-                .on('end', () => {
-                    const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-                    console.log(`✅ Audio generation completed in ${totalTime}s`);
-                    console.log(`📁 Output: ${outputPath}`);
-
-                    if (progressCallback) {
-                        progressCallback(100, 'Audio generation completed');
-                    }
-
-                    // Return result with metadata
-                    resolve({
-                        success: true,
-                        outputPath,
-                        relativePath: `/audio-output/${fileName}`,
-                        duration,
-                        stems: audioStems.length,
-                        generationTime: parseFloat(totalTime),
-                        fileSize: fs.statSync(outputPath).size,
-                        fileName
-                    });
+                .on('end', (stdout, stderr) => {
+                    resolve(stderr);
                 })
                 .on('error', (err, stdout, stderr) => {
                     console.error('❌ FFmpeg error:', err.message);
                     console.error('📋 FFmpeg stderr:', stderr);
 
-                    if (progressCallback) {
-                        progressCallback(0, `Error: ${err.message}`);
-                    }
+                    reject(new Error(`Audio generation failed: ${err.message}`));
+                })
+                .save(output ? output.path : '-');
+        });
+    }
 
-                    // Cleanup failed output
-                    if (fs.existsSync(outputPath)) {
-                        fs.unlinkSync(outputPath);
-                    }
+    /**
+     * Mastering filters applied after the mix: EQ, loudness normalization, limiter
+     * Without measured stats loudnorm only analyses (first of two passes)
+     */
+    buildMasteringFilters(master, measured = null) {
+        const filters = master.eq.flatMap(preset => EQ_PRESETS[preset].filters);
+
+        if (master.targetLufs !== null && !(measured && !Number.isFinite(measured.input_i))) {
+            // A wide LRA lets loudnorm apply one linear gain to slow-moving ambient mixes
+            let loudnorm = `loudnorm=I=${master.targetLufs}:TP=${master.truePeak}:LRA=11`;
+            loudnorm += measured
+                ? `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+                  `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+                  `:offset=${measured.target_offset}:linear=true`
+                : ':print_format=json';
+            filters.push(loudnorm);
+        }
 
-                    reject(new Error(`Audio generation failed: ${err.message}`));
+        if (master.limiter) {
+            const ceiling = Math.max(0.0625, Math.pow(10, master.truePeak / 20));
+            filters.push(`alimiter=limit=${ceiling.toFixed(4)}:level=false`);
+        }
+
+        return filters;
+    }
+
+    /**
+     * Read the JSON block loudnorm prints at the end of a pass
+     * Silent input measures as -inf, which comes back as null
+     */
+    parseLoudnormStats(stderr) {
+        const blocks = (stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+        if (!blocks) {
+            throw new Error('Loudness measurement produced no result');
+        }
+
+        const stats = JSON.parse(blocks[blocks.length - 1]);
+        return Object.keys(stats).reduce((parsed, key) => {
+            const value = parseFloat(stats[key]);
+            parsed[key] = Number.isFinite(value) ? value : null;
+            return parsed;
+        }, {});
+    }
+
+    /**
+     * Measured loudness of a rendered file (EBU R128)
+     */
+    measureLoudness(filePath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg(filePath)
+                .audioFilters('loudnorm=print_format=json')
+                .format('null')
+                .on('end', (stdout, stderr) => {
+                    try {
+                        const stats = this.parseLoudnormStats(stderr);
+                        resolve({
+                            integrated: stats.input_i,
+                            truePeak: stats.input_tp,
+                            range: stats.input_lra,
+                            threshold: stats.input_thresh
+                        });
+                    } catch (error) {
+                        reject(error);
+                    }
+                })
+                .on('error', (err) => {
+                    reject(new Error(`Loudness measurement failed: ${err.message}`));
                 })
-                .save(outputPath);
+                .save('-');
         });
     }
 
+    /**
+     * Short render of a configuration, to hear the automation before a long render
+     */
+    async generatePreview(config) {
+        const {
+            stems = [],
+            volatility = 0.3,
+            spatialDrift = 0.5
+        } = config;
+        const duration = parseInt(config.duration || 60);
+
+        if (!(duration >= 10 && duration <= 120)) {
+            throw new Error('Preview duration must be between 10 seconds and 2 minutes');
+        }
+
+        // A full render with the preview's seed starts with exactly this clip.
+        // Mastering applies as configured, but previews are always MP3 so browsers can play them
+        const parsedSeed = parseSeed(config.seed);
+        const seed = parsedSeed === null ? randomSeed() : parsedSeed;
+        const master = { ...this.resolveMastering({ mastering: config.mastering }), format: 'mp3', bitrate: 192 };
+
+        const audioStems = await this.resolveStems(stems);
+
+        await fs.ensureDir(this.previewDir);
+        await this.cleanupPreviews();
+
+        const fileName = `preview_${Date.now()}.mp3`;
+        const outputPath = path.join(this.previewDir, fileName);
+        const { generationTime, loudness } = await this.renderMix(
+            audioStems,
+            { duration, volatility, spatialDrift, seed, master },
+            outputPath
+        );
+
+        return {
+            success: true,
+            relativePath: `/audio-output/previews/${fileName}`,
+            duration,
+            seed,
+            loudness,
+            generationTime
+        };
+    }
+
+    /**
+     * Previews are throwaway; remove the ones older than an hour
+     */
+    async cleanupPreviews() {
+        const cutoff = Date.now() - 60 * 60 * 1000;
+        const files = await fs.readdir(this.previewDir);
+
+        for (const file of files) {
+            const filePath = path.join(this.previewDir, file);
+            const stats = await fs.stat(filePath);
+            if (stats.mtimeMs < cutoff) {
+                await fs.remove(filePath);
+            }
+        }
+    }
+
     /**
      * Generate audio from preset
      */
@@ -324,6 +1136,10 @@ class AudioService {
             volatility: customConfig.volatility || 0.3,
             density: customConfig.density || 0.7,
             spatialDrift: customConfig.spatialDrift || 0.5,
+            seed: customConfig.seed,
+            mastering: customConfig.mastering,
+            format: customConfig.format,
+            bitrate: customConfig.bitrate,
             outputName: customConfig.outputName || `${preset.name.replace(/\s+/g, '_')}_${Date.now()}.mp3`
         };
 
@@ -369,7 +1185,7 @@ class AudioService {
                     if (!grouped[stem.category]) {
                         grouped[stem.category] = [];
                     }
-                    grouped[stem.category].push(stem);
+                    grouped[stem.category].push({ ...stem, tags: stem.tags ? JSON.parse(stem.tags) : [] });
                 });
 
                 resolve(grouped);
@@ -393,6 +1209,17 @@ class AudioService {
         return { success: true, message: 'Audio file deleted' };
     }
 
+    /**
+     * Resolve a public /audio-output/ path to the generated file on disk
+     */
+    resolveOutputPath(publicPath) {
+        const match = /^\/audio-output\/([^/\\]+(\.[a-z0-9]+))$/i.exec(publicPath || '');
+        const extensions = Object.values(OUTPUT_FORMATS).map(format => format.extension);
+        if (!match || !extensions.includes(match[2].toLowerCase())) return null;
+
+        return path.resolve(this.audioOutputDir, match[1]);
+    }
+
     /**
      * Get audio file info
      */
@@ -0,0 +1,281 @@
+const audioService = require('./audioService');
+const videoService = require('./videoService');
+const pipelineService = require('./pipelineService');
+const Batch = require('../models/Batch');
+const PipelineRun = require('../models/PipelineRun');
+const { randomSeed, parseSeed } = require('../utils/prng');
+
+const MAX_BATCH_ITEMS = 50;
+const MAX_CONCURRENCY = 4;
+
+/**
+ * Batch content factory
+ * A batch expands one recipe into variants (seed x duration x source video x
+ * loop type). Each variant is a pipeline run that waits as 'queued' until one
+ * of the batch's concurrency slots frees up.
+ */
+class BatchService {
+    constructor() {
+        this.fills = new Map(); // batch_id -> pending fill, so slots are never double-booked
+
+        pipelineService.on('finished', (runId) => {
+            this.onRunFinished(runId).catch(error => {
+                console.error(`❌ Batch refill after run ${runId} failed:`, error.message);
+            });
+        });
+    }
+
+    /**
+     * Validate a batch request and enumerate its variants
+     * Throws a user-facing error
+     */
+    async validateBatch(data, userId) {
+        const name = (data.name || '').trim();
+        if (!name) {
+            throw new Error('Batch name is required');
+        }
+
+        // Audio: a preset or an explicit stem set
+        const audio = {};
+        if (Array.isArray(data.stems) && data.stems.length > 0) {
+            await audioService.resolveStems(data.stems);
+            audio.stems = data.stems.map(stem => ({
+                id: stem.stem_id || stem.id,
+                volume: stem.volume,
+                driftSpeed: stem.driftSpeed,
+                crossfade: stem.crossfade,
+                oneShot: stem.oneShot
+            }));
+        } else {
+            const presetId = parseInt(data.presetId);
+            if (!Number.isInteger(presetId)) {
+                throw new Error('An audio preset or a stem set is required');
+            }
+            await audioService.getAudioPreset(presetId, userId);
+            audio.preset_id = presetId;
+        }
+
+        let seeds;
+        if (Array.isArray(data.seeds) && data.seeds.length > 0) {
+            // Blank entries get a seed of their own, stored on the item like any other
+            seeds = data.seeds.map(seed => {
+                const parsed = parseSeed(seed);
+                return parsed === null ? randomSeed() : parsed;
+            });
+        } else {
+            const seedCount = parseInt(data.seedCount || 1);
+            if (!Number.isInteger(seedCount) || seedCount < 1 || seedCount > MAX_BATCH_ITEMS) {
+                throw new Error(`Seed count must be between 1 and ${MAX_BATCH_ITEMS}`);
+            }
+            seeds = Array.from({ length: seedCount }, () => randomSeed());
+        }
+
+        const durations = (Array.isArray(data.durations) ? data.durations : [data.durations])
+            .filter(value => value !== undefined && value !== null && value !== '')
+            .map(value => parseInt(value));
+        if (durations.length === 0) {
+            throw new Error('At least one duration is required');
+        }
+        if (durations.some(duration => !Number.isInteger(duration) || duration < 60 || duration > 36000)) {
+            throw new Error('Durations must be between 1 minute and 10 hours');
+        }
+
+        const availableVideos = await videoService.getAvailableVideos(userId);
+        let videoIds = Array.isArray(data.videoIds) && data.videoIds.length > 0
+            ? data.videoIds
+            : availableVideos.map(video => video.id);
+        if (videoIds.length === 0) {
+            throw new Error('No source videos available. Upload videos first.');
+        }
+        videoIds = [...new Set(videoIds)];
+        const unknownVideo = videoIds.find(id => !availableVideos.some(video => video.id === id));
+        if (unknownVideo) {
+            throw new Error(`Source video not found: ${unknownVideo}`);
+        }
+
+        const loopTypes = Array.isArray(data.loopTypes) && data.loopTypes.length > 0
+            ? [...new Set(data.loopTypes)]
+            : ['ping-pong'];
+
+        const concurrency = parseInt(data.concurrency || 1);
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+            throw new Error(`Concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+        }
+
+        const total = seeds.length * durations.length * videoIds.length * loopTypes.length;
+        if (total > MAX_BATCH_ITEMS) {
+            throw new Error(`Batch would create ${total} items (max ${MAX_BATCH_ITEMS})`);
+        }
+
+        // Each variant goes through the same checks as a saved recipe (audio is checked above)
+        const variants = [];
+        for (const seed of seeds) {
+            for (const duration of durations) {
+                for (const videoId of videoIds) {
+                    for (const loopType of loopTypes) {
+                        const recipe = await pipelineService.validateRecipe({
+                            name: `${name} #${variants.length + 1}`,
+                            duration,
+                            videoId,
+                            loopType,
+                            aiInstructions: data.aiInstructions,
+                            privacy: data.privacy
+                        }, userId, { skipPreset: true });
+                        variants.push({ ...recipe, ...audio, seed });
+                    }
+                }
+            }
+        }
+
+        return { user_id: userId, name, concurrency, variants };
+    }
+
+    /**
+     * Create the batch and queue one pipeline run per variant
+     */
+    async createBatch(batchData) {
+        const batch = await Batch.create({
+            user_id: batchData.user_id,
+            name: batchData.name,
+            concurrency: batchData.concurrency,
+            total_items: batchData.variants.length
+        });
+
+        for (const recipe of batchData.variants) {
+            await PipelineRun.create({
+                user_id: batch.user_id,
+                batch_id: batch.id,
+                recipe,
+                status: 'queued',
+                stages: pipelineService.createStages()
+            });
+        }
+
+        console.log(`📦 Batch ${batch.id} created with ${batchData.variants.length} item(s)`);
+        await this.fill(batch.id);
+
+        return batch;
+    }
+
+    /**
+     * Start queued items while the batch has free slots
+     * Fills for the same batch are chained so two finishing runs can't both take the last slot
+     */
+    fill(batchId) {
+        const previous = this.fills.get(batchId) || Promise.resolve();
+        const next = previous
+            .then(() => this.startQueuedRuns(batchId))
+            .catch(error => {
+                console.error(`❌ Failed to start queued items of batch ${batchId}:`, error.message);
+            });
+
+        this.fills.set(batchId, next);
+        next.then(() => {
+            if (this.fills.get(batchId) === next) {
+                this.fills.delete(batchId);
+            }
+        });
+
+        return next;
+    }
+
+    async startQueuedRuns(batchId) {
+        const batch = await Batch.findById(batchId);
+        if (!batch) return;
+
+        const runs = await PipelineRun.findByBatch(batchId);
+        let active = runs.filter(run => run.status === 'pending' || run.status === 'running').length;
+
+        for (const run of runs) {
+            if (active >= batch.concurrency) break;
+            if (run.status !== 'queued') continue;
+
+            await PipelineRun.update(run.id, { status: 'pending' });
+            await pipelineService.enqueue(run);
+            active++;
+        }
+    }
+
+    async onRunFinished(runId) {
+        const run = await PipelineRun.findById(runId);
+        if (run && run.batch_id) {
+            await this.fill(run.batch_id);
+        }
+    }
+
+    /**
+     * Requeue every failed item; each resumes from the stage that failed
+     */
+    async retryFailed(batchId) {
+        const runs = await PipelineRun.findByBatch(batchId);
+        const failed = runs.filter(run => run.status === 'failed');
+
+        for (const run of failed) {
+            await pipelineService.resetFailedRun(run, 'queued');
+        }
+
+        await this.fill(batchId);
+        return failed.length;
+    }
+
+    /**
+     * Batch with aggregate progress and per-item state
+     */
+    summarize(batch, runs) {
+        const counts = { queued: 0, pending: 0, running: 0, completed: 0, failed: 0 };
+        runs.forEach(run => {
+            counts[run.status] = (counts[run.status] || 0) + 1;
+        });
+
+        let status = 'completed';
+        if (counts.queued + counts.pending + counts.running > 0) {
+            status = 'running';
+        } else if (counts.failed > 0) {
+            status = 'failed';
+        }
+
+        const progress = runs.length > 0
+            ? Math.floor(runs.reduce((sum, run) => sum + pipelineService.getOverallProgress(run.stages), 0) / runs.length)
+            : 0;
+
+        return {
+            ...batch,
+            status,
+            progress,
+            counts,
+            items: runs.map(run => ({
+                id: run.id,
+                name: run.recipe.name,
+                seed: run.recipe.seed,
+                duration: run.recipe.duration,
+                video_id: run.recipe.video_id,
+                loop_type: run.recipe.loop_type,
+                status: run.status,
+                current_stage: run.current_stage,
+                progress: pipelineService.getOverallProgress(run.stages),
+                error: run.error
+            }))
+        };
+    }
+
+    /**
+     * Pick up queued items of batches that were running before a restart
+     */
+    async resumeBatches() {
+        const queued = await PipelineRun.findByStatus('queued');
+        const batchIds = [...new Set(queued.map(run => run.batch_id).filter(Boolean))];
+
+        for (const batchId of batchIds) {
+            await this.fill(batchId);
+        }
+
+        if (batchIds.length > 0) {
+            console.log(`📦 Resumed ${batchIds.length} batch(es) with queued items`);
+        }
+    }
+}
+
+// Singleton instance
+const batchService = new BatchService();
+
+module.exports = batchService;
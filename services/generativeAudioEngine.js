@@ -0,0 +1,202 @@
+const { spawn } = require('child_process');
+const audioService = require('./audioService');
+const { createRandom } = require('../utils/prng');
+const ENVELOPE_RATE = audioService.envelopeRate;
+const POINT_INTERVAL_SECONDS = 60;
+const MIXER_MIN_RUN_MS = 2000;
+const MAX_MIXER_FAILURES = 3;
+
+// Mixes audio stems live into the encoder's stdin as MPEG-TS. The stems loop
+// forever inside one mixer process; their gains come from an envelope stream
+// (volume x pan for each channel of each stem) that is written to the mixer's
+// stdin as it plays. Envelope points are drawn one interval ahead from a seeded
+// generator, so the mix never repeats and a seed reproduces it.
+class GenerativeAudioEngine {
+  constructor(streamId, stems, options = {}) {
+    this.streamId = streamId;
+    this.stems = stems;
+    this.volatility = options.volatility;
+    this.density = options.density;
+    this.spatialDrift = options.spatialDrift;
+    this.seed = options.seed;
+    this.title = options.title || 'Live mix';
+    this.ffmpegPath = options.ffmpegPath;
+    this.log = options.log || (() => {});
+    this.random = createRandom(this.seed);
+    this.mixer = null;
+    this.output = null;
+    this.startedAt = null;
+    this.stopped = false;
+    this.consecutiveFailures = 0;
+    this.frame = 0;
+    this.points = this.stems.map(() => []);
+  }
+  attach(output) {
+    this.output = output;
+    this.startedAt = Date.now();
+    output.on('error', (err) => {
+      if (!this.stopped) {
+        this.log(this.streamId, `[Generative] Encoder input closed: ${err.message}`);
+      }
+    });
+    this.log(this.streamId, `[Generative] Mixing ${this.stems.length} stems live (seed ${this.seed})`);
+    this.startMixer();
+  }
+  // Appends the next automation point for every stem. Density decides which
+  // layers are audible until the next point; at least one always is
+  drawPoints() {
+    const active = this.stems.map(() => this.random() < this.density);
+    if (!active.includes(true)) {
+      active[Math.floor(this.random() * this.stems.length)] = true;
+    }
+    this.stems.forEach((stem, index) => {
+      const volume = audioService.generateVolumePoint(stem.volume, this.volatility, this.random);
+      const pan = audioService.generatePanPoint(this.spatialDrift, this.random);
+      this.points[index].push({ volume: active[index] ? volume : 0, pan });
+    });
+  }
+  // Interpolated gains for one envelope frame; points are POINT_INTERVAL_SECONDS apart
+  getGains(frame) {
+    const position = frame / (ENVELOPE_RATE * POINT_INTERVAL_SECONDS);
+    const pointIndex = Math.floor(position);
+    while (this.points[0].length < pointIndex + 2) {
+      this.drawPoints();
+    }
+    const mix = position - pointIndex;
+    return this.points.map(points => {
+      const from = points[pointIndex];
+      const to = points[pointIndex + 1];
+      const volume = from.volume + (to.volume - from.volume) * mix;
+      const { left, right } = audioService.getPanGains(from.pan + (to.pan - from.pan) * mix);
+      return { left: volume * left, right: volume * right };
+    });
+  }
+  // Points behind the envelope write position are no longer needed
+  prunePoints() {
+    const framesPerPoint = ENVELOPE_RATE * POINT_INTERVAL_SECONDS;
+    const pointIndex = Math.floor(this.frame / framesPerPoint);
+    if (pointIndex === 0) return;
+    this.points = this.points.map(points => points.slice(pointIndex));
+    this.frame -= pointIndex * framesPerPoint;
+  }
+  buildEnvelopeChunk() {
+    const channels = this.stems.length * 2;
+    const chunk = Buffer.alloc(ENVELOPE_RATE * channels * 4);
+    let offset = 0;
+    for (let i = 0; i < ENVELOPE_RATE; i++) {
+      this.getGains(this.frame++).forEach(({ left, right }) => {
+        chunk.writeFloatLE(left, offset);
+        chunk.writeFloatLE(right, offset + 4);
+        offset += 8;
+      });
+    }
+    this.prunePoints();
+    return chunk;
+  }
+  // Writes one second of envelope at a time until the pipe pushes back
+  writeEnvelope(mixer) {
+    if (this.mixer !== mixer || this.stopped) return;
+    while (mixer.stdin.write(this.buildEnvelopeChunk())) {
+      if (this.mixer !== mixer) return;
+    }
+    mixer.stdin.once('drain', () => this.writeEnvelope(mixer));
+  }
+  buildMixerArgs(offsetSeconds) {
+    const inputArgs = [];
+    this.stems.forEach(stem => {
+      inputArgs.push('-re', '-stream_loop', '-1', '-i', stem.path);
+    });
+    inputArgs.push('-f', 'f32le', '-ar', ENVELOPE_RATE.toString(), '-ac', (this.stems.length * 2).toString(), '-i', 'pipe:0');
+    return [
+      '-nostdin',
+      '-loglevel', 'error',
+      ...inputArgs,
+      '-filter_complex', audioService.buildEnvelopeMixGraph(this.stems.length).join(';'),
+      '-map', '[out]',
+      '-c:a', 'aac',
+      '-b:a', '256k',
+      '-ar', '44100',
+      '-ac', '2',
+      '-output_ts_offset', offsetSeconds,
+      '-f', 'mpegts',
+      'pipe:1'
+    ];
+  }
+  startMixer() {
+    if (this.stopped) return;
+    const offsetSeconds = ((Date.now() - this.startedAt) / 1000).toFixed(3);
+    const mixer = spawn(this.ffmpegPath, this.buildMixerArgs(offsetSeconds), {
+      detached: false,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    this.mixer = mixer;
+    const mixerStartedAt = Date.now();
+    mixer.stdout.pipe(this.output, { end: false });
+    mixer.stdin.on('error', (err) => {
+      if (this.mixer === mixer && !this.stopped) {
+        this.log(this.streamId, `[Generative] Envelope pipe closed: ${err.message}`);
+      }
+    });
+    mixer.stderr.on('data', (data) => {
+      const message = data.toString().trim();
+      if (message) {
+        this.log(this.streamId, `[Generative] ${message}`);
+      }
+    });
+    mixer.on('exit', (code) => {
+      if (this.mixer !== mixer) return;
+      this.mixer = null;
+      if (this.stopped) return;
+      if (Date.now() - mixerStartedAt < MIXER_MIN_RUN_MS) {
+        this.consecutiveFailures++;
+      } else {
+        this.consecutiveFailures = 0;
+      }
+      if (this.consecutiveFailures >= MAX_MIXER_FAILURES) {
+        this.log(this.streamId, '[Generative] Mixer keeps failing, ending stream');
+        this.finish();
+        return;
+      }
+      this.log(this.streamId, `[Generative] Mixer exited (code=${code}), restarting`);
+      this.startMixer();
+    });
+    mixer.on('error', (err) => {
+      this.log(this.streamId, `[Generative] Mixer process error: ${err.message}`);
+    });
+    this.writeEnvelope(mixer);
+  }
+  killMixer() {
+    const mixer = this.mixer;
+    if (!mixer) return;
+    this.mixer = null;
+    mixer.stdout.unpipe(this.output);
+    try {
+      mixer.kill('SIGKILL');
+    } catch (error) {
+      console.error(`[GenerativeAudioEngine] Error stopping mixer for stream ${this.streamId}: ${error.message}`);
+    }
+  }
+  finish() {
+    this.stop();
+    if (this.output && !this.output.destroyed) {
+      this.output.end();
+    }
+  }
+  stop() {
+    this.stopped = true;
+    this.killMixer();
+  }
+  getState() {
+    const pointIndex = Math.floor(this.frame / (ENVELOPE_RATE * POINT_INTERVAL_SECONDS));
+    return {
+      title: this.title,
+      seed: this.seed,
+      elapsedSeconds: this.startedAt ? Math.floor((Date.now() - this.startedAt) / 1000) : 0,
+      layers: this.stems.map((stem, index) => {
+        const point = this.points[index][pointIndex] || this.points[index][0];
+        return { id: stem.id, name: stem.name, volume: point.volume, pan: point.pan };
+      })
+    };
+  }
+}
+module.exports = GenerativeAudioEngine;
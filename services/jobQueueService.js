@@ -2,6 +2,9 @@ const { Queue, Worker } = require('bullmq');
 const Redis = require('ioredis');
 const socketService = require('./socketService');
 
+// Pipeline runs worked on at once; every batch's concurrency slots draw from these
+const PIPELINE_CONCURRENCY = parseInt(process.env.PIPELINE_CONCURRENCY) || 8;
+
 class JobQueueService {
     constructor() {
         this.connection = null;
@@ -46,6 +49,7 @@ class JobQueueService {
             this.queues.video = new Queue('video', { connection: this.connection });
             this.queues.upload = new Queue('upload', { connection: this.connection });
             this.queues.ai = new Queue('ai', { connection: this.connection });
+            this.queues.pipeline = new Queue('pipeline', { connection: this.connection });
 
             console.log('✅ Job queues initialized');
         } catch (error) {
@@ -101,6 +105,15 @@ class JobQueueService {
             this.setupWorkerEvents(this.workers.ai, 'AI');
         }
 
+        // Recipe pipeline worker
+        if (processors.pipeline) {
+            this.workers.pipeline = new Worker('pipeline', async (job) => {
+                return await this.processJob(job, processors.pipeline);
+            }, { connection: this.connection, concurrency: PIPELINE_CONCURRENCY });
+
+            this.setupWorkerEvents(this.workers.pipeline, 'Pipeline');
+        }
+
         console.log('✅ Workers started');
     }
 
@@ -161,8 +174,9 @@ class JobQueueService {
 
     /**
      * Add job to queue (or process synchronously if Redis not available)
+     * `options` override the queue defaults, e.g. { attempts: 1 } for jobs that retry themselves
      */
-    async addJob(queueName, jobName, data, processor) {
+    async addJob(queueName, jobName, data, processor, options = {}) {
         if (this.isRedisAvailable && this.queues[queueName]) {
             // Add to queue
             const job = await this.queues[queueName].add(jobName, data, {
@@ -170,7 +184,8 @@ class JobQueueService {
                 backoff: {
                     type: 'exponential',
                     delay: 2000
-                }
+                },
+                ...options
             });
 
             console.log(`📥 Job ${job.id} added to ${queueName} queue`);
@@ -0,0 +1,292 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+// {top} and {bottom} are replaced with the edge margin, which grows on the ticker's side
+const LOGO_POSITIONS = {
+  'top-left': 'x=main_w*0.03:y=main_h*{top}',
+  'top-right': 'x=main_w-overlay_w-main_w*0.03:y=main_h*{top}',
+  'bottom-left': 'x=main_w*0.03:y=main_h-overlay_h-main_h*{bottom}',
+  'bottom-right': 'x=main_w-overlay_w-main_w*0.03:y=main_h-overlay_h-main_h*{bottom}',
+  center: 'x=(main_w-overlay_w)/2:y=(main_h-overlay_h)/2'
+};
+const TEXT_POSITIONS = {
+  'top-left': 'x=w*0.03:y=h*{top}',
+  'top-right': 'x=w-tw-w*0.03:y=h*{top}',
+  'bottom-left': 'x=w*0.03:y=h-th-h*{bottom}',
+  'bottom-right': 'x=w-tw-w*0.03:y=h-th-h*{bottom}',
+  center: 'x=(w-tw)/2:y=(h-th)/2'
+};
+const EDGE_MARGIN = 0.03;
+const TICKER_CLEARANCE = 0.1;
+const TICKER_POSITIONS = {
+  top: 'y=h*0.02',
+  bottom: 'y=h-th-h*0.02'
+};
+const CLOCK_FORMATS = {
+  '24h': '%{localtime:%H\\:%M}',
+  '12h': '%{localtime:%I\\:%M %p}'
+};
+const OVERLAY_POSITIONS = Object.keys(LOGO_POSITIONS);
+const MAX_TICKER_LENGTH = 500;
+const PREVIEW_OFFSET_SECONDS = 3;
+const OVERLAY_DIR = path.join(os.tmpdir(), 'streamfactory-overlays');
+const PUBLIC_DIR = path.resolve(__dirname, '..', 'public');
+
+function parseOverlays(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function isEnabled(section) {
+  return !!section && section.enabled !== false && section.enabled !== 'false';
+}
+
+function pickPosition(value, positions, fallback) {
+  const position = value || fallback;
+  if (!Object.prototype.hasOwnProperty.call(positions, position)) {
+    throw new Error(`Overlay position must be one of: ${Object.keys(positions).join(', ')}`);
+  }
+  return position;
+}
+
+function pickNumber(value, fallback, min, max, label) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const parsed = parseFloat(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    throw new Error(`${label} must be between ${min} and ${max}`);
+  }
+  return parsed;
+}
+
+function resolveLogoPath(logoPath) {
+  return path.join(PUBLIC_DIR, logoPath.replace(/^\/+/, ''));
+}
+
+// Throws a user-facing error for invalid settings; returns null when no overlay is enabled
+function normalizeOverlays(raw) {
+  const overlays = parseOverlays(raw);
+  if (!overlays) return null;
+  const normalized = {};
+  if (isEnabled(overlays.logo)) {
+    const logoPath = String(overlays.logo.path || '');
+    if (!logoPath.startsWith('/uploads/overlays/') || logoPath.includes('..') || !fs.existsSync(resolveLogoPath(logoPath))) {
+      throw new Error('Upload a PNG logo for the watermark overlay');
+    }
+    normalized.logo = {
+      path: logoPath,
+      position: pickPosition(overlays.logo.position, LOGO_POSITIONS, 'top-right'),
+      opacity: pickNumber(overlays.logo.opacity, 0.8, 0, 1, 'Logo opacity'),
+      scale: pickNumber(overlays.logo.scale, 0.12, 0.02, 0.5, 'Logo size')
+    };
+  }
+  if (isEnabled(overlays.ticker)) {
+    const text = String(overlays.ticker.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) {
+      throw new Error('Ticker text is required');
+    }
+    if (text.length > MAX_TICKER_LENGTH) {
+      throw new Error(`Ticker text must be at most ${MAX_TICKER_LENGTH} characters`);
+    }
+    normalized.ticker = {
+      text,
+      position: pickPosition(overlays.ticker.position, TICKER_POSITIONS, 'bottom'),
+      speed: pickNumber(overlays.ticker.speed, 120, 20, 500, 'Ticker speed')
+    };
+  }
+  if (isEnabled(overlays.clock)) {
+    const timezone = overlays.clock.timezone || 'UTC';
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+    normalized.clock = {
+      timezone,
+      format: CLOCK_FORMATS[overlays.clock.format] ? overlays.clock.format : '24h',
+      position: pickPosition(overlays.clock.position, TEXT_POSITIONS, 'top-left')
+    };
+  }
+  if (isEnabled(overlays.nowPlaying)) {
+    normalized.nowPlaying = {
+      position: pickPosition(overlays.nowPlaying.position, TEXT_POSITIONS, 'bottom-left')
+    };
+  }
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+function hasOverlays(overlays) {
+  return !!overlays && !!(overlays.logo || overlays.ticker || overlays.clock || overlays.nowPlaying);
+}
+
+function getOverlayFiles(key) {
+  return {
+    ticker: path.join(OVERLAY_DIR, `${key}-ticker.txt`),
+    clock: path.join(OVERLAY_DIR, `${key}-clock.txt`),
+    nowPlaying: path.join(OVERLAY_DIR, `${key}-now-playing.txt`)
+  };
+}
+
+// drawtext re-reads these files every frame, so replace them atomically
+function writeTextFile(file, text) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, text);
+  fs.renameSync(tempFile, file);
+}
+
+function prepareOverlayFiles(key, overlays, nowPlayingTitle = '') {
+  if (!hasOverlays(overlays)) return;
+  fs.mkdirSync(OVERLAY_DIR, { recursive: true });
+  const files = getOverlayFiles(key);
+  if (overlays.ticker) writeTextFile(files.ticker, overlays.ticker.text);
+  if (overlays.clock) writeTextFile(files.clock, CLOCK_FORMATS[overlays.clock.format]);
+  if (overlays.nowPlaying) writeTextFile(files.nowPlaying, nowPlayingTitle || '');
+}
+
+function setNowPlaying(key, overlays, title) {
+  if (!overlays || !overlays.nowPlaying) return;
+  try {
+    writeTextFile(getOverlayFiles(key).nowPlaying, title ? `Now playing: ${title}` : '');
+  } catch (error) {
+    console.error(`[OverlayService] Error updating now playing text for ${key}: ${error.message}`);
+  }
+}
+
+function cleanupOverlayFiles(key) {
+  Object.values(getOverlayFiles(key)).forEach(file => {
+    fs.unlink(file, () => {});
+  });
+}
+
+// Two escaping levels: filter option values, then the filtergraph itself
+function escapeFilterValue(value) {
+  return value
+    .replace(/[\\':]/g, '\\$&')
+    .replace(/[\\'[\],;]/g, '\\$&');
+}
+
+function drawTextFile(file, position, { expansion = 'none', fontSize = 'h/24' } = {}) {
+  return [
+    `drawtext=textfile=${escapeFilterValue(file)}`,
+    'reload=1',
+    `expansion=${expansion}`,
+    'fontcolor=white',
+    `fontsize=${fontSize}`,
+    'box=1',
+    'boxcolor=black@0.4',
+    'boxborderw=8',
+    position
+  ].join(':');
+}
+
+function parseResolution(resolution) {
+  const [width, height] = String(resolution || '1280x720').split('x').map(value => parseInt(value, 10));
+  return { width: width || 1280, height: height || 720 };
+}
+
+// Builds a -vf graph at the output resolution (so the logo can be sized in
+// pixels); baseFilter, e.g. the slate text, is applied before the overlays.
+// labels renames the graph's input/output pads to chain it into a -filter_complex
+function buildVideoFilter(key, overlays, resolution, baseFilter = null, labels = {}) {
+  if (!hasOverlays(overlays)) return baseFilter;
+  const { input = 'in', output = 'out' } = labels;
+  const files = getOverlayFiles(key);
+  const { width, height } = parseResolution(resolution);
+  const tickerEdge = overlays.ticker ? overlays.ticker.position : null;
+  const place = (template) => template
+    .replace('{top}', tickerEdge === 'top' ? TICKER_CLEARANCE : EDGE_MARGIN)
+    .replace('{bottom}', tickerEdge === 'bottom' ? TICKER_CLEARANCE : EDGE_MARGIN);
+  const graph = [`[${input}]${baseFilter ? `${baseFilter},` : ''}scale=${width}:${height}[base]`];
+  let main = 'base';
+  if (overlays.logo) {
+    const { opacity, scale, position } = overlays.logo;
+    const logoWidth = Math.max(2, Math.round(width * scale / 2) * 2);
+    graph.push(`movie=${escapeFilterValue(resolveLogoPath(overlays.logo.path))},scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${opacity}[logo]`);
+    graph.push(`[${main}][logo]overlay=${place(LOGO_POSITIONS[position])}[withlogo]`);
+    main = 'withlogo';
+  }
+  const textFilters = [];
+  if (overlays.ticker) {
+    const { speed, position } = overlays.ticker;
+    textFilters.push(drawTextFile(files.ticker, `x=w-mod(t*${speed}\\,w+tw):${TICKER_POSITIONS[position]}`));
+  }
+  if (overlays.clock) {
+    textFilters.push(drawTextFile(files.clock, place(TEXT_POSITIONS[overlays.clock.position]), { expansion: 'normal', fontSize: 'h/18' }));
+  }
+  if (overlays.nowPlaying) {
+    textFilters.push(drawTextFile(files.nowPlaying, place(TEXT_POSITIONS[overlays.nowPlaying.position])));
+  }
+  graph.push(`[${main}]${textFilters.length > 0 ? textFilters.join(',') : 'null'}[${output}]`);
+  return graph.join(';');
+}
+
+// The clock is rendered with localtime, so the encoder runs in the clock's timezone
+function getProcessEnv(overlays) {
+  if (!overlays || !overlays.clock) return process.env;
+  return { ...process.env, TZ: overlays.clock.timezone };
+}
+
+function renderPreview({ ffmpegPath, sourcePath, overlays, resolution = '1280x720', nowPlayingTitle = '' }) {
+  const key = `preview-${uuidv4()}`;
+  prepareOverlayFiles(key, overlays, nowPlayingTitle ? `Now playing: ${nowPlayingTitle}` : '');
+  let inputArgs = ['-f', 'lavfi', '-i', `color=c=0x1f2937:s=${resolution}:r=30`];
+  if (sourcePath) {
+    // Still images (audio source artwork) are looped so there is a frame to seek to
+    inputArgs = /\.(png|jpe?g)$/i.test(sourcePath) ? ['-loop', '1', '-i', sourcePath] : ['-i', sourcePath];
+  }
+  const filter = buildVideoFilter(key, overlays, resolution) || 'null';
+  const args = [
+    '-nostdin',
+    '-loglevel', 'error',
+    ...inputArgs,
+    '-ss', PREVIEW_OFFSET_SECONDS.toString(),
+    '-vf', filter,
+    '-s', resolution,
+    '-frames:v', '1',
+    '-f', 'image2',
+    '-c:v', 'mjpeg',
+    'pipe:1'
+  ];
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let stderr = '';
+    const ffmpegProcess = spawn(ffmpegPath, args, { env: getProcessEnv(overlays) });
+    ffmpegProcess.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpegProcess.stderr.on('data', data => {
+      stderr += data.toString();
+    });
+    ffmpegProcess.on('error', (error) => {
+      cleanupOverlayFiles(key);
+      reject(error);
+    });
+    ffmpegProcess.on('close', (code) => {
+      cleanupOverlayFiles(key);
+      const image = Buffer.concat(chunks);
+      if (code !== 0 || image.length === 0) {
+        return reject(new Error(`FFmpeg could not render the overlay preview: ${stderr.trim() || `exit code ${code}`}`));
+      }
+      resolve(image);
+    });
+  });
+}
+
+module.exports = {
+  OVERLAY_POSITIONS,
+  parseOverlays,
+  normalizeOverlays,
+  hasOverlays,
+  prepareOverlayFiles,
+  setNowPlaying,
+  cleanupOverlayFiles,
+  escapeFilterValue,
+  parseResolution,
+  buildVideoFilter,
+  getProcessEnv,
+  renderPreview
+};
@@ -0,0 +1,406 @@
+const path = require('path');
+const EventEmitter = require('events');
+const audioService = require('./audioService');
+const videoService = require('./videoService');
+const aiService = require('./aiService');
+const youtubeAccountService = require('./youtubeAccountService');
+const youtubeUploadService = require('./youtubeUploadService');
+const jobQueueService = require('./jobQueueService');
+const socketService = require('./socketService');
+const PipelineRun = require('../models/PipelineRun');
+const Video = require('../models/Video');
+
+const STAGES = ['audio', 'video', 'metadata', 'publish'];
+const STAGE_LABELS = {
+    audio: 'Generating audio',
+    video: 'Assembling video',
+    metadata: 'Writing metadata',
+    publish: 'Publishing to YouTube'
+};
+const LOOP_TYPES = ['ping-pong', 'standard'];
+const PRIVACY_OPTIONS = ['private', 'unlisted', 'public'];
+
+/**
+ * Runs a recipe (audio → video → metadata → publish) as one job
+ * Every stage stores its result on the run row, so a failed run resumes
+ * from the stage that failed instead of starting over.
+ * Emits 'finished' (runId, status) when a run completes or fails.
+ */
+class PipelineService extends EventEmitter {
+    constructor() {
+        super();
+        this.activeRuns = new Set();
+    }
+
+    /**
+     * Validate recipe input from the API
+     * Throws a user-facing error. skipPreset is for batch variants that
+     * bring their own stem set.
+     */
+    async validateRecipe(data, userId, options = {}) {
+        const name = (data.name || '').trim();
+        if (!name) {
+            throw new Error('Recipe name is required');
+        }
+
+        let presetId = null;
+        if (!options.skipPreset) {
+            presetId = parseInt(data.presetId);
+            if (!Number.isInteger(presetId)) {
+                throw new Error('An audio preset is required');
+            }
+            await audioService.getAudioPreset(presetId, userId);
+        }
+
+        const duration = parseInt(data.duration);
+        if (!Number.isInteger(duration) || duration < 60 || duration > 36000) {
+            throw new Error('Duration must be between 1 minute and 10 hours');
+        }
+
+        const video = data.videoId ? await Video.findById(data.videoId) : null;
+        if (!video || video.user_id !== userId) {
+            throw new Error('Source video not found');
+        }
+
+        const loopType = data.loopType || 'ping-pong';
+        if (!LOOP_TYPES.includes(loopType)) {
+            throw new Error(`Loop type must be one of: ${LOOP_TYPES.join(', ')}`);
+        }
+
+        const privacy = data.privacy || 'private';
+        if (!PRIVACY_OPTIONS.includes(privacy)) {
+            throw new Error(`Privacy must be one of: ${PRIVACY_OPTIONS.join(', ')}`);
+        }
+
+        const aiInstructions = (data.aiInstructions || '').trim();
+        if (aiInstructions.length > 1000) {
+            throw new Error('AI instructions must be 1000 characters or less');
+        }
+
+        return {
+            user_id: userId,
+            name,
+            preset_id: presetId,
+            duration,
+            video_id: video.id,
+            loop_type: loopType,
+            ai_instructions: aiInstructions || null,
+            privacy
+        };
+    }
+
+    /**
+     * Fresh per-stage state for a new run
+     */
+    createStages() {
+        return STAGES.reduce((stages, stage) => {
+            stages[stage] = { status: 'pending', progress: 0, message: null, result: null, error: null };
+            return stages;
+        }, {});
+    }
+
+    /**
+     * Create a run from a recipe and start it
+     */
+    async start(recipe) {
+        const run = await PipelineRun.create({
+            user_id: recipe.user_id,
+            recipe_id: recipe.id,
+            recipe,
+            stages: this.createStages()
+        });
+
+        await this.enqueue(run);
+        return run;
+    }
+
+    /**
+     * Restart a failed run from its first unfinished stage
+     * Apart from a batch retry, the only way a failed run becomes pending, and so runnable, again
+     */
+    async resume(run) {
+        await this.resetFailedRun(run, 'pending');
+        await this.enqueue(run);
+
+        return PipelineRun.findById(run.id);
+    }
+
+    /**
+     * Clear the unfinished stages of a failed run, keeping completed results
+     */
+    async resetFailedRun(run, status) {
+        if (run.status !== 'failed') {
+            throw new Error('Only failed runs can be resumed');
+        }
+
+        const stages = run.stages;
+        STAGES.forEach(stage => {
+            if (stages[stage].status !== 'completed') {
+                stages[stage] = { ...stages[stage], status: 'pending', progress: 0, error: null };
+            }
+        });
+
+        await PipelineRun.update(run.id, { status, error: null, stages });
+    }
+
+    /**
+     * Hand a run to the job queue, or run it in the background without one
+     * (the stages take far longer than an HTTP request should)
+     */
+    async enqueue(run) {
+        if (jobQueueService.isAvailable()) {
+            // Failed runs are resumed from the failed stage by the user, never retried by the queue
+            await jobQueueService.addJob(
+                'pipeline',
+                'run',
+                { runId: run.id },
+                (data, updateProgress) => this.run(data.runId, updateProgress),
+                { attempts: 1 }
+            );
+            return;
+        }
+
+        this.run(run.id).catch(error => {
+            console.error(`❌ Pipeline run ${run.id} failed:`, error.message);
+        });
+    }
+
+    /**
+     * Execute the remaining stages of a pending run
+     */
+    async run(runId, updateProgress = null) {
+        if (this.activeRuns.has(runId)) {
+            throw new Error('Pipeline run is already in progress');
+        }
+
+        const run = await PipelineRun.findById(runId);
+        if (!run) {
+            throw new Error(`Pipeline run ${runId} not found`);
+        }
+
+        // Only runs waiting to start; a stalled queue job re-run after a restart
+        // finds its run failed and leaves it for the user to resume
+        if (run.status !== 'pending') {
+            console.log(`⏭️  Pipeline run ${runId} is ${run.status}, not starting it`);
+            return { runId, status: run.status };
+        }
+
+        this.activeRuns.add(runId);
+        const { recipe, stages } = run;
+
+        try {
+            await PipelineRun.update(runId, { status: 'running', error: null });
+
+            for (const stage of STAGES) {
+                if (stages[stage].status === 'completed') continue;
+
+                const report = (progress, message) => {
+                    stages[stage].progress = progress;
+                    stages[stage].message = message || STAGE_LABELS[stage];
+                    this.emitProgress(runId, stage, stages, 'running');
+
+                    if (updateProgress) {
+                        updateProgress(this.getOverallProgress(stages), `${STAGE_LABELS[stage]}: ${stages[stage].message}`);
+                    }
+                };
+
+                stages[stage] = { ...stages[stage], status: 'running', progress: 0, error: null };
+                await PipelineRun.update(runId, { current_stage: stage, stages });
+                report(0, STAGE_LABELS[stage]);
+
+                try {
+                    stages[stage].result = await this.runStage(stage, runId, recipe, stages, report);
+                } catch (error) {
+                    stages[stage].status = 'failed';
+                    stages[stage].error = error.message;
+                    await PipelineRun.update(runId, { status: 'failed', error: error.message, stages });
+                    this.emitProgress(runId, stage, stages, 'failed', error.message);
+                    this.emit('finished', runId, 'failed');
+                    throw error;
+                }
+
+                stages[stage].status = 'completed';
+                stages[stage].progress = 100;
+                await PipelineRun.update(runId, { stages });
+                this.emitProgress(runId, stage, stages, 'running');
+            }
+
+            await PipelineRun.update(runId, {
+                status: 'completed',
+                current_stage: null,
+                completed_at: new Date().toISOString()
+            });
+            this.emitProgress(runId, null, stages, 'completed');
+            this.emit('finished', runId, 'completed');
+            console.log(`✅ Pipeline run ${runId} completed`);
+
+            return { runId, status: 'completed', publish: stages.publish.result };
+        } finally {
+            this.activeRuns.delete(runId);
+        }
+    }
+
+    /**
+     * Run one stage; earlier stage results are read from `stages`
+     * Output files are named after the run so concurrent runs never collide
+     */
+    async runStage(stage, runId, recipe, stages, report) {
+        switch (stage) {
+            case 'audio': {
+                // Batch variants may carry a stem set instead of a preset
+                let presetName = 'Custom Mix';
+                let result;
+                if (recipe.stems) {
+                    result = await audioService.generateAudio({
+                        stems: recipe.stems,
+                        duration: recipe.duration,
+                        seed: recipe.seed,
+                        outputName: `pipeline_${runId}.mp3`
+                    }, report);
+                } else {
+                    const preset = await audioService.getAudioPreset(recipe.preset_id);
+                    presetName = preset.name;
+                    result = await audioService.generateFromPreset(recipe.preset_id, recipe.duration, {
+                        seed: recipe.seed,
+                        outputName: `pipeline_${runId}.mp3`
+                    }, report);
+                }
+                return {
+                    presetName,
+                    seed: result.seed,
+                    loudness: result.loudness,
+                    outputPath: result.outputPath,
+                    relativePath: result.relativePath,
+                    fileName: result.fileName,
+                    duration: result.duration
+                };
+            }
+            case 'video': {
+                const video = await Video.findById(recipe.video_id);
+                if (!video) {
+                    throw new Error('Source video no longer exists');
+                }
+                const result = await videoService.assembleVideo({
+                    videoPath: path.join(process.cwd(), 'public', video.filepath),
+                    audioPath: stages.audio.result.outputPath,
+                    audioDuration: stages.audio.result.duration,
+                    loopType: recipe.loop_type,
+                    outputName: `pipeline_${runId}.mp4`
+                }, report);
+                return {
+                    outputPath: result.outputPath,
+                    relativePath: result.relativePath,
+                    fileName: result.fileName
+                };
+            }
+            case 'metadata': {
+                const metadata = await aiService.generateMetadata({
+                    audioPreset: stages.audio.result.presetName,
+                    duration: stages.audio.result.duration,
+                    videoType: 'Looping Video',
+                    customInstructions: recipe.ai_instructions
+                });
+                report(100, 'Metadata generated');
+                return metadata;
+            }
+            case 'publish': {
+                const result = await this.publish(runId, recipe, stages, report);
+                return { videoId: result.videoId, url: result.url };
+            }
+            default:
+                throw new Error(`Unknown pipeline stage: ${stage}`);
+        }
+    }
+
+    /**
+     * Upload the run's video to the user's default channel through a resumable upload job
+     * The job ID is stored on the stage first: a restart fails the run but not the
+     * job, so a resumed run waits for or takes the result of that upload, and only
+     * starts another when it failed
+     */
+    async publish(runId, recipe, stages, report) {
+        const previous = stages.publish.jobId
+            ? await youtubeUploadService.getUpload(recipe.user_id, stages.publish.jobId)
+            : null;
+
+        if (previous && previous.status === 'completed') {
+            return previous.result;
+        }
+
+        let done;
+        if (previous && previous.status !== 'failed') {
+            report(0, `Continuing upload job ${previous.job_id}`);
+            done = youtubeUploadService.run(previous.job_id);
+        } else {
+            const channel = await youtubeAccountService.resolveChannel(recipe.user_id);
+
+            const metadata = stages.metadata.result;
+            const upload = await youtubeUploadService.startUpload({
+                userId: recipe.user_id,
+                channelId: channel.id,
+                channelTitle: channel.title,
+                videoPath: stages.video.result.outputPath,
+                metadata: {
+                    title: metadata.title,
+                    description: metadata.description,
+                    tags: metadata.tags,
+                    categoryId: metadata.category || '22',
+                    privacyStatus: recipe.privacy
+                }
+            });
+            done = upload.done;
+
+            stages.publish.jobId = upload.jobId;
+            await PipelineRun.update(runId, { stages });
+            report(0, `Uploading as job ${upload.jobId}`);
+        }
+
+        const result = await done;
+        report(100, 'Uploaded to YouTube');
+        return result;
+    }
+
+    /**
+     * Whole-run progress, each stage weighted equally
+     */
+    getOverallProgress(stages) {
+        const total = STAGES.reduce((sum, stage) =>
+            sum + (stages[stage].status === 'completed' ? 100 : stages[stage].progress || 0), 0);
+        return Math.floor(total / STAGES.length);
+    }
+
+    emitProgress(runId, stage, stages, status, error = null) {
+        socketService.emitPipelineProgress(runId, {
+            stage,
+            status,
+            progress: this.getOverallProgress(stages),
+            stages,
+            error
+        });
+    }
+
+    /**
+     * Runs that were mid-stage when the server stopped can only be resumed
+     */
+    async recoverInterruptedRuns() {
+        const runs = await PipelineRun.findByStatus('running');
+
+        for (const run of runs) {
+            const stages = run.stages;
+            if (run.current_stage && stages[run.current_stage]) {
+                stages[run.current_stage].status = 'failed';
+                stages[run.current_stage].error = 'Interrupted by server restart';
+            }
+            await PipelineRun.update(run.id, { status: 'failed', error: 'Interrupted by server restart', stages });
+        }
+
+        if (runs.length > 0) {
+            console.log(`⚠️  Marked ${runs.length} interrupted pipeline run(s) as failed`);
+        }
+    }
+}
+
+// Singleton instance
+const pipelineService = new PipelineService();
+
+module.exports = pipelineService;
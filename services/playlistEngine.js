@@ -0,0 +1,172 @@
+const { spawn } = require('child_process');
+const FEEDER_MIN_PLAY_MS = 2000;
+
+// Feeds playlist items one at a time into the encoder's stdin as MPEG-TS.
+// Each item gets its own short-lived feeder process whose timestamps are offset
+// by the wall-clock time since the engine started, so the encoder (and the
+// RTMP session behind it) sees one continuous input while items are skipped,
+// jumped to or inserted. In audio-only mode just the audio track is fed and
+// the encoder renders the picture itself.
+class PlaylistEngine {
+  constructor(streamId, items, options = {}) {
+    this.streamId = streamId;
+    this.loop = !!options.loop;
+    this.shuffle = !!options.shuffle;
+    this.audioOnly = !!options.audioOnly;
+    this.ffmpegPath = options.ffmpegPath;
+    this.log = options.log || (() => {});
+    this.onNowPlaying = options.onNowPlaying || (() => {});
+    this.queue = this.shuffle ? shuffleItems(items) : [...items];
+    this.currentIndex = -1;
+    this.feeder = null;
+    this.output = null;
+    this.startedAt = null;
+    this.stopped = false;
+    this.consecutiveFailures = 0;
+    this.startIndex = Math.max(0, this.queue.findIndex(item => item.id === options.resumeItemId));
+  }
+  attach(output) {
+    this.output = output;
+    this.startedAt = Date.now();
+    output.on('error', (err) => {
+      if (!this.stopped) {
+        this.log(this.streamId, `[Playlist] Encoder input closed: ${err.message}`);
+      }
+    });
+    this.playIndex(this.startIndex);
+  }
+  playIndex(index) {
+    if (this.stopped) return;
+    this.killFeeder();
+    this.currentIndex = index;
+    const item = this.queue[index];
+    const offsetSeconds = ((Date.now() - this.startedAt) / 1000).toFixed(3);
+    const feeder = spawn(this.ffmpegPath, [
+      '-nostdin',
+      '-loglevel', 'error',
+      '-re',
+      '-i', item.path,
+      ...this.getStreamArgs(item),
+      '-output_ts_offset', offsetSeconds,
+      '-f', 'mpegts',
+      'pipe:1'
+    ], {
+      detached: false,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    this.feeder = feeder;
+    const feederStartedAt = Date.now();
+    feeder.stdout.pipe(this.output, { end: false });
+    feeder.stderr.on('data', (data) => {
+      const message = data.toString().trim();
+      if (message) {
+        this.log(this.streamId, `[Playlist] ${item.title}: ${message}`);
+      }
+    });
+    feeder.on('exit', (code) => {
+      if (this.feeder !== feeder) return;
+      this.feeder = null;
+      if (this.stopped) return;
+      if (code !== 0 && Date.now() - feederStartedAt < FEEDER_MIN_PLAY_MS) {
+        this.consecutiveFailures++;
+        this.log(this.streamId, `[Playlist] Failed to play "${item.title}" (code=${code}), skipping`);
+      } else {
+        this.consecutiveFailures = 0;
+      }
+      if (this.consecutiveFailures >= this.queue.length) {
+        this.log(this.streamId, '[Playlist] No playable items left in the queue, ending stream');
+        this.finish();
+        return;
+      }
+      this.advance();
+    });
+    feeder.on('error', (err) => {
+      this.log(this.streamId, `[Playlist] Feeder process error: ${err.message}`);
+    });
+    this.log(this.streamId, `[Playlist] Now playing ${index + 1}/${this.queue.length}: ${item.title}`);
+    this.onNowPlaying(this.getState());
+  }
+  getStreamArgs(item) {
+    if (!this.audioOnly) {
+      return ['-map', '0:v:0', '-map', '0:a:0?', '-c', 'copy'];
+    }
+    // The encoder keeps the decoder it probed for the first item, so every
+    // item is fed in one format whatever the source file (MP3, WAV, ...)
+    return ['-map', '0:a:0', '-c:a', 'aac', '-b:a', '256k', '-ar', '44100', '-ac', '2'];
+  }
+  advance() {
+    const nextIndex = this.currentIndex + 1;
+    if (nextIndex < this.queue.length) {
+      this.playIndex(nextIndex);
+      return;
+    }
+    if (!this.loop) {
+      this.log(this.streamId, '[Playlist] Reached the end of the playlist');
+      this.finish();
+      return;
+    }
+    if (this.shuffle) {
+      this.queue = shuffleItems(this.queue);
+    }
+    this.playIndex(0);
+  }
+  next() {
+    this.consecutiveFailures = 0;
+    this.advance();
+    return this.getState();
+  }
+  jump(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.queue.length) {
+      throw new Error(`Playlist index out of range (0-${this.queue.length - 1})`);
+    }
+    this.consecutiveFailures = 0;
+    this.playIndex(index);
+    return this.getState();
+  }
+  enqueue(item, playNext = false) {
+    if (playNext) {
+      this.queue.splice(this.currentIndex + 1, 0, item);
+    } else {
+      this.queue.push(item);
+    }
+    this.log(this.streamId, `[Playlist] Queued "${item.title}"${playNext ? ' to play next' : ''}`);
+    const state = this.getState();
+    this.onNowPlaying(state);
+    return state;
+  }
+  killFeeder() {
+    const feeder = this.feeder;
+    if (!feeder) return;
+    this.feeder = null;
+    feeder.stdout.unpipe(this.output);
+    try {
+      feeder.kill('SIGKILL');
+    } catch (error) {
+      console.error(`[PlaylistEngine] Error stopping feeder for stream ${this.streamId}: ${error.message}`);
+    }
+  }
+  finish() {
+    this.stop();
+    if (this.output && !this.output.destroyed) {
+      this.output.end();
+    }
+  }
+  stop() {
+    this.stopped = true;
+    this.killFeeder();
+  }
+  getState() {
+    const current = this.queue[this.currentIndex];
+    return {
+      currentIndex: this.currentIndex,
+      nowPlaying: current ? { id: current.id, title: current.title } : null,
+      queue: this.queue.map(item => ({ id: item.id, title: item.title })),
+      loop: this.loop,
+      shuffle: this.shuffle
+    };
+  }
+}
+function shuffleItems(items) {
+  return [...items].sort(() => Math.random() - 0.5);
+}
+module.exports = PlaylistEngine;
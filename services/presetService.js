@@ -0,0 +1,338 @@
+const fs = require('fs-extra');
+const path = require('path');
+const audioService = require('./audioService');
+const stemLibraryService = require('./stemLibraryService');
+const { AudioStem, AudioPreset, AudioPresetVersion } = require('../models/AudioModels');
+
+const BUNDLE_FORMAT = 'streamfactory-preset';
+const BUNDLE_VERSION = 1;
+const VISIBILITIES = ['private', 'shared'];
+
+// Audio is embedded as base64, so bundles are kept to a size that fits in memory
+const MAX_BUNDLE_AUDIO_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Audio presets: ownership, version history and portable bundles
+ * Presets without an owner are the built-in ones from the seed script; they
+ * stay visible to everyone, as all presets were before owners, but only admins
+ * can change them
+ */
+class PresetService {
+    canView(preset, userId) {
+        return !preset.user_id || preset.user_id === userId || preset.visibility === 'shared';
+    }
+
+    canEdit(preset, userId, isAdmin = false) {
+        return preset.user_id ? preset.user_id === userId : isAdmin;
+    }
+
+    /**
+     * Validate preset input from the API
+     * Throws a user-facing error; with `partial` only the given fields are checked
+     */
+    async validatePreset(data, { partial = false } = {}) {
+        const fields = {};
+
+        if (!partial || data.name !== undefined) {
+            const name = (data.name || '').trim();
+            if (!name || name.length > 100) {
+                throw new Error('Preset name is required (max 100 characters)');
+            }
+            fields.name = name;
+        }
+
+        if (data.description !== undefined) {
+            const description = (data.description || '').trim();
+            if (description.length > 500) {
+                throw new Error('Preset description is limited to 500 characters');
+            }
+            fields.description = description;
+        }
+
+        if (!partial || data.visibility !== undefined) {
+            const visibility = data.visibility || 'private';
+            if (!VISIBILITIES.includes(visibility)) {
+                throw new Error(`Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+            }
+            fields.visibility = visibility;
+        }
+
+        if (!partial || data.stem_configs !== undefined) {
+            if (!Array.isArray(data.stem_configs)) {
+                throw new Error('stem_configs must be a list of stems');
+            }
+            await audioService.resolveStems(data.stem_configs);
+            fields.stem_configs = data.stem_configs.map(config => this.normalizeStemConfig(config));
+        }
+
+        return fields;
+    }
+
+    /**
+     * Stem settings as presets store them: {stem_id, volume, driftSpeed, crossfade, oneShot}
+     */
+    normalizeStemConfig(config) {
+        const normalized = { stem_id: Number(config.stem_id || config.id), volume: config.volume };
+
+        ['driftSpeed', 'crossfade', 'oneShot'].forEach(key => {
+            if (config[key] !== undefined && config[key] !== null) {
+                normalized[key] = config[key];
+            }
+        });
+
+        return normalized;
+    }
+
+    async createPreset(data, userId) {
+        const fields = await this.validatePreset(data);
+
+        const preset = await AudioPreset.create({
+            description: '',
+            ...fields,
+            user_id: userId
+        });
+        await AudioPresetVersion.create({
+            preset_id: preset.id,
+            version: 1,
+            description: '',
+            ...fields,
+            created_by: userId
+        });
+
+        console.log(`🎨 Preset ${preset.name} created`);
+        return AudioPreset.getById(preset.id);
+    }
+
+    async updatePreset(preset, data, userId) {
+        const fields = await this.validatePreset(data, { partial: true });
+        if (Object.keys(fields).length === 0) {
+            return preset;
+        }
+
+        return this.saveVersion(preset, fields, userId);
+    }
+
+    /**
+     * Make an earlier version current again
+     * Saved as a new version, so the history is never rewritten
+     */
+    async restoreVersion(preset, versionNumber, userId) {
+        const version = await AudioPresetVersion.find(preset.id, versionNumber);
+        if (!version) {
+            throw new Error(`Version ${versionNumber} not found`);
+        }
+
+        // Stems deleted since then would leave the preset unusable
+        const fields = await this.validatePreset({
+            name: version.name,
+            description: version.description,
+            stem_configs: version.stem_configs
+        }, { partial: true });
+
+        return this.saveVersion(preset, fields, userId);
+    }
+
+    async getVersions(preset) {
+        await this.recordCurrentVersion(preset);
+        return AudioPresetVersion.findByPreset(preset.id);
+    }
+
+    async saveVersion(preset, fields, userId) {
+        await this.recordCurrentVersion(preset);
+
+        const version = (preset.version || 1) + 1;
+        await AudioPresetVersion.create({
+            preset_id: preset.id,
+            version,
+            name: preset.name,
+            description: preset.description,
+            stem_configs: preset.stem_configs,
+            visibility: preset.visibility,
+            ...fields,
+            created_by: userId
+        });
+        await AudioPreset.update(preset.id, {
+            ...fields,
+            version,
+            updated_at: new Date().toISOString()
+        });
+
+        console.log(`🎨 Preset ${preset.id} saved as version ${version}`);
+        return AudioPreset.getById(preset.id);
+    }
+
+    /**
+     * Presets from before versioning have no history; their current state becomes its first entry
+     */
+    async recordCurrentVersion(preset) {
+        const current = preset.version || 1;
+        if (await AudioPresetVersion.find(preset.id, current)) return;
+
+        await AudioPresetVersion.create({
+            preset_id: preset.id,
+            version: current,
+            name: preset.name,
+            description: preset.description,
+            stem_configs: preset.stem_configs,
+            visibility: preset.visibility,
+            created_by: preset.user_id
+        });
+    }
+
+    /**
+     * Portable bundle of a preset
+     * Stems are referenced by the sha256 of their file instead of their ID, which
+     * differs between servers; with `includeAudio` the files travel along
+     */
+    async exportPreset(preset, { includeAudio = false } = {}) {
+        const stems = [];
+        const stemConfigs = [];
+        let audioBytes = 0;
+
+        for (const config of preset.stem_configs) {
+            const stemId = config.stem_id || config.id;
+            const stem = await AudioStem.getById(stemId);
+            if (!stem) {
+                throw new Error(`Preset uses stem ${stemId}, which is no longer in the library`);
+            }
+
+            const hash = await stemLibraryService.getContentHash(stem);
+            const { stem_id, id, ...settings } = config;
+            stemConfigs.push({ stem: hash, ...settings });
+
+            if (stems.some(entry => entry.hash === hash)) continue;
+
+            const entry = {
+                hash,
+                name: stem.name,
+                category: stem.category,
+                tags: stem.tags,
+                duration: stem.duration,
+                default_volume: stem.default_volume,
+                loop_crossfade: stem.loop_crossfade,
+                extension: path.extname(stem.file_path).toLowerCase()
+            };
+
+            if (includeAudio) {
+                const audio = await fs.readFile(path.resolve(stem.file_path));
+                audioBytes += audio.length;
+                if (audioBytes > MAX_BUNDLE_AUDIO_BYTES) {
+                    throw new Error(`Stem audio exceeds ${MAX_BUNDLE_AUDIO_BYTES / 1024 / 1024}MB; export without audio and copy the stems separately`);
+                }
+                entry.audio = audio.toString('base64');
+            }
+
+            stems.push(entry);
+        }
+
+        return {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exported_at: new Date().toISOString(),
+            preset: {
+                name: preset.name,
+                description: preset.description,
+                stem_configs: stemConfigs
+            },
+            stems
+        };
+    }
+
+    /**
+     * Create a private preset from a bundle
+     * Stems are matched to the library by content hash; stems the library doesn't
+     * have are added from the bundle's audio. Nothing is added unless every stem
+     * can be matched or added
+     */
+    async importBundle(bundle, userId) {
+        if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+            throw new Error('Not a StreamFactory preset bundle');
+        }
+        if (!(bundle.version <= BUNDLE_VERSION)) {
+            throw new Error('This bundle was exported by a newer StreamFactory version');
+        }
+
+        const source = bundle.preset || {};
+        const entries = Array.isArray(bundle.stems) ? bundle.stems : [];
+        if (!Array.isArray(source.stem_configs) || source.stem_configs.length === 0) {
+            throw new Error('Bundle preset has no stems');
+        }
+        if (entries.some(entry => !/^[a-f0-9]{64}$/.test(entry.hash))) {
+            throw new Error('Bundle has a stem without a valid content hash');
+        }
+        if (source.stem_configs.some(config => !entries.some(entry => entry.hash === config.stem))) {
+            throw new Error('Bundle preset uses a stem that is not in the bundle');
+        }
+
+        await stemLibraryService.hashLibrary();
+
+        const localStems = new Map();
+        const missing = [];
+        for (const entry of entries) {
+            const stem = await AudioStem.findByContentHash(entry.hash);
+            if (stem) {
+                localStems.set(entry.hash, stem);
+            } else if (!entry.audio) {
+                missing.push(entry.name || entry.hash.slice(0, 12));
+            }
+        }
+
+        if (missing.length > 0) {
+            throw new Error(`Stems missing from this library: ${missing.join(', ')}. Export the preset with audio, or upload them first.`);
+        }
+
+        // Every stem to add is checked before any is written, so a bad entry leaves the library as it was
+        const toAdd = [];
+        for (const entry of entries) {
+            if (localStems.has(entry.hash) || toAdd.some(item => item.entry.hash === entry.hash)) continue;
+
+            const audio = Buffer.from(entry.audio, 'base64');
+            stemLibraryService.checkImport(entry, audio);
+            toAdd.push({ entry, audio });
+        }
+
+        const added = [];
+        let preset;
+        try {
+            for (const { entry, audio } of toAdd) {
+                const stem = await stemLibraryService.importStem(entry, audio);
+                localStems.set(entry.hash, stem);
+                added.push(stem);
+            }
+
+            // Keep an imported preset apart from one of the same name
+            const visible = await AudioPreset.getVisible(userId);
+            let name = (source.name || '').trim() || 'Imported preset';
+            if (visible.some(existing => existing.name === name)) {
+                name = `${name} (imported)`;
+            }
+
+            preset = await this.createPreset({
+                name,
+                description: source.description,
+                visibility: 'private',
+                stem_configs: source.stem_configs.map(({ stem, ...settings }) => ({
+                    stem_id: localStems.get(stem).id,
+                    ...settings
+                }))
+            }, userId);
+        } catch (error) {
+            // Stems added before the failure would otherwise stay in the library without a preset
+            for (const stem of added) {
+                await stemLibraryService.deleteStem(stem).catch(() => {});
+            }
+            throw error;
+        }
+
+        return {
+            preset,
+            matched: entries.length - added.length,
+            added: added.map(stem => stem.name)
+        };
+    }
+}
+
+// Singleton instance
+const presetService = new PresetService();
+
+module.exports = presetService;
@@ -1,12 +1,17 @@
 const Stream = require('../models/Stream');
+const StreamSchedule = require('../models/StreamSchedule');
+const { getPreviousOccurrence } = require('../utils/recurrence');
 const scheduledTerminations = new Map();
 const SCHEDULE_LOOKAHEAD_SECONDS = 60;
+const MISFIRE_POLICIES = ['start_late', 'skip', 'within_window'];
+const MISFIRE_LOOKBACK_MS = 24 * 60 * 60 * 1000;
 const MAX_TIMEOUT_MS = 2147483647;
 const LONG_DURATION_CHECK_INTERVAL = 5 * 60 * 1000;
 let streamingService = null;
 let initialized = false;
 let scheduleIntervalId = null;
 let durationIntervalId = null;
+let recurringIntervalId = null;
 function init(streamingServiceInstance) {
   if (initialized) {
     console.log('Stream scheduler already initialized');
@@ -17,8 +22,33 @@ function init(streamingServiceInstance) {
   console.log('Stream scheduler initialized');
   scheduleIntervalId = setInterval(checkScheduledStreams, 60 * 1000);
   durationIntervalId = setInterval(checkStreamDurations, 60 * 1000);
+  recurringIntervalId = setInterval(checkRecurringSchedules, 60 * 1000);
   checkScheduledStreams();
   checkStreamDurations();
+  checkRecurringSchedules();
+}
+// Decides what to do with a run whose start time passed while the scheduler
+// wasn't watching (server down or a stalled poll):
+//   start_late    - start now and run for the originally planned duration
+//   within_window - start now only if the planned end hasn't passed, keep that end
+//   skip          - don't start the missed run at all
+function resolveMisfire(policy, scheduledStart, scheduledEnd, now = new Date()) {
+  if (policy === 'skip') {
+    return { start: false, reason: 'misfire policy is skip' };
+  }
+  if (policy === 'within_window') {
+    if (scheduledEnd && scheduledEnd.getTime() <= now.getTime()) {
+      return { start: false, reason: 'scheduled window has already ended' };
+    }
+    return { start: true, endTime: scheduledEnd };
+  }
+  const endTime = scheduledEnd
+    ? new Date(now.getTime() + (scheduledEnd.getTime() - scheduledStart.getTime()))
+    : null;
+  return { start: true, endTime };
+}
+function isMisfire(scheduledStart, now) {
+  return scheduledStart.getTime() < now.getTime() - SCHEDULE_LOOKAHEAD_SECONDS * 1000;
 }
 async function checkScheduledStreams() {
   try {
@@ -28,7 +58,17 @@ async function checkScheduledStreams() {
     }
     const now = new Date();
     const lookAheadTime = new Date(now.getTime() + SCHEDULE_LOOKAHEAD_SECONDS * 1000);
-    const streams = await Stream.findScheduledInRange(now, lookAheadTime);
+    const lookBackTime = new Date(now.getTime() - MISFIRE_LOOKBACK_MS);
+    
+    // Starts missed by more than the lookback are never run, whatever the misfire policy
+    const staleStreams = await Stream.findScheduledInRange(new Date(0), lookBackTime);
+    for (const stream of staleStreams) {
+      if (new Date(stream.schedule_time).getTime() >= lookBackTime.getTime()) continue;
+      console.log(`[Scheduler] Skipping stream ${stream.id} scheduled for ${stream.schedule_time} (missed by more than ${MISFIRE_LOOKBACK_MS / 3600000}h)`);
+      await Stream.update(stream.id, { schedule_time: null, end_time: null, status: 'offline' });
+    }
+    
+    const streams = await Stream.findScheduledInRange(lookBackTime, lookAheadTime);
     
     if (streams.length > 0) {
       console.log(`Found ${streams.length} streams to schedule start`);
@@ -45,6 +85,26 @@ async function checkScheduledStreams() {
           continue;
         }
         
+        const scheduledStart = new Date(currentStream.schedule_time);
+        if (isMisfire(scheduledStart, now)) {
+          const policy = currentStream.misfire_policy || 'start_late';
+          const decision = resolveMisfire(
+            policy,
+            scheduledStart,
+            currentStream.end_time ? new Date(currentStream.end_time) : null,
+            now
+          );
+          if (!decision.start) {
+            console.log(`[Scheduler] Skipping missed start of stream ${stream.id} scheduled for ${currentStream.schedule_time} (${decision.reason})`);
+            await Stream.update(stream.id, { schedule_time: null, end_time: null, status: 'offline' });
+            continue;
+          }
+          console.log(`[Scheduler] Starting stream ${stream.id} late (scheduled for ${currentStream.schedule_time}, policy ${policy})`);
+          await Stream.update(stream.id, {
+            end_time: decision.endTime ? decision.endTime.toISOString() : null
+          });
+        }
+        
         console.log(`Starting scheduled stream: ${stream.id} - ${stream.title} (user: ${stream.user_id})`);
         const result = await streamingService.startStream(stream.id);
         
@@ -59,6 +119,70 @@ async function checkScheduledStreams() {
     console.error('Error checking scheduled streams:', error);
   }
 }
+function parseSqliteTimestamp(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`) : null;
+}
+async function checkRecurringSchedules() {
+  try {
+    if (!streamingService) {
+      console.error('StreamingService not initialized in scheduler');
+      return;
+    }
+    const now = new Date();
+    const lookAheadTime = new Date(now.getTime() + SCHEDULE_LOOKAHEAD_SECONDS * 1000);
+    const schedules = await StreamSchedule.findAllEnabled();
+    
+    for (const schedule of schedules) {
+      try {
+        const occurrence = getPreviousOccurrence(schedule, lookAheadTime);
+        if (!occurrence) continue;
+        
+        // Only consider runs after the last handled one, after the rule was
+        // created and within the misfire lookback
+        const lastRunStart = schedule.last_run_start ? new Date(schedule.last_run_start).getTime() : 0;
+        const createdAt = parseSqliteTimestamp(schedule.created_at);
+        const earliest = Math.max(lastRunStart + 1, createdAt ? createdAt.getTime() : 0, now.getTime() - MISFIRE_LOOKBACK_MS);
+        if (occurrence.start.getTime() < earliest) continue;
+        
+        await StreamSchedule.markRunStarted(schedule.id, occurrence.start.toISOString());
+        
+        if (streamingService.isStreamActive(schedule.stream_id)) {
+          console.log(`[Scheduler] Stream ${schedule.stream_id} is already active, skipping recurring run at ${occurrence.start.toISOString()}`);
+          continue;
+        }
+        
+        let endTime = occurrence.end;
+        if (isMisfire(occurrence.start, now)) {
+          const policy = schedule.misfire_policy || 'start_late';
+          const decision = resolveMisfire(policy, occurrence.start, occurrence.end, now);
+          if (!decision.start) {
+            console.log(`[Scheduler] Skipping missed recurring run for stream ${schedule.stream_id} at ${occurrence.start.toISOString()} (${decision.reason})`);
+            continue;
+          }
+          console.log(`[Scheduler] Starting missed recurring run for stream ${schedule.stream_id} late (policy ${policy})`);
+          endTime = decision.endTime;
+        }
+        
+        await Stream.update(schedule.stream_id, {
+          end_time: endTime ? endTime.toISOString() : null
+        });
+        
+        console.log(`[Scheduler] Starting recurring run for stream ${schedule.stream_id} (${schedule.recurrence_type}, ${schedule.timezone})${endTime ? ` until ${endTime.toISOString()}` : ''}`);
+        const result = await streamingService.startStream(schedule.stream_id);
+        
+        if (result.success) {
+          console.log(`[Scheduler] Successfully started recurring run for stream ${schedule.stream_id}`);
+        } else {
+          console.error(`[Scheduler] Failed to start recurring run for stream ${schedule.stream_id}: ${result.error}`);
+        }
+      } catch (error) {
+        console.error(`[Scheduler] Error processing recurring schedule ${schedule.id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error checking recurring schedules:', error);
+  }
+}
 async function checkStreamDurations() {
   try {
     if (!streamingService) {
@@ -224,11 +348,14 @@ function handleStreamStopped(streamId) {
   return cancelStreamTermination(streamId);
 }
 module.exports = {
+  MISFIRE_POLICIES,
   init,
   scheduleStreamTermination,
   cancelStreamTermination,
   getScheduledTermination,
   handleStreamStopped,
   checkScheduledStreams,
-  checkStreamDurations
+  checkRecurringSchedules,
+  checkStreamDurations,
+  resolveMisfire
 };
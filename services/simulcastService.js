@@ -0,0 +1,218 @@
+const { spawn } = require('child_process');
+const RELAY_PORT_BASE = parseInt(process.env.SIMULCAST_RELAY_PORT_BASE) || 41000;
+const RELAY_PORT_RANGE = 1000;
+const MAX_DESTINATION_RETRY_ATTEMPTS = 10;
+const MAX_DESTINATION_LOG_LINES = 50;
+const RELAY_CONNECT_GRACE_MS = 10 * 1000;
+const RELAY_STABLE_MS = 5 * 60 * 1000;
+const RELAY_INPUT_TIMEOUT_US = 15 * 1000 * 1000;
+const RELAY_KILL_TIMEOUT_MS = 5000;
+const usedPorts = new Set();
+let nextPortOffset = 0;
+
+// Each extra destination gets a copy-only relay process. The encoder fans out
+// once through the tee muxer to loopback UDP ports, so a relay that drops its
+// RTMP connection can be restarted on its own without touching the encode.
+function allocatePort() {
+  for (let i = 0; i < RELAY_PORT_RANGE; i++) {
+    const port = RELAY_PORT_BASE + ((nextPortOffset + i) % RELAY_PORT_RANGE);
+    if (!usedPorts.has(port)) {
+      usedPorts.add(port);
+      nextPortOffset = (port - RELAY_PORT_BASE + 1) % RELAY_PORT_RANGE;
+      return port;
+    }
+  }
+  throw new Error('No free simulcast relay ports available');
+}
+
+function buildRtmpUrl(target) {
+  return `${target.rtmp_url.replace(/\/$/, '')}/${target.stream_key}`;
+}
+
+function addDestinationLog(destination, message) {
+  destination.logs.push({
+    timestamp: new Date().toISOString(),
+    message
+  });
+  if (destination.logs.length > MAX_DESTINATION_LOG_LINES) {
+    destination.logs.shift();
+  }
+}
+
+function createDestinations(targets) {
+  const destinations = new Map();
+  try {
+    targets.forEach(target => {
+      destinations.set(target.id, {
+        id: target.id,
+        name: target.name,
+        platform: target.platform,
+        rtmpUrl: buildRtmpUrl(target),
+        port: allocatePort(),
+        status: 'pending',
+        retryCount: 0,
+        logs: [],
+        process: null,
+        pid: null,
+        retryTimer: null,
+        graceTimer: null,
+        startedAt: null,
+        lastError: null,
+        stopping: false
+      });
+    });
+  } catch (error) {
+    stopDestinations(destinations);
+    throw error;
+  }
+  return destinations;
+}
+
+function buildTeeOutputArgs(destinations) {
+  const slaves = Array.from(destinations.values())
+    .map(dest => `[f=mpegts:onfail=ignore]udp://127.0.0.1:${dest.port}?pkt_size=1316`)
+    .join('|');
+  return [
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    '-f', 'tee',
+    slaves
+  ];
+}
+
+function buildRelayArgs(destination) {
+  return [
+    '-nostdin',
+    '-loglevel', 'warning',
+    '-fflags', '+genpts',
+    '-f', 'mpegts',
+    '-i', `udp://127.0.0.1:${destination.port}?fifo_size=1000000&overrun_nonfatal=1&timeout=${RELAY_INPUT_TIMEOUT_US}`,
+    '-map', '0',
+    '-c', 'copy',
+    '-bsf:a', 'aac_adtstoasc',
+    '-f', 'flv',
+    destination.rtmpUrl
+  ];
+}
+
+function spawnRelay(streamId, destination, options) {
+  const { ffmpegPath, log } = options;
+  const relayProcess = spawn(ffmpegPath, buildRelayArgs(destination), {
+    detached: false,
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  destination.process = relayProcess;
+  destination.pid = relayProcess.pid;
+  destination.status = 'connecting';
+  destination.startedAt = Date.now();
+  addDestinationLog(destination, `Relay started (pid ${relayProcess.pid})`);
+
+  destination.graceTimer = setTimeout(() => {
+    if (destination.process === relayProcess && relayProcess.exitCode === null) {
+      destination.status = 'live';
+      addDestinationLog(destination, 'Destination is live');
+    }
+  }, RELAY_CONNECT_GRACE_MS);
+
+  relayProcess.stderr.on('data', (data) => {
+    const message = data.toString().trim();
+    if (message) {
+      destination.lastError = message;
+      addDestinationLog(destination, message);
+      log(streamId, `[Destination ${destination.name}] ${message}`);
+    }
+  });
+
+  relayProcess.on('exit', (code, signal) => {
+    clearTimeout(destination.graceTimer);
+    destination.process = null;
+    destination.pid = null;
+    if (destination.stopping) {
+      destination.status = 'stopped';
+      addDestinationLog(destination, 'Relay stopped');
+      return;
+    }
+    if (Date.now() - destination.startedAt >= RELAY_STABLE_MS) {
+      destination.retryCount = 0;
+    }
+    if (destination.retryCount >= MAX_DESTINATION_RETRY_ATTEMPTS) {
+      destination.status = 'failed';
+      addDestinationLog(destination, `Maximum retry attempts (${MAX_DESTINATION_RETRY_ATTEMPTS}) reached, giving up on this destination`);
+      log(streamId, `[Destination ${destination.name}] Failed permanently after ${MAX_DESTINATION_RETRY_ATTEMPTS} retries`);
+      return;
+    }
+    destination.retryCount++;
+    const backoffMs = Math.min(3000 * Math.pow(2, destination.retryCount - 1), 60000);
+    destination.status = 'retrying';
+    addDestinationLog(destination, `Relay exited (code=${code}, signal=${signal}). Retry #${destination.retryCount} in ${backoffMs / 1000}s`);
+    log(streamId, `[Destination ${destination.name}] Connection lost, retry #${destination.retryCount} in ${backoffMs / 1000}s`);
+    destination.retryTimer = setTimeout(() => {
+      destination.retryTimer = null;
+      if (!destination.stopping) {
+        spawnRelay(streamId, destination, options);
+      }
+    }, backoffMs);
+  });
+
+  relayProcess.on('error', (err) => {
+    destination.lastError = err.message;
+    addDestinationLog(destination, `Relay process error: ${err.message}`);
+    log(streamId, `[Destination ${destination.name}] Relay process error: ${err.message}`);
+  });
+}
+
+function startDestinations(streamId, destinations, options) {
+  for (const destination of destinations.values()) {
+    spawnRelay(streamId, destination, options);
+  }
+}
+
+function stopDestinations(destinations) {
+  if (!destinations) return;
+  for (const destination of destinations.values()) {
+    destination.stopping = true;
+    clearTimeout(destination.retryTimer);
+    clearTimeout(destination.graceTimer);
+    if (destination.process && typeof destination.process.kill === 'function') {
+      const relayProcess = destination.process;
+      try {
+        relayProcess.kill('SIGTERM');
+        // A relay blocked on its UDP read can ignore SIGTERM
+        setTimeout(() => {
+          if (relayProcess.exitCode === null && relayProcess.signalCode === null) {
+            relayProcess.kill('SIGKILL');
+          }
+        }, RELAY_KILL_TIMEOUT_MS).unref();
+      } catch (error) {
+        console.error(`[SimulcastService] Error stopping relay for ${destination.name}: ${error.message}`);
+      }
+    } else {
+      destination.status = 'stopped';
+    }
+    usedPorts.delete(destination.port);
+  }
+}
+
+function getDestinationStatus(destinations) {
+  if (!destinations) return [];
+  return Array.from(destinations.values()).map(dest => ({
+    id: dest.id,
+    name: dest.name,
+    platform: dest.platform,
+    status: dest.status,
+    retryCount: dest.retryCount,
+    pid: dest.pid,
+    lastError: dest.lastError,
+    logs: dest.logs
+  }));
+}
+
+module.exports = {
+  MAX_DESTINATION_RETRY_ATTEMPTS,
+  buildRtmpUrl,
+  createDestinations,
+  buildTeeOutputArgs,
+  startDestinations,
+  stopDestinations,
+  getDestinationStatus
+};
@@ -34,6 +34,12 @@ class SocketService {
                 console.log(`📡 Client ${socket.id} subscribed to stream ${streamId}`);
             });
 
+            // Subscribe to recipe pipeline runs
+            socket.on('subscribe:pipeline', ({ runId }) => {
+                socket.join(`pipeline:${runId}`);
+                console.log(`📡 Client ${socket.id} subscribed to pipeline run ${runId}`);
+            });
+
             // Subscribe to upload progress
             socket.on('subscribe:upload', ({ uploadId }) => {
                 socket.join(`upload:${uploadId}`);
@@ -59,6 +65,7 @@ class SocketService {
             progress: data.progress,
             status: data.status,
             message: data.message,
+            details: data.details || null,
             timestamp: new Date().toISOString()
         });
     }
@@ -100,6 +107,33 @@ class SocketService {
         });
     }
 
+    /**
+     * Emit encoder telemetry sample for a live stream
+     */
+    emitStreamMetrics(streamId, sample) {
+        if (!this.io) return;
+        this.io.to(`stream:${streamId}`).emit('stream:metrics', {
+            streamId,
+            ...sample
+        });
+    }
+
+    /**
+     * Emit per-stage progress of a recipe pipeline run
+     */
+    emitPipelineProgress(runId, data) {
+        if (!this.io) return;
+        this.io.to(`pipeline:${runId}`).emit('pipeline:progress', {
+            runId,
+            stage: data.stage,
+            status: data.status,
+            progress: data.progress,
+            stages: data.stages,
+            error: data.error,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     /**
      * Emit upload progress
      */
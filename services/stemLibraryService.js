@@ -0,0 +1,363 @@
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const audioService = require('./audioService');
+const { AudioStem, AudioPreset } = require('../models/AudioModels');
+const { getUniqueFilename } = require('../utils/storage');
+
+// Set FFmpeg path
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+const PREVIEW_LENGTH = 30; // Seconds of a stem that are previewed
+const MAX_TAGS = 20;
+
+// Same formats the stem scanner picks up
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.ogg', '.flac', '.m4a', '.aac'];
+
+/**
+ * In-app audio stem library
+ * Uploaded files are filed under audio-stems/<category>/, the layout the
+ * scanner reads, so a later scan keeps them in the same category
+ */
+class StemLibraryService {
+    constructor() {
+        this.previewDir = path.join(audioService.audioOutputDir, 'stem-previews');
+        this.previewBuilds = new Map(); // preview base name -> pending build
+    }
+
+    /**
+     * Validate editable stem fields
+     * Throws a user-facing error; with `partial` only the given fields are checked
+     */
+    validateStemData(data, { partial = false } = {}) {
+        const fields = {};
+        const isSet = (value) => value !== undefined && value !== null;
+
+        if (!partial || isSet(data.name)) {
+            const name = (data.name || '').trim();
+            if (!name || name.length > 100) {
+                throw new Error('Stem name is required (max 100 characters)');
+            }
+            fields.name = name;
+        }
+
+        if (!partial || isSet(data.category)) {
+            // The category is also the stem's folder name
+            const category = (data.category || '').trim().toLowerCase();
+            if (!/^[a-z0-9][a-z0-9 _-]{0,49}$/.test(category)) {
+                throw new Error('Category is required and can only contain letters, numbers, spaces, dashes and underscores');
+            }
+            fields.category = category;
+        }
+
+        if (isSet(data.tags)) {
+            const tags = (Array.isArray(data.tags) ? data.tags : String(data.tags).split(','))
+                .map(tag => String(tag).trim().toLowerCase())
+                .filter(Boolean);
+            if (tags.length > MAX_TAGS || tags.some(tag => tag.length > 30)) {
+                throw new Error(`Up to ${MAX_TAGS} tags of at most 30 characters are allowed`);
+            }
+            fields.tags = [...new Set(tags)];
+        }
+
+        if (isSet(data.default_volume) && data.default_volume !== '') {
+            const volume = parseFloat(data.default_volume);
+            if (!Number.isFinite(volume) || volume < 0 || volume > 1) {
+                throw new Error('Default volume must be between 0 and 1');
+            }
+            fields.default_volume = volume;
+        }
+
+        return fields;
+    }
+
+    /**
+     * Duration of an audio file in seconds
+     */
+    getDuration(filePath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(filePath, (err, metadata) => {
+                const duration = metadata && metadata.format && parseFloat(metadata.format.duration);
+                if (err || !(duration > 0)) {
+                    return reject(new Error('The file could not be read as audio'));
+                }
+                resolve(duration);
+            });
+        });
+    }
+
+    /**
+     * Add an uploaded file to the library
+     * The upload is removed if it is rejected
+     */
+    async addStem(file, data) {
+        try {
+            const fields = this.validateStemData(data);
+            const duration = await this.getDuration(file.path);
+            const contentHash = await this.hashFile(file.path);
+            const filePath = await this.fileIntoLibrary(file.path, fields.category, getUniqueFilename(file.originalname));
+
+            const stem = await AudioStem.create({
+                default_volume: 0.7,
+                tags: [],
+                ...fields,
+                file_path: filePath,
+                duration,
+                content_hash: contentHash
+            });
+
+            console.log(`🎼 Added stem ${stem.name} (${filePath})`);
+            return AudioStem.getById(stem.id);
+        } catch (error) {
+            await fs.remove(file.path);
+            throw error;
+        }
+    }
+
+    /**
+     * Edit a stem's name, category, tags or default volume
+     * A new category moves the file to that category's folder
+     */
+    async updateStem(stem, data) {
+        const fields = this.validateStemData(data, { partial: true });
+
+        if (fields.category && fields.category !== stem.category && this.isInLibrary(stem.file_path)) {
+            fields.file_path = await this.fileIntoLibrary(path.resolve(stem.file_path), fields.category, path.basename(stem.file_path));
+        }
+
+        if (Object.keys(fields).length > 0) {
+            await AudioStem.update(stem.id, fields);
+        }
+
+        return AudioStem.getById(stem.id);
+    }
+
+    /**
+     * Swap a stem's audio for an uploaded file, keeping its settings and preset references
+     */
+    async replaceFile(stem, file) {
+        let filePath;
+        let duration;
+        let contentHash;
+        try {
+            duration = await this.getDuration(file.path);
+            contentHash = await this.hashFile(file.path);
+            filePath = await this.fileIntoLibrary(file.path, stem.category, getUniqueFilename(file.originalname));
+        } catch (error) {
+            await fs.remove(file.path);
+            throw error;
+        }
+
+        // The loop analysis was for the old file
+        await AudioStem.update(stem.id, { file_path: filePath, duration, loop_crossfade: null, content_hash: contentHash });
+        await this.removeLibraryFile(stem.file_path);
+        await this.removePreviews(stem.id);
+
+        console.log(`🎼 Replaced file of stem ${stem.name} (${filePath})`);
+        return AudioStem.getById(stem.id);
+    }
+
+    /**
+     * Delete a stem and its file
+     * While presets still use the stem nothing is deleted unless `force` is set,
+     * which also takes the stem out of those presets; each of them gets a new
+     * version by `userId`, so the removal can be undone from the history
+     */
+    async deleteStem(stem, { force = false, userId = null } = {}) {
+        const presets = await AudioPreset.findByStem(stem.id);
+
+        if (presets.length > 0 && !force) {
+            return { deleted: false, presets };
+        }
+
+        // Required here; presetService depends on this service
+        const presetService = require('./presetService');
+        for (const preset of presets) {
+            await presetService.saveVersion(preset, {
+                stem_configs: preset.stem_configs.filter(config => Number(config.stem_id || config.id) !== Number(stem.id))
+            }, userId);
+        }
+
+        await AudioStem.delete(stem.id);
+        await this.removeLibraryFile(stem.file_path);
+        await this.removePreviews(stem.id);
+
+        console.log(`🗑️  Deleted stem ${stem.name}`);
+        return { deleted: true, presets };
+    }
+
+    /**
+     * Throw unless a bundled stem can be imported: a supported file type, and audio matching its hash
+     */
+    checkImport(meta, audio) {
+        const extension = String(meta.extension || '').toLowerCase();
+        if (!AUDIO_EXTENSIONS.includes(extension)) {
+            throw new Error(`Stem ${meta.name} has an unsupported file type`);
+        }
+
+        const hash = crypto.createHash('sha256').update(audio).digest('hex');
+        if (hash !== meta.hash) {
+            throw new Error(`Audio of stem ${meta.name} doesn't match its content hash`);
+        }
+    }
+
+    /**
+     * Add a stem that arrived with its audio in a preset bundle
+     * `meta` carries the stem's library fields; its hash is checked against the audio
+     */
+    async importStem(meta, audio) {
+        this.checkImport(meta, audio);
+        const extension = String(meta.extension).toLowerCase();
+
+        const tempPath = path.join(os.tmpdir(), getUniqueFilename(`import${extension}`));
+        await fs.writeFile(tempPath, audio);
+        const stem = await this.addStem({ path: tempPath, originalname: `${meta.name}${extension}` }, meta);
+
+        // Keep the loop analysis; it belongs to the same audio
+        const crossfade = parseFloat(meta.loop_crossfade);
+        if (Number.isFinite(crossfade) && crossfade >= 0 && crossfade <= 10) {
+            await AudioStem.update(stem.id, { loop_crossfade: crossfade });
+        }
+
+        return AudioStem.getById(stem.id);
+    }
+
+    /**
+     * sha256 of a stem's file, computed and stored on first use
+     * Stems from the scanner or seed script don't have one yet
+     */
+    async getContentHash(stem) {
+        if (stem.content_hash) return stem.content_hash;
+
+        const filePath = path.resolve(stem.file_path);
+        if (!await fs.pathExists(filePath)) {
+            throw new Error(`Audio file not found: ${stem.file_path}`);
+        }
+
+        const hash = await this.hashFile(filePath);
+        await AudioStem.update(stem.id, { content_hash: hash });
+        return hash;
+    }
+
+    /**
+     * Hash every stem that doesn't have a content hash yet, so all can be looked up by hash
+     * Stems whose file is missing are skipped
+     */
+    async hashLibrary() {
+        const stems = await AudioStem.getAll();
+
+        for (const stem of stems.filter(stem => !stem.content_hash)) {
+            await this.getContentHash(stem).catch(() => {});
+        }
+    }
+
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * Short MP3 clip and waveform image of a stem, built on first request
+     */
+    async getPreview(stem) {
+        const sourcePath = path.resolve(stem.file_path);
+        if (!await fs.pathExists(sourcePath)) {
+            throw new Error(`Audio file not found: ${stem.file_path}`);
+        }
+
+        // Keyed by modification time, so a replaced file gets a fresh preview
+        const { mtimeMs } = await fs.stat(sourcePath);
+        const baseName = `stem_${stem.id}_${Math.floor(mtimeMs)}`;
+        const audioPath = path.join(this.previewDir, `${baseName}.mp3`);
+        const waveformPath = path.join(this.previewDir, `${baseName}.png`);
+
+        if (!await fs.pathExists(waveformPath)) {
+            if (!this.previewBuilds.has(baseName)) {
+                const build = this.buildPreview(stem.id, sourcePath, audioPath, waveformPath)
+                    .finally(() => this.previewBuilds.delete(baseName));
+                this.previewBuilds.set(baseName, build);
+            }
+            await this.previewBuilds.get(baseName);
+        }
+
+        return {
+            audio: `/audio-output/stem-previews/${baseName}.mp3`,
+            waveform: `/audio-output/stem-previews/${baseName}.png`,
+            duration: Math.min(PREVIEW_LENGTH, stem.duration)
+        };
+    }
+
+    async buildPreview(stemId, sourcePath, audioPath, waveformPath) {
+        await fs.ensureDir(this.previewDir);
+        await this.removePreviews(stemId);
+
+        await new Promise((resolve, reject) => {
+            ffmpeg(sourcePath)
+                .duration(PREVIEW_LENGTH)
+                .audioCodec('libmp3lame')
+                .audioBitrate('128k')
+                .on('end', () => resolve())
+                .on('error', (err) => reject(new Error(`Preview failed: ${err.message}`)))
+                .save(audioPath);
+        });
+
+        // The waveform is drawn last: its presence marks a finished preview
+        await new Promise((resolve, reject) => {
+            ffmpeg(audioPath)
+                .complexFilter(['aformat=channel_layouts=mono,showwavespic=s=800x120:colors=0x0d6efd'])
+                .outputOptions(['-frames:v', '1'])
+                .on('end', () => resolve())
+                .on('error', (err) => reject(new Error(`Waveform failed: ${err.message}`)))
+                .save(waveformPath);
+        });
+    }
+
+    /**
+     * Move a file to the category folder and return the path stored for the stem
+     */
+    async fileIntoLibrary(sourcePath, category, fileName) {
+        const folder = path.join(audioService.audioStemsDir, category);
+        const destination = path.join(folder, fileName);
+
+        await fs.ensureDir(folder);
+        await fs.move(sourcePath, destination);
+
+        return destination.replace(/\\/g, '/');
+    }
+
+    /**
+     * Files outside the stems folder were added by hand and are never touched
+     */
+    isInLibrary(filePath) {
+        const root = path.resolve(audioService.audioStemsDir) + path.sep;
+        return path.resolve(filePath).startsWith(root);
+    }
+
+    async removeLibraryFile(filePath) {
+        if (this.isInLibrary(filePath)) {
+            await fs.remove(path.resolve(filePath));
+        }
+    }
+
+    async removePreviews(stemId) {
+        if (!await fs.pathExists(this.previewDir)) return;
+
+        const files = await fs.readdir(this.previewDir);
+        await Promise.all(files
+            .filter(file => file.startsWith(`stem_${stemId}_`))
+            .map(file => fs.remove(path.join(this.previewDir, file))));
+    }
+}
+
+// Singleton instance
+const stemLibraryService = new StemLibraryService();
+
+module.exports = stemLibraryService;
@@ -0,0 +1,113 @@
+const MAX_METRIC_SAMPLES = 360;
+const METRICS_SAMPLE_INTERVAL = 5 * 1000;
+const SLOW_SPEED_THRESHOLD = 1.0;
+const SLOW_SPEED_WARMUP_MS = 30 * 1000;
+const PROGRESS_ARGS = ['-progress', 'pipe:1', '-nostats'];
+
+// FFmpeg's -progress output is a series of key=value blocks, each terminated
+// by a progress=continue (or progress=end) line.
+function createProgressParser(onProgress) {
+  let buffer = '';
+  let block = {};
+  return (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => {
+      const separator = line.indexOf('=');
+      if (separator === -1) return;
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      block[key] = value;
+      if (key === 'progress') {
+        onProgress(block);
+        block = {};
+      }
+    });
+  };
+}
+
+function parseNumber(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// out_time_ms is reported in microseconds despite its name
+function toMilliseconds(microseconds) {
+  return microseconds === null ? null : Math.round(microseconds / 1000);
+}
+
+// Passing the previous telemetry keeps the time series across a retry
+function createTelemetry(previous = null) {
+  return {
+    startedAt: Date.now(),
+    lastSampleAt: 0,
+    lastFrame: null,
+    slow: false,
+    samples: previous ? previous.samples : []
+  };
+}
+
+function toSample(block) {
+  return {
+    timestamp: new Date().toISOString(),
+    frame: parseNumber(block.frame),
+    fps: parseNumber(block.fps),
+    bitrateKbps: parseNumber(block.bitrate),
+    speed: parseNumber(block.speed),
+    droppedFrames: parseNumber(block.drop_frames) || 0,
+    duplicatedFrames: parseNumber(block.dup_frames) || 0,
+    totalSize: parseNumber(block.total_size),
+    outTimeMs: toMilliseconds(parseNumber(block.out_time_us || block.out_time_ms))
+  };
+}
+
+function isProgressing(telemetry, block) {
+  const frame = parseNumber(block.frame);
+  const progressing = frame !== null && frame !== telemetry.lastFrame;
+  telemetry.lastFrame = frame;
+  return progressing;
+}
+
+function recordProgress(telemetry, block) {
+  const now = Date.now();
+  if (block.progress !== 'end' && now - telemetry.lastSampleAt < METRICS_SAMPLE_INTERVAL) {
+    return null;
+  }
+  telemetry.lastSampleAt = now;
+  const sample = toSample(block);
+  const warmedUp = now - telemetry.startedAt >= SLOW_SPEED_WARMUP_MS;
+  sample.slow = warmedUp && sample.speed !== null && sample.speed < SLOW_SPEED_THRESHOLD;
+  const slowChanged = sample.slow !== telemetry.slow;
+  telemetry.slow = sample.slow;
+  telemetry.samples.push(sample);
+  if (telemetry.samples.length > MAX_METRIC_SAMPLES) {
+    telemetry.samples.shift();
+  }
+  return { sample, slowChanged };
+}
+
+function getMetrics(telemetry, since = null) {
+  if (!telemetry) {
+    return { latest: null, slow: false, samples: [] };
+  }
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const samples = sinceTime
+    ? telemetry.samples.filter(sample => new Date(sample.timestamp).getTime() > sinceTime)
+    : telemetry.samples;
+  return {
+    latest: telemetry.samples[telemetry.samples.length - 1] || null,
+    slow: telemetry.slow,
+    samples
+  };
+}
+
+module.exports = {
+  PROGRESS_ARGS,
+  SLOW_SPEED_THRESHOLD,
+  createProgressParser,
+  createTelemetry,
+  isProgressing,
+  recordProgress,
+  getMetrics
+};
@@ -7,6 +7,17 @@ const { v4: uuidv4 } = require('uuid');
 const { db } = require('../db/database');
 const Stream = require('../models/Stream');
 const Playlist = require('../models/Playlist');
+const StreamDestination = require('../models/StreamDestination');
+const simulcastService = require('./simulcastService');
+const socketService = require('./socketService');
+const PlaylistEngine = require('./playlistEngine');
+const GenerativeAudioEngine = require('./generativeAudioEngine');
+const streamTelemetry = require('./streamTelemetry');
+const overlayService = require('./overlayService');
+const audioService = require('./audioService');
+const AudioSource = require('../models/AudioSource');
+const StreamRuntime = require('../models/StreamRuntime');
+const prng = require('../utils/prng');
 let ffmpegPath;
 if (fs.existsSync('/usr/bin/ffmpeg')) {
   ffmpegPath = '/usr/bin/ffmpeg';
@@ -20,11 +31,21 @@ const activeStreams = new Map();
 const streamLogs = new Map();
 const streamRetryCount = new Map();
 const streamLastSuccessTime = new Map();
+const playlistResumeItems = new Map();
+const streamMetrics = new Map();
+const streamFailoverState = new Map();
 const MAX_RETRY_ATTEMPTS = 10;
 const RETRY_RESET_INTERVAL = 30 * 60 * 1000;
 const manuallyStoppingStreams = new Set();
+let shuttingDown = false;
 const MAX_LOG_LINES = 100;
 const HEALTH_CHECK_INTERVAL = 60 * 1000;
+const FAILOVER_SOURCES = ['none', 'video', 'slate'];
+const DEFAULT_BACKUP_FAILOVER_AFTER = 3;
+const SLATE_TEXT = 'Technical difficulties';
+const SLATE_FONT = 'DejaVu Sans'; // Fontconfig family, so the slate doesn't depend on the default face
+const AUDIO_VISUALIZERS = ['none', 'waveform', 'spectrum'];
+const AUDIO_BACKGROUND_COLOR = '0x111827';
 function addStreamLog(streamId, message) {
   if (!streamLogs.has(streamId)) {
     streamLogs.set(streamId, []);
@@ -39,12 +60,22 @@ function addStreamLog(streamId, message) {
   }
 }
 
+function setRetryCount(streamId, retryCount) {
+  streamRetryCount.set(streamId, retryCount);
+  StreamRuntime.updateRetryCount(streamId, retryCount).catch(() => {});
+}
+
 function cleanupStreamData(streamId, keepLogs = true) {
   streamRetryCount.delete(streamId);
+  StreamRuntime.delete(streamId).catch(() => {});
   streamLastSuccessTime.delete(streamId);
+  playlistResumeItems.delete(streamId);
+  streamFailoverState.delete(streamId);
+  overlayService.cleanupOverlayFiles(streamId);
   
   if (!keepLogs) {
     streamLogs.delete(streamId);
+    streamMetrics.delete(streamId);
   }
 }
 
@@ -57,6 +88,7 @@ function cleanupOldLogs() {
         const lastLogTime = new Date(logs[logs.length - 1].timestamp).getTime();
         if (Date.now() - lastLogTime > 60 * 60 * 1000) {
           streamLogs.delete(streamId);
+          streamMetrics.delete(streamId);
           console.log(`[StreamingService] Cleaned up old logs for stream ${streamId}`);
         }
       }
@@ -69,7 +101,7 @@ function checkAndResetRetryCounter(streamId) {
   if (lastSuccess && (Date.now() - lastSuccess) >= RETRY_RESET_INTERVAL) {
     const oldCount = streamRetryCount.get(streamId) || 0;
     if (oldCount > 0) {
-      streamRetryCount.set(streamId, 0);
+      setRetryCount(streamId, 0);
       console.log(`[StreamingService] Reset retry counter for stream ${streamId} after successful streaming period`);
     }
     streamLastSuccessTime.set(streamId, Date.now());
@@ -82,111 +114,106 @@ function markStreamSuccess(streamId) {
   }
   checkAndResetRetryCounter(streamId);
 }
-async function buildFFmpegArgsForPlaylist(stream, playlist) {
+function createFailoverState() {
+  return {
+    usingBackupIngest: false,
+    usingFallbackSource: false,
+    consecutiveFailures: 0,
+    events: []
+  };
+}
+function getFailoverState(streamId) {
+  if (!streamFailoverState.has(streamId)) {
+    streamFailoverState.set(streamId, createFailoverState());
+  }
+  return streamFailoverState.get(streamId);
+}
+function recordFailoverEvent(streamId, type, message) {
+  const failover = getFailoverState(streamId);
+  failover.events.push({ timestamp: new Date().toISOString(), type, message });
+  addStreamLog(streamId, `[Failover] ${message}`);
+  console.warn(`[StreamingService] Failover for stream ${streamId}: ${message}`);
+}
+function hasFallbackSource(stream) {
+  return stream.failover_source === 'slate' ||
+    (stream.failover_source === 'video' && !!stream.fallback_video_id);
+}
+// Overlays are drawn by a filter graph, which rules out stream copy
+function needsEncoding(stream) {
+  return stream.use_advanced_settings || overlayService.hasOverlays(stream.overlays);
+}
+function resolvePublicPath(publicPath) {
+  const relativePath = publicPath.startsWith('/') ? publicPath.substring(1) : publicPath;
+  return path.join(path.resolve(__dirname, '..'), 'public', relativePath);
+}
+function resolveVideoPath(video) {
+  return resolvePublicPath(video.filepath);
+}
+function toPlaylistItem(video) {
+  return { id: video.id, title: video.title, path: resolveVideoPath(video) };
+}
+function createPlaylistEngine(stream, items, options = {}) {
+  return new PlaylistEngine(stream.id, items, {
+    ...options,
+    loop: stream.loop_video,
+    resumeItemId: playlistResumeItems.get(stream.id),
+    ffmpegPath,
+    log: addStreamLog,
+    onNowPlaying: (state) => {
+      playlistResumeItems.set(stream.id, state.nowPlaying ? state.nowPlaying.id : null);
+      overlayService.setNowPlaying(stream.id, stream.overlays, state.nowPlaying ? state.nowPlaying.title : null);
+      socketService.emitStreamStatus(stream.id, { status: 'live', stats: { playlist: state } });
+    }
+  });
+}
+function buildPlaylistInputArgs() {
+  return [
+    '-loglevel', 'warning',
+    '-fflags', '+genpts+igndts',
+    '-f', 'mpegts',
+    '-i', 'pipe:0'
+  ];
+}
+async function buildFFmpegArgsForPlaylist(stream, playlist, outputArgs) {
   if (!playlist.videos || playlist.videos.length === 0) {
     throw new Error(`Playlist is empty for playlist_id: ${stream.video_id}`);
   }
   
-  const projectRoot = path.resolve(__dirname, '..');
-  const rtmpUrl = `${stream.rtmp_url.replace(/\/$/, '')}/${stream.stream_key}`;
-  
-  let videoPaths = [];
+  const items = playlist.videos.map(toPlaylistItem);
   
-  if (playlist.is_shuffle || playlist.shuffle) {
-    const shuffledVideos = [...playlist.videos].sort(() => Math.random() - 0.5);
-    videoPaths = shuffledVideos.map(video => {
-      const relativeVideoPath = video.filepath.startsWith('/') ? video.filepath.substring(1) : video.filepath;
-      return path.join(projectRoot, 'public', relativeVideoPath);
-    });
-  } else {
-    videoPaths = playlist.videos.map(video => {
-      const relativeVideoPath = video.filepath.startsWith('/') ? video.filepath.substring(1) : video.filepath;
-      return path.join(projectRoot, 'public', relativeVideoPath);
-    });
-  }
-  
-  for (const videoPath of videoPaths) {
-    if (!fs.existsSync(videoPath)) {
-      throw new Error(`Video file not found: ${videoPath}`);
+  for (const item of items) {
+    if (!fs.existsSync(item.path)) {
+      throw new Error(`Video file not found: ${item.path}`);
     }
   }
   
-  const concatFile = path.join(projectRoot, 'temp', `playlist_${stream.id}.txt`);
-  
-  const tempDir = path.dirname(concatFile);
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
-  }
-  
-  let concatContent = '';
-  if (stream.loop_video) {
-    for (let i = 0; i < 1000; i++) {
-      videoPaths.forEach(videoPath => {
-        concatContent += `file '${videoPath.replace(/\\/g, '/')}'\n`;
-      });
-    }
-  } else {
-    videoPaths.forEach(videoPath => {
-      concatContent += `file '${videoPath.replace(/\\/g, '/')}'\n`;
-    });
-  }
+  const playlistEngine = createPlaylistEngine(stream, items, {
+    shuffle: playlist.is_shuffle || playlist.shuffle
+  });
   
-  fs.writeFileSync(concatFile, concatContent);
+  const inputArgs = buildPlaylistInputArgs();
   
-  if (!stream.use_advanced_settings) {
-    return [
-      '-nostdin',
-      '-loglevel', 'warning',
-      '-re',
-      '-fflags', '+genpts+igndts',
-      '-f', 'concat',
-      '-safe', '0',
-      '-i', concatFile,
-      '-c:v', 'copy',
-      '-c:a', 'aac',
-      '-b:a', '128k',
-      '-ar', '44100',
-      '-f', 'flv',
-      rtmpUrl
-    ];
+  if (!needsEncoding(stream)) {
+    return {
+      args: [
+        ...inputArgs,
+        '-c:v', 'copy',
+        '-c:a', 'aac',
+        '-b:a', '128k',
+        '-ar', '44100',
+        ...outputArgs
+      ],
+      playlistEngine
+    };
   }
   
-  const resolution = stream.resolution || '1280x720';
-  const bitrate = stream.bitrate || 2500;
-  const fps = stream.fps || 30;
-  const gopSize = fps * 2;
-  
-  return [
-    '-nostdin',
-    '-loglevel', 'warning',
-    '-re',
-    '-fflags', '+genpts+igndts',
-    '-f', 'concat',
-    '-safe', '0',
-    '-i', concatFile,
-    '-c:v', 'libx264',
-    '-preset', 'veryfast',
-    '-profile:v', 'high',
-    '-level', '4.1',
-    '-b:v', `${bitrate}k`,
-    '-maxrate', `${Math.round(bitrate * 1.2)}k`,
-    '-bufsize', `${bitrate * 2}k`,
-    '-pix_fmt', 'yuv420p',
-    '-g', gopSize.toString(),
-    '-keyint_min', gopSize.toString(),
-    '-sc_threshold', '0',
-    '-s', resolution,
-    '-r', fps.toString(),
-    '-c:a', 'aac',
-    '-b:a', '128k',
-    '-ar', '44100',
-    '-ac', '2',
-    '-f', 'flv',
-    rtmpUrl
-  ];
+  return {
+    args: [...inputArgs, ...buildEncoderArgs(stream), ...outputArgs],
+    playlistEngine
+  };
 }
 
-async function buildFFmpegArgs(stream) {
+async function buildFFmpegArgs(stream, outputArgs) {
   const streamWithVideo = await Stream.getStreamWithVideo(stream.id);
   
   if (streamWithVideo && streamWithVideo.video_type === 'playlist') {
@@ -197,7 +224,17 @@ async function buildFFmpegArgs(stream) {
       throw new Error(`Playlist not found for playlist_id: ${stream.video_id}`);
     }
     
-    return await buildFFmpegArgsForPlaylist(stream, playlist);
+    return await buildFFmpegArgsForPlaylist(stream, playlist, outputArgs);
+  }
+  
+  if (streamWithVideo && streamWithVideo.video_type === 'audio') {
+    const audioSource = await AudioSource.findById(stream.video_id);
+    
+    if (!audioSource) {
+      throw new Error(`Audio source not found for audio_source_id: ${stream.video_id}`);
+    }
+    
+    return buildFFmpegArgsForAudio(stream, audioSource, outputArgs);
   }
   
   const video = await Video.findById(stream.video_id);
@@ -219,39 +256,25 @@ async function buildFFmpegArgs(stream) {
     throw new Error('Video file not found on disk. Please check paths and file existence.');
   }
   
-  const rtmpUrl = `${stream.rtmp_url.replace(/\/$/, '')}/${stream.stream_key}`;
-  const loopOption = '-stream_loop';
-  const loopValue = stream.loop_video ? '-1' : '0';
-  
-  if (!stream.use_advanced_settings) {
-    return [
-      '-nostdin',
-      '-loglevel', 'warning',
-      '-re',
-      '-fflags', '+genpts+igndts',
-      loopOption, loopValue,
-      '-i', videoPath,
-      '-c:v', 'copy',
-      '-c:a', 'aac',
-      '-b:a', '128k',
-      '-ar', '44100',
-      '-f', 'flv',
-      rtmpUrl
-    ];
-  }
+  overlayService.setNowPlaying(stream.id, stream.overlays, video.title);
+  return buildFFmpegArgsForVideo(stream, videoPath, stream.loop_video, outputArgs);
+}
+function buildEncoderArgs(stream, baseFilter = null) {
+  const resolution = stream.resolution || '1280x720';
+  const videoFilter = overlayService.buildVideoFilter(stream.id, stream.overlays, resolution, baseFilter);
   
+  return [
+    ...(videoFilter ? ['-vf', videoFilter] : []),
+    ...buildCodecArgs(stream)
+  ];
+}
+function buildCodecArgs(stream) {
   const resolution = stream.resolution || '1280x720';
   const bitrate = stream.bitrate || 2500;
   const fps = stream.fps || 30;
   const gopSize = fps * 2;
   
   return [
-    '-nostdin',
-    '-loglevel', 'warning',
-    '-re',
-    '-fflags', '+genpts+igndts',
-    loopOption, loopValue,
-    '-i', videoPath,
     '-c:v', 'libx264',
     '-preset', 'veryfast',
     '-profile:v', 'high',
@@ -268,15 +291,231 @@ async function buildFFmpegArgs(stream) {
     '-c:a', 'aac',
     '-b:a', '128k',
     '-ar', '44100',
-    '-ac', '2',
-    '-f', 'flv',
-    rtmpUrl
+    '-ac', '2'
+  ];
+}
+function buildFFmpegArgsForVideo(stream, videoPath, loop, outputArgs) {
+  const inputArgs = [
+    '-nostdin',
+    '-loglevel', 'warning',
+    '-re',
+    '-fflags', '+genpts+igndts',
+    '-stream_loop', loop ? '-1' : '0',
+    '-i', videoPath
   ];
+  
+  if (!needsEncoding(stream)) {
+    return {
+      args: [
+        ...inputArgs,
+        '-c:v', 'copy',
+        '-c:a', 'aac',
+        '-b:a', '128k',
+        '-ar', '44100',
+        ...outputArgs
+      ],
+      playlistEngine: null
+    };
+  }
+  
+  return {
+    args: [...inputArgs, ...buildEncoderArgs(stream), ...outputArgs],
+    playlistEngine: null
+  };
+}
+// Renders the picture for an audio source: the still image and/or a visualizer
+// over a solid background. Every video branch is driven by the audio, so the
+// picture follows the feeder's timestamps across track changes
+function buildAudioVisualFilter(stream, audioSource, imagePath) {
+  const resolution = stream.resolution || '1280x720';
+  const { width, height } = overlayService.parseResolution(resolution);
+  const fps = stream.fps || 30;
+  const visualizer = AUDIO_VISUALIZERS.includes(audioSource.visualizer) ? audioSource.visualizer : 'none';
+  const hasVisualizer = visualizer !== 'none';
+  const graph = [hasVisualizer ? '[0:a]asplit[canvasaudio][vizaudio]' : '[0:a]anull[canvasaudio]'];
+  graph.push(`[canvasaudio]showwaves=s=${width}x${height}:mode=point:rate=${fps}:colors=black,format=yuv420p,drawbox=color=${AUDIO_BACKGROUND_COLOR}:t=fill[canvas]`);
+  let main = 'canvas';
+  if (imagePath) {
+    graph.push(`movie=${overlayService.escapeFilterValue(imagePath)},scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${AUDIO_BACKGROUND_COLOR},setsar=1[image]`);
+    graph.push(`[${main}][image]overlay=0:0[withimage]`);
+    main = 'withimage';
+  }
+  if (hasVisualizer) {
+    const vizHeight = Math.round(height / 6) * 2;
+    const vizFilter = visualizer === 'waveform'
+      ? `showwaves=s=${width}x${vizHeight}:mode=cline:rate=${fps}:colors=white`
+      : `showfreqs=s=${width}x${vizHeight}:mode=bar:fscale=log:colors=white`;
+    graph.push(`[vizaudio]${vizFilter},format=rgba,colorchannelmixer=aa=0.8[viz]`);
+    graph.push(`[${main}][viz]overlay=x=0:y=H-h[withviz]`);
+    main = 'withviz';
+  }
+  if (overlayService.hasOverlays(stream.overlays)) {
+    graph.push(overlayService.buildVideoFilter(stream.id, stream.overlays, resolution, null, { input: main, output: 'vout' }));
+  } else {
+    graph.push(`[${main}]null[vout]`);
+  }
+  return graph.join(';');
+}
+// Audio sources have no video to copy, so they are always encoded
+function createAudioFileEngine(stream, audioSource) {
+  if (!audioSource.audio_files || audioSource.audio_files.length === 0) {
+    throw new Error(`Audio source has no audio files: ${audioSource.id}`);
+  }
+  
+  const items = audioSource.audio_files.map((file, index) => ({
+    id: `${audioSource.id}:${index}`,
+    title: path.basename(file, path.extname(file)),
+    path: audioService.resolveOutputPath(file)
+  }));
+  
+  for (const item of items) {
+    if (!item.path || !fs.existsSync(item.path)) {
+      throw new Error(`Audio file not found: ${item.title}`);
+    }
+  }
+  
+  return createPlaylistEngine(stream, items, { audioOnly: true });
+}
+// Live generative sources mix their stems on the fly; without a saved seed each
+// start draws a new one so restarts don't replay the same mix
+async function createGenerativeEngine(stream, audioSource) {
+  const config = audioSource.generative_config || {};
+  const stems = await audioService.prepareLoops(await audioService.resolveStems(config.stems));
+  const seed = Number.isInteger(config.seed) ? config.seed : prng.randomSeed();
+  overlayService.setNowPlaying(stream.id, stream.overlays, audioSource.title);
+  
+  return new GenerativeAudioEngine(stream.id, stems.map(stem => ({
+    id: stem.id,
+    name: stem.name,
+    volume: stem.volume,
+    path: stem.loopPath
+  })), {
+    volatility: config.volatility,
+    density: config.density,
+    spatialDrift: config.spatialDrift,
+    seed,
+    title: audioSource.title,
+    ffmpegPath,
+    log: addStreamLog
+  });
+}
+// The audio engine feeds the encoder's stdin like a playlist engine does
+async function buildFFmpegArgsForAudio(stream, audioSource, outputArgs) {
+  const imagePath = audioSource.image_path ? resolvePublicPath(audioSource.image_path) : null;
+  if (imagePath && !fs.existsSync(imagePath)) {
+    throw new Error(`Audio source image not found: ${audioSource.image_path}`);
+  }
+  
+  const playlistEngine = audioSource.mode === 'generative'
+    ? await createGenerativeEngine(stream, audioSource)
+    : createAudioFileEngine(stream, audioSource);
+  
+  return {
+    args: [
+      ...buildPlaylistInputArgs(),
+      '-filter_complex', buildAudioVisualFilter(stream, audioSource, imagePath),
+      '-map', '[vout]',
+      '-map', '0:a',
+      ...buildCodecArgs(stream),
+      ...outputArgs
+    ],
+    playlistEngine
+  };
+}
+// Slate is generated, so it is always encoded at the stream's configured settings
+function buildFFmpegArgsForSlate(stream, outputArgs) {
+  const resolution = stream.resolution || '1280x720';
+  const fps = stream.fps || 30;
+  const drawText = `drawtext=text='${SLATE_TEXT}':font='${SLATE_FONT}':fontcolor=white:fontsize=h/15:x=(w-text_w)/2:y=(h-text_h)/2`;
+  
+  return {
+    args: [
+      '-nostdin',
+      '-loglevel', 'warning',
+      '-re',
+      '-f', 'lavfi',
+      '-i', `color=c=0x111827:s=${resolution}:r=${fps}`,
+      '-f', 'lavfi',
+      '-i', 'anullsrc=r=44100:cl=stereo',
+      ...buildEncoderArgs(stream, drawText),
+      ...outputArgs
+    ],
+    playlistEngine: null
+  };
+}
+async function buildFallbackArgs(stream, outputArgs) {
+  if (stream.failover_source === 'video') {
+    const video = await Video.findById(stream.fallback_video_id);
+    const videoPath = video ? resolveVideoPath(video) : null;
+    if (videoPath && fs.existsSync(videoPath)) {
+      overlayService.setNowPlaying(stream.id, stream.overlays, video.title);
+      return buildFFmpegArgsForVideo(stream, videoPath, true, outputArgs);
+    }
+    recordFailoverEvent(stream.id, 'fallback_missing', 'Fallback video is not available, playing the slate instead');
+  }
+  return buildFFmpegArgsForSlate(stream, outputArgs);
+}
+async function buildSourceArgs(stream, outputArgs, failover) {
+  if (!failover.usingFallbackSource) {
+    try {
+      return await buildFFmpegArgs(stream, outputArgs);
+    } catch (error) {
+      if (!hasFallbackSource(stream)) {
+        throw error;
+      }
+      failover.usingFallbackSource = true;
+      recordFailoverEvent(stream.id, 'fallback_source', `Primary source failed (${error.message}), switching to fallback ${stream.failover_source}`);
+    }
+  }
+  return buildFallbackArgs(stream, outputArgs);
+}
+async function buildOutputArgs(stream, failover) {
+  const targets = await StreamDestination.getOutputTargets(stream);
+  if (targets.length === 0) {
+    throw new Error('Stream has no output destination configured');
+  }
+  const primary = targets.find(target => target.id === 'primary');
+  if (primary && failover.usingBackupIngest && stream.backup_rtmp_url) {
+    primary.rtmp_url = stream.backup_rtmp_url;
+  }
+  if (targets.length === 1) {
+    return { outputArgs: ['-f', 'flv', simulcastService.buildRtmpUrl(targets[0])], destinations: null };
+  }
+  const destinations = simulcastService.createDestinations(targets);
+  return { outputArgs: simulcastService.buildTeeOutputArgs(destinations), destinations };
+}
+function scheduleRestart(streamId, delayMs) {
+  setTimeout(async () => {
+    try {
+      const streamInfo = await Stream.findById(streamId);
+      if (streamInfo && streamInfo.status !== 'offline') {
+        const result = await startStream(streamId, true);
+        if (!result.success) {
+          console.error(`[StreamingService] Failed to restart stream: ${result.error}`);
+          await Stream.updateStatus(streamId, 'offline', streamInfo.user_id);
+          cleanupStreamData(streamId);
+        }
+      } else {
+        console.log(`[StreamingService] Stream ${streamId} was set to offline or deleted, not restarting`);
+        cleanupStreamData(streamId);
+      }
+    } catch (error) {
+      console.error(`[StreamingService] Error during stream restart: ${error.message}`);
+      try {
+        await Stream.updateStatus(streamId, 'offline');
+      } catch (dbError) {
+        console.error(`Error updating stream status: ${dbError.message}`);
+      }
+      cleanupStreamData(streamId);
+    }
+  }, delayMs);
 }
 async function startStream(streamId, isRetry = false) {
+  let destinations = null;
   try {
     if (!isRetry) {
-      streamRetryCount.set(streamId, 0);
+      setRetryCount(streamId, 0);
+      streamFailoverState.set(streamId, createFailoverState());
     }
     
     if (activeStreams.has(streamId)) {
@@ -289,53 +528,92 @@ async function startStream(streamId, isRetry = false) {
     
     const startTimeIso = new Date().toISOString();
     const streamStartTime = new Date(startTimeIso);
-    const ffmpegArgs = await buildFFmpegArgs(stream);
+    stream.overlays = overlayService.parseOverlays(stream.overlays);
+    overlayService.prepareOverlayFiles(streamId, stream.overlays);
+    const failover = getFailoverState(streamId);
+    const output = await buildOutputArgs(stream, failover);
+    destinations = output.destinations;
+    const { args, playlistEngine } = await buildSourceArgs(stream, output.outputArgs, failover);
+    const ffmpegArgs = [...streamTelemetry.PROGRESS_ARGS, ...args];
     const fullCommand = `${ffmpegPath} ${ffmpegArgs.join(' ')}`;
     addStreamLog(streamId, `Starting stream with command: ${fullCommand}`);
     console.log(`Starting stream: ${fullCommand}`);
     
+    if (destinations) {
+      addStreamLog(streamId, `Simulcasting to ${destinations.size} destinations`);
+      simulcastService.startDestinations(streamId, destinations, { ffmpegPath, log: addStreamLog });
+    }
+    
     const ffmpegProcess = spawn(ffmpegPath, ffmpegArgs, {
       detached: false,
-      stdio: ['ignore', 'pipe', 'pipe']
+      stdio: [playlistEngine ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+      env: overlayService.getProcessEnv(stream.overlays)
     });
     
+    if (playlistEngine) {
+      playlistEngine.attach(ffmpegProcess.stdin);
+    }
+    
     activeStreams.set(streamId, {
       process: ffmpegProcess,
       userId: stream.user_id,
       startTime: startTimeIso,
-      pid: ffmpegProcess.pid
+      pid: ffmpegProcess.pid,
+      destinations,
+      playlistEngine
     });
     
     streamLastSuccessTime.set(streamId, Date.now());
     
     await Stream.updateStatus(streamId, 'live', stream.user_id, { startTimeOverride: startTimeIso });
+    StreamRuntime.save(streamId, {
+      pid: ffmpegProcess.pid,
+      retryCount: streamRetryCount.get(streamId) || 0,
+      startedAt: startTimeIso
+    }).catch(() => {});
     
-    ffmpegProcess.stdout.on('data', (data) => {
-      const message = data.toString().trim();
-      if (message) {
-        addStreamLog(streamId, `[OUTPUT] ${message}`);
+    const telemetry = streamTelemetry.createTelemetry(isRetry ? streamMetrics.get(streamId) : null);
+    streamMetrics.set(streamId, telemetry);
+    
+    ffmpegProcess.stdout.on('data', streamTelemetry.createProgressParser((block) => {
+      if (streamTelemetry.isProgressing(telemetry, block)) {
+        failover.consecutiveFailures = 0;
         markStreamSuccess(streamId);
       }
-    });
+      const recorded = streamTelemetry.recordProgress(telemetry, block);
+      if (!recorded) return;
+      if (recorded.slowChanged) {
+        const message = recorded.sample.slow
+          ? `Encoder is falling behind realtime (speed ${recorded.sample.speed}x)`
+          : `Encoder speed recovered (speed ${recorded.sample.speed}x)`;
+        addStreamLog(streamId, message);
+        console.warn(`[StreamingService] Stream ${streamId}: ${message}`);
+      }
+      socketService.emitStreamMetrics(streamId, recorded.sample);
+    }));
     
     ffmpegProcess.stderr.on('data', (data) => {
       const message = data.toString().trim();
       if (message) {
         addStreamLog(streamId, `[FFmpeg] ${message}`);
-        if (message.includes('frame=')) {
-          markStreamSuccess(streamId);
-        } else {
-          console.error(`[FFMPEG_STDERR] ${streamId}: ${message}`);
-        }
+        console.error(`[FFMPEG_STDERR] ${streamId}: ${message}`);
       }
     });
     
     ffmpegProcess.on('exit', async (code, signal) => {
       addStreamLog(streamId, `Stream ended with code ${code}, signal: ${signal}`);
       console.log(`[FFMPEG_EXIT] ${streamId}: Code=${code}, Signal=${signal}`);
+      simulcastService.stopDestinations(destinations);
+      if (playlistEngine) {
+        playlistEngine.stop();
+      }
       
       const wasActive = activeStreams.delete(streamId);
       const isManualStop = manuallyStoppingStreams.has(streamId);
+      if (shuttingDown) {
+        // The stream stays live with its runtime row, so the next start resumes it
+        return;
+      }
       
       let currentStream;
       try {
@@ -367,39 +645,29 @@ async function startStream(streamId, isRetry = false) {
       
       if (shouldRetry) {
         const retryCount = streamRetryCount.get(streamId) || 0;
+        const settings = currentStream || stream;
+        const failoverAfter = settings.backup_failover_after || DEFAULT_BACKUP_FAILOVER_AFTER;
+        failover.consecutiveFailures += 1;
+        
+        if (settings.backup_rtmp_url && !failover.usingBackupIngest && failover.consecutiveFailures >= failoverAfter) {
+          failover.usingBackupIngest = true;
+          recordFailoverEvent(streamId, 'backup_ingest', `${failover.consecutiveFailures} consecutive failures, switching to backup ingest ${settings.backup_rtmp_url}`);
+        }
         
         if (retryCount < MAX_RETRY_ATTEMPTS) {
-          streamRetryCount.set(streamId, retryCount + 1);
+          setRetryCount(streamId, retryCount + 1);
           
           const backoffMs = Math.min(3000 * Math.pow(2, retryCount), 60000);
           
           console.log(`[StreamingService] FFmpeg exited (code=${code}, signal=${signal}). Attempting restart #${retryCount + 1} for stream ${streamId} in ${backoffMs}ms`);
           addStreamLog(streamId, `Stream interrupted. Attempting restart #${retryCount + 1} in ${backoffMs / 1000}s`);
-          
-          setTimeout(async () => {
-            try {
-              const streamInfo = await Stream.findById(streamId);
-              if (streamInfo && streamInfo.status !== 'offline') {
-                const result = await startStream(streamId, true);
-                if (!result.success) {
-                  console.error(`[StreamingService] Failed to restart stream: ${result.error}`);
-                  await Stream.updateStatus(streamId, 'offline', streamInfo.user_id);
-                  cleanupStreamData(streamId);
-                }
-              } else {
-                console.log(`[StreamingService] Stream ${streamId} was set to offline or deleted, not restarting`);
-                cleanupStreamData(streamId);
-              }
-            } catch (error) {
-              console.error(`[StreamingService] Error during stream restart: ${error.message}`);
-              try {
-                await Stream.updateStatus(streamId, 'offline');
-              } catch (dbError) {
-                console.error(`Error updating stream status: ${dbError.message}`);
-              }
-              cleanupStreamData(streamId);
-            }
-          }, backoffMs);
+          scheduleRestart(streamId, backoffMs);
+          return;
+        } else if (hasFallbackSource(settings) && !failover.usingFallbackSource) {
+          failover.usingFallbackSource = true;
+          recordFailoverEvent(streamId, 'fallback_source', `Primary source failed after ${MAX_RETRY_ATTEMPTS} restarts, switching to fallback ${settings.failover_source}`);
+          setRetryCount(streamId, 0);
+          scheduleRestart(streamId, 3000);
           return;
         } else {
           console.error(`[StreamingService] Maximum retry attempts (${MAX_RETRY_ATTEMPTS}) reached for stream ${streamId}`);
@@ -410,6 +678,9 @@ async function startStream(streamId, isRetry = false) {
       if (wasActive) {
         try {
           console.log(`[StreamingService] Updating stream ${streamId} status to offline after FFmpeg exit`);
+          if (currentStream) {
+            await saveStreamHistory({ ...currentStream, end_time: new Date().toISOString() });
+          }
           await Stream.updateStatus(streamId, 'offline', userId);
           if (typeof schedulerService !== 'undefined' && schedulerService.cancelStreamTermination) {
             schedulerService.handleStreamStopped(streamId);
@@ -424,6 +695,10 @@ async function startStream(streamId, isRetry = false) {
     ffmpegProcess.on('error', async (err) => {
       addStreamLog(streamId, `Error in stream process: ${err.message}`);
       console.error(`[FFMPEG_PROCESS_ERROR] ${streamId}: ${err.message}`);
+      simulcastService.stopDestinations(destinations);
+      if (playlistEngine) {
+        playlistEngine.stop();
+      }
       activeStreams.delete(streamId);
       try {
         await Stream.updateStatus(streamId, 'offline', stream.user_id);
@@ -450,6 +725,7 @@ async function startStream(streamId, isRetry = false) {
       isAdvancedMode: stream.use_advanced_settings
     };
   } catch (error) {
+    simulcastService.stopDestinations(destinations);
     addStreamLog(streamId, `Failed to start stream: ${error.message}`);
     console.error(`Error starting stream ${streamId}:`, error);
     return { success: false, error: error.message };
@@ -493,16 +769,6 @@ async function stopStream(streamId) {
     const stream = await Stream.findById(streamId);
     activeStreams.delete(streamId);
     
-    const tempConcatFile = path.join(__dirname, '..', 'temp', `playlist_${streamId}.txt`);
-    try {
-      if (fs.existsSync(tempConcatFile)) {
-        fs.unlinkSync(tempConcatFile);
-        console.log(`[StreamingService] Cleaned up temporary playlist file: ${tempConcatFile}`);
-      }
-    } catch (cleanupError) {
-      console.error(`[StreamingService] Error cleaning up temporary file: ${cleanupError.message}`);
-    }
-    
     if (stream) {
       const endTimeForHistory = new Date().toISOString();
       const streamForHistory = {
@@ -601,6 +867,80 @@ async function syncStreamStatuses() {
   }
 }
 
+function isFFmpegProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+  // Guard against the PID having been reused by an unrelated process
+  try {
+    const cmdline = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8');
+    return cmdline.includes('ffmpeg');
+  } catch (error) {
+    return true;
+  }
+}
+// Runs once at startup, before the scheduler. Streams still marked live were
+// interrupted by the restart (FFmpeg runs as our child and ends with us); they
+// are restarted unless the stream's misfire policy is 'skip' or its end_time
+// has already passed.
+async function reconcileRunningStreams() {
+  try {
+    const runtimeRows = await StreamRuntime.findAll();
+    const runtimeByStream = new Map(runtimeRows.map(row => [row.stream_id, row]));
+    const liveStreams = await Stream.findAll(null, 'live');
+    const liveIds = new Set(liveStreams.map(stream => stream.id));
+    
+    for (const runtime of runtimeRows) {
+      if (liveIds.has(runtime.stream_id)) continue;
+      if (isFFmpegProcessAlive(runtime.pid)) {
+        console.log(`[StreamingService] Stopping orphaned FFmpeg process ${runtime.pid} for non-live stream ${runtime.stream_id}`);
+        try {
+          process.kill(runtime.pid, 'SIGTERM');
+        } catch (error) {
+          console.error(`[StreamingService] Error stopping orphaned process ${runtime.pid}: ${error.message}`);
+        }
+      }
+      await StreamRuntime.delete(runtime.stream_id);
+    }
+    
+    for (const stream of liveStreams) {
+      const runtime = runtimeByStream.get(stream.id);
+      if (runtime && isFFmpegProcessAlive(runtime.pid)) {
+        // Left behind by a crash; it must not push alongside the restarted run
+        console.log(`[StreamingService] Stopping leftover FFmpeg process ${runtime.pid} for stream ${stream.id}`);
+        try {
+          process.kill(runtime.pid, 'SIGTERM');
+        } catch (error) {
+          console.error(`[StreamingService] Error stopping leftover process ${runtime.pid}: ${error.message}`);
+        }
+      }
+      
+      const endPassed = stream.end_time && new Date(stream.end_time).getTime() <= Date.now();
+      if (stream.misfire_policy === 'skip' || endPassed) {
+        console.log(`[StreamingService] Not resuming interrupted stream ${stream.id} (${endPassed ? 'end time passed' : 'misfire policy is skip'})`);
+        addStreamLog(stream.id, `Stream was interrupted by a server restart and was not resumed (${endPassed ? 'end time passed' : 'misfire policy is skip'})`);
+        await Stream.updateStatus(stream.id, 'offline', stream.user_id);
+        cleanupStreamData(stream.id);
+        continue;
+      }
+      
+      console.log(`[StreamingService] Resuming stream ${stream.id} interrupted by a server restart`);
+      addStreamLog(stream.id, 'Resuming stream interrupted by a server restart');
+      streamRetryCount.set(stream.id, runtime ? runtime.retry_count || 0 : 0);
+      const result = await startStream(stream.id, true);
+      if (!result.success) {
+        console.error(`[StreamingService] Failed to resume stream ${stream.id}: ${result.error}`);
+        await Stream.updateStatus(stream.id, 'offline', stream.user_id);
+        cleanupStreamData(stream.id);
+      }
+    }
+  } catch (error) {
+    console.error('[StreamingService] Error reconciling running streams:', error);
+  }
+}
 async function healthCheckStreams() {
   try {
     const activeStreamIds = Array.from(activeStreams.keys());
@@ -636,28 +976,29 @@ setInterval(cleanupOldLogs, 30 * 60 * 1000);
 
 async function gracefulShutdown() {
   console.log('[StreamingService] Graceful shutdown initiated...');
+  shuttingDown = true;
   
   const activeStreamIds = Array.from(activeStreams.keys());
   console.log(`[StreamingService] Stopping ${activeStreamIds.length} active streams...`);
   
+  // Streams stay live in the database and keep their runtime rows, so
+  // reconcileRunningStreams resumes them when the server starts again
   for (const streamId of activeStreamIds) {
     try {
       const streamData = activeStreams.get(streamId);
       const ffmpegProcess = streamData?.process || streamData;
       
       if (ffmpegProcess && typeof ffmpegProcess.kill === 'function') {
-        manuallyStoppingStreams.add(streamId);
         ffmpegProcess.kill('SIGTERM');
         console.log(`[StreamingService] Sent SIGTERM to stream ${streamId}`);
       }
-      
-      const stream = await Stream.findById(streamId);
-      if (stream) {
-        await Stream.updateStatus(streamId, 'offline', stream.user_id);
+      simulcastService.stopDestinations(streamData?.destinations);
+      if (streamData?.playlistEngine) {
+        streamData.playlistEngine.stop();
       }
       
       activeStreams.delete(streamId);
-      cleanupStreamData(streamId, false);
+      overlayService.cleanupOverlayFiles(streamId);
     } catch (error) {
       console.error(`[StreamingService] Error stopping stream ${streamId} during shutdown:`, error.message);
     }
@@ -702,12 +1043,89 @@ function getActiveStreamInfo(streamId) {
     userId: streamData.userId,
     startTime: streamData.startTime,
     pid: streamData.pid,
-    retryCount: streamRetryCount.get(streamId) || 0
+    retryCount: streamRetryCount.get(streamId) || 0,
+    failover: streamFailoverState.get(streamId) || null,
+    destinations: simulcastService.getDestinationStatus(streamData.destinations),
+    playlist: streamData.playlistEngine instanceof PlaylistEngine ? streamData.playlistEngine.getState() : null,
+    generative: streamData.playlistEngine instanceof GenerativeAudioEngine ? streamData.playlistEngine.getState() : null
   };
 }
+function getPlaylistEngine(streamId) {
+  const streamData = activeStreams.get(streamId);
+  if (!streamData) {
+    throw new Error('Stream is not active');
+  }
+  if (!(streamData.playlistEngine instanceof PlaylistEngine)) {
+    throw new Error('Stream is not playing a playlist');
+  }
+  return streamData.playlistEngine;
+}
+function skipPlaylistItem(streamId) {
+  try {
+    const playlist = getPlaylistEngine(streamId).next();
+    return { success: true, playlist };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+function jumpToPlaylistItem(streamId, index) {
+  try {
+    const playlist = getPlaylistEngine(streamId).jump(index);
+    return { success: true, playlist };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+function enqueuePlaylistVideo(streamId, video, playNext = false) {
+  try {
+    const engine = getPlaylistEngine(streamId);
+    const item = toPlaylistItem(video);
+    if (!fs.existsSync(item.path)) {
+      throw new Error(`Video file not found: ${item.path}`);
+    }
+    const playlist = engine.enqueue(item, playNext);
+    return { success: true, playlist };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+// Renders one frame of the stream's source (or a blank frame) with the overlays applied
+async function renderOverlayPreview({ videoId, userId, overlays, resolution }) {
+  let previewVideo = null;
+  let sourcePath = null;
+  if (videoId) {
+    const video = await Video.findById(videoId);
+    if (video && video.user_id === userId) {
+      previewVideo = video;
+    } else {
+      const playlist = await Playlist.findByIdWithVideos(videoId);
+      if (playlist && playlist.user_id === userId && playlist.videos.length > 0) {
+        previewVideo = playlist.videos[0];
+      }
+    }
+    if (previewVideo) {
+      sourcePath = resolveVideoPath(previewVideo);
+    } else {
+      const audioSource = await AudioSource.findById(videoId);
+      if (audioSource && audioSource.user_id === userId && audioSource.image_path) {
+        sourcePath = resolvePublicPath(audioSource.image_path);
+      }
+    }
+  }
+  return overlayService.renderPreview({
+    ffmpegPath,
+    sourcePath: sourcePath && fs.existsSync(sourcePath) ? sourcePath : null,
+    overlays,
+    resolution,
+    nowPlayingTitle: previewVideo ? previewVideo.title : 'Example title'
+  });
+}
 function getStreamLogs(streamId) {
   return streamLogs.get(streamId) || [];
 }
+function getStreamMetrics(streamId, since = null) {
+  return streamTelemetry.getMetrics(streamMetrics.get(streamId), since);
+}
 async function saveStreamHistory(stream) {
   try {
     if (!stream.start_time) {
@@ -722,6 +1140,7 @@ async function saveStreamHistory(stream) {
       return false;
     }
     const videoDetails = stream.video_id ? await Video.findById(stream.video_id) : null;
+    const failover = streamFailoverState.get(stream.id);
     const historyData = {
       id: uuidv4(),
       stream_id: stream.id,
@@ -737,20 +1156,23 @@ async function saveStreamHistory(stream) {
       end_time: stream.end_time || new Date().toISOString(),
       duration: durationSeconds,
       use_advanced_settings: stream.use_advanced_settings ? 1 : 0,
-      user_id: stream.user_id
+      user_id: stream.user_id,
+      failover_events: failover && failover.events.length > 0 ? JSON.stringify(failover.events) : null
     };
     return new Promise((resolve, reject) => {
       db.run(
         `INSERT INTO stream_history (
           id, stream_id, title, platform, platform_icon, video_id, video_title,
-          resolution, bitrate, fps, start_time, end_time, duration, use_advanced_settings, user_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          resolution, bitrate, fps, start_time, end_time, duration, use_advanced_settings, user_id,
+          failover_events
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           historyData.id, historyData.stream_id, historyData.title,
           historyData.platform, historyData.platform_icon, historyData.video_id, historyData.video_title,
           historyData.resolution, historyData.bitrate, historyData.fps,
           historyData.start_time, historyData.end_time, historyData.duration,
-          historyData.use_advanced_settings, historyData.user_id
+          historyData.use_advanced_settings, historyData.user_id,
+          historyData.failover_events
         ],
         function (err) {
           if (err) {
@@ -768,13 +1190,21 @@ async function saveStreamHistory(stream) {
   }
 }
 module.exports = {
+  FAILOVER_SOURCES,
+  AUDIO_VISUALIZERS,
   startStream,
   stopStream,
   isStreamActive,
   getActiveStreams,
   getActiveStreamInfo,
   getStreamLogs,
+  getStreamMetrics,
+  skipPlaylistItem,
+  jumpToPlaylistItem,
+  enqueuePlaylistVideo,
+  renderOverlayPreview,
   syncStreamStatuses,
+  reconcileRunningStreams,
   healthCheckStreams,
   saveStreamHistory,
   gracefulShutdown
@@ -0,0 +1,342 @@
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const Project = require('../models/Project');
+
+// Set FFmpeg path
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+// YouTube's custom thumbnail requirements
+const WIDTH = 1280;
+const HEIGHT = 720;
+const MAX_BYTES = 2 * 1024 * 1024;
+const JPEG_QUALITIES = [2, 4, 6, 8, 12, 16, 24, 31]; // FFmpeg -q:v, lower is better
+
+const MAX_TITLE_LENGTH = 100;
+const MIN_FONT_SIZE = 40;
+const LINE_HEIGHT = 1.2;
+const CHAR_WIDTH = 0.55; // Average glyph width of a bold face, relative to the font size
+
+// Fontconfig families; files in THUMBNAIL_FONT_DIR are offered as well
+const FONTS = {
+    sans: { label: 'Sans Bold', family: 'DejaVu Sans:style=Bold' },
+    serif: { label: 'Serif Bold', family: 'DejaVu Serif:style=Bold' },
+    condensed: { label: 'Condensed Bold', family: 'DejaVu Sans Condensed:style=Bold' },
+    mono: { label: 'Monospace Bold', family: 'DejaVu Sans Mono:style=Bold' }
+};
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+// Layouts in pixels of the 1280x720 canvas: shaded boxes, then the text block
+// placed in `area` and aligned left or centered
+const TEMPLATES = {
+    'bottom-band': {
+        label: 'Bottom band',
+        boxes: [{ x: 0, y: 470, w: WIDTH, h: 250, color: 'black@0.6' }],
+        area: { x: 64, y: 490, w: 1152, h: 210 },
+        align: 'left',
+        fontSize: 84,
+        maxLines: 2
+    },
+    'top-band': {
+        label: 'Top band',
+        boxes: [{ x: 0, y: 0, w: WIDTH, h: 250, color: 'black@0.6' }],
+        area: { x: 64, y: 20, w: 1152, h: 210 },
+        align: 'left',
+        fontSize: 84,
+        maxLines: 2
+    },
+    center: {
+        label: 'Centered',
+        boxes: [{ x: 0, y: 0, w: WIDTH, h: HEIGHT, color: 'black@0.35' }],
+        area: { x: 80, y: 120, w: 1120, h: 480 },
+        align: 'center',
+        fontSize: 110,
+        maxLines: 3
+    },
+    'left-panel': {
+        label: 'Left panel',
+        boxes: [{ x: 0, y: 0, w: 700, h: HEIGHT, color: 'black@0.65' }],
+        area: { x: 56, y: 60, w: 600, h: 600 },
+        align: 'left',
+        fontSize: 88,
+        maxLines: 4
+    }
+};
+
+/**
+ * Thumbnail designer
+ * Composites title text onto a frame of the project's video with FFmpeg
+ * filters (no canvas) and writes a JPEG that meets YouTube's size limit
+ */
+class ThumbnailService {
+    constructor() {
+        this.outputDir = path.join(process.env.VIDEO_OUTPUT_DIR || './public/video-output', 'thumbnails');
+        this.tempDir = path.join(process.env.VIDEO_OUTPUT_DIR || './public/video-output', 'temp');
+        this.fontDir = process.env.THUMBNAIL_FONT_DIR || './public/fonts';
+
+        // Ensure directories exist
+        fs.ensureDirSync(this.outputDir);
+        fs.ensureDirSync(this.tempDir);
+    }
+
+    /**
+     * Font files found in the font directory, keyed `file:<name>`
+     */
+    getFontFiles() {
+        if (!fs.existsSync(this.fontDir)) return {};
+
+        const fonts = {};
+        fs.readdirSync(this.fontDir)
+            .filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort()
+            .forEach(file => {
+                fonts[`file:${file}`] = {
+                    label: path.basename(file, path.extname(file)).replace(/[-_]+/g, ' '),
+                    file: path.resolve(this.fontDir, file)
+                };
+            });
+        return fonts;
+    }
+
+    /**
+     * Templates and fonts for the designer
+     */
+    getOptions() {
+        const fonts = { ...FONTS, ...this.getFontFiles() };
+        return {
+            width: WIDTH,
+            height: HEIGHT,
+            maxBytes: MAX_BYTES,
+            templates: Object.entries(TEMPLATES).map(([id, template]) => ({ id, label: template.label })),
+            fonts: Object.entries(fonts).map(([id, font]) => ({ id, label: font.label }))
+        };
+    }
+
+    /**
+     * Validate a thumbnail design from the API
+     * Throws a user-facing error; the frame defaults to 10% into the video
+     */
+    normalizeDesign(input, project) {
+        input = input || {};
+        const duration = Number(project.audio_duration) || 0;
+        const design = {
+            title: String(input.title || '').trim(),
+            template: input.template || 'bottom-band',
+            font: input.font || 'sans',
+            color: String(input.color || '#ffffff').toLowerCase(),
+            frameTime: duration > 0 ? Math.round(duration * 0.1 * 10) / 10 : 0
+        };
+
+        if (!design.title) {
+            throw new Error('Thumbnail title is required');
+        }
+        if (design.title.length > MAX_TITLE_LENGTH) {
+            throw new Error(`Thumbnail title must be at most ${MAX_TITLE_LENGTH} characters`);
+        }
+        if (!TEMPLATES[design.template]) {
+            throw new Error(`Unknown layout: ${design.template}. Use ${Object.keys(TEMPLATES).join(', ')}`);
+        }
+        if (!FONTS[design.font] && !this.getFontFiles()[design.font]) {
+            throw new Error(`Unknown font: ${design.font}`);
+        }
+        if (!/^#[0-9a-f]{6}$/.test(design.color)) {
+            throw new Error('Text color must be a hex color like #ffcc00');
+        }
+
+        if (input.frameTime !== undefined && input.frameTime !== null && input.frameTime !== '') {
+            design.frameTime = Number(input.frameTime);
+            if (!Number.isFinite(design.frameTime) || design.frameTime < 0) {
+                throw new Error('Frame time must be a positive number of seconds');
+            }
+            if (duration > 0 && design.frameTime >= duration) {
+                throw new Error(`Frame time must be before the end of the video (${Math.floor(duration)}s)`);
+            }
+        }
+
+        return design;
+    }
+
+    /**
+     * Break the title into lines that fit the template's text area
+     * The font shrinks until the lines fit; what still doesn't fit is cut with an ellipsis
+     */
+    layoutTitle(title, template) {
+        const words = title.split(/\s+/);
+
+        for (let fontSize = template.fontSize; ; fontSize -= 8) {
+            const maxChars = Math.max(1, Math.floor(template.area.w / (fontSize * CHAR_WIDTH)));
+            const maxLines = Math.min(template.maxLines, Math.floor(template.area.h / (fontSize * LINE_HEIGHT)));
+            const lines = [];
+
+            words.forEach(word => {
+                // Words longer than a line are split
+                while (word.length > maxChars) {
+                    lines.push(word.slice(0, maxChars));
+                    word = word.slice(maxChars);
+                }
+                const last = lines[lines.length - 1];
+                if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+                    lines[lines.length - 1] = `${last} ${word}`;
+                } else if (word) {
+                    lines.push(word);
+                }
+            });
+
+            if (lines.length <= maxLines || fontSize - 8 < MIN_FONT_SIZE) {
+                if (lines.length > maxLines) {
+                    lines.length = maxLines;
+                    const last = lines[maxLines - 1];
+                    lines[maxLines - 1] = `${last.slice(0, Math.max(0, maxChars - 1)).trimEnd()}…`;
+                }
+                return { fontSize, lines };
+            }
+        }
+    }
+
+    /**
+     * Shaded boxes and one drawtext per line, so lines can be centered
+     * Line text is read from files to keep it out of the filtergraph
+     */
+    buildFilters(design, lineFiles, layout) {
+        const template = TEMPLATES[design.template];
+        const fonts = this.getFontFiles();
+        const font = fonts[design.font]
+            ? `fontfile=${escapeFilterValue(fonts[design.font].file)}`
+            : `font=${escapeFilterValue(FONTS[design.font].family)}`;
+
+        const filters = [
+            `scale=${WIDTH}:${HEIGHT}:force_original_aspect_ratio=increase`,
+            `crop=${WIDTH}:${HEIGHT}`,
+            'setsar=1'
+        ];
+
+        template.boxes.forEach(box => {
+            filters.push(`drawbox=x=${box.x}:y=${box.y}:w=${box.w}:h=${box.h}:color=${box.color}:t=fill`);
+        });
+
+        // The text block is centered vertically in the area
+        const lineHeight = Math.round(layout.fontSize * LINE_HEIGHT);
+        const top = template.area.y + Math.round((template.area.h - lineHeight * lineFiles.length) / 2);
+        const outline = Math.max(2, Math.round(layout.fontSize / 28));
+
+        lineFiles.forEach((file, index) => {
+            const x = template.align === 'center' ? '(w-tw)/2' : template.area.x;
+            filters.push([
+                `drawtext=textfile=${escapeFilterValue(file)}`,
+                font,
+                `fontsize=${layout.fontSize}`,
+                `fontcolor=0x${design.color.slice(1)}`,
+                `borderw=${outline}`,
+                'bordercolor=black@0.7',
+                `x=${x}`,
+                `y=${top + index * lineHeight}`
+            ].join(':'));
+        });
+
+        return filters.join(',');
+    }
+
+    /**
+     * Render a thumbnail from the project's video and attach it to the project
+     * Replaces the project's previous thumbnail
+     */
+    async renderThumbnail(project, design) {
+        const videoPath = project.video_output_path ? path.resolve(project.video_output_path) : null;
+        if (!videoPath || !await fs.pathExists(videoPath)) {
+            throw new Error('Project has no video. Assemble video first.');
+        }
+
+        const jobId = uuidv4();
+        const layout = this.layoutTitle(design.title, TEMPLATES[design.template]);
+        const lineFiles = layout.lines.map((line, index) => path.join(this.tempDir, `thumb_${jobId}_${index}.txt`));
+        const framePath = path.join(this.tempDir, `thumb_${jobId}.png`);
+        const fileName = `thumbnail_${project.id}_${Date.now()}.jpg`;
+        const outputPath = path.join(this.outputDir, fileName);
+
+        try {
+            await Promise.all(layout.lines.map((line, index) => fs.writeFile(lineFiles[index], line)));
+
+            // Composite losslessly once, then compress until the file is small enough
+            await this.runFFmpeg(ffmpeg(videoPath)
+                .seekInput(design.frameTime)
+                .videoFilters(this.buildFilters(design, lineFiles, layout))
+                .frames(1)
+                .output(framePath));
+
+            let size = 0;
+            for (const quality of JPEG_QUALITIES) {
+                await this.runFFmpeg(ffmpeg(framePath)
+                    .frames(1)
+                    .outputOptions(['-q:v', String(quality)])
+                    .output(outputPath));
+
+                size = (await fs.stat(outputPath)).size;
+                if (size <= MAX_BYTES) break;
+            }
+            if (size > MAX_BYTES) {
+                throw new Error('Thumbnail could not be compressed below 2 MB');
+            }
+
+            await this.deleteThumbnailFile(project);
+            await Project.update(project.id, {
+                youtube_thumbnail_path: outputPath,
+                youtube_thumbnail_design: design
+            });
+
+            console.log(`🖼️  Thumbnail for project ${project.id} rendered (${(size / 1024).toFixed(0)} KB)`);
+
+            return {
+                path: outputPath,
+                url: `/video-output/thumbnails/${fileName}`,
+                size,
+                design
+            };
+        } catch (error) {
+            await fs.remove(outputPath);
+            throw error;
+        } finally {
+            await Promise.all([framePath, ...lineFiles].map(file => fs.remove(file)));
+        }
+    }
+
+    runFFmpeg(command) {
+        return new Promise((resolve, reject) => {
+            command
+                .outputOptions('-y')
+                .on('end', resolve)
+                .on('error', (err, stdout, stderr) => {
+                    console.error('FFmpeg thumbnail error:', stderr || err.message);
+                    reject(new Error(`Thumbnail rendering failed: ${err.message}`));
+                })
+                .run();
+        });
+    }
+
+    /**
+     * Detach the thumbnail from the project; the design is kept for the next render
+     */
+    async removeThumbnail(project) {
+        await this.deleteThumbnailFile(project);
+        await Project.update(project.id, { youtube_thumbnail_path: null });
+    }
+
+    async deleteThumbnailFile(project) {
+        if (project.youtube_thumbnail_path) {
+            await fs.remove(path.resolve(project.youtube_thumbnail_path));
+        }
+    }
+}
+
+// Two escaping levels: filter option values, then the filtergraph itself
+function escapeFilterValue(value) {
+    return value
+        .replace(/[\\':]/g, '\\$&')
+        .replace(/[\\'[\],;]/g, '\\$&');
+}
+
+// Singleton instance
+const thumbnailService = new ThumbnailService();
+
+module.exports = thumbnailService;
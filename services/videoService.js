@@ -4,12 +4,35 @@ const path = require('path');
 const fs = require('fs-extra');
 const sqlite3 = require('sqlite3').verbose();
 const { v4: uuidv4 } = require('uuid');
+const { randomSeed, parseSeed, createRandom } = require('../utils/prng');
 
 // Set FFmpeg path
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
 
 const dbPath = process.env.DATABASE_PATH || './db/streamfactory.db';
 
+const LOOP_TYPES = ['ping-pong', 'standard'];
+const SCENE_ORDERS = ['ordered', 'shuffled'];
+const TRANSITIONS = ['cut', 'crossfade', 'fade-black'];
+const DEFAULT_TRANSITION_DURATION = 2; // Seconds
+const MAX_TRANSITION_DURATION = 10;
+
+// Render profile choices; 'source' keeps what the clip has
+const RENDER_MODES = ['auto', 'encode']; // auto: stream copy when the clip is compatible
+const RESOLUTIONS = {
+    source: null,
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 },
+    '4k': { width: 3840, height: 2160 }
+};
+
+// Software encoders, with the codec name FFprobe reports for their output
+const VIDEO_CODECS = {
+    h264: { name: 'h264', encoder: 'libx264', defaultCrf: 20, maxCrf: 51, options: ['-preset', 'veryfast'] },
+    h265: { name: 'hevc', encoder: 'libx265', defaultCrf: 24, maxCrf: 51, options: ['-preset', 'veryfast', '-tag:v', 'hvc1'] },
+    av1: { name: 'av1', encoder: 'libaom-av1', defaultCrf: 32, maxCrf: 63, options: ['-strict', 'experimental', '-cpu-used', '8'] }
+};
+
 class VideoService {
     constructor() {
         this.videoOutputDir = process.env.VIDEO_OUTPUT_DIR || './public/video-output';
@@ -55,7 +78,8 @@ class VideoService {
                         codec: videoStream.codec_name,
                         width: videoStream.width,
                         height: videoStream.height,
-                        fps: eval(videoStream.r_frame_rate) // e.g., "30/1" -> 30
+                        fps: eval(videoStream.r_frame_rate), // e.g., "30/1" -> 30
+                        pixFmt: videoStream.pix_fmt
                     } : null,
                     audio: audioStream ? {
                         codec: audioStream.codec_name,
@@ -68,39 +92,237 @@ class VideoService {
     }
 
     /**
-     * Create reversed version of video (for ping-pong effect)
+     * Validate render settings from the API
+     * Throws a user-facing error. Quality, frame rate and keyframe settings only
+     * apply when the video is encoded; in auto mode a compatible clip is copied
+     */
+    normalizeRenderProfile(input) {
+        input = input || {};
+        const isSet = (value) => value !== undefined && value !== null && value !== '' && value !== 'source';
+        const profile = {
+            mode: input.mode || 'auto',
+            resolution: input.resolution || 'source',
+            codec: input.codec || 'source',
+            rateControl: input.rateControl || 'crf',
+            crf: null,
+            bitrate: null,
+            fps: null,
+            keyframeInterval: null
+        };
+
+        if (!RENDER_MODES.includes(profile.mode)) {
+            throw new Error(`Unknown render mode: ${profile.mode}. Use ${RENDER_MODES.join(' or ')}`);
+        }
+        if (!(profile.resolution in RESOLUTIONS)) {
+            throw new Error(`Unknown resolution: ${profile.resolution}. Use ${Object.keys(RESOLUTIONS).join(', ')}`);
+        }
+        if (profile.codec !== 'source' && !VIDEO_CODECS[profile.codec]) {
+            throw new Error(`Unknown codec: ${profile.codec}. Use source, ${Object.keys(VIDEO_CODECS).join(', ')}`);
+        }
+        if (!['crf', 'bitrate'].includes(profile.rateControl)) {
+            throw new Error('Rate control must be crf or bitrate');
+        }
+
+        if (profile.rateControl === 'bitrate') {
+            profile.bitrate = Number(input.bitrate);
+            if (!Number.isInteger(profile.bitrate) || profile.bitrate < 100 || profile.bitrate > 200000) {
+                throw new Error('Target bitrate must be between 100 and 200000 kbps');
+            }
+        } else if (isSet(input.crf)) {
+            profile.crf = Number(input.crf);
+            if (!Number.isInteger(profile.crf) || profile.crf < 0 || profile.crf > 63) {
+                throw new Error('CRF must be a whole number between 0 and 63');
+            }
+        }
+
+        if (isSet(input.fps)) {
+            profile.fps = Number(input.fps);
+            if (!Number.isFinite(profile.fps) || profile.fps < 1 || profile.fps > 120) {
+                throw new Error('Frame rate must be between 1 and 120');
+            }
+        }
+
+        if (isSet(input.keyframeInterval)) {
+            profile.keyframeInterval = Number(input.keyframeInterval);
+            if (!Number.isFinite(profile.keyframeInterval) || profile.keyframeInterval <= 0 || profile.keyframeInterval > 20) {
+                throw new Error('Keyframe interval must be between 0 and 20 seconds');
+            }
+        }
+
+        return profile;
+    }
+
+    /**
+     * Concrete encoding settings for a clip: profile values, or the clip's own
+     * where the profile keeps the source
+     */
+    resolveRenderTarget(profile, info) {
+        const video = info.video || {};
+        const size = RESOLUTIONS[profile.resolution] || { width: video.width || 1920, height: video.height || 1080 };
+        const sourceCodec = Object.keys(VIDEO_CODECS).find(key => VIDEO_CODECS[key].name === video.codec);
+        const codec = profile.codec === 'source' ? (sourceCodec || 'h264') : profile.codec;
+        const fps = profile.fps || (video.fps > 0 && video.fps <= 120 ? Math.round(video.fps * 1000) / 1000 : 30);
+        const crf = profile.rateControl !== 'crf' ? null
+            : profile.crf === null ? VIDEO_CODECS[codec].defaultCrf : profile.crf;
+
+        if (crf > VIDEO_CODECS[codec].maxCrf) {
+            throw new Error(`CRF for ${codec} must be at most ${VIDEO_CODECS[codec].maxCrf}`);
+        }
+
+        return {
+            mode: profile.mode,
+            width: Math.round(size.width / 2) * 2,
+            height: Math.round(size.height / 2) * 2,
+            codec,
+            rateControl: profile.rateControl,
+            crf,
+            bitrate: profile.bitrate,
+            fps,
+            gop: profile.keyframeInterval ? Math.max(1, Math.round(profile.keyframeInterval * fps)) : null
+        };
+    }
+
+    /**
+     * Decide whether a clip can be looped by stream copy as it is
+     * The concat demuxer joins files without re-encoding, so every file in the
+     * loop must have the target's codec, size and frame rate. Returns the reasons
+     * it can't; the clip is then encoded to the target first
+     */
+    checkStreamCopy(info, target, loopType) {
+        const reasons = [];
+        const video = info.video;
+
+        if (target.mode === 'encode') {
+            reasons.push('Re-encode requested');
+        }
+        if (loopType === 'ping-pong') {
+            reasons.push('Ping-pong loops encode the clip and its reversed copy with the same settings');
+        }
+
+        if (!video) {
+            reasons.push('No video stream found');
+        } else {
+            const codecName = VIDEO_CODECS[target.codec].name;
+            if (video.codec !== codecName) {
+                reasons.push(`Codec is ${video.codec}, not ${codecName}`);
+            }
+            if (video.width !== target.width || video.height !== target.height) {
+                reasons.push(`Resolution is ${video.width}x${video.height}, not ${target.width}x${target.height}`);
+            }
+            if (!(Math.abs(video.fps - target.fps) < 0.01)) {
+                reasons.push(`Frame rate is ${Math.round(video.fps * 100) / 100}, not ${target.fps}`);
+            }
+            if (video.pixFmt && video.pixFmt !== 'yuv420p') {
+                reasons.push(`Pixel format is ${video.pixFmt}, not yuv420p`);
+            }
+        }
+
+        if (target.gop) {
+            reasons.push('The keyframe spacing of the clip is unknown');
+        }
+
+        return { copy: reasons.length === 0, reasons };
+    }
+
+    /**
+     * Filters that bring a clip to the target frame rate and size, letterboxed
+     */
+    buildFormatFilters(target) {
+        return [
+            `fps=${target.fps}`,
+            `scale=${target.width}:${target.height}:force_original_aspect_ratio=decrease`,
+            `pad=${target.width}:${target.height}:(ow-iw)/2:(oh-ih)/2`,
+            'setsar=1',
+            'format=yuv420p'
+        ];
+    }
+
+    /**
+     * Encoder options for the target's codec, rate control and keyframe interval
      */
-    async createReversedVideo(inputPath, outputPath, progressCallback = null) {
+    buildEncoderOptions(target) {
+        const codec = VIDEO_CODECS[target.codec];
+        const options = ['-c:v', codec.encoder, ...codec.options];
+
+        if (target.rateControl === 'bitrate') {
+            options.push(
+                '-b:v', `${target.bitrate}k`,
+                '-maxrate', `${Math.round(target.bitrate * 1.5)}k`,
+                '-bufsize', `${target.bitrate * 2}k`
+            );
+        } else {
+            options.push('-crf', `${target.crf}`);
+            if (target.codec === 'av1') {
+                options.push('-b:v', '0'); // Constant quality needs the bitrate unset
+            }
+        }
+
+        // Fixed keyframe spacing: scene cuts don't add keyframes
+        if (target.gop) {
+            if (target.codec === 'h265') {
+                options.push('-x265-params', `keyint=${target.gop}:min-keyint=${target.gop}:scenecut=0`);
+            } else {
+                options.push('-g', `${target.gop}`, '-keyint_min', `${target.gop}`);
+            }
+            if (target.codec === 'h264') {
+                options.push('-sc_threshold', '0');
+            }
+        }
+
+        options.push('-pix_fmt', 'yuv420p');
+        return options;
+    }
+
+    /**
+     * Encode a clip for looping, reversed for the ping-pong effect if asked
+     * With a render target the clip is converted to it, so clips encoded with the
+     * same target can be joined by stream copy. Audio is dropped; the loop gets
+     * the generated audio
+     */
+    async encodeClip(inputPath, outputPath, target = null, { reverse = false } = {}, progressCallback = null) {
         return new Promise((resolve, reject) => {
             let lastProgress = 0;
+            const label = reverse ? 'Reversing video' : 'Encoding clip';
 
-            ffmpeg(inputPath)
-                .videoFilters('reverse')
-                .audioFilters('areverse')
-                .on('start', (cmd) => {
-                    console.log('Creating reversed video...');
+            // Reversing buffers the whole clip, so it happens before any upscaling
+            const filters = [
+                ...(reverse ? ['reverse'] : []),
+                ...(target ? this.buildFormatFilters(target) : [])
+            ];
+
+            const command = ffmpeg(inputPath).noAudio();
+            if (filters.length > 0) {
+                command.videoFilters(filters);
+            }
+            if (target) {
+                command.outputOptions(this.buildEncoderOptions(target));
+            }
+
+            command
+                .on('start', () => {
+                    console.log(`${label}...`);
                     if (progressCallback) {
-                        progressCallback(0, 'Creating reversed video...');
+                        progressCallback(0, `${label}...`);
                     }
                 })
                 .on('progress', (progress) => {
                     if (progress.percent && progress.percent > lastProgress + 5) {
                         lastProgress = Math.floor(progress.percent);
-                        console.log(`Reversing: ${lastProgress}%`);
+                        console.log(`${label}: ${lastProgress}%`);
                         if (progressCallback) {
-                            progressCallback(Math.floor(lastProgress / 4), `Reversing video: ${lastProgress}%`);
+                            progressCallback(lastProgress, `${label}: ${lastProgress}%`);
                         }
                     }
                 })
                 .on('end', () => {
-                    console.log('Reversed video created');
+                    console.log(`${label} finished`);
                     if (progressCallback) {
-                        progressCallback(25, 'Reversed video created');
+                        progressCallback(100, `${label} finished`);
                     }
                     resolve();
                 })
                 .on('error', (err) => {
-                    console.error('Error creating reversed video:', err);
+                    console.error(`Error ${reverse ? 'reversing video' : 'encoding clip'}:`, err);
                     reject(err);
                 })
                 .save(outputPath);
@@ -116,6 +338,7 @@ class VideoService {
      * @param {string} config.audioPath - Path to generated audio
      * @param {number} config.audioDuration - Audio duration in seconds
      * @param {string} config.loopType - 'ping-pong' or 'standard'
+     * @param {Object} config.render - Render profile, see normalizeRenderProfile
      * @param {string} config.outputName - Optional output filename
      * @param {Function} progressCallback - Progress callback function
      */
@@ -127,6 +350,7 @@ class VideoService {
             loopType = 'ping-pong',
             outputName = null
         } = config;
+        const profile = this.normalizeRenderProfile(config.render);
 
         // Validation
         if (!fs.existsSync(videoPath)) {
@@ -149,57 +373,67 @@ class VideoService {
         const outputPath = path.join(this.videoOutputDir, fileName);
 
         // Temp files
+        const normalizedVideoPath = path.join(this.tempDir, `normalized_${timestamp}.mp4`);
         const reversedVideoPath = path.join(this.tempDir, `reversed_${timestamp}.mp4`);
         const concatListPath = path.join(this.tempDir, `concat_${timestamp}.txt`);
 
         const startTime = Date.now();
 
         try {
-            // Step 1: Get video duration
+            if (!['ping-pong', 'standard'].includes(loopType)) {
+                throw new Error(`Unknown loop type: ${loopType}. Use 'ping-pong' or 'standard'`);
+            }
+
+            // Step 1: Analyze the clip and decide whether it can be copied as it is
             if (progressCallback) {
                 progressCallback(0, 'Analyzing source video...');
             }
 
-            const videoDuration = await this.getVideoDuration(videoPath);
-            console.log(`Source video duration: ${videoDuration}s`);
+            const sourceInfo = await this.getVideoInfo(videoPath);
+            const videoDuration = sourceInfo.duration;
+            const target = this.resolveRenderTarget(profile, sourceInfo);
+            const render = this.checkStreamCopy(sourceInfo, target, loopType);
+            console.log(`Source video duration: ${videoDuration}s, ${render.copy ? 'stream copy' : `re-encode (${render.reasons.join('; ')})`}`);
 
-            // Step 2: Create concat list based on loop type
-            let concatList = [];
+            // Step 2: Encode the clip (and its reversed copy) to the target when it can't be copied
+            let loopClipPath = videoPath;
 
-            if (loopType === 'ping-pong') {
-                // Create reversed version
+            if (!render.copy) {
                 if (progressCallback) {
-                    progressCallback(5, 'Creating reversed version for ping-pong effect...');
+                    progressCallback(5, 'Encoding clip to the render profile...');
                 }
 
-                await this.createReversedVideo(videoPath, reversedVideoPath, (progress, message) => {
+                await this.encodeClip(videoPath, normalizedVideoPath, target, {}, (progress, message) => {
                     if (progressCallback) {
-                        progressCallback(5 + Math.floor(progress / 2), message);
+                        progressCallback(5 + Math.floor(progress / 8), message);
                     }
                 });
+                loopClipPath = normalizedVideoPath;
+            }
 
-                // Calculate loops needed
-                const singlePingPongDuration = videoDuration * 2; // A + A_reversed
-                const loopsNeeded = Math.ceil(audioDuration / singlePingPongDuration);
-
-                console.log(`Ping-pong duration: ${singlePingPongDuration}s, loops needed: ${loopsNeeded}`);
-
-                // Build concat list: A, A_reversed, A, A_reversed, ...
-                for (let i = 0; i < loopsNeeded; i++) {
-                    concatList.push(`file '${path.resolve(videoPath).replace(/\\/g, '/')}'`);
-                    concatList.push(`file '${path.resolve(reversedVideoPath).replace(/\\/g, '/')}'`);
+            if (loopType === 'ping-pong') {
+                if (progressCallback) {
+                    progressCallback(17, 'Creating reversed version for ping-pong effect...');
                 }
 
-            } else if (loopType === 'standard') {
-                // Standard looping: A, A, A, A, ...
-                const loopsNeeded = Math.ceil(audioDuration / videoDuration);
-                console.log(`Standard loops needed: ${loopsNeeded}`);
+                await this.encodeClip(videoPath, reversedVideoPath, target, { reverse: true }, (progress, message) => {
+                    if (progressCallback) {
+                        progressCallback(17 + Math.floor(progress / 8), message);
+                    }
+                });
+            }
 
-                for (let i = 0; i < loopsNeeded; i++) {
-                    concatList.push(`file '${path.resolve(videoPath).replace(/\\/g, '/')}'`);
-                }
-            } else {
-                throw new Error(`Unknown loop type: ${loopType}. Use 'ping-pong' or 'standard'`);
+            // Step 3: Create concat list based on loop type
+            // One loop more than needed: encoding can shorten the clip by a frame
+            const clips = loopType === 'ping-pong' ? [loopClipPath, reversedVideoPath] : [loopClipPath];
+            const cycleDuration = videoDuration * clips.length;
+            const loopsNeeded = Math.ceil(audioDuration / cycleDuration) + 1;
+            console.log(`${loopType} cycle: ${cycleDuration}s, loops needed: ${loopsNeeded}`);
+
+            // Ping-pong: A, A_reversed, A, A_reversed, ...; standard: A, A, A, ...
+            const concatList = [];
+            for (let i = 0; i < loopsNeeded; i++) {
+                clips.forEach(clip => concatList.push(`file '${path.resolve(clip).replace(/\\/g, '/')}'`));
             }
 
             // Write concat list
@@ -209,7 +443,7 @@ class VideoService {
                 progressCallback(30, 'Merging video with audio...');
             }
 
-            // Step 3: Concatenate videos and merge with audio
+            // Step 4: Concatenate videos and merge with audio
             await this.mergeVideoWithAudio(
                 concatListPath,
                 audioPath,
@@ -240,6 +474,7 @@ class VideoService {
                 relativePath: `/video-output/${fileName}`,
                 duration: audioDuration,
                 loopType,
+                render: { ...render, target },
                 generationTime: parseFloat(totalTime),
                 fileSize: stats.size,
                 fileName,
@@ -252,6 +487,10 @@ class VideoService {
         } finally {
             // Cleanup temp files
             try {
+                if (fs.existsSync(normalizedVideoPath)) {
+                    await fs.unlink(normalizedVideoPath);
+                    console.log('Cleaned up normalized clip');
+                }
                 if (fs.existsSync(reversedVideoPath)) {
                     await fs.unlink(reversedVideoPath);
                     console.log('Cleaned up reversed video');
@@ -266,6 +505,357 @@ class VideoService {
         }
     }
 
+    /**
+     * Plan a multi-scene video: the order of the scenes and how long each plays
+     * Scene lengths split the audio duration by weight; a shuffled order is fixed by its seed
+     *
+     * @param {Array} scenes - [{ videoPath, weight }], extra fields are kept
+     * @param {number} audioDuration - Audio duration in seconds
+     * @param {Object} options - { order, seed, transition, transitionDuration }
+     */
+    planScenes(scenes, audioDuration, options = {}) {
+        const {
+            order = 'ordered',
+            seed = null,
+            transition = 'cut',
+            transitionDuration = DEFAULT_TRANSITION_DURATION
+        } = options;
+
+        if (!Array.isArray(scenes) || scenes.length === 0) {
+            throw new Error('At least one scene is required');
+        }
+        if (!SCENE_ORDERS.includes(order)) {
+            throw new Error(`Unknown scene order: ${order}. Use ${SCENE_ORDERS.join(' or ')}`);
+        }
+        if (!TRANSITIONS.includes(transition)) {
+            throw new Error(`Unknown transition: ${transition}. Use ${TRANSITIONS.join(', ')}`);
+        }
+
+        const fade = parseFloat(transitionDuration);
+        if (!Number.isFinite(fade) || fade <= 0 || fade > MAX_TRANSITION_DURATION) {
+            throw new Error(`Transition duration must be between 0 and ${MAX_TRANSITION_DURATION} seconds`);
+        }
+
+        let plan = scenes.map(scene => {
+            const weight = scene.weight === undefined || scene.weight === null || scene.weight === '' ? 1 : Number(scene.weight);
+            if (!Number.isFinite(weight) || weight <= 0) {
+                throw new Error('Scene weights must be positive numbers');
+            }
+            return { ...scene, weight };
+        });
+
+        let sceneSeed = null;
+        if (order === 'shuffled') {
+            sceneSeed = parseSeed(seed);
+            if (sceneSeed === null) sceneSeed = randomSeed();
+
+            const random = createRandom(sceneSeed);
+            for (let i = plan.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [plan[i], plan[j]] = [plan[j], plan[i]];
+            }
+        }
+
+        const totalWeight = plan.reduce((sum, scene) => sum + scene.weight, 0);
+        let start = 0;
+        plan = plan.map(scene => {
+            const duration = audioDuration * scene.weight / totalWeight;
+            const planned = { ...scene, start, duration };
+            start += duration;
+            return planned;
+        });
+
+        // A transition takes time from the scenes on both sides of it
+        const transitionLength = transition === 'cut' || plan.length === 1 ? 0 : fade;
+        const shortest = Math.min(...plan.map(scene => scene.duration));
+        if (transitionLength > shortest / 2) {
+            throw new Error(`${transitionLength}s transitions need every scene to last at least ${transitionLength * 2}s; ` +
+                'use shorter transitions, fewer scenes or more even weights');
+        }
+
+        return {
+            scenes: plan,
+            order,
+            seed: sceneSeed,
+            transition: transitionLength > 0 ? transition : 'cut',
+            transitionDuration: transitionLength
+        };
+    }
+
+    /**
+     * Build the filter graph that cuts the scene inputs to length and joins them
+     * Input i is scene i; every scene is scaled and padded to one size and frame
+     * rate. Crossfades blend the last seconds of a scene with the first seconds of
+     * the next, since this FFmpeg build has no xfade filter
+     */
+    buildSceneFilters(plan, target) {
+        const { scenes, transition, transitionDuration: fade } = plan;
+        const seconds = value => value.toFixed(3);
+        const filters = [];
+        const segments = [];
+
+        scenes.forEach((scene, i) => {
+            const isFirst = i === 0;
+            const isLast = i === scenes.length - 1;
+            const head = transition === 'crossfade' && !isFirst ? fade : 0;
+            const tail = transition === 'crossfade' && !isLast ? fade : 0;
+
+            // Crossfaded scenes give half of each transition to the neighbouring scene
+            const body = transition === 'crossfade'
+                ? scene.duration - head / 2 - tail / 2
+                : scene.duration;
+            const length = head + body + tail;
+
+            const chain = [
+                ...this.buildFormatFilters(target),
+                `trim=duration=${seconds(length)}`,
+                'setpts=PTS-STARTPTS'
+            ];
+
+            if (transition === 'fade-black') {
+                if (!isFirst) chain.push(`fade=t=in:st=0:d=${seconds(fade / 2)}`);
+                if (!isLast) chain.push(`fade=t=out:st=${seconds(body - fade / 2)}:d=${seconds(fade / 2)}`);
+            }
+
+            const parts = [head > 0 ? 'head' : null, 'body', tail > 0 ? 'tail' : null].filter(Boolean);
+            if (parts.length === 1) {
+                filters.push(`[${i}:v]${chain.join(',')}[body${i}]`);
+            } else {
+                filters.push(`[${i}:v]${chain.join(',')},split=${parts.length}${parts.map(part => `[${part}${i}in]`).join('')}`);
+                const ranges = {
+                    head: [0, head],
+                    body: [head, head + body],
+                    tail: [head + body, length]
+                };
+                parts.forEach(part => {
+                    const [from, to] = ranges[part];
+                    filters.push(`[${part}${i}in]trim=start=${seconds(from)}:end=${seconds(to)},setpts=PTS-STARTPTS[${part}${i}]`);
+                });
+            }
+
+            if (head > 0) {
+                const mix = `min(T/${seconds(fade)},1)`;
+                filters.push(`[tail${i - 1}][head${i}]blend=all_expr='A*(1-${mix})+B*${mix}'[fade${i}]`);
+                segments.push(`[fade${i}]`);
+            }
+            segments.push(`[body${i}]`);
+        });
+
+        filters.push(`${segments.join('')}concat=n=${segments.length}:v=1:a=0[scenes]`);
+        return filters;
+    }
+
+    /**
+     * Assemble a video from several source clips played one after another
+     * Each scene loops its clip (ping-pong or standard) for its share of the audio
+     * duration; scenes are joined by cuts, crossfades or fades through black.
+     * Unlike single-clip assembly the video is re-encoded, once
+     *
+     * @param {Object} config - Assembly configuration
+     * @param {Array} config.scenes - [{ videoPath, weight }] in play order
+     * @param {string} config.audioPath - Path to generated audio
+     * @param {number} config.audioDuration - Audio duration in seconds
+     * @param {string} config.loopType - 'ping-pong' or 'standard', for every scene
+     * @param {string} config.order - 'ordered' or 'shuffled'
+     * @param {number} config.seed - Seed of a shuffled order
+     * @param {string} config.transition - 'cut', 'crossfade' or 'fade-black'
+     * @param {number} config.transitionDuration - Seconds per transition
+     * @param {Object} config.render - Render profile; the first scene stands in for 'source'
+     * @param {string} config.outputName - Optional output filename
+     * @param {Function} progressCallback - Progress callback function
+     */
+    async assembleScenes(config, progressCallback = null) {
+        const {
+            scenes,
+            audioPath,
+            audioDuration,
+            loopType = 'ping-pong',
+            outputName = null
+        } = config;
+
+        if (!fs.existsSync(audioPath)) {
+            throw new Error(`Audio file not found: ${audioPath}`);
+        }
+
+        if (!audioDuration || audioDuration < 1) {
+            throw new Error('Audio duration must be at least 1 second');
+        }
+
+        if (!LOOP_TYPES.includes(loopType)) {
+            throw new Error(`Unknown loop type: ${loopType}. Use 'ping-pong' or 'standard'`);
+        }
+
+        const plan = this.planScenes(scenes, audioDuration, config);
+        const profile = this.normalizeRenderProfile(config.render);
+
+        for (const scene of plan.scenes) {
+            if (!fs.existsSync(scene.videoPath)) {
+                throw new Error(`Video file not found: ${scene.videoPath}`);
+            }
+        }
+
+        console.log(`🎬 Starting ${plan.scenes.length}-scene video assembly: ${plan.transition}, ${Math.floor(audioDuration / 60)} minutes`);
+
+        const timestamp = Date.now();
+        const fileName = outputName || `video_${timestamp}.mp4`;
+        const outputPath = path.join(this.videoOutputDir, fileName);
+        const tempFiles = [];
+        const startTime = Date.now();
+
+        try {
+            if (progressCallback) {
+                progressCallback(0, 'Analyzing source videos...');
+            }
+
+            // Settings the profile leaves to the source follow the first scene
+            const firstInfo = await this.getVideoInfo(plan.scenes[0].videoPath);
+            const target = this.resolveRenderTarget(profile, firstInfo);
+
+            // One concat list per scene, looping its clip past the scene's length
+            const clips = new Map(); // video path -> { duration, reversedPath }
+            const listPaths = [];
+
+            for (const [i, scene] of plan.scenes.entries()) {
+                if (!clips.has(scene.videoPath)) {
+                    const clip = { duration: await this.getVideoDuration(scene.videoPath), reversedPath: null };
+
+                    if (loopType === 'ping-pong') {
+                        clip.reversedPath = path.join(this.tempDir, `reversed_${timestamp}_${clips.size}.mp4`);
+                        tempFiles.push(clip.reversedPath);
+
+                        if (progressCallback) {
+                            progressCallback(Math.floor(5 + clips.size / plan.scenes.length * 20), `Creating reversed version of scene ${i + 1}...`);
+                        }
+                        await this.encodeClip(scene.videoPath, clip.reversedPath, null, { reverse: true });
+                    }
+                    clips.set(scene.videoPath, clip);
+                }
+
+                const clip = clips.get(scene.videoPath);
+                const files = clip.reversedPath ? [scene.videoPath, clip.reversedPath] : [scene.videoPath];
+                const cycle = clip.duration * files.length;
+                const loopsNeeded = Math.ceil((scene.duration + plan.transitionDuration) / cycle) + 1;
+
+                const concatList = [];
+                for (let loop = 0; loop < loopsNeeded; loop++) {
+                    files.forEach(file => concatList.push(`file '${path.resolve(file).replace(/\\/g, '/')}'`));
+                }
+
+                const listPath = path.join(this.tempDir, `scene_${timestamp}_${i}.txt`);
+                await fs.writeFile(listPath, concatList.join('\n'));
+                tempFiles.push(listPath);
+                listPaths.push(listPath);
+            }
+
+            if (progressCallback) {
+                progressCallback(30, 'Rendering scenes...');
+            }
+
+            await this.renderScenes(listPaths, plan, target, audioPath, outputPath, audioDuration, (progress, message) => {
+                if (progressCallback) {
+                    // Map 0-100% to 30-100%
+                    progressCallback(30 + Math.floor(progress * 0.7), message);
+                }
+            });
+
+            const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
+            console.log(`✅ Multi-scene video assembly completed in ${totalTime}s`);
+
+            if (progressCallback) {
+                progressCallback(100, 'Video assembly completed');
+            }
+
+            const stats = fs.statSync(outputPath);
+            const videoInfo = await this.getVideoInfo(outputPath);
+
+            return {
+                success: true,
+                outputPath,
+                relativePath: `/video-output/${fileName}`,
+                duration: audioDuration,
+                loopType,
+                order: plan.order,
+                seed: plan.seed,
+                transition: plan.transition,
+                transitionDuration: plan.transitionDuration,
+                scenes: plan.scenes.map(({ videoPath, ...scene }) => scene),
+                render: { copy: false, reasons: ['Scenes are joined in one encode'], target },
+                generationTime: parseFloat(totalTime),
+                fileSize: stats.size,
+                fileName,
+                videoInfo
+            };
+
+        } catch (error) {
+            console.error('❌ Multi-scene video assembly failed:', error);
+            throw error;
+        } finally {
+            for (const file of tempFiles) {
+                await fs.remove(file).catch(err => console.error('Cleanup error:', err));
+            }
+        }
+    }
+
+    /**
+     * Encode the scenes and the audio into the output file
+     */
+    async renderScenes(listPaths, plan, target, audioPath, outputPath, duration, progressCallback = null) {
+        return new Promise((resolve, reject) => {
+            let lastProgress = 0;
+            const command = ffmpeg();
+
+            listPaths.forEach(listPath => {
+                command.input(listPath).inputOptions(['-f', 'concat', '-safe', '0']);
+            });
+
+            command
+                .input(audioPath)
+                .complexFilter(this.buildSceneFilters(plan, target))
+                .outputOptions([
+                    '-map', '[scenes]',
+                    '-map', `${listPaths.length}:a`,
+                    ...this.buildEncoderOptions(target),
+                    '-c:a', 'aac',
+                    '-b:a', '192k',
+                    '-movflags', '+faststart'
+                ])
+                .duration(duration)
+                .on('start', (cmd) => {
+                    console.log('FFmpeg command:', cmd.substring(0, 200) + '...');
+                    if (progressCallback) {
+                        progressCallback(0, 'Rendering scenes...');
+                    }
+                })
+                .on('progress', (progress) => {
+                    // The concat inputs have no known length, so progress is measured against the audio
+                    const [hours, minutes, secs] = (progress.timemark || '0:0:0').split(':').map(parseFloat);
+                    const currentProgress = Math.min(99, Math.floor((hours * 3600 + minutes * 60 + secs) / duration * 100));
+
+                    if (currentProgress >= lastProgress + 5) {
+                        lastProgress = currentProgress;
+                        console.log(`Rendering scenes: ${currentProgress}%`);
+
+                        if (progressCallback) {
+                            progressCallback(currentProgress, `Rendering scenes: ${currentProgress}%`);
+                        }
+                    }
+                })
+                .on('end', () => {
+                    console.log('Scene render finished');
+                    if (progressCallback) {
+                        progressCallback(100, 'Render completed');
+                    }
+                    resolve(outputPath);
+                })
+                .on('error', (err, stdout, stderr) => {
+                    console.error('FFmpeg error:', err.message);
+                    console.error('FFmpeg stderr:', stderr);
+                    reject(err);
+                })
+                .save(outputPath);
+        });
+    }
+
     /**
      * Merge concatenated video with audio
      * Uses FFmpeg concat demuxer (super fast, no re-encoding for video)
@@ -332,7 +922,7 @@ class VideoService {
             const db = new sqlite3.Database(dbPath);
 
             db.all(
-                'SELECT id, title, file_path, thumbnail_path, duration, file_size FROM videos WHERE user_id = ? ORDER BY created_at DESC',
+                'SELECT id, title, filepath, thumbnail_path, duration, filesize, resolution FROM videos WHERE user_id = ? ORDER BY upload_date DESC',
                 [userId],
                 (err, rows) => {
                     db.close();
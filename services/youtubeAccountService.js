@@ -0,0 +1,114 @@
+const youtubeService = require('./youtubeService');
+const YouTubeChannel = require('../models/YouTubeChannel');
+const User = require('../models/User');
+
+/**
+ * Registry of the YouTube channels each user has connected
+ * Tokens are stored per channel; every API call goes through a client built
+ * for that one channel
+ */
+class YouTubeAccountService {
+    /**
+     * Configure OAuth from the environment
+     * The redirect URI must be the same when the consent screen is opened and when its code is exchanged
+     */
+    configure() {
+        if (youtubeService.isConfigured) return;
+
+        const redirectUri = process.env.GOOGLE_REDIRECT_URI || `${process.env.BASE_URL || 'http://localhost:7576'}/youtube/callback`;
+        youtubeService.initialize(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET, redirectUri);
+    }
+
+    /**
+     * Register the channel an OAuth grant belongs to
+     * Connecting a channel again replaces its tokens
+     */
+    async connectChannel(userId, tokens) {
+        if (!tokens.refreshToken) {
+            throw new Error('Google did not return a refresh token. Remove StreamFactory from your Google account permissions and connect again.');
+        }
+
+        this.configure();
+        const client = youtubeService.createClient(tokens);
+        const info = await client.getChannelInfo();
+
+        const channel = await YouTubeChannel.save({
+            user_id: userId,
+            channel_id: info.id,
+            title: info.title,
+            thumbnail_url: info.thumbnailUrl,
+            access_token: tokens.accessToken,
+            refresh_token: tokens.refreshToken,
+            token_expiry: tokens.expiryDate
+        });
+
+        console.log(`✅ YouTube channel ${info.title} connected for user ${userId}`);
+        return channel;
+    }
+
+    /**
+     * A user's channels, default first
+     * Tokens from before the registry, stored on the user, are moved into it on first use
+     */
+    async getChannels(userId) {
+        const channels = await YouTubeChannel.findAll(userId);
+        if (channels.length > 0) return channels;
+
+        const user = await User.findById(userId);
+        if (!user || !user.youtube_refresh_token) return channels;
+
+        try {
+            await this.connectChannel(userId, {
+                accessToken: user.youtube_access_token,
+                refreshToken: user.youtube_refresh_token
+            });
+            await User.updateYouTubeTokens(userId, null, null);
+            console.log(`🔄 Moved YouTube tokens of user ${userId} to the channel registry`);
+        } catch (error) {
+            console.warn(`⚠️  Could not move YouTube tokens of user ${userId}: ${error.message}`);
+        }
+
+        return YouTubeChannel.findAll(userId);
+    }
+
+    /**
+     * The channel to publish to: the given one, or the user's default
+     */
+    async resolveChannel(userId, channelId = null) {
+        if (channelId) {
+            const channel = await YouTubeChannel.findById(channelId, userId);
+            if (!channel) {
+                throw new Error('YouTube channel not found');
+            }
+            return channel;
+        }
+
+        const channels = await this.getChannels(userId);
+        if (channels.length === 0) {
+            throw new Error('YouTube account not connected');
+        }
+        return channels.find(channel => channel.is_default) || channels[0];
+    }
+
+    /**
+     * Isolated API client for one of the user's channels
+     * Tokens the client refreshes are written back to the channel
+     */
+    async getClient(userId, channelId = null) {
+        const channel = await this.resolveChannel(userId, channelId);
+
+        this.configure();
+        const client = youtubeService.createClient({
+            accessToken: channel.access_token,
+            refreshToken: channel.refresh_token,
+            expiryDate: channel.token_expiry
+        }, tokens => YouTubeChannel.updateTokens(channel.id, tokens));
+
+        return { channel, client };
+    }
+}
+
+// Singleton instance
+const youtubeAccountService = new YouTubeAccountService();
+
+module.exports = youtubeAccountService;
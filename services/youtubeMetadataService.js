@@ -0,0 +1,343 @@
+// YouTube Data API field limits
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_BYTES = 5000;
+const MAX_TAGS_LENGTH = 500;
+const MAX_LOCATION_LENGTH = 100;
+
+// Chapters are only recognized with at least 3 of them, the first at 0:00, each 10 seconds or longer
+const MIN_CHAPTERS = 3;
+const MIN_CHAPTER_LENGTH = 10;
+const CHAPTER_INTERVALS = [5, 10, 15, 20, 30, 60, 90, 120].map(minutes => minutes * 60);
+const MAX_AUTO_CHAPTERS = 12;
+
+const PRIVACY_STATUSES = ['public', 'unlisted', 'private'];
+const LICENSES = ['youtube', 'creativeCommon'];
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{2,64}$/;
+
+/**
+ * YouTube video metadata
+ * Validates what the metadata editor saves against YouTube's limits and turns
+ * it into the fields of an upload
+ */
+class YouTubeMetadataService {
+    /**
+     * Validated metadata with defaults for what the editor left out
+     * Throws on values YouTube would reject
+     */
+    normalize(input, project) {
+        input = input || {};
+        const duration = Number(project.audio_duration) || 0;
+
+        const metadata = {
+            title: this.checkText(input.title, 'Title', { required: true }),
+            description: this.checkText(input.description, 'Description', { bytes: MAX_DESCRIPTION_BYTES }),
+            tags: this.normalizeTags(input.tags),
+            category: input.category ? String(input.category) : null,
+            privacy: input.privacy || 'public',
+            defaultLanguage: input.defaultLanguage || 'en',
+            audioLanguage: input.audioLanguage || input.defaultLanguage || 'en',
+            localizations: this.normalizeLocalizations(input.localizations),
+            chapters: this.normalizeChapters(input.chapters, duration),
+            playlists: this.normalizePlaylists(input.playlists),
+            recordingDate: null,
+            location: this.normalizeLocation(input.location),
+            license: input.license || 'youtube',
+            embeddable: input.embeddable !== false,
+            publicStatsViewable: input.publicStatsViewable !== false,
+            madeForKids: input.madeForKids === true
+        };
+
+        if (metadata.category && !/^\d+$/.test(metadata.category)) {
+            throw new Error('Category must be a YouTube category ID');
+        }
+        if (!PRIVACY_STATUSES.includes(metadata.privacy)) {
+            throw new Error(`Privacy must be one of: ${PRIVACY_STATUSES.join(', ')}`);
+        }
+        if (!LICENSES.includes(metadata.license)) {
+            throw new Error(`License must be one of: ${LICENSES.join(', ')}`);
+        }
+        [metadata.defaultLanguage, metadata.audioLanguage].forEach(language => this.checkLanguage(language));
+        if (metadata.localizations[metadata.defaultLanguage]) {
+            throw new Error('Localizations must be in languages other than the default language');
+        }
+
+        if (input.recordingDate) {
+            const date = new Date(input.recordingDate);
+            if (Number.isNaN(date.getTime())) {
+                throw new Error('Recording date is not a valid date');
+            }
+            if (date.getTime() > Date.now()) {
+                throw new Error('Recording date can not be in the future');
+            }
+            metadata.recordingDate = date.toISOString();
+        }
+
+        // The chapter list is part of every description YouTube receives
+        const descriptions = [['Description', metadata.description]].concat(Object.entries(metadata.localizations)
+            .map(([language, entry]) => [`Description (${language})`, entry.description]));
+        descriptions.forEach(([label, description]) => {
+            const fullDescription = this.buildDescription(description, metadata.chapters, duration);
+            if (Buffer.byteLength(fullDescription, 'utf8') > MAX_DESCRIPTION_BYTES) {
+                throw new Error(`${label} with chapters must be at most ${MAX_DESCRIPTION_BYTES} bytes`);
+            }
+        });
+
+        return metadata;
+    }
+
+    /**
+     * Trimmed text without the angle brackets YouTube refuses in titles and descriptions
+     */
+    checkText(value, label, { required = false, bytes = null } = {}) {
+        const text = String(value || '').trim();
+
+        if (required && !text) {
+            throw new Error(`${label} is required`);
+        }
+        if (/[<>]/.test(text)) {
+            throw new Error(`${label} can not contain < or >`);
+        }
+        if (bytes ? Buffer.byteLength(text, 'utf8') > bytes : text.length > MAX_TITLE_LENGTH) {
+            throw new Error(bytes
+                ? `${label} must be at most ${bytes} bytes`
+                : `${label} must be at most ${MAX_TITLE_LENGTH} characters`);
+        }
+
+        return text;
+    }
+
+    checkLanguage(language) {
+        if (!LANGUAGE_PATTERN.test(language)) {
+            throw new Error(`Invalid language code: ${language}. Use a code like en, de or pt-BR`);
+        }
+    }
+
+    /**
+     * Unique tags within YouTube's 500 character budget
+     * YouTube counts the commas between tags and quotes around tags with spaces
+     */
+    normalizeTags(tags) {
+        if (typeof tags === 'string') {
+            tags = tags.split(',');
+        }
+        const list = [...new Set((tags || []).map(tag => String(tag).trim()).filter(Boolean))];
+
+        if (list.some(tag => /[<>]/.test(tag))) {
+            throw new Error('Tags can not contain < or >');
+        }
+
+        const length = list.reduce((sum, tag) => sum + tag.length + (tag.includes(' ') ? 2 : 0), 0) +
+            Math.max(list.length - 1, 0);
+        if (length > MAX_TAGS_LENGTH) {
+            throw new Error(`Tags must be at most ${MAX_TAGS_LENGTH} characters together (now ${length})`);
+        }
+
+        return list;
+    }
+
+    /**
+     * Localized titles and descriptions keyed by language, as the API takes them
+     * Accepts the editor's list of { language, title, description } as well
+     */
+    normalizeLocalizations(localizations) {
+        if (!localizations) return {};
+
+        const entries = Array.isArray(localizations)
+            ? localizations.map(entry => [entry.language, entry])
+            : Object.entries(localizations);
+
+        const result = {};
+        entries.forEach(([language, entry]) => {
+            language = String(language || '').trim();
+            this.checkLanguage(language);
+            if (result[language]) {
+                throw new Error(`Language ${language} is localized twice`);
+            }
+
+            result[language] = {
+                title: this.checkText(entry.title, `Title (${language})`, { required: true }),
+                description: this.checkText(entry.description, `Description (${language})`, { bytes: MAX_DESCRIPTION_BYTES })
+            };
+        });
+
+        return result;
+    }
+
+    /**
+     * Chapters sorted by start time, checked against YouTube's chapter rules
+     */
+    normalizeChapters(chapters, duration) {
+        if (!chapters || chapters.length === 0) return [];
+
+        const list = chapters
+            .map(chapter => ({
+                time: Number(chapter.time),
+                title: this.checkText(chapter.title, 'Chapter title', { required: true })
+            }))
+            .sort((a, b) => a.time - b.time);
+
+        if (list.some(chapter => !Number.isInteger(chapter.time) || chapter.time < 0)) {
+            throw new Error('Chapter times must be whole seconds');
+        }
+        if (list.length < MIN_CHAPTERS) {
+            throw new Error(`Add at least ${MIN_CHAPTERS} chapters, or none`);
+        }
+        if (list[0].time !== 0) {
+            throw new Error('The first chapter must start at 0:00');
+        }
+
+        const ends = list.slice(1).map(chapter => chapter.time);
+        if (duration > 0) ends.push(duration);
+        ends.forEach((end, i) => {
+            if (end - list[i].time < MIN_CHAPTER_LENGTH) {
+                throw new Error(`Chapter "${list[i].title}" must be at least ${MIN_CHAPTER_LENGTH} seconds long`);
+            }
+        });
+
+        return list;
+    }
+
+    /**
+     * Playlists to add the video to: { id, title, channelId } with the app's channel ID
+     */
+    normalizePlaylists(playlists) {
+        const result = [];
+
+        (playlists || []).forEach(playlist => {
+            if (!PLAYLIST_ID_PATTERN.test(playlist.id)) {
+                throw new Error(`Invalid playlist ID: ${playlist.id}`);
+            }
+            if (!result.some(entry => entry.id === playlist.id)) {
+                result.push({
+                    id: playlist.id,
+                    title: String(playlist.title || playlist.id),
+                    channelId: playlist.channelId ? String(playlist.channelId) : null
+                });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Recording location: coordinates, a place name, or both
+     */
+    normalizeLocation(location) {
+        if (!location) return null;
+
+        const description = String(location.description || '').trim();
+        if (description.length > MAX_LOCATION_LENGTH) {
+            throw new Error(`Location name must be at most ${MAX_LOCATION_LENGTH} characters`);
+        }
+
+        const hasCoordinates = [location.latitude, location.longitude].some(value => value !== undefined && value !== null && value !== '');
+        if (!hasCoordinates) {
+            return description ? { latitude: null, longitude: null, description } : null;
+        }
+
+        const latitude = Number(location.latitude);
+        const longitude = Number(location.longitude);
+        if (location.latitude === '' || location.latitude === null || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+            throw new Error('Latitude must be between -90 and 90');
+        }
+        if (location.longitude === '' || location.longitude === null || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+            throw new Error('Longitude must be between -180 and 180');
+        }
+
+        return { latitude, longitude, description: description || null };
+    }
+
+    /**
+     * Evenly spaced chapters over a video of `duration` seconds
+     * Without an interval the shortest one giving at most 12 chapters is used
+     */
+    generateChapters(duration, interval = null) {
+        duration = Math.floor(Number(duration) || 0);
+        if (duration < MIN_CHAPTERS * MIN_CHAPTER_LENGTH) {
+            throw new Error(`The video is too short for chapters (at least ${MIN_CHAPTERS * MIN_CHAPTER_LENGTH} seconds)`);
+        }
+
+        if (interval) {
+            interval = Math.floor(Number(interval));
+            if (!(interval >= MIN_CHAPTER_LENGTH)) {
+                throw new Error(`Chapters must be at least ${MIN_CHAPTER_LENGTH} seconds apart`);
+            }
+        } else {
+            interval = CHAPTER_INTERVALS.find(seconds => Math.ceil(duration / seconds) <= MAX_AUTO_CHAPTERS) ||
+                CHAPTER_INTERVALS[CHAPTER_INTERVALS.length - 1];
+        }
+        // Short videos get the minimum number of chapters instead
+        interval = Math.min(interval, Math.floor(duration / MIN_CHAPTERS));
+
+        const chapters = [];
+        for (let time = 0; duration - time >= MIN_CHAPTER_LENGTH; time += interval) {
+            chapters.push({ time, title: `Part ${chapters.length + 1}` });
+        }
+
+        return chapters.map(chapter => ({ ...chapter, timestamp: this.formatTimestamp(chapter.time, duration) }));
+    }
+
+    /**
+     * 0:00 style timestamp; videos of an hour or more get hours on every chapter
+     */
+    formatTimestamp(seconds, duration = 0) {
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = String(seconds % 60).padStart(2, '0');
+
+        return h > 0 || duration >= 3600
+            ? `${h}:${String(m).padStart(2, '0')}:${s}`
+            : `${m}:${s}`;
+    }
+
+    /**
+     * Description with the chapter list YouTube reads the chapters from
+     */
+    buildDescription(description, chapters, duration = 0) {
+        if (!chapters || chapters.length === 0) return description || '';
+
+        const lines = chapters.map(chapter => `${this.formatTimestamp(chapter.time, duration)} ${chapter.title}`);
+        return [description, `Chapters:\n${lines.join('\n')}`].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Upload fields of a project's saved metadata
+     * Playlists of other channels than the one uploaded to are left out
+     */
+    toUploadMetadata(project, metadata, channelId = null) {
+        const duration = Number(project.audio_duration) || 0;
+        const localizations = {};
+        Object.entries(metadata.localizations || {}).forEach(([language, entry]) => {
+            localizations[language] = {
+                title: entry.title,
+                description: this.buildDescription(entry.description || '', metadata.chapters, duration)
+            };
+        });
+
+        return {
+            title: metadata.title || project.name,
+            description: this.buildDescription(metadata.description || '', metadata.chapters, duration),
+            tags: metadata.tags || [],
+            categoryId: metadata.category || '22',
+            privacyStatus: metadata.privacy || 'private',
+            defaultLanguage: metadata.defaultLanguage || 'en',
+            audioLanguage: metadata.audioLanguage || metadata.defaultLanguage || 'en',
+            localizations,
+            license: metadata.license || 'youtube',
+            embeddable: metadata.embeddable !== false,
+            publicStatsViewable: metadata.publicStatsViewable !== false,
+            madeForKids: metadata.madeForKids === true,
+            recordingDate: metadata.recordingDate || null,
+            location: metadata.location || null,
+            playlists: (metadata.playlists || [])
+                .filter(playlist => !playlist.channelId || !channelId || playlist.channelId === String(channelId))
+                .map(playlist => ({ id: playlist.id, title: playlist.title }))
+        };
+    }
+}
+
+// Singleton instance
+const youtubeMetadataService = new YouTubeMetadataService();
+
+module.exports = youtubeMetadataService;
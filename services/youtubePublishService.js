@@ -0,0 +1,323 @@
+const path = require('path');
+const fs = require('fs-extra');
+const recurrence = require('../utils/recurrence');
+const youtubeAccountService = require('./youtubeAccountService');
+const youtubeUploadService = require('./youtubeUploadService');
+const youtubeMetadataService = require('./youtubeMetadataService');
+const Project = require('../models/Project');
+const YouTubeChannel = require('../models/YouTubeChannel');
+const YouTubeRelease = require('../models/YouTubeRelease');
+const YouTubeCadence = require('../models/YouTubeCadence');
+
+// publish_at: uploaded right away as private, YouTube makes it public at the release time
+// hold: kept here and uploaded with the project's privacy at the release time
+const RELEASE_MODES = ['publish_at', 'hold'];
+
+const PUBLISH_AT_LEAD_MS = 15 * 60 * 1000;  // Room for the upload to start before a YouTube publish time
+const MIN_PUBLISH_AT_MS = 60 * 1000;        // Closer than this a late release is published right away
+const SLOT_TOLERANCE_MS = 60 * 1000;        // A release this close to a cadence slot takes it
+const SLOT_SEARCH_DAYS = 366;
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Scheduled YouTube publishing
+ * Releases and per-channel cadences are stored in the database and checked
+ * every minute, so a restart doesn't lose the plan
+ */
+class YouTubePublishService {
+    constructor() {
+        this.intervalId = null;
+        this.processing = false;
+    }
+
+    /**
+     * Start the release check
+     * Uploads cut off by a restart are resumed by youtubeUploadService; releases
+     * stopped before their upload job was created start over
+     */
+    async init() {
+        if (this.intervalId) return;
+
+        let requeued = 0;
+        for (const release of await YouTubeRelease.findByStatus('uploading')) {
+            if (!await youtubeUploadService.hasActiveReleaseUpload(release.id)) {
+                await YouTubeRelease.update(release.id, { status: 'pending' });
+                requeued++;
+            }
+        }
+        if (requeued > 0) {
+            console.log(`⚠️  Requeued ${requeued} interrupted YouTube release(s)`);
+        }
+
+        this.intervalId = setInterval(() => this.processDue(), CHECK_INTERVAL_MS);
+        this.processDue();
+        console.log('✅ YouTube release scheduler started');
+    }
+
+    /**
+     * Upload metadata from the project's saved YouTube metadata and thumbnail
+     * Only playlists of the channel the video goes to are kept
+     */
+    getUploadMetadata(project, channelId = null) {
+        let metadata = {};
+        if (project.youtube_metadata) {
+            try {
+                metadata = typeof project.youtube_metadata === 'string'
+                    ? JSON.parse(project.youtube_metadata)
+                    : project.youtube_metadata;
+            } catch (err) {
+                console.warn('Failed to parse metadata:', err);
+            }
+        }
+
+        return {
+            ...youtubeMetadataService.toUploadMetadata(project, metadata, channelId),
+            thumbnailPath: project.youtube_thumbnail_path && fs.existsSync(path.resolve(project.youtube_thumbnail_path))
+                ? path.resolve(project.youtube_thumbnail_path)
+                : null
+        };
+    }
+
+    /**
+     * Plan a release of a project on one of the user's channels
+     * Without `releaseAt` the next free slot of the channel's cadence is used
+     */
+    async scheduleRelease(userId, data) {
+        const mode = data.mode || 'publish_at';
+        if (!RELEASE_MODES.includes(mode)) {
+            throw new Error(`Release mode must be one of: ${RELEASE_MODES.join(', ')}`);
+        }
+
+        const project = await Project.findById(data.projectId);
+        if (!project || project.user_id !== userId) {
+            throw new Error('Project not found');
+        }
+        if (!project.video_output_path || !await fs.pathExists(path.resolve(project.video_output_path))) {
+            throw new Error('Project has no video. Assemble video first.');
+        }
+        if (await YouTubeRelease.findActiveByProject(project.id)) {
+            throw new Error('This project already has a planned release');
+        }
+
+        const channel = await youtubeAccountService.resolveChannel(userId, data.channelId || null);
+
+        let releaseAt;
+        if (data.releaseAt) {
+            releaseAt = new Date(data.releaseAt);
+            if (Number.isNaN(releaseAt.getTime())) {
+                throw new Error('Release time is not a valid date');
+            }
+        } else {
+            releaseAt = await this.getNextSlot(channel.id);
+            if (!releaseAt) {
+                throw new Error(`${channel.title} has no cadence with a free slot; choose a release time`);
+            }
+        }
+
+        if (mode === 'publish_at' && releaseAt.getTime() < Date.now() + PUBLISH_AT_LEAD_MS) {
+            throw new Error('Scheduled YouTube publish times must be at least 15 minutes ahead');
+        }
+        if (releaseAt.getTime() <= Date.now()) {
+            throw new Error('Release time must be in the future');
+        }
+
+        const release = await YouTubeRelease.create({
+            user_id: userId,
+            project_id: project.id,
+            channel_id: channel.id,
+            mode,
+            release_at: releaseAt.toISOString()
+        });
+
+        console.log(`📅 Release of project ${project.id} on ${channel.title} planned for ${release.release_at} (${mode})`);
+
+        // YouTube-scheduled releases upload right away
+        if (mode === 'publish_at') {
+            this.processDue();
+        }
+
+        return release;
+    }
+
+    /**
+     * Take a release off the plan; only possible before it is uploaded
+     */
+    async cancelRelease(release) {
+        if (release.status === 'scheduled') {
+            throw new Error('This video is already on YouTube; change its publish time in YouTube Studio');
+        }
+        if (!['pending', 'failed'].includes(release.status)) {
+            throw new Error(`A ${release.status} release can't be cancelled`);
+        }
+
+        await YouTubeRelease.delete(release.id);
+    }
+
+    /**
+     * Try a failed release again; one whose time has passed is published right away
+     */
+    async retryRelease(release) {
+        if (release.status !== 'failed') {
+            throw new Error('Only failed releases can be retried');
+        }
+
+        await YouTubeRelease.update(release.id, { status: 'pending', error: null });
+        this.processDue();
+    }
+
+    /**
+     * Validate and store a channel's release cadence
+     * Uses the same rule format as recurring stream schedules
+     */
+    async setCadence(userId, channelId, input) {
+        const channel = await YouTubeChannel.findById(channelId, userId);
+        if (!channel) {
+            throw new Error('YouTube channel not found');
+        }
+
+        const toList = (value) => {
+            if (Array.isArray(value)) return value;
+            return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+        };
+        const rule = {
+            recurrence_type: input.type,
+            start_time: input.startTime || null,
+            days_of_week: toList(input.daysOfWeek).map(day => parseInt(day, 10)),
+            cron_expression: input.cronExpression ? String(input.cronExpression).trim() : null,
+            timezone: input.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            exceptions: toList(input.exceptions),
+            max_run_minutes: null,
+            enabled: input.enabled !== false && input.enabled !== 'false'
+        };
+        recurrence.validateRule(rule);
+
+        return YouTubeCadence.upsert(channel.id, userId, rule);
+    }
+
+    /**
+     * Earliest cadence slot of a channel that no planned release has taken
+     */
+    async getNextSlot(channelId) {
+        const cadence = await YouTubeCadence.findByChannelId(channelId);
+        if (!cadence || !cadence.enabled) return null;
+
+        const from = new Date(Date.now() + PUBLISH_AT_LEAD_MS);
+        const until = new Date(from.getTime() + SLOT_SEARCH_DAYS * 24 * 60 * 60 * 1000);
+        const slots = await this.getOpenSlots(cadence, from, until, 1);
+
+        return slots.length > 0 ? slots[0] : null;
+    }
+
+    async getOpenSlots(cadence, from, until, limit = 100) {
+        const taken = (await YouTubeRelease.findActiveByChannel(cadence.channel_id))
+            .map(release => new Date(release.release_at).getTime());
+
+        return recurrence.getOccurrences(cadence, from, until, limit + taken.length)
+            .map(occurrence => occurrence.start)
+            .filter(start => !taken.some(time => Math.abs(time - start.getTime()) < SLOT_TOLERANCE_MS))
+            .slice(0, limit);
+    }
+
+    /**
+     * Planned and past releases in a time range, with the cadence slots still open in it
+     */
+    async getCalendar(userId, from, until) {
+        const releases = await YouTubeRelease.findByUserId(userId, from, until);
+        const cadences = (await YouTubeCadence.findByUserId(userId)).filter(cadence => cadence.enabled);
+
+        // Only slots that can still be booked
+        const slotsFrom = new Date(Math.max(from.getTime(), Date.now() + PUBLISH_AT_LEAD_MS));
+        const openSlots = [];
+        if (slotsFrom < until) {
+            for (const cadence of cadences) {
+                const slots = await this.getOpenSlots(cadence, slotsFrom, until, 200);
+                slots.forEach(start => openSlots.push({
+                    channelId: cadence.channel_id,
+                    channelTitle: cadence.channel_title,
+                    start: start.toISOString()
+                }));
+            }
+        }
+
+        return { releases, openSlots };
+    }
+
+    /**
+     * Upload releases that are due and mark YouTube-scheduled ones published once their time has passed
+     */
+    async processDue() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            for (const release of await YouTubeRelease.findByStatus('scheduled')) {
+                if (new Date(release.release_at).getTime() <= Date.now()) {
+                    await YouTubeRelease.update(release.id, { status: 'published' });
+                    await Project.update(release.project_id, { youtube_status: 'published' });
+                }
+            }
+
+            for (const release of await YouTubeRelease.findByStatus('pending')) {
+                const due = release.mode === 'publish_at' || new Date(release.release_at).getTime() <= Date.now();
+                if (due) {
+                    await this.uploadRelease(release);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error processing YouTube releases:', error);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Start the resumable upload job of a release
+     * The job runs on its own and sets the release and project status once
+     * YouTube has the video, or marks the release failed
+     */
+    async uploadRelease(release) {
+        await YouTubeRelease.update(release.id, { status: 'uploading', error: null });
+
+        try {
+            const project = await Project.findById(release.project_id);
+            const videoPath = project && project.video_output_path ? path.resolve(project.video_output_path) : null;
+            if (!videoPath || !await fs.pathExists(videoPath)) {
+                throw new Error('Project video no longer exists');
+            }
+
+            const channel = await youtubeAccountService.resolveChannel(release.user_id, release.channel_id);
+            const metadata = this.getUploadMetadata(project, channel.id);
+
+            // A YouTube publish time that has (nearly) passed is published right away instead
+            const onYouTubeSchedule = release.mode === 'publish_at' &&
+                new Date(release.release_at).getTime() > Date.now() + MIN_PUBLISH_AT_MS;
+            if (onYouTubeSchedule) {
+                metadata.publishAt = release.release_at;
+            } else if (release.mode === 'publish_at') {
+                metadata.privacyStatus = 'public';
+            }
+
+            const { jobId, done } = await youtubeUploadService.startUpload({
+                userId: release.user_id,
+                channelId: channel.id,
+                channelTitle: channel.title,
+                projectId: project.id,
+                videoPath,
+                metadata,
+                releaseId: release.id,
+                videoStatus: onYouTubeSchedule ? 'scheduled' : 'published'
+            });
+            done.catch(() => {});
+
+            console.log(`📤 Release ${release.id} uploading as job ${jobId}`);
+        } catch (error) {
+            console.error(`❌ Release ${release.id} failed:`, error.message);
+            await YouTubeRelease.update(release.id, { status: 'failed', error: error.message });
+        }
+    }
+}
+
+// Singleton instance
+const youtubePublishService = new YouTubePublishService();
+
+module.exports = youtubePublishService;
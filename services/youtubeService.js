@@ -1,12 +1,22 @@
 const { google } = require('googleapis');
-const { OAuth2Client } = require('google-auth-library');
+const { Transform, pipeline } = require('stream');
 const fs = require('fs-extra');
 const path = require('path');
 
+const UPLOAD_URL = 'https://www.googleapis.com/upload/youtube/v3/videos';
+const UPLOAD_CHUNK_SIZE = 32 * 256 * 1024; // 8 MB; chunks must be multiples of 256 KB
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+/**
+ * YouTube OAuth configuration and client factory
+ * Holds no user credentials: every channel gets its own OAuth client through
+ * createClient, so concurrent publishes can't use each other's tokens
+ */
 class YouTubeService {
     constructor() {
-        this.oauth2Client = null;
-        this.youtube = null;
+        this.clientId = null;
+        this.clientSecret = null;
+        this.redirectUri = null;
         this.isConfigured = false;
     }
 
@@ -20,30 +30,26 @@ class YouTubeService {
             return;
         }
 
-        try {
-            this.oauth2Client = new google.auth.OAuth2(
-                clientId,
-                clientSecret,
-                redirectUri
-            );
-
-            this.isConfigured = true;
-            console.log('✅ YouTube OAuth2 initialized');
-        } catch (error) {
-            console.error('❌ Failed to initialize YouTube OAuth:', error.message);
-            this.isConfigured = false;
-        }
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.redirectUri = redirectUri;
+        this.isConfigured = true;
+        console.log('✅ YouTube OAuth2 initialized');
     }
 
-    /**
-     * Generate OAuth2 authorization URL
-     */
-    getAuthUrl(state = null) {
+    createOAuthClient() {
         if (!this.isConfigured) {
             throw new Error('YouTube service not configured');
         }
 
-        const authUrl = this.oauth2Client.generateAuthUrl({
+        return new google.auth.OAuth2(this.clientId, this.clientSecret, this.redirectUri);
+    }
+
+    /**
+     * Generate OAuth2 authorization URL
+     */
+    getAuthUrl(state) {
+        return this.createOAuthClient().generateAuthUrl({
             access_type: 'offline',
             prompt: 'consent', // Force consent screen to get refresh token
             scope: [
@@ -51,22 +57,18 @@ class YouTubeService {
                 'https://www.googleapis.com/auth/youtube.readonly',
                 'https://www.googleapis.com/auth/youtube'
             ],
-            state: state || 'state_parameter_passthrough_value'
+            state
         });
-
-        return authUrl;
     }
 
     /**
      * Exchange authorization code for tokens
      */
     async getTokensFromCode(code) {
-        if (!this.isConfigured) {
-            throw new Error('YouTube service not configured');
-        }
+        const oauth2Client = this.createOAuthClient();
 
         try {
-            const { tokens } = await this.oauth2Client.getToken(code);
+            const { tokens } = await oauth2Client.getToken(code);
 
             console.log('✅ YouTube tokens obtained');
 
@@ -84,141 +86,377 @@ class YouTubeService {
     }
 
     /**
-     * Set credentials from stored tokens
+     * API client for one channel's tokens
+     * Expired access tokens are refreshed by the client; `onTokens` receives the
+     * new ones so they can be stored
      */
-    setCredentials(accessToken, refreshToken) {
-        if (!this.isConfigured) {
-            throw new Error('YouTube service not configured');
-        }
+    createClient({ accessToken, refreshToken, expiryDate = null }, onTokens = null) {
+        const oauth2Client = this.createOAuthClient();
 
-        this.oauth2Client.setCredentials({
+        oauth2Client.setCredentials({
             access_token: accessToken,
-            refresh_token: refreshToken
+            refresh_token: refreshToken,
+            expiry_date: expiryDate
         });
 
-        this.youtube = google.youtube({
-            version: 'v3',
-            auth: this.oauth2Client
-        });
+        if (onTokens) {
+            oauth2Client.on('tokens', (tokens) => {
+                Promise.resolve(onTokens({
+                    accessToken: tokens.access_token,
+                    refreshToken: tokens.refresh_token || null,
+                    expiryDate: tokens.expiry_date || null
+                })).catch(error => console.error('❌ Failed to store refreshed YouTube tokens:', error.message));
+            });
+        }
 
-        console.log('✅ YouTube credentials set');
+        return new YouTubeClient(google.youtube({ version: 'v3', auth: oauth2Client }), oauth2Client);
     }
 
     /**
-     * Refresh access token using refresh token
+     * Whether a failed API request may succeed later: network errors,
+     * rate limits and server errors. Rejected credentials or requests are final
      */
-    async refreshAccessToken(refreshToken) {
-        if (!this.isConfigured) {
-            throw new Error('YouTube service not configured');
+    isRetryableError(error) {
+        const status = getErrorStatus(error);
+        if (status) {
+            return status === 408 || status === 429 || status >= 500;
         }
+        return RETRYABLE_NETWORK_CODES.includes(error.code) || error.type === 'system' || error.type === 'request-timeout';
+    }
+}
 
-        try {
-            this.oauth2Client.setCredentials({
-                refresh_token: refreshToken
-            });
+/**
+ * YouTube Data API calls made with one channel's credentials
+ */
+class YouTubeClient {
+    constructor(youtube, auth) {
+        this.youtube = youtube;
+        this.auth = auth;
+    }
+
+    /**
+     * Video resource for an upload
+     * With `metadata.publishAt` the video is uploaded private and YouTube makes
+     * it public at that time. Its keys are the parts the upload sends
+     */
+    buildVideoResource(metadata) {
+        const defaultLanguage = metadata.defaultLanguage || 'en';
+        const resource = {
+            snippet: {
+                title: metadata.title || 'Untitled Video',
+                description: metadata.description || '',
+                tags: metadata.tags || [],
+                categoryId: metadata.categoryId || '22', // Default: People & Blogs
+                defaultLanguage,
+                defaultAudioLanguage: metadata.audioLanguage || defaultLanguage
+            },
+            status: {
+                privacyStatus: metadata.publishAt ? 'private' : (metadata.privacyStatus || 'private'),
+                selfDeclaredMadeForKids: metadata.madeForKids === true,
+                license: metadata.license || 'youtube',
+                embeddable: metadata.embeddable !== false,
+                publicStatsViewable: metadata.publicStatsViewable !== false
+            }
+        };
 
-            const { credentials } = await this.oauth2Client.refreshAccessToken();
+        if (metadata.publishAt) {
+            resource.status.publishAt = new Date(metadata.publishAt).toISOString();
+        }
 
-            return {
-                accessToken: credentials.access_token,
-                expiryDate: credentials.expiry_date
-            };
-        } catch (error) {
-            console.error('❌ Token refresh failed:', error);
-            throw new Error(`Token refresh failed: ${error.message}`);
+        if (metadata.localizations && Object.keys(metadata.localizations).length > 0) {
+            resource.localizations = metadata.localizations;
+        }
+
+        if (metadata.recordingDate || metadata.location) {
+            resource.recordingDetails = {};
+            if (metadata.recordingDate) {
+                resource.recordingDetails.recordingDate = metadata.recordingDate;
+            }
+            if (metadata.location && metadata.location.latitude !== null) {
+                resource.recordingDetails.location = {
+                    latitude: metadata.location.latitude,
+                    longitude: metadata.location.longitude
+                };
+            }
+            if (metadata.location && metadata.location.description) {
+                resource.recordingDetails.locationDescription = metadata.location.description;
+            }
         }
+
+        return resource;
     }
 
     /**
-     * Upload video to YouTube with resumable upload
+     * Upload video to YouTube in one resumable session
+     * `metadata.thumbnailPath` is set as its thumbnail. A failed upload is not
+     * retried here; youtubeUploadService resumes sessions across failures and restarts
      */
     async uploadVideo(videoPath, metadata, progressCallback = null) {
-        if (!this.youtube) {
-            throw new Error('YouTube client not initialized. Set credentials first.');
-        }
-
         if (!fs.existsSync(videoPath)) {
             throw new Error(`Video file not found: ${videoPath}`);
         }
 
         const fileSize = fs.statSync(videoPath).size;
-        const fileSizeMB = (fileSize / (1024 * 1024)).toFixed(2);
+        console.log(`📤 Uploading video: ${path.basename(videoPath)} (${formatMB(fileSize)} MB)`);
 
-        console.log(`📤 Uploading video: ${path.basename(videoPath)} (${fileSizeMB} MB)`);
+        try {
+            const sessionUri = await this.createUploadSession(metadata, fileSize);
+            const video = await this.uploadFrom(sessionUri, videoPath, 0, fileSize, {
+                onProgress: (bytesRead) => {
+                    if (progressCallback) {
+                        const progress = Math.round((bytesRead / fileSize) * 100);
+                        progressCallback(progress, `Uploading: ${progress}%`, {
+                            bytesRead,
+                            fileSize,
+                            uploadedMB: formatMB(bytesRead),
+                            totalMB: formatMB(fileSize)
+                        });
+                    }
+                }
+            });
 
-        // Prepare request body
-        const requestBody = {
-            snippet: {
-                title: metadata.title || 'Untitled Video',
-                description: metadata.description || '',
-                tags: metadata.tags || [],
-                categoryId: metadata.categoryId || '22', // Default: People & Blogs
-                defaultLanguage: 'en',
-                defaultAudioLanguage: 'en'
+            return await this.finishUpload(video, metadata);
+        } catch (error) {
+            throw this.describeUploadError(error);
+        }
+    }
+
+    /**
+     * Open a resumable upload session for a file of `fileSize` bytes
+     * Returns the session URI the file is sent to; YouTube keeps it for about a week
+     */
+    async createUploadSession(metadata, fileSize) {
+        const resource = this.buildVideoResource(metadata);
+        const response = await this.auth.request({
+            url: UPLOAD_URL,
+            method: 'POST',
+            params: { uploadType: 'resumable', part: Object.keys(resource).join(',') },
+            headers: {
+                'X-Upload-Content-Length': String(fileSize),
+                'X-Upload-Content-Type': 'video/*'
             },
-            status: {
-                privacyStatus: metadata.privacyStatus || 'private',
-                selfDeclaredMadeForKids: false
+            data: resource
+        });
+
+        if (!response.headers.location) {
+            throw new Error('YouTube did not open an upload session');
+        }
+        return response.headers.location;
+    }
+
+    /**
+     * How much of a session's file YouTube has received
+     * Returns { offset } or, when the upload is already complete, { video }
+     */
+    async getUploadOffset(sessionUri, fileSize) {
+        const response = await this.auth.request({
+            url: sessionUri,
+            method: 'PUT',
+            headers: {
+                'Content-Range': `bytes */${fileSize}`,
+                'Content-Length': '0'
+            },
+            redirect: 'manual',
+            validateStatus: isUploadStatus
+        });
+
+        return parseUploadResponse(response);
+    }
+
+    /**
+     * Send the file from `offset` in chunks until YouTube has all of it
+     * onChunk(offset) runs after every chunk YouTube confirmed, onProgress(bytes) while sending
+     */
+    async uploadFrom(sessionUri, videoPath, offset, fileSize, { onChunk = null, onProgress = null } = {}) {
+        for (;;) {
+            const end = Math.min(offset + UPLOAD_CHUNK_SIZE, fileSize) - 1;
+            const chunkStart = offset;
+            let sent = 0;
+
+            // Count bytes as they leave, without switching the file stream into flowing mode
+            const body = new Transform({
+                transform(chunk, encoding, callback) {
+                    sent += chunk.length;
+                    if (onProgress) onProgress(chunkStart + sent);
+                    callback(null, chunk);
+                }
+            });
+            pipeline(fs.createReadStream(videoPath, { start: offset, end }), body, () => {});
+
+            const response = await this.auth.request({
+                url: sessionUri,
+                method: 'PUT',
+                headers: {
+                    'Content-Range': `bytes ${offset}-${end}/${fileSize}`,
+                    'Content-Length': String(end - offset + 1),
+                    'Content-Type': 'video/*'
+                },
+                data: body,
+                redirect: 'manual',
+                validateStatus: isUploadStatus
+            });
+
+            const result = parseUploadResponse(response);
+            if (result.video) {
+                return result.video;
+            }
+
+            offset = result.offset;
+            if (onChunk) await onChunk(offset);
+        }
+    }
+
+    /**
+     * Set the thumbnail of a finished upload, add it to its playlists and describe the video
+     * A rejected thumbnail or playlist doesn't undo the upload
+     */
+    async finishUpload(video, metadata) {
+        console.log('✅ Video uploaded successfully!');
+        console.log(`Video ID: ${video.id}`);
+        console.log(`Watch URL: https://www.youtube.com/watch?v=${video.id}`);
+
+        let thumbnailError = null;
+        if (metadata.thumbnailPath) {
+            try {
+                await this.setThumbnail(video.id, metadata.thumbnailPath);
+            } catch (error) {
+                thumbnailError = error.message;
             }
+        }
+
+        const playlistsAdded = [];
+        const playlistErrors = [];
+        for (const playlist of metadata.playlists || []) {
+            try {
+                await this.addToPlaylist(playlist.id, video.id);
+                playlistsAdded.push(playlist.id);
+            } catch (error) {
+                playlistErrors.push({ playlistId: playlist.id, title: playlist.title || null, error: error.message });
+            }
+        }
+
+        return {
+            success: true,
+            videoId: video.id,
+            url: `https://www.youtube.com/watch?v=${video.id}`,
+            title: video.snippet.title,
+            description: video.snippet.description,
+            privacyStatus: video.status.privacyStatus,
+            uploadStatus: video.status.uploadStatus,
+            publishAt: video.status.publishAt || null,
+            publishedAt: video.snippet.publishedAt,
+            thumbnailSet: Boolean(metadata.thumbnailPath) && !thumbnailError,
+            thumbnailError,
+            playlistsAdded,
+            playlistErrors
         };
+    }
+
+    /**
+     * User-facing error for a failed upload request
+     */
+    describeUploadError(error) {
+        console.error('❌ Video upload failed:', error.message);
+
+        const status = getErrorStatus(error);
+        let described;
+        if (status === 401) {
+            described = new Error('Authentication failed. Please reconnect your YouTube account.');
+        } else if (status === 403) {
+            described = new Error('Insufficient permissions. Please authorize YouTube upload access.');
+        } else if (status === 400) {
+            described = new Error(`Invalid request: ${error.message}`);
+        } else {
+            described = new Error(`Upload failed: ${error.message}`);
+        }
+
+        // Kept so youtubeService.isRetryableError can judge the original failure
+        described.status = status;
+        described.code = error.code;
+        described.type = error.type;
+        return described;
+    }
 
+    /**
+     * Set a video's custom thumbnail (JPEG, at most 2 MB)
+     * YouTube only allows custom thumbnails on verified channels
+     */
+    async setThumbnail(videoId, imagePath) {
         try {
-            const response = await this.youtube.videos.insert(
-                {
-                    part: ['snippet', 'status'],
-                    requestBody: requestBody,
-                    media: {
-                        body: fs.createReadStream(videoPath)
-                    }
-                },
-                {
-                    // Progress tracking
-                    onUploadProgress: (evt) => {
-                        const progress = Math.round((evt.bytesRead / fileSize) * 100);
-                        const uploadedMB = (evt.bytesRead / (1024 * 1024)).toFixed(2);
-
-                        console.log(`Upload Progress: ${progress}% (${uploadedMB}/${fileSizeMB} MB)`);
-
-                        if (progressCallback) {
-                            progressCallback(progress, `Uploading: ${progress}%`, {
-                                bytesRead: evt.bytesRead,
-                                fileSize: fileSize,
-                                uploadedMB: uploadedMB,
-                                totalMB: fileSizeMB
-                            });
-                        }
-                    }
+            await this.youtube.thumbnails.set({
+                videoId,
+                media: {
+                    mimeType: 'image/jpeg',
+                    body: fs.createReadStream(imagePath)
                 }
-            );
+            });
 
-            console.log('✅ Video uploaded successfully!');
-            console.log(`Video ID: ${response.data.id}`);
-            console.log(`Watch URL: https://www.youtube.com/watch?v=${response.data.id}`);
+            console.log(`✅ Thumbnail set for video ${videoId}`);
+        } catch (error) {
+            console.error('❌ Failed to set thumbnail:', error.message);
 
-            return {
-                success: true,
-                videoId: response.data.id,
-                url: `https://www.youtube.com/watch?v=${response.data.id}`,
-                title: response.data.snippet.title,
-                description: response.data.snippet.description,
-                privacyStatus: response.data.status.privacyStatus,
-                uploadStatus: response.data.status.uploadStatus,
-                publishedAt: response.data.snippet.publishedAt
-            };
+            if (error.code === 403) {
+                throw new Error('YouTube refused the custom thumbnail. Verify the channel to enable custom thumbnails.');
+            }
+            throw new Error(`Thumbnail upload failed: ${error.message}`);
+        }
+    }
 
+    /**
+     * Add a video to the end of one of the channel's playlists
+     */
+    async addToPlaylist(playlistId, videoId) {
+        try {
+            await this.youtube.playlistItems.insert({
+                part: ['snippet'],
+                requestBody: {
+                    snippet: {
+                        playlistId,
+                        resourceId: { kind: 'youtube#video', videoId }
+                    }
+                }
+            });
+
+            console.log(`✅ Video ${videoId} added to playlist ${playlistId}`);
         } catch (error) {
-            console.error('❌ Video upload failed:', error);
-
-            // Handle specific errors
-            if (error.code === 401) {
-                throw new Error('Authentication failed. Please reconnect your YouTube account.');
-            } else if (error.code === 403) {
-                throw new Error('Insufficient permissions. Please authorize YouTube upload access.');
-            } else if (error.code === 400) {
-                throw new Error(`Invalid request: ${error.message}`);
+            console.error(`❌ Failed to add video to playlist ${playlistId}:`, error.message);
+
+            if (error.code === 404) {
+                throw new Error('Playlist not found on this channel');
             }
+            throw new Error(`Adding to playlist failed: ${error.message}`);
+        }
+    }
 
-            throw new Error(`Upload failed: ${error.message}`);
+    /**
+     * The channel's playlists
+     */
+    async getPlaylists() {
+        try {
+            const playlists = [];
+            let pageToken;
+
+            do {
+                const response = await this.youtube.playlists.list({
+                    part: ['snippet', 'status', 'contentDetails'],
+                    mine: true,
+                    maxResults: 50,
+                    pageToken
+                });
+
+                response.data.items.forEach(item => playlists.push({
+                    id: item.id,
+                    title: item.snippet.title,
+                    privacyStatus: item.status.privacyStatus,
+                    itemCount: item.contentDetails.itemCount
+                }));
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+
+            return playlists;
+        } catch (error) {
+            console.error('❌ Failed to get playlists:', error);
+            throw new Error(`Failed to get playlists: ${error.message}`);
         }
     }
 
@@ -226,10 +464,6 @@ class YouTubeService {
      * Get channel information
      */
     async getChannelInfo() {
-        if (!this.youtube) {
-            throw new Error('YouTube client not initialized');
-        }
-
         try {
             const response = await this.youtube.channels.list({
                 part: ['snippet', 'contentDetails', 'statistics'],
@@ -262,10 +496,6 @@ class YouTubeService {
      * Get user's uploaded videos
      */
     async getUploadedVideos(maxResults = 10) {
-        if (!this.youtube) {
-            throw new Error('YouTube client not initialized');
-        }
-
         try {
             const response = await this.youtube.search.list({
                 part: ['snippet'],
@@ -293,10 +523,6 @@ class YouTubeService {
      * Update video metadata
      */
     async updateVideo(videoId, metadata) {
-        if (!this.youtube) {
-            throw new Error('YouTube client not initialized');
-        }
-
         try {
             const response = await this.youtube.videos.update({
                 part: ['snippet', 'status'],
@@ -326,10 +552,6 @@ class YouTubeService {
      * Delete video
      */
     async deleteVideo(videoId) {
-        if (!this.youtube) {
-            throw new Error('YouTube client not initialized');
-        }
-
         try {
             await this.youtube.videos.delete({
                 id: videoId
@@ -342,13 +564,31 @@ class YouTubeService {
             throw new Error(`Delete failed: ${error.message}`);
         }
     }
+}
 
-    /**
-     * Check if service is ready
-     */
-    isReady() {
-        return this.isConfigured && this.youtube !== null;
+// Resumable upload responses: 308 while bytes are missing, 200/201 with the video once complete
+function isUploadStatus(status) {
+    return status === 308 || (status >= 200 && status < 300);
+}
+
+function parseUploadResponse(response) {
+    if (response.status !== 308) {
+        return { offset: null, video: response.data };
     }
+
+    // Range is absent until YouTube has stored any bytes
+    const match = /bytes=\d+-(\d+)/.exec(response.headers.range || '');
+    return { offset: match ? parseInt(match[1], 10) + 1 : 0, video: null };
+}
+
+function getErrorStatus(error) {
+    if (error.response) return error.response.status;
+    if (typeof error.status === 'number') return error.status;
+    return typeof error.code === 'number' ? error.code : null;
+}
+
+function formatMB(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(2);
 }
 
 // Singleton instance
@@ -0,0 +1,340 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const youtubeService = require('./youtubeService');
+const youtubeAccountService = require('./youtubeAccountService');
+const socketService = require('./socketService');
+const Job = require('../models/Job');
+const Project = require('../models/Project');
+const YouTubeRelease = require('../models/YouTubeRelease');
+
+const JOB_TYPE = 'youtube_upload';
+const ACTIVE_STATUSES = ['pending', 'uploading', 'retrying'];
+
+const MAX_ATTEMPTS = 10;
+const RETRY_BASE_MS = 10 * 1000;        // Doubles with every failed attempt
+const RETRY_MAX_MS = 15 * 60 * 1000;
+const PROGRESS_INTERVAL_MS = 1000;      // Socket progress updates per upload
+const MIN_PUBLISH_AT_MS = 60 * 1000;    // Closer than this a YouTube publish time is dropped, as releases do
+
+/**
+ * Resumable YouTube uploads
+ * The upload session URI and the bytes YouTube confirmed are stored on the
+ * job, so an upload cut off by a network error or a restart continues where
+ * it stopped instead of starting over
+ */
+class YouTubeUploadService {
+    constructor() {
+        this.running = new Map();
+        this.lastProgressAt = new Map();
+    }
+
+    /**
+     * Resume uploads that were running or waiting to retry when the server stopped
+     */
+    async init() {
+        const jobs = await Job.findByStatus(JOB_TYPE, ACTIVE_STATUSES);
+
+        jobs.forEach(job => this.run(job.job_id).catch(() => {}));
+
+        if (jobs.length > 0) {
+            console.log(`🔄 Resuming ${jobs.length} YouTube upload(s)`);
+        }
+    }
+
+    /**
+     * Start an upload job
+     * `data` holds userId, channelId, channelTitle, projectId, videoPath and
+     * metadata; uploads of planned releases add releaseId and the videoStatus
+     * the release and project get once the upload is done
+     * Returns the job ID and a promise of the upload result
+     */
+    async startUpload(data) {
+        const videoPath = path.resolve(data.videoPath);
+        if (!await fs.pathExists(videoPath)) {
+            throw new Error('Video file not found');
+        }
+
+        const jobId = uuidv4();
+        await Job.create({
+            job_id: jobId,
+            job_type: JOB_TYPE,
+            project_id: data.projectId || null,
+            user_id: data.userId,
+            data: { ...data, videoPath },
+            bytes_total: (await fs.stat(videoPath)).size
+        });
+
+        console.log(`📥 YouTube upload ${jobId} started for project ${data.projectId}`);
+
+        return { jobId, done: this.run(jobId) };
+    }
+
+    /**
+     * Run a job unless it is already running; resolves with the upload result
+     */
+    run(jobId) {
+        if (!this.running.has(jobId)) {
+            const promise = this.process(jobId).finally(() => {
+                this.running.delete(jobId);
+                this.lastProgressAt.delete(jobId);
+            });
+            this.running.set(jobId, promise);
+        }
+        return this.running.get(jobId);
+    }
+
+    /**
+     * Attempt the upload until it completes, retrying failures that may pass with backoff
+     */
+    async process(jobId) {
+        for (;;) {
+            const job = await Job.findByJobId(jobId);
+
+            const wait = job.next_attempt_at ? new Date(job.next_attempt_at).getTime() - Date.now() : 0;
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+
+            try {
+                const result = await this.attempt(job);
+                await this.complete(job, result);
+                return result;
+            } catch (error) {
+                const attempts = job.attempts + 1;
+                if (!youtubeService.isRetryableError(error) || attempts >= MAX_ATTEMPTS) {
+                    await this.fail(job, error, attempts);
+                    throw error;
+                }
+
+                const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+                await Job.update(jobId, {
+                    status: 'retrying',
+                    attempts,
+                    error: error.message,
+                    next_attempt_at: new Date(Date.now() + delay).toISOString()
+                });
+
+                console.warn(`⚠️  YouTube upload ${jobId} interrupted (${error.message}), retry ${attempts} in ${Math.round(delay / 1000)}s`);
+                socketService.emitJobProgress(jobId, {
+                    progress: job.progress,
+                    status: 'retrying',
+                    message: `Upload interrupted, resuming in ${Math.round(delay / 1000)}s`
+                });
+            }
+        }
+    }
+
+    /**
+     * One pass of the upload: ask YouTube how far the stored session got and
+     * send the rest; an expired session starts over with a new one
+     */
+    async attempt(job) {
+        const { data } = job;
+
+        if (!await fs.pathExists(data.videoPath)) {
+            throw new Error('Video file no longer exists');
+        }
+        const fileSize = (await fs.stat(data.videoPath)).size;
+        if (fileSize !== job.bytes_total) {
+            throw new Error('Video file changed since the upload started');
+        }
+
+        await Job.update(job.job_id, {
+            status: 'uploading',
+            started_at: job.started_at || new Date().toISOString(),
+            next_attempt_at: null
+        });
+
+        const { client } = await youtubeAccountService.getClient(data.userId, data.channelId);
+
+        try {
+            let sessionUri = job.upload_session_uri;
+            let offset = 0;
+
+            if (sessionUri) {
+                try {
+                    const state = await client.getUploadOffset(sessionUri, fileSize);
+                    if (state.video) {
+                        return await client.finishUpload(state.video, data.metadata);
+                    }
+                    offset = state.offset;
+                    console.log(`↪️  Resuming YouTube upload ${job.job_id} at byte ${offset} of ${fileSize}`);
+                } catch (error) {
+                    const status = error.response ? error.response.status : null;
+                    if (status !== 404 && status !== 410) throw error;
+
+                    console.warn(`⚠️  Upload session of ${job.job_id} expired, starting over`);
+                    sessionUri = null;
+                }
+            }
+
+            if (!sessionUri) {
+                await this.dropPassedPublishAt(job);
+                sessionUri = await client.createUploadSession(data.metadata, fileSize);
+                await Job.update(job.job_id, { upload_session_uri: sessionUri, bytes_uploaded: 0, progress: 0 });
+            }
+
+            const video = await client.uploadFrom(sessionUri, data.videoPath, offset, fileSize, {
+                onChunk: (bytes) => Job.update(job.job_id, {
+                    bytes_uploaded: bytes,
+                    progress: Math.floor((bytes / fileSize) * 100)
+                }),
+                onProgress: (bytes) => this.reportProgress(job.job_id, bytes, fileSize)
+            });
+
+            return await client.finishUpload(video, data.metadata);
+        } catch (error) {
+            throw client.describeUploadError(error);
+        }
+    }
+
+    /**
+     * A publish time that retries have pushed into the past would be rejected by
+     * YouTube; a new session then publishes the video right away instead
+     */
+    async dropPassedPublishAt(job) {
+        const { data } = job;
+        const publishAt = data.metadata.publishAt;
+        if (!publishAt || new Date(publishAt).getTime() > Date.now() + MIN_PUBLISH_AT_MS) return;
+
+        data.metadata = { ...data.metadata, privacyStatus: 'public' };
+        delete data.metadata.publishAt;
+        if (data.videoStatus === 'scheduled') {
+            data.videoStatus = 'published';
+        }
+        await Job.update(job.job_id, { data });
+
+        console.log(`⏰ Publish time of upload ${job.job_id} has passed, publishing right away`);
+    }
+
+    reportProgress(jobId, bytes, fileSize) {
+        const now = Date.now();
+        if (bytes < fileSize && now - (this.lastProgressAt.get(jobId) || 0) < PROGRESS_INTERVAL_MS) return;
+        this.lastProgressAt.set(jobId, now);
+
+        const progress = Math.floor((bytes / fileSize) * 100);
+        socketService.emitJobProgress(jobId, {
+            progress,
+            status: 'processing',
+            message: `Uploading: ${progress}%`,
+            details: {
+                bytesRead: bytes,
+                fileSize,
+                uploadedMB: (bytes / (1024 * 1024)).toFixed(2),
+                totalMB: (fileSize / (1024 * 1024)).toFixed(2)
+            }
+        });
+    }
+
+    async complete(job, uploadResult) {
+        const { data } = job;
+        const result = { ...uploadResult, channelId: data.channelId, channelTitle: data.channelTitle };
+        const videoStatus = data.videoStatus || 'published';
+
+        await Job.update(job.job_id, {
+            status: 'completed',
+            progress: 100,
+            bytes_uploaded: job.bytes_total,
+            upload_session_uri: null,
+            result,
+            error: null,
+            completed_at: new Date().toISOString()
+        });
+
+        if (data.projectId) {
+            await Project.update(data.projectId, {
+                youtube_video_id: result.videoId,
+                youtube_channel_id: data.channelId,
+                youtube_status: videoStatus
+            });
+        }
+        if (data.releaseId) {
+            await YouTubeRelease.update(data.releaseId, { status: videoStatus, youtube_video_id: result.videoId, error: null });
+        }
+
+        console.log(`✅ YouTube upload ${job.job_id} completed (${result.videoId})`);
+        socketService.emitJobCompleted(job.job_id, result);
+    }
+
+    async fail(job, error, attempts) {
+        await Job.update(job.job_id, {
+            status: 'failed',
+            attempts,
+            error: error.message,
+            next_attempt_at: null
+        });
+
+        if (job.data.releaseId) {
+            await YouTubeRelease.update(job.data.releaseId, { status: 'failed', error: error.message });
+        }
+
+        console.error(`❌ YouTube upload ${job.job_id} failed: ${error.message}`);
+        socketService.emitJobFailed(job.job_id, error);
+    }
+
+    /**
+     * Try a failed upload again, from where its session stopped
+     * Planned releases are retried from the release calendar instead
+     */
+    async retryUpload(job) {
+        if (job.status !== 'failed') {
+            throw new Error('Only failed uploads can be retried');
+        }
+        if (job.data.releaseId) {
+            throw new Error('Retry planned releases from the release calendar');
+        }
+
+        await Job.update(job.job_id, { status: 'pending', attempts: 0, error: null, next_attempt_at: null });
+        this.run(job.job_id).catch(() => {});
+    }
+
+    /**
+     * Whether a release has an upload the service is still working on
+     */
+    async hasActiveReleaseUpload(releaseId) {
+        const jobs = await Job.findByStatus(JOB_TYPE, ACTIVE_STATUSES);
+        return jobs.some(job => job.data && job.data.releaseId === releaseId);
+    }
+
+    async getUpload(userId, jobId) {
+        const job = await Job.findByJobId(jobId);
+        return job && job.job_type === JOB_TYPE && job.user_id === userId ? job : null;
+    }
+
+    /**
+     * A user's latest uploads for the publisher
+     */
+    async getUploads(userId) {
+        const jobs = await Job.findByUserId(userId, JOB_TYPE);
+        return jobs.map(job => this.toSummary(job));
+    }
+
+    toSummary(job) {
+        const data = job.data || {};
+        return {
+            jobId: job.job_id,
+            projectId: job.project_id,
+            projectName: job.project_name || null,
+            channelTitle: data.channelTitle || null,
+            status: job.status,
+            progress: job.progress || 0,
+            bytesUploaded: job.bytes_uploaded || 0,
+            bytesTotal: job.bytes_total || 0,
+            attempts: job.attempts || 0,
+            maxAttempts: MAX_ATTEMPTS,
+            nextAttemptAt: job.next_attempt_at,
+            // Sent bytes are kept while YouTube holds the session
+            resumable: Boolean(job.upload_session_uri) && job.status !== 'completed',
+            isRelease: Boolean(data.releaseId),
+            error: job.error,
+            result: job.result,
+            createdAt: job.created_at
+        };
+    }
+}
+
+// Singleton instance
+const youtubeUploadService = new YouTubeUploadService();
+
+module.exports = youtubeUploadService;
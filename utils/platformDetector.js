@@ -0,0 +1,20 @@
+const PLATFORMS = [
+  { match: 'youtube.com', platform: 'YouTube', platform_icon: 'ti-brand-youtube' },
+  { match: 'facebook.com', platform: 'Facebook', platform_icon: 'ti-brand-facebook' },
+  { match: 'twitch.tv', platform: 'Twitch', platform_icon: 'ti-brand-twitch' },
+  { match: 'tiktok.com', platform: 'TikTok', platform_icon: 'ti-brand-tiktok' },
+  { match: 'instagram.com', platform: 'Instagram', platform_icon: 'ti-brand-instagram' },
+  { match: 'shopee.io', platform: 'Shopee Live', platform_icon: 'ti-brand-shopee' },
+  { match: 'restream.io', platform: 'Restream.io', platform_icon: 'ti-live-photo' }
+];
+const detectPlatform = (rtmpUrl) => {
+  const url = (rtmpUrl || '').toLowerCase();
+  const found = PLATFORMS.find(entry => url.includes(entry.match));
+  if (found) {
+    return { platform: found.platform, platform_icon: found.platform_icon };
+  }
+  return { platform: 'Custom', platform_icon: 'ti-broadcast' };
+};
+module.exports = {
+  detectPlatform
+};
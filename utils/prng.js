@@ -0,0 +1,28 @@
+const MAX_SEED = 0xFFFFFFFF;
+const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
+const parseSeed = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    throw new Error(`Seed must be a whole number between 0 and ${MAX_SEED}`);
+  }
+  return seed;
+};
+// mulberry32: small, fast and good enough for audio automation. Returns a
+// Math.random compatible function whose sequence is fixed by the seed
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+module.exports = {
+  MAX_SEED,
+  randomSeed,
+  parseSeed,
+  createRandom
+};
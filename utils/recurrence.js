@@ -0,0 +1,116 @@
+const cronParser = require('cron-parser');
+const RECURRENCE_TYPES = ['daily', 'weekly', 'cron'];
+const MAX_OCCURRENCE_SCAN = 1000;
+const parseTimeOfDay = (value) => {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  if (!match) {
+    throw new Error('Start time must be in HH:MM format');
+  }
+  return { hours: parseInt(match[1], 10), minutes: parseInt(match[2], 10) };
+};
+const toCronExpression = (rule) => {
+  if (rule.recurrence_type === 'cron') {
+    return rule.cron_expression;
+  }
+  const { hours, minutes } = parseTimeOfDay(rule.start_time);
+  if (rule.recurrence_type === 'weekly') {
+    return `${minutes} ${hours} * * ${rule.days_of_week.join(',')}`;
+  }
+  return `${minutes} ${hours} * * *`;
+};
+const getLocalDate = (date, timezone) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+const toOccurrence = (rule, start) => ({
+  start,
+  end: rule.max_run_minutes ? new Date(start.getTime() + rule.max_run_minutes * 60 * 1000) : null
+});
+const isException = (rule, date) => {
+  return (rule.exceptions || []).includes(getLocalDate(date, rule.timezone));
+};
+const createIterator = (rule, currentDate, endDate = undefined) => {
+  return cronParser.parseExpression(toCronExpression(rule), {
+    currentDate,
+    endDate,
+    tz: rule.timezone || 'UTC'
+  });
+};
+// Throws a user-facing error when the rule can't be scheduled
+const validateRule = (rule) => {
+  if (!RECURRENCE_TYPES.includes(rule.recurrence_type)) {
+    throw new Error(`Recurrence must be one of: ${RECURRENCE_TYPES.join(', ')}`);
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: rule.timezone });
+  } catch (error) {
+    throw new Error(`Unknown timezone: ${rule.timezone}`);
+  }
+  if (rule.recurrence_type !== 'cron') {
+    parseTimeOfDay(rule.start_time);
+  }
+  if (rule.recurrence_type === 'weekly') {
+    const validDays = Array.isArray(rule.days_of_week) &&
+      rule.days_of_week.length > 0 &&
+      rule.days_of_week.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!validDays) {
+      throw new Error('Weekly schedules need at least one day of the week');
+    }
+  }
+  if (rule.recurrence_type === 'cron' && !rule.cron_expression) {
+    throw new Error('Cron expression is required');
+  }
+  if (rule.max_run_minutes !== null && (!Number.isInteger(rule.max_run_minutes) || rule.max_run_minutes <= 0)) {
+    throw new Error('Maximum run length must be a positive number of minutes');
+  }
+  if ((rule.exceptions || []).some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    throw new Error('Exception dates must be in YYYY-MM-DD format');
+  }
+  try {
+    createIterator(rule, new Date()).next();
+  } catch (error) {
+    throw new Error(`Invalid schedule: ${error.message}`);
+  }
+};
+const getOccurrences = (rule, from, until, limit = 100) => {
+  const occurrences = [];
+  const iterator = createIterator(rule, new Date(from.getTime() - 1), until);
+  for (let i = 0; i < MAX_OCCURRENCE_SCAN && occurrences.length < limit && iterator.hasNext(); i++) {
+    const start = iterator.next().toDate();
+    if (!isException(rule, start)) {
+      occurrences.push(toOccurrence(rule, start));
+    }
+  }
+  return occurrences;
+};
+const getNextOccurrence = (rule, from = new Date()) => {
+  const iterator = createIterator(rule, from);
+  for (let i = 0; i < MAX_OCCURRENCE_SCAN; i++) {
+    const start = iterator.next().toDate();
+    if (!isException(rule, start)) {
+      return toOccurrence(rule, start);
+    }
+  }
+  return null;
+};
+const getPreviousOccurrence = (rule, before = new Date()) => {
+  const iterator = createIterator(rule, before);
+  for (let i = 0; i < MAX_OCCURRENCE_SCAN && iterator.hasPrev(); i++) {
+    const start = iterator.prev().toDate();
+    if (!isException(rule, start)) {
+      return toOccurrence(rule, start);
+    }
+  }
+  return null;
+};
+module.exports = {
+  RECURRENCE_TYPES,
+  validateRule,
+  getOccurrences,
+  getNextOccurrence,
+  getPreviousOccurrence
+};
@@ -4,7 +4,9 @@ const ensureDirectories = () => {
   const dirs = [
     path.join(__dirname, '../public/uploads/videos'),
     path.join(__dirname, '../public/uploads/thumbnails'),
-    path.join(__dirname, '../public/uploads/avatars')
+    path.join(__dirname, '../public/uploads/avatars'),
+    path.join(__dirname, '../public/uploads/overlays'),
+    path.join(__dirname, '../public/uploads/images')
   ];
   dirs.forEach(dir => {
     fs.ensureDirSync(dir);
@@ -25,6 +27,8 @@ module.exports = {
   paths: {
     videos: path.join(__dirname, '../public/uploads/videos'),
     thumbnails: path.join(__dirname, '../public/uploads/thumbnails'),
-    avatars: path.join(__dirname, '../public/uploads/avatars')
+    avatars: path.join(__dirname, '../public/uploads/avatars'),
+    overlays: path.join(__dirname, '../public/uploads/overlays'),
+    images: path.join(__dirname, '../public/uploads/images')
   }
 };
\ No newline at end of file